@@ -0,0 +1,322 @@
+// lib/browser-pool.js - Warm headless browsers shared across PDF renders
+//
+// Launching Chromium costs far more than a render, so browsers stay up between
+// renders and their pages are reused. Concurrent pages are capped across the
+// pool (extra renders queue), each render has a timeout, and browsers are
+// retired after a number of renders to bound memory growth. A browser that
+// crashes is dropped and replaced on the next render; renders that were on it
+// are retried once.
+const DEFAULT_OPTIONS = {
+  maxBrowsers: Number(process.env.PDF_POOL_MAX_BROWSERS) || 1,
+  maxConcurrentPages: Number(process.env.PDF_POOL_MAX_PAGES) || 3,
+  maxQueue: Number(process.env.PDF_POOL_MAX_QUEUE) || 100,
+  maxRendersPerPage: Number(process.env.PDF_POOL_PAGE_REUSE) || 20,
+  maxRendersPerBrowser: Number(process.env.PDF_POOL_BROWSER_REUSE) || 200,
+  renderTimeoutMs: Number(process.env.PDF_RENDER_TIMEOUT_MS) || 30000,
+  idleTimeoutMs: Number(process.env.PDF_POOL_IDLE_MS) || 60000
+};
+
+const poolError = (message, code, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isConnected = (browser) => (typeof browser.connected === 'boolean' ? browser.connected : browser.isConnected());
+
+class BrowserPool {
+  // `launch` resolves a puppeteer Browser; `preparePage` (optional) sets up
+  // each new page once, before its first render
+  constructor({ launch, preparePage, ...options }) {
+    this.launchBrowser = launch;
+    this.preparePage = preparePage;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.browsers = [];
+    this.waiting = [];
+    this.activeRenders = 0;
+    this.nextBrowserId = 1;
+    this.closed = false;
+    this.stats = {
+      renders_completed: 0,
+      renders_failed: 0,
+      render_timeouts: 0,
+      crash_retries: 0,
+      queue_rejections: 0,
+      browser_launches: 0,
+      browser_launch_failures: 0,
+      browser_crashes: 0,
+      browsers_recycled: 0,
+      pages_created: 0,
+      total_render_ms: 0,
+      total_queue_wait_ms: 0,
+      max_queue_depth: 0
+    };
+  }
+
+  /**
+   * Runs `task(page)` on a pooled page and resolves its result. Rejects with
+   * code PDF_POOL_QUEUE_FULL (503) when too many renders are waiting and
+   * PDF_RENDER_TIMEOUT (504) when the task overruns.
+   */
+  async run(task) {
+    if (this.closed) throw poolError('Browser pool is closed', 'PDF_POOL_CLOSED', 503);
+
+    const queuedAt = Date.now();
+    await this.acquireSlot();
+    this.stats.total_queue_wait_ms += Date.now() - queuedAt;
+
+    const startedAt = Date.now();
+    try {
+      const result = await this.runOnPage(task);
+      this.stats.renders_completed++;
+      this.stats.total_render_ms += Date.now() - startedAt;
+      return result;
+    } catch (error) {
+      this.stats.renders_failed++;
+      throw error;
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  acquireSlot() {
+    if (this.activeRenders < this.options.maxConcurrentPages) {
+      this.activeRenders++;
+      return Promise.resolve();
+    }
+
+    if (this.waiting.length >= this.options.maxQueue) {
+      this.stats.queue_rejections++;
+      return Promise.reject(poolError('PDF renderer is busy, try again shortly', 'PDF_POOL_QUEUE_FULL', 503));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ resolve, reject });
+      this.stats.max_queue_depth = Math.max(this.stats.max_queue_depth, this.waiting.length);
+    });
+  }
+
+  // Hands the slot straight to the next waiting render, if any
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      next.resolve();
+    } else {
+      this.activeRenders--;
+    }
+  }
+
+  async runOnPage(task, retried = false) {
+    const entry = await this.getBrowser();
+
+    let lease;
+    try {
+      lease = await this.acquirePage(entry);
+    } catch (error) {
+      if (retried || isConnected(entry.browser)) throw error;
+      this.stats.crash_retries++;
+      return this.runOnPage(task, true);
+    }
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(poolError(`PDF render timed out after ${this.options.renderTimeoutMs}ms`, 'PDF_RENDER_TIMEOUT', 504));
+      }, this.options.renderTimeoutMs);
+    });
+
+    const rendering = Promise.resolve().then(() => task(lease.page));
+    // Keeps a render that loses the race from surfacing as an unhandled rejection
+    rendering.catch(() => {});
+
+    try {
+      const result = await Promise.race([rendering, timeout]);
+      clearTimeout(timer);
+      await this.releasePage(entry, lease, true);
+      return result;
+    } catch (error) {
+      clearTimeout(timer);
+      if (error.code === 'PDF_RENDER_TIMEOUT') this.stats.render_timeouts++;
+      await this.releasePage(entry, lease, false);
+
+      // The browser died under this render: retry once on a fresh one
+      if (!retried && error.code !== 'PDF_RENDER_TIMEOUT' && !isConnected(entry.browser)) {
+        this.stats.crash_retries++;
+        console.warn(`⚠️ Browser ${entry.id} crashed during a render, retrying: ${error.message}`);
+        return this.runOnPage(task, true);
+      }
+      throw error;
+    }
+  }
+
+  // A running browser with spare page capacity, launching one if the pool has room
+  async getBrowser() {
+    const live = this.browsers.filter(entry => !entry.retiring);
+    const pagesPerBrowser = Math.ceil(this.options.maxConcurrentPages / this.options.maxBrowsers);
+    const hasRoom = live.some(entry => entry.activePages < pagesPerBrowser);
+
+    let entry;
+    if (live.length === 0 || (!hasRoom && this.browsers.length < this.options.maxBrowsers)) {
+      entry = this.launch();
+    } else {
+      entry = live.reduce((best, candidate) => (candidate.activePages < best.activePages ? candidate : best));
+    }
+
+    entry.activePages++;
+    clearTimeout(entry.idleTimer);
+    try {
+      await entry.ready;
+      return entry;
+    } catch (error) {
+      entry.activePages--;
+      throw error;
+    }
+  }
+
+  // Added to the pool before it has started, so concurrent renders share one launch
+  launch() {
+    const entry = {
+      id: this.nextBrowserId++,
+      browser: null,
+      activePages: 0,
+      idlePages: [],
+      renders: 0,
+      retiring: false,
+      closing: false,
+      idleTimer: null
+    };
+
+    entry.ready = (async () => {
+      try {
+        entry.browser = await this.launchBrowser();
+      } catch (error) {
+        this.stats.browser_launch_failures++;
+        this.remove(entry);
+        throw poolError(`Failed to launch browser: ${error.message}`, 'PDF_BROWSER_LAUNCH_FAILED', 503);
+      }
+
+      this.stats.browser_launches++;
+      entry.browser.on('disconnected', () => this.handleDisconnect(entry));
+      console.log(`🌐 Launched pooled browser ${entry.id}`);
+    })();
+
+    this.browsers.push(entry);
+    return entry;
+  }
+
+  async acquirePage(entry) {
+    const idle = entry.idlePages.pop();
+    if (idle) return idle;
+
+    let page;
+    try {
+      page = await entry.browser.newPage();
+      page.setDefaultTimeout(this.options.renderTimeoutMs);
+      if (this.preparePage) await this.preparePage(page);
+      this.stats.pages_created++;
+      return { page, renders: 0 };
+    } catch (error) {
+      entry.activePages--;
+      if (page) await page.close().catch(() => {});
+      throw error;
+    }
+  }
+
+  // Healthy pages are blanked and kept for the next render until they reach
+  // maxRendersPerPage; pages from failed or timed-out renders are closed
+  async releasePage(entry, lease, healthy) {
+    entry.activePages--;
+    entry.renders++;
+    lease.renders++;
+
+    const reusable = healthy
+      && !entry.retiring
+      && isConnected(entry.browser)
+      && lease.renders < this.options.maxRendersPerPage;
+
+    let kept = false;
+    if (reusable) {
+      try {
+        await lease.page.goto('about:blank');
+        entry.idlePages.push(lease);
+        kept = true;
+      } catch (error) {
+        // Fall through and close it
+      }
+    }
+    if (!kept) {
+      await lease.page.close().catch(() => {});
+    }
+
+    if (!entry.retiring && entry.renders >= this.options.maxRendersPerBrowser) {
+      entry.retiring = true;
+      this.stats.browsers_recycled++;
+    }
+
+    // Crashed browsers have already left the pool
+    if (entry.activePages === 0 && this.browsers.includes(entry)) {
+      if (entry.retiring) {
+        await this.closeBrowser(entry);
+      } else {
+        entry.idleTimer = setTimeout(() => this.closeBrowser(entry), this.options.idleTimeoutMs);
+        if (entry.idleTimer.unref) entry.idleTimer.unref();
+      }
+    }
+  }
+
+  handleDisconnect(entry) {
+    if (entry.closing) return;
+    this.stats.browser_crashes++;
+    console.error(`❌ Pooled browser ${entry.id} disconnected unexpectedly; it will be replaced`);
+    this.remove(entry);
+  }
+
+  remove(entry) {
+    clearTimeout(entry.idleTimer);
+    this.browsers = this.browsers.filter(candidate => candidate !== entry);
+  }
+
+  async closeBrowser(entry) {
+    if (entry.closing) return;
+    entry.closing = true;
+    this.remove(entry);
+    if (entry.browser) await entry.browser.close().catch(() => {});
+  }
+
+  // Closes every browser; queued renders are rejected
+  async close() {
+    this.closed = true;
+    for (const waiter of this.waiting.splice(0)) {
+      waiter.reject(poolError('Browser pool is closed', 'PDF_POOL_CLOSED', 503));
+    }
+    await Promise.all(this.browsers.map(entry => entry.ready.then(() => this.closeBrowser(entry), () => {})));
+  }
+
+  getMetrics() {
+    const { total_render_ms, total_queue_wait_ms, ...counters } = this.stats;
+    const started = this.stats.renders_completed + this.stats.renders_failed;
+
+    return {
+      browsers: this.browsers.length,
+      active_renders: this.activeRenders,
+      queued_renders: this.waiting.length,
+      active_pages: this.browsers.reduce((sum, entry) => sum + entry.activePages, 0),
+      idle_pages: this.browsers.reduce((sum, entry) => sum + entry.idlePages.length, 0),
+      ...counters,
+      avg_render_ms: this.stats.renders_completed ? Math.round(total_render_ms / this.stats.renders_completed) : 0,
+      avg_queue_wait_ms: started ? Math.round(total_queue_wait_ms / started) : 0,
+      limits: {
+        max_browsers: this.options.maxBrowsers,
+        max_concurrent_pages: this.options.maxConcurrentPages,
+        max_queue: this.options.maxQueue,
+        max_renders_per_page: this.options.maxRendersPerPage,
+        max_renders_per_browser: this.options.maxRendersPerBrowser,
+        render_timeout_ms: this.options.renderTimeoutMs,
+        idle_timeout_ms: this.options.idleTimeoutMs
+      }
+    };
+  }
+}
+
+module.exports = { BrowserPool };
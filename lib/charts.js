@@ -0,0 +1,296 @@
+// lib/charts.js - Inline SVG charts for report templates
+//
+// Rendered on the server, so charts work in PDFs without client JavaScript.
+// Colors come from the template's style sheet through CSS custom properties:
+//   --chart-color-1 .. --chart-color-6   series / slice colors
+//   --chart-text, --chart-grid           labels and grid lines
+// with the professional palette as fallback. Colors go in style attributes,
+// since SVG presentation attributes do not resolve var().
+//
+// Data can be an array of numbers, an array of objects (the label and value
+// keys are guessed, or set with label="..." value="..."), an object map
+// ({ desktop: 60, mobile: 40 }), a GA4 runReport response ({ rows: [...] })
+// or a Meta insights response ({ data: [...] }).
+const DEFAULT_COLORS = ['#2c5aa0', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4'];
+const LABEL_KEYS = ['label', 'name', 'date', 'date_start', 'period', 'source', 'channel', 'device', 'campaign_name', 'page'];
+const VALUE_KEYS = ['value', 'sessions', 'users', 'revenue', 'spend', 'clicks', 'impressions', 'count'];
+
+const TEXT_COLOR = 'var(--chart-text, #4b5563)';
+const GRID_COLOR = 'var(--chart-grid, #e5e7eb)';
+const FONT = 'font-family="inherit" font-size="11"';
+
+const seriesColor = (index) => {
+  const slot = index % DEFAULT_COLORS.length;
+  return `var(--chart-color-${slot + 1}, ${DEFAULT_COLORS[slot]})`;
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const round = (number) => Math.round(number * 100) / 100;
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+};
+
+// 1234 -> 1.2k, 2500000 -> 2.5M
+const formatCompact = (value) => {
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `${round(value / 1e9).toFixed(1).replace(/\.0$/, '')}B`;
+  if (abs >= 1e6) return `${round(value / 1e6).toFixed(1).replace(/\.0$/, '')}M`;
+  if (abs >= 1e3) return `${round(value / 1e3).toFixed(1).replace(/\.0$/, '')}k`;
+  return String(round(value));
+};
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// GA4 rows: first dimension is the label, first metric the value
+const fromGaRows = (rows) => rows.map(row => ({
+  label: row.dimensionValues && row.dimensionValues[0] ? row.dimensionValues[0].value : '',
+  value: row.metricValues && row.metricValues[0] ? row.metricValues[0].value : null
+}));
+
+/**
+ * Normalizes chart input to [{ label, value }], dropping non-numeric values.
+ */
+function toPoints(data, { label: labelKey, value: valueKey } = {}) {
+  if (!data) return [];
+  if (!Array.isArray(data)) {
+    if (Array.isArray(data.rows)) return toPoints(fromGaRows(data.rows), { label: 'label', value: 'value' });
+    if (Array.isArray(data.data)) return toPoints(data.data, { label: labelKey, value: valueKey });
+    data = Object.entries(data).map(([label, value]) => ({ label, value }));
+    labelKey = 'label';
+    valueKey = 'value';
+  }
+
+  return data
+    .map((item, index) => {
+      if (item === null || typeof item !== 'object') {
+        return { label: String(index + 1), value: toNumber(item) };
+      }
+
+      const labelField = labelKey || LABEL_KEYS.find(key => item[key] !== undefined && item[key] !== null);
+      const valueField = valueKey
+        || VALUE_KEYS.find(key => Number.isFinite(toNumber(item[key])))
+        || Object.keys(item).find(key => key !== labelField && Number.isFinite(toNumber(item[key])));
+
+      return {
+        label: labelField && item[labelField] != null ? String(item[labelField]) : String(index + 1),
+        value: valueField ? toNumber(item[valueField]) : NaN
+      };
+    })
+    .filter(point => Number.isFinite(point.value));
+}
+
+// Several lines: [{ name, data: [...] }] (or values instead of data)
+const isMultiSeries = (data) => Array.isArray(data)
+  && data.length > 0
+  && data.every(item => item && typeof item === 'object' && (Array.isArray(item.data) || Array.isArray(item.values)));
+
+// Rounded axis maximum and step for roughly `ticks` grid lines
+const niceScale = (max, ticks = 4) => {
+  if (max <= 0) return { max: 1, step: 1 / ticks };
+  const raw = max / ticks;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const normalized = raw / magnitude;
+  const step = (normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10) * magnitude;
+  return { max: Math.ceil(max / step) * step, step };
+};
+
+const svgOpen = (width, height, title) => `<svg xmlns="http://www.w3.org/2000/svg" class="rf-chart" role="img" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" style="max-width:100%;height:auto"${title ? ` aria-label="${escapeXml(title)}"` : ''}>${title ? `<title>${escapeXml(title)}</title>` : ''}`;
+
+const emptyChart = (width, height, title) => `${svgOpen(width, height, title)}<text x="${width / 2}" y="${height / 2}" text-anchor="middle" ${FONT} style="fill:${TEXT_COLOR}">No data</text></svg>`;
+
+const legend = (names, x, y) => names.map((name, index) => {
+  const itemX = x + index * 120;
+  return `<rect x="${itemX}" y="${y - 8}" width="10" height="10" rx="2" style="fill:${seriesColor(index)}"/>`
+    + `<text x="${itemX + 14}" y="${y + 1}" ${FONT} style="fill:${TEXT_COLOR}">${escapeXml(truncate(name, 16))}</text>`;
+}).join('');
+
+/**
+ * Line chart over one series or several ([{ name, data }]). Options: width,
+ * height, title, label, value.
+ */
+function lineChart(data, options = {}) {
+  const width = Number(options.width) || 600;
+  const height = Number(options.height) || 240;
+  const title = options.title || null;
+
+  const series = isMultiSeries(data)
+    ? data.map(item => ({ name: item.name || item.label || '', points: toPoints(item.data || item.values, options) }))
+    : [{ name: null, points: toPoints(data, options) }];
+
+  const length = Math.max(...series.map(item => item.points.length));
+  if (length === 0) return emptyChart(width, height, title);
+
+  const hasLegend = series.length > 1;
+  const padding = { top: 12, right: 16, bottom: hasLegend ? 48 : 28, left: 48 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+
+  const values = series.flatMap(item => item.points.map(point => point.value));
+  const minValue = Math.min(0, ...values);
+  const scale = niceScale(Math.max(...values) - minValue);
+  const yFor = value => padding.top + plotHeight - ((value - minValue) / scale.max) * plotHeight;
+  const xFor = index => padding.left + (length === 1 ? plotWidth / 2 : (index / (length - 1)) * plotWidth);
+
+  let svg = svgOpen(width, height, title);
+
+  for (let tick = 0; tick <= scale.max + scale.step / 2; tick += scale.step) {
+    const y = round(yFor(tick + minValue));
+    svg += `<line x1="${padding.left}" y1="${y}" x2="${width - padding.right}" y2="${y}" style="stroke:${GRID_COLOR}" stroke-width="1"/>`;
+    svg += `<text x="${padding.left - 6}" y="${y + 4}" text-anchor="end" ${FONT} style="fill:${TEXT_COLOR}">${formatCompact(tick + minValue)}</text>`;
+  }
+
+  // At most ~6 x labels, taken from the longest series
+  const labels = series.find(item => item.points.length === length).points;
+  const every = Math.ceil(length / 6);
+  labels.forEach((point, index) => {
+    if (index % every !== 0 && index !== length - 1) return;
+    svg += `<text x="${round(xFor(index))}" y="${padding.top + plotHeight + 16}" text-anchor="middle" ${FONT} style="fill:${TEXT_COLOR}">${escapeXml(truncate(point.label, 12))}</text>`;
+  });
+
+  series.forEach((item, index) => {
+    if (item.points.length === 0) return;
+    const coordinates = item.points.map((point, pointIndex) => `${round(xFor(pointIndex))},${round(yFor(point.value))}`).join(' ');
+    svg += `<polyline points="${coordinates}" fill="none" stroke-width="2" stroke-linejoin="round" stroke-linecap="round" style="stroke:${seriesColor(index)}"/>`;
+  });
+
+  if (hasLegend) svg += legend(series.map(item => item.name), padding.left, height - 10);
+
+  return `${svg}</svg>`;
+}
+
+/**
+ * Horizontal bar chart, one bar per item. Options: width, title, label, value.
+ */
+function barChart(data, options = {}) {
+  const width = Number(options.width) || 600;
+  const title = options.title || null;
+  const points = toPoints(data, options);
+  const rowHeight = 28;
+  const height = Number(options.height) || Math.max(points.length * rowHeight + 16, 60);
+
+  if (points.length === 0) return emptyChart(width, height, title);
+
+  const labelWidth = 140;
+  const valueWidth = 56;
+  const barArea = width - labelWidth - valueWidth;
+  const max = Math.max(...points.map(point => point.value), 0) || 1;
+  const barHeight = Math.min(18, (height - 16) / points.length - 6);
+  const step = (height - 16) / points.length;
+
+  let svg = svgOpen(width, height, title);
+  points.forEach((point, index) => {
+    const y = round(8 + index * step + (step - barHeight) / 2);
+    const barWidth = round(Math.max(point.value, 0) / max * barArea);
+    svg += `<text x="${labelWidth - 8}" y="${round(y + barHeight / 2 + 4)}" text-anchor="end" ${FONT} style="fill:${TEXT_COLOR}">${escapeXml(truncate(point.label, 22))}</text>`;
+    svg += `<rect x="${labelWidth}" y="${y}" width="${barWidth}" height="${round(barHeight)}" rx="3" style="fill:${seriesColor(options.color ? Number(options.color) - 1 : index)}"/>`;
+    svg += `<text x="${round(labelWidth + barWidth + 6)}" y="${round(y + barHeight / 2 + 4)}" ${FONT} style="fill:${TEXT_COLOR}">${formatCompact(point.value)}</text>`;
+  });
+
+  return `${svg}</svg>`;
+}
+
+/**
+ * Pie chart with a legend; donut=true leaves the middle open. Options: width,
+ * height, title, label, value, donut.
+ */
+function pieChart(data, options = {}) {
+  const width = Number(options.width) || 360;
+  const height = Number(options.height) || 200;
+  const title = options.title || null;
+  const points = toPoints(data, options).filter(point => point.value > 0);
+  const total = points.reduce((sum, point) => sum + point.value, 0);
+
+  if (total === 0) return emptyChart(width, height, title);
+
+  const radius = Math.min(height, width / 2) / 2 - 8;
+  const cx = radius + 8;
+  const cy = height / 2;
+
+  // Each slice is a stroked circle whose dash covers its share; a stroke as
+  // wide as the radius fills the pie, a thinner one makes a donut
+  const ringRadius = options.donut ? radius * 0.75 : radius / 2;
+  const strokeWidth = options.donut ? radius * 0.5 : radius;
+  const circumference = 2 * Math.PI * ringRadius;
+
+  let svg = svgOpen(width, height, title);
+  let offset = 0;
+  points.forEach((point, index) => {
+    const length = (point.value / total) * circumference;
+    svg += `<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(ringRadius)}" fill="none" stroke-width="${round(strokeWidth)}"`
+      + ` stroke-dasharray="${round(length)} ${round(circumference)}" stroke-dashoffset="${round(-offset)}"`
+      + ` transform="rotate(-90 ${round(cx)} ${round(cy)})" style="stroke:${seriesColor(index)}"/>`;
+    offset += length;
+  });
+
+  const legendX = cx + radius + 24;
+  const legendTop = cy - (points.length * 18) / 2 + 9;
+  points.forEach((point, index) => {
+    const y = round(legendTop + index * 18);
+    const share = Math.round((point.value / total) * 1000) / 10;
+    svg += `<rect x="${round(legendX)}" y="${y - 9}" width="10" height="10" rx="2" style="fill:${seriesColor(index)}"/>`;
+    svg += `<text x="${round(legendX + 14)}" y="${y}" ${FONT} style="fill:${TEXT_COLOR}">${escapeXml(truncate(point.label, 18))} (${share}%)</text>`;
+  });
+
+  return `${svg}</svg>`;
+}
+
+/**
+ * Small axis-free trend line for metric cards. Options: width, height, color
+ * (1-6, the palette slot).
+ */
+function sparkline(data, options = {}) {
+  const width = Number(options.width) || 120;
+  const height = Number(options.height) || 32;
+  const points = toPoints(data, options);
+  const color = seriesColor(options.color ? Number(options.color) - 1 : 0);
+
+  if (points.length < 2) {
+    return `${svgOpen(width, height, options.title)}</svg>`;
+  }
+
+  const values = points.map(point => point.value);
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const xFor = index => 2 + (index / (points.length - 1)) * (width - 4);
+  const yFor = value => height - 3 - ((value - min) / range) * (height - 6);
+
+  const coordinates = points.map((point, index) => `${round(xFor(index))},${round(yFor(point.value))}`).join(' ');
+  const last = points[points.length - 1];
+
+  return `${svgOpen(width, height, options.title)}`
+    + `<polyline points="${coordinates}" fill="none" stroke-width="1.5" stroke-linejoin="round" stroke-linecap="round" style="stroke:${color}"/>`
+    + `<circle cx="${round(xFor(points.length - 1))}" cy="${round(yFor(last.value))}" r="2" style="fill:${color}"/>`
+    + '</svg>';
+}
+
+// Registers the chart helpers on a Handlebars instance. Called without data
+// ({{sparkline}}), a helper uses the current context.
+function registerChartHelpers(handlebars) {
+  const charts = { lineChart, barChart, pieChart, sparkline };
+
+  Object.entries(charts).forEach(([name, render]) => {
+    handlebars.registerHelper(name, function (...args) {
+      const options = args.pop();
+      const data = args.length > 0 ? args[0] : this;
+      return new handlebars.SafeString(render(data, options.hash || {}));
+    });
+  });
+}
+
+module.exports = {
+  lineChart,
+  barChart,
+  pieChart,
+  sparkline,
+  toPoints,
+  registerChartHelpers
+};
@@ -0,0 +1,53 @@
+// lib/dev-mode.js - Central switch for test/debug (diagnostic) routes
+//
+// Diagnostic routes skip authentication, fall back to hard-coded test data or
+// expose internals, so they are only mounted when ENABLE_DEV_ROUTES=true and
+// never when NODE_ENV=production. Route modules put them on a separate
+// `devRouter` export; everything else stays on the main router.
+
+const isDevModeEnabled = () =>
+  process.env.ENABLE_DEV_ROUTES === 'true' && process.env.NODE_ENV !== 'production';
+
+/**
+ * "METHOD /path" for every route on a router mounted at basePath.
+ */
+function listRoutes(basePath, router) {
+  return router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods)
+      .map(method => `${method.toUpperCase()} ${basePath}${layer.route.path}`));
+}
+
+/**
+ * Mounts the devRouter of each [basePath, routes] pair when dev mode is on and
+ * logs the routes that became reachable. Call it before the main routes are
+ * mounted, so parameterized routes (e.g. /:id) can't shadow these paths.
+ * Returns the active routes.
+ */
+function mountDevRoutes(app, mounts) {
+  if (!isDevModeEnabled()) {
+    if (process.env.ENABLE_DEV_ROUTES === 'true') {
+      console.warn('⚠️ ENABLE_DEV_ROUTES is ignored when NODE_ENV=production; diagnostic routes are not mounted');
+    } else {
+      console.log('🔒 Diagnostic routes disabled (set ENABLE_DEV_ROUTES=true to enable them locally)');
+    }
+    return [];
+  }
+
+  const active = [];
+  for (const [basePath, routes] of mounts) {
+    if (!routes.devRouter) continue;
+    app.use(basePath, routes.devRouter);
+    active.push(...listRoutes(basePath, routes.devRouter));
+  }
+
+  console.warn(`🧪 Dev mode: ${active.length} unauthenticated diagnostic routes are active:`);
+  active.forEach(route => console.warn(`   ${route}`));
+  return active;
+}
+
+module.exports = {
+  isDevModeEnabled,
+  listRoutes,
+  mountDevRoutes
+};
@@ -0,0 +1,83 @@
+// lib/recipients.js - Report recipient lists (to / cc / bcc) for report_configs
+const crypto = require('crypto');
+
+const RECIPIENT_TYPES = ['to', 'cc', 'bcc'];
+const MAX_RECIPIENTS = 50;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Normalizes one entry of report_configs.recipients. Entries are either a plain
+ * email address (a "to" recipient) or { email, name, type }.
+ */
+function normalizeRecipient(entry) {
+  const recipient = typeof entry === 'string' ? { email: entry } : (entry || {});
+
+  return {
+    email: String(recipient.email || '').trim().toLowerCase(),
+    name: recipient.name ? String(recipient.name).trim() : null,
+    type: recipient.type || 'to'
+  };
+}
+
+/**
+ * Returns a list of human-readable problems with a recipients list, empty if valid.
+ */
+function validateRecipients(recipients) {
+  if (!Array.isArray(recipients)) return ['recipients must be an array'];
+  if (recipients.length > MAX_RECIPIENTS) return [`recipients can have at most ${MAX_RECIPIENTS} entries`];
+
+  const errors = [];
+  recipients.forEach((entry, index) => {
+    const recipient = normalizeRecipient(entry);
+
+    if (!EMAIL_PATTERN.test(recipient.email)) {
+      errors.push(`recipients[${index}].email must be a valid email address`);
+    }
+    if (!RECIPIENT_TYPES.includes(recipient.type)) {
+      errors.push(`recipients[${index}].type must be one of: ${RECIPIENT_TYPES.join(', ')}`);
+    }
+    if (recipient.name && recipient.name.length > 255) {
+      errors.push(`recipients[${index}].name must be at most 255 characters`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Everyone who receives a report: the client's contact email first, then the
+ * config's extra recipients. An address listed twice keeps its first entry.
+ */
+function getReportRecipients(reportConfig) {
+  const client = reportConfig.clients || {};
+  const entries = [
+    ...(client.contact_email ? [{ email: client.contact_email, name: client.client_name, type: 'to' }] : []),
+    ...(reportConfig.recipients || [])
+  ];
+
+  const seen = new Set();
+  return entries.map(normalizeRecipient).filter(recipient => {
+    if (!recipient.email || seen.has(recipient.email)) return false;
+    seen.add(recipient.email);
+    return true;
+  });
+}
+
+/**
+ * Adds an opaque per-recipient token to the report link, so opens can be
+ * attributed without putting the address in the URL.
+ */
+function personalizeReportUrl(reportUrl, reportId, email) {
+  const token = crypto.createHash('sha256').update(`${reportId}:${email}`).digest('hex').slice(0, 16);
+  const separator = reportUrl.includes('?') ? '&' : '?';
+  return `${reportUrl}${separator}recipient=${token}`;
+}
+
+module.exports = {
+  RECIPIENT_TYPES,
+  MAX_RECIPIENTS,
+  normalizeRecipient,
+  validateRecipients,
+  getReportRecipients,
+  personalizeReportUrl
+};
@@ -0,0 +1,269 @@
+// lib/schedule.js - Timezone-aware schedule calculation for report_configs
+const { DateTime, IANAZone } = require('luxon');
+const cronParser = require('cron-parser');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'last_business_day', 'cron'];
+const DATE_RANGE_PRESETS = ['schedule_period', 'last_7_days', 'last_30_days', 'last_90_days', 'previous_month', 'month_to_date'];
+const DEFAULT_TIME = '09:00';
+const DEFAULT_TIMEZONE = 'UTC';
+
+/**
+ * Normalizes the schedule columns of a report_configs row.
+ * Falls back to the legacy `schedule` column and to weekly on Monday 09:00 UTC.
+ */
+function normalizeSchedule(config = {}) {
+  return {
+    frequency: config.schedule_frequency || config.schedule || 'weekly',
+    time: config.schedule_time || DEFAULT_TIME,
+    timezone: config.timezone || DEFAULT_TIMEZONE,
+    dayOfWeek: config.schedule_day_of_week ?? 1,
+    dayOfMonth: config.schedule_day_of_month ?? 1,
+    cron: config.schedule_cron || null
+  };
+}
+
+function parseTime(time) {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(time));
+  if (!match) return null;
+
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  const second = Number(match[3] || 0);
+  if (hour > 23 || minute > 59 || second > 59) return null;
+
+  return { hour, minute, second };
+}
+
+/**
+ * Returns a list of human-readable problems with a schedule, empty if valid.
+ */
+function validateSchedule(config) {
+  const schedule = normalizeSchedule(config);
+  const errors = [];
+
+  if (!FREQUENCIES.includes(schedule.frequency)) {
+    errors.push(`schedule_frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  if (!IANAZone.isValidZone(schedule.timezone)) {
+    errors.push(`timezone "${schedule.timezone}" is not a valid IANA timezone`);
+  }
+
+  if (schedule.frequency === 'cron') {
+    if (!schedule.cron) {
+      errors.push('schedule_cron is required when schedule_frequency is "cron"');
+    } else {
+      try {
+        cronParser.parseExpression(schedule.cron);
+      } catch (error) {
+        errors.push(`schedule_cron is invalid: ${error.message}`);
+      }
+    }
+    return errors;
+  }
+
+  if (!parseTime(schedule.time)) {
+    errors.push('schedule_time must be in HH:MM or HH:MM:SS format');
+  }
+
+  if (schedule.frequency === 'weekly' &&
+      !(Number.isInteger(schedule.dayOfWeek) && schedule.dayOfWeek >= 0 && schedule.dayOfWeek <= 6)) {
+    errors.push('schedule_day_of_week must be an integer from 0 (Sunday) to 6 (Saturday)');
+  }
+
+  if (schedule.frequency === 'monthly' &&
+      !(Number.isInteger(schedule.dayOfMonth) && schedule.dayOfMonth >= 1 && schedule.dayOfMonth <= 31)) {
+    errors.push('schedule_day_of_month must be an integer from 1 to 31');
+  }
+
+  return errors;
+}
+
+// Wall-clock slot on a given local day. Luxon shifts times that fall into a
+// DST gap forward, and picks the earlier instant for ambiguous (repeated) times.
+function slotOn(day, time, zone) {
+  return DateTime.fromObject({
+    year: day.year,
+    month: day.month,
+    day: day.day,
+    hour: time.hour,
+    minute: time.minute,
+    second: time.second
+  }, { zone });
+}
+
+function lastBusinessDay(month) {
+  let day = month.endOf('month').startOf('day');
+  while (day.weekday > 5) {
+    day = day.minus({ days: 1 });
+  }
+  return day;
+}
+
+/**
+ * Returns the first scheduled slot strictly after `after`, as a JS Date.
+ * Slots are evaluated in the config's IANA timezone, so "09:00 daily" stays
+ * at 09:00 local time across DST transitions.
+ */
+function getNextRun(config, after = new Date()) {
+  const errors = validateSchedule(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid schedule: ${errors.join('; ')}`);
+  }
+
+  const schedule = normalizeSchedule(config);
+  const afterDate = after instanceof Date ? after : new Date(after);
+  const zone = schedule.timezone;
+
+  if (schedule.frequency === 'cron') {
+    const interval = cronParser.parseExpression(schedule.cron, {
+      currentDate: afterDate,
+      tz: zone
+    });
+    return interval.next().toDate();
+  }
+
+  const time = parseTime(schedule.time);
+  const start = DateTime.fromJSDate(afterDate, { zone }).startOf('day');
+  const afterMillis = afterDate.getTime();
+
+  if (schedule.frequency === 'daily' || schedule.frequency === 'weekly') {
+    for (let i = 0; i <= 8; i++) {
+      const day = start.plus({ days: i });
+      if (schedule.frequency === 'weekly' && day.weekday % 7 !== schedule.dayOfWeek) continue;
+
+      const slot = slotOn(day, time, zone);
+      if (slot.toMillis() > afterMillis) return slot.toJSDate();
+    }
+  } else {
+    for (let i = 0; i <= 13; i++) {
+      const month = start.startOf('month').plus({ months: i });
+      const day = schedule.frequency === 'last_business_day'
+        ? lastBusinessDay(month)
+        : month.set({ day: Math.min(schedule.dayOfMonth, month.daysInMonth) });
+
+      const slot = slotOn(day, time, zone);
+      if (slot.toMillis() > afterMillis) return slot.toJSDate();
+    }
+  }
+
+  throw new Error(`Could not compute next run for schedule "${schedule.frequency}"`);
+}
+
+// How far back a previous slot can be, per frequency
+const LOOKBACK_DAYS = { daily: 2, weekly: 8, monthly: 63, last_business_day: 63 };
+
+/**
+ * Returns the last scheduled slot strictly before `before`, as a JS Date.
+ */
+function getPreviousRun(config, before) {
+  const schedule = normalizeSchedule(config);
+  const beforeDate = before instanceof Date ? before : new Date(before);
+
+  if (schedule.frequency === 'cron') {
+    const interval = cronParser.parseExpression(schedule.cron, {
+      currentDate: beforeDate,
+      tz: schedule.timezone
+    });
+    return interval.prev().toDate();
+  }
+
+  const lookbackMs = LOOKBACK_DAYS[schedule.frequency] * 24 * 60 * 60 * 1000;
+  let previous = null;
+  let slot = getNextRun(config, new Date(beforeDate.getTime() - lookbackMs));
+  while (slot < beforeDate) {
+    previous = slot;
+    slot = getNextRun(config, slot);
+  }
+  return previous;
+}
+
+/**
+ * Returns the reporting period covered by the run at `slot`: from the local date
+ * of the previous slot up to the day before this one, as YYYY-MM-DD strings in the
+ * config's timezone. A weekly Monday run covers the previous Monday to Sunday.
+ */
+function getReportingPeriod(config, slot) {
+  const { timezone } = normalizeSchedule(config);
+  const slotDate = slot instanceof Date ? slot : new Date(slot);
+  const previous = getPreviousRun(config, slotDate);
+
+  const start = DateTime.fromJSDate(previous, { zone: timezone }).startOf('day');
+  let end = DateTime.fromJSDate(slotDate, { zone: timezone }).startOf('day').minus({ days: 1 });
+  if (end < start) end = start; // Sub-daily cron schedules report on the current day
+
+  return {
+    start_date: start.toISODate(),
+    end_date: end.toISODate()
+  };
+}
+
+/**
+ * Returns the period a run at `slot` reports on according to the config's
+ * date_range_preset. 'schedule_period' (the default) is the period since the
+ * previous run; the others are fixed windows ending the day before the run.
+ */
+function getPresetPeriod(config, slot) {
+  const preset = config.date_range_preset || 'schedule_period';
+  if (preset === 'schedule_period') return getReportingPeriod(config, slot);
+
+  const { timezone } = normalizeSchedule(config);
+  const slotDate = slot instanceof Date ? slot : new Date(slot);
+  const runDay = DateTime.fromJSDate(slotDate, { zone: timezone }).startOf('day');
+  const end = runDay.minus({ days: 1 });
+
+  const starts = {
+    last_7_days: () => runDay.minus({ days: 7 }),
+    last_30_days: () => runDay.minus({ days: 30 }),
+    last_90_days: () => runDay.minus({ days: 90 }),
+    previous_month: () => runDay.minus({ months: 1 }).startOf('month'),
+    month_to_date: () => end.startOf('month')
+  };
+
+  if (!starts[preset]) {
+    throw new Error(`Unknown date_range_preset "${preset}"`);
+  }
+
+  return {
+    start_date: starts[preset]().toISODate(),
+    end_date: preset === 'previous_month'
+      ? runDay.minus({ months: 1 }).endOf('month').toISODate()
+      : end.toISODate()
+  };
+}
+
+/**
+ * Returns the scheduled slots in the half-open interval (from, to], oldest first.
+ */
+function getRunsBetween(config, from, to, limit = 100) {
+  const toDate = to instanceof Date ? to : new Date(to);
+  const runs = [];
+
+  let slot = getNextRun(config, from);
+  while (slot <= toDate && runs.length < limit) {
+    runs.push(slot);
+    slot = getNextRun(config, slot);
+  }
+  return runs;
+}
+
+/**
+ * Returns local midnight of a YYYY-MM-DD date in the config's timezone, as a JS Date.
+ */
+function startOfLocalDay(config, isoDate) {
+  const { timezone } = normalizeSchedule(config);
+  return DateTime.fromISO(isoDate, { zone: timezone }).startOf('day').toJSDate();
+}
+
+module.exports = {
+  FREQUENCIES,
+  DATE_RANGE_PRESETS,
+  normalizeSchedule,
+  validateSchedule,
+  getNextRun,
+  getPreviousRun,
+  getReportingPeriod,
+  getPresetPeriod,
+  getRunsBetween,
+  startOfLocalDay
+};
@@ -0,0 +1,128 @@
+// lib/template-layouts.js - Partials, layouts and brand styles for report templates
+//
+// A template picks a layout with a leading `{{!< name}}` comment and fills it
+// through inline partials (`{{#*inline "content"}}...{{/inline}}`); the layout
+// places them with `{{> content}}`. System partials live in templates/partials
+// and templates/base.html is the `base` layout. Tenants override any of them by
+// name, and their brand kit reaches templates as `brand` plus --brand-* CSS
+// variables.
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const PARTIALS_DIR = path.join(TEMPLATES_DIR, 'partials');
+
+const PARTIAL_NAME = /^[a-z][a-z0-9_-]{0,63}$/;
+// Filled by the template using a layout, never stored as a partial
+const RESERVED_PARTIAL_NAMES = ['content'];
+const LAYOUT_DIRECTIVE = /^\s*\{\{!<\s*([a-z][a-z0-9_-]{0,63})\s*\}\}/;
+
+let systemPartials = null;
+
+// { name: { content, kind, description } } of the bundled partials and layouts, read once
+const getSystemPartials = () => {
+  if (!systemPartials) {
+    systemPartials = {};
+    fs.readdirSync(PARTIALS_DIR)
+      .filter(file => file.endsWith('.html'))
+      .forEach(file => {
+        const content = fs.readFileSync(path.join(PARTIALS_DIR, file), 'utf8');
+        const comment = content.match(/^\{\{!--\s*([\s\S]*?)\s*--\}\}/);
+        systemPartials[path.basename(file, '.html')] = {
+          kind: 'partial',
+          description: comment ? comment[1] : null,
+          content
+        };
+      });
+    systemPartials.base = {
+      kind: 'layout',
+      description: 'Default report layout: cover page, header, content and footer',
+      content: fs.readFileSync(path.join(TEMPLATES_DIR, 'base.html'), 'utf8')
+    };
+  }
+  return systemPartials;
+};
+
+// Name of the layout a template asks for with `{{!< name}}`, or null
+const layoutOf = (source) => {
+  const match = String(source || '').match(LAYOUT_DIRECTIVE);
+  return match ? match[1] : null;
+};
+
+// Renders the template as the block of its layout partial, so the inline
+// partials it defines are visible to the layout
+const composeSource = (source) => {
+  const layout = layoutOf(source);
+  return layout ? `{{#> ${layout}}}${source}{{/${layout}}}` : source;
+};
+
+// Full documents (layouts) carry their own <head>; fragments get wrapped
+const isFullDocument = (html) => /^\s*(<!doctype\b|<html\b)/i.test(String(html || ''));
+
+const COLOR_VARIABLES = {
+  primary_color: '--brand-primary',
+  secondary_color: '--brand-secondary',
+  accent_color: '--brand-accent',
+  text_color: '--brand-text',
+  background_color: '--brand-background'
+};
+
+// Charts follow the brand: series 1-3 take the primary, secondary and accent colors
+const CHART_VARIABLES = {
+  primary_color: '--chart-color-1',
+  secondary_color: '--chart-color-2',
+  accent_color: '--chart-color-3'
+};
+
+/**
+ * Style sheet applying a brand kit: --brand-* (and chart) variables on :root,
+ * plus the fonts. Only the values the kit sets are emitted, so the template's
+ * own fallbacks apply to the rest.
+ */
+const brandStyles = (brand) => {
+  if (!brand) return '';
+
+  const declarations = [];
+  Object.entries(COLOR_VARIABLES).forEach(([field, variable]) => {
+    if (brand[field]) declarations.push(`${variable}: ${brand[field]};`);
+  });
+  Object.entries(CHART_VARIABLES).forEach(([field, variable]) => {
+    if (brand[field]) declarations.push(`${variable}: ${brand[field]};`);
+  });
+  if (brand.heading_font) declarations.push(`--brand-heading-font: ${brand.heading_font};`);
+  if (brand.body_font) declarations.push(`--brand-body-font: ${brand.body_font};`);
+
+  const rules = [];
+  if (declarations.length) rules.push(`:root {\n${declarations.join('\n')}\n}`);
+  if (brand.body_font) rules.push(`body {\nfont-family: ${brand.body_font};\n}`);
+  if (brand.heading_font) rules.push(`h1, h2, h3, h4, .report-title, .section-title, .cover-title {\nfont-family: ${brand.heading_font};\n}`);
+  return rules.join('\n');
+};
+
+/**
+ * Renders a template with its layout and partials.
+ * @param handlebars - the Handlebars instance holding the helpers
+ * @param {object} options.partials - tenant partials by name, over the system ones
+ * @param {object} options.brand - brand kit, exposed to templates as `brand`
+ */
+const renderTemplate = (handlebars, source, data = {}, { partials = {}, brand = null } = {}) => {
+  const available = {};
+  Object.entries(getSystemPartials()).forEach(([name, partial]) => {
+    available[name] = partial.content;
+  });
+  Object.assign(available, partials);
+
+  const template = handlebars.compile(composeSource(source));
+  return template({ brand: brand || {}, ...data }, { partials: available });
+};
+
+module.exports = {
+  PARTIAL_NAME,
+  RESERVED_PARTIAL_NAMES,
+  getSystemPartials,
+  layoutOf,
+  composeSource,
+  isFullDocument,
+  brandStyles,
+  renderTemplate
+};
@@ -0,0 +1,574 @@
+// lib/template-sanitizer.js - Allowlist sanitizer for tenant report templates
+//
+// Templates are Handlebars source, so markup is tokenized by hand: {{...}}
+// expressions pass through untouched wherever they appear, and everything else
+// is rebuilt from allowlists of tags, attributes and CSS properties. Anything
+// removed is reported as a structured warning. Rendering adds a second layer:
+// pages run without JavaScript and with network requests intercepted (see
+// isAllowedAssetUrl and services/pdf-service.js).
+
+const GLOBAL_ATTRIBUTES = new Set(['class', 'id', 'style', 'title', 'lang', 'dir', 'role']);
+
+// Tag -> attributes allowed on it, in addition to GLOBAL_ATTRIBUTES
+const SVG_PRESENTATION = [
+  'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+  'stroke-dashoffset', 'stroke-linecap', 'stroke-linejoin', 'opacity', 'transform', 'font-size',
+  'font-weight', 'font-family', 'text-anchor', 'dominant-baseline'
+];
+
+const ALLOWED_TAGS = {
+  html: [], head: [], body: [], title: [], style: [],
+  meta: ['charset', 'name', 'content'],
+  div: [], span: [], p: [], br: [], hr: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  strong: [], b: [], em: [], i: [], u: [], s: [], small: [], sub: [], sup: [], mark: [],
+  blockquote: [], pre: [], code: [], abbr: [], address: [],
+  time: ['datetime'],
+  ul: [], ol: ['start', 'type', 'reversed'], li: ['value'], dl: [], dt: [], dd: [],
+  table: ['border', 'cellpadding', 'cellspacing', 'width', 'align'],
+  caption: [], thead: [], tbody: [], tfoot: [], tr: [],
+  colgroup: ['span'], col: ['span', 'width'],
+  th: ['colspan', 'rowspan', 'scope', 'align', 'valign', 'width'],
+  td: ['colspan', 'rowspan', 'align', 'valign', 'width'],
+  a: ['href', 'name', 'target'],
+  img: ['src', 'alt', 'width', 'height'],
+  figure: [], figcaption: [], header: [], footer: [], section: [], article: [], aside: [], main: [], nav: [],
+  // Inline SVG, as emitted by the chart helpers
+  svg: ['xmlns', 'viewbox', 'width', 'height', 'preserveaspectratio', ...SVG_PRESENTATION],
+  g: SVG_PRESENTATION,
+  path: ['d', ...SVG_PRESENTATION],
+  rect: ['x', 'y', 'width', 'height', 'rx', 'ry', ...SVG_PRESENTATION],
+  circle: ['cx', 'cy', 'r', ...SVG_PRESENTATION],
+  ellipse: ['cx', 'cy', 'rx', 'ry', ...SVG_PRESENTATION],
+  line: ['x1', 'y1', 'x2', 'y2', ...SVG_PRESENTATION],
+  polyline: ['points', ...SVG_PRESENTATION],
+  polygon: ['points', ...SVG_PRESENTATION],
+  text: ['x', 'y', 'dx', 'dy', ...SVG_PRESENTATION],
+  tspan: ['x', 'y', 'dx', 'dy', ...SVG_PRESENTATION],
+  defs: [],
+  lineargradient: ['x1', 'y1', 'x2', 'y2', 'gradientunits', 'gradienttransform'],
+  radialgradient: ['cx', 'cy', 'r', 'fx', 'fy', 'gradientunits', 'gradienttransform'],
+  stop: ['offset', 'stop-color', 'stop-opacity']
+};
+
+// Removed together with their content
+const DROPPED_WITH_CONTENT = new Set([
+  'script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript', 'template', 'textarea', 'select'
+]);
+
+const CSS_PROPERTIES = new Set([
+  'color', 'opacity', 'display', 'visibility', 'position', 'top', 'right', 'bottom', 'left', 'z-index',
+  'float', 'clear', 'width', 'height', 'box-sizing', 'box-shadow', 'line-height', 'letter-spacing',
+  'word-spacing', 'white-space', 'word-break', 'word-wrap', 'overflow-wrap', 'hyphens', 'vertical-align',
+  'direction', 'table-layout', 'border-collapse', 'border-spacing', 'caption-side', 'empty-cells',
+  'order', 'gap', 'row-gap', 'column-gap', 'place-items', 'place-content', 'place-self',
+  'orphans', 'widows', 'page', 'size', 'content', 'quotes', 'counter-reset', 'counter-increment',
+  'transform', 'transform-origin', 'transition', 'object-fit', 'object-position', 'aspect-ratio', 'filter',
+  'print-color-adjust', 'color-adjust', 'fill', 'fill-opacity', 'fill-rule', 'stop-color', 'stop-opacity',
+  'text-anchor', 'dominant-baseline', 'src', 'unicode-range'
+]);
+
+const CSS_PROPERTY_PREFIXES = [
+  'background', 'border', 'margin', 'padding', 'font', 'text-', 'list-style', 'outline', 'overflow',
+  'min-', 'max-', 'flex', 'grid', 'align-', 'justify-', 'column', 'page-break-', 'break-', 'stroke'
+];
+
+// Rule blocks kept as-is (their contents are still sanitized)
+const CSS_AT_RULES = new Set([
+  'media', 'page', 'font-face', 'supports',
+  'top-left', 'top-center', 'top-right', 'bottom-left', 'bottom-center', 'bottom-right'
+]);
+
+const IMAGE_DATA_URL = /^data:image\/(png|jpe?g|gif|webp|svg\+xml)[;,]/;
+const FONT_DATA_URL = /^data:(font\/[\w-]+|application\/(font-[\w-]+|x-font-[\w-]+|vnd\.ms-fontobject))[;,]/;
+
+// Hosts report assets (logos, fonts) may be loaded from while rendering:
+// PDF_ALLOWED_ASSET_HOSTS plus the Supabase project, whose storage holds uploads
+const getAllowedAssetHosts = () => {
+  const hosts = (process.env.PDF_ALLOWED_ASSET_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+  try {
+    if (process.env.SUPABASE_URL) hosts.push(new URL(process.env.SUPABASE_URL).hostname);
+  } catch (error) {
+    // Misconfigured URL: no extra host
+  }
+  return hosts;
+};
+
+/**
+ * Whether the renderer may fetch `url`: inline data, about:blank, and https
+ * (or http) URLs on an allowed asset host.
+ */
+const isAllowedAssetUrl = (url) => {
+  if (/^(data|about|blob):/i.test(url)) return true;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return false;
+  return getAllowedAssetHosts().includes(parsed.hostname.toLowerCase());
+};
+
+// --- Shared scanning helpers ---
+
+// End index of the {{...}}, {{{...}}} or {{!-- ... --}} expression at `pos`
+const mustacheEnd = (text, pos) => {
+  let close = '}}';
+  if (text.startsWith('{{{', pos)) close = '}}}';
+  else if (text.startsWith('{{!--', pos)) close = '--}}';
+  const end = text.indexOf(close, pos + 2);
+  return end === -1 ? text.length : end + close.length;
+};
+
+const isUnescaped = (expression) => expression.startsWith('{{{') || /^\{\{~?&/.test(expression);
+
+const lineAt = (text, pos) => text.slice(0, pos).split('\n').length;
+
+const decodeEntities = (value) => value
+  .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);?/g, (match, dec) => String.fromCodePoint(Number(dec)))
+  .replace(/&colon;/gi, ':')
+  .replace(/&tab;/gi, '\t')
+  .replace(/&newline;/gi, '\n');
+
+// --- CSS ---
+
+// Reads from `pos` up to the first of `stops` outside strings, parentheses,
+// nested blocks and Handlebars expressions. Comments are dropped on the way.
+const scanCSS = (text, pos, stops) => {
+  let out = '';
+  let parens = 0;
+  let braces = 0;
+  let i = pos;
+
+  while (i < text.length) {
+    if (text.startsWith('{{', i)) {
+      const end = mustacheEnd(text, i);
+      out += text.slice(i, end);
+      i = end;
+      continue;
+    }
+    if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+      continue;
+    }
+
+    const ch = text[i];
+    if (ch === '"' || ch === '\'') {
+      let end = i + 1;
+      while (end < text.length && text[end] !== ch && text[end] !== '\n') {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      out += text.slice(i, end + 1);
+      i = end + 1;
+      continue;
+    }
+
+    if (parens === 0 && braces === 0 && stops.includes(ch)) {
+      return { text: out, end: i, stop: ch };
+    }
+    if (ch === '(') parens++;
+    if (ch === ')') parens = Math.max(0, parens - 1);
+    if (ch === '{') braces++;
+    if (ch === '}') braces = Math.max(0, braces - 1);
+    out += ch;
+    i++;
+  }
+  return { text: out, end: i, stop: null };
+};
+
+// Undoes CSS escapes (\65 xpression) so checks see what the browser sees
+const decodeCSSEscapes = (value) => value
+  .replace(/\\([0-9a-f]{1,6})\s?/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/\\(.)/g, '$1');
+
+const isAllowedProperty = (property) => {
+  if (property.startsWith('--')) return true;
+  const name = property.replace(/^-(webkit|moz|ms|o)-/, '');
+  return CSS_PROPERTIES.has(name) || CSS_PROPERTY_PREFIXES.some(prefix => name.startsWith(prefix));
+};
+
+// Checks the url(...) references in a value; returns a warning for the first bad one
+const checkCSSUrls = (value) => {
+  const urls = value.matchAll(/url\(\s*(['"]?)(.*?)\1\s*\)/gi);
+  for (const [, , target] of urls) {
+    const url = target.trim();
+    // Filled in at render time: the renderer's request filter decides
+    if (url.startsWith('{{')) continue;
+    if (/^data:/i.test(url)) {
+      if (IMAGE_DATA_URL.test(url.toLowerCase()) || FONT_DATA_URL.test(url.toLowerCase())) continue;
+      return { code: 'unsafe_url', message: 'Only image and font data URLs are allowed' };
+    }
+    if (/^https?:\/\/[^/]*\{\{/i.test(url)) continue;
+    if (!/^https?:/i.test(url) || !isAllowedAssetUrl(url)) {
+      return { code: 'external_resource', message: `${url.slice(0, 100)} is not on an allowed asset host` };
+    }
+  }
+  return null;
+};
+
+const sanitizeDeclaration = (declaration, warnings, field) => {
+  const colon = declaration.indexOf(':');
+  if (colon === -1) return null;
+
+  const name = declaration.slice(0, colon).trim();
+  const value = declaration.slice(colon + 1).trim();
+  if (!name || !value) return null;
+
+  // Custom properties are case-sensitive
+  const property = name.startsWith('--') ? name : name.toLowerCase();
+
+  if (!isAllowedProperty(property)) {
+    warnings.push({ field, code: 'disallowed_css_property', property, message: `CSS property "${property}" is not allowed` });
+    return null;
+  }
+
+  const decoded = decodeCSSEscapes(value).toLowerCase();
+  if (/expression\s*\(|javascript:|vbscript:|-moz-binding|behavior\s*:/.test(decoded) || decoded.includes('<')) {
+    warnings.push({ field, code: 'unsafe_css', property, message: `Unsafe value for CSS property "${property}"` });
+    return null;
+  }
+
+  const urlWarning = checkCSSUrls(decodeCSSEscapes(value));
+  if (urlWarning) {
+    warnings.push({ field, property, ...urlWarning });
+    return null;
+  }
+
+  return `${property}: ${value};`;
+};
+
+// Handlebars expressions in front of a declaration or rule ({{#if dark}}color: ...)
+const peelExpressions = (chunk) => {
+  let rest = chunk.trim();
+  let expressions = '';
+  while (rest.startsWith('{{')) {
+    const end = mustacheEnd(rest, 0);
+    expressions += rest.slice(0, end);
+    rest = rest.slice(end).trim();
+  }
+  return { expressions, rest };
+};
+
+// Style sheet or declaration list (rule bodies may mix both)
+const sanitizeStyleBlock = (text, warnings, field, separator) => {
+  const out = [];
+  let pos = 0;
+
+  while (pos < text.length) {
+    const chunk = scanCSS(text, pos, ';{}');
+    const { expressions, rest } = peelExpressions(chunk.text);
+    if (expressions) out.push(expressions);
+
+    if (chunk.stop === '{') {
+      const body = scanCSS(text, chunk.end + 1, '}');
+      pos = body.end + 1;
+
+      const atRule = rest.match(/^@([\w-]+)/);
+      if (atRule && !CSS_AT_RULES.has(atRule[1].toLowerCase())) {
+        warnings.push({ field, code: 'disallowed_css_rule', message: `CSS rule @${atRule[1]} is not allowed` });
+        continue;
+      }
+      if (rest.includes('<')) {
+        warnings.push({ field, code: 'unsafe_css', message: 'CSS selectors cannot contain markup' });
+        continue;
+      }
+      out.push(`${rest} {${separator}${sanitizeStyleBlock(body.text, warnings, field, separator)}${separator}}`);
+    } else {
+      pos = chunk.end + 1;
+      if (!rest) continue;
+
+      if (rest.startsWith('@')) {
+        // @import would fetch another style sheet; @charset is the only statement kept
+        if (/^@charset\s/i.test(rest)) {
+          out.push(`${rest};`);
+        } else {
+          warnings.push({ field, code: 'disallowed_css_rule', message: `CSS rule ${rest.split(/\s/)[0]} is not allowed` });
+        }
+        continue;
+      }
+
+      const declaration = sanitizeDeclaration(rest, warnings, field);
+      if (declaration) out.push(declaration);
+    }
+  }
+
+  return out.join(separator);
+};
+
+/**
+ * Sanitizes a style sheet (`css_content` or a <style> block).
+ * @returns {{ css: string, warnings: object[] }}
+ */
+const sanitizeCSS = (css, { field = 'css_content' } = {}) => {
+  const warnings = [];
+  if (!css) return { css: css || '', warnings };
+  return { css: sanitizeStyleBlock(css, warnings, field, '\n'), warnings };
+};
+
+// --- HTML ---
+
+const OPENING_TAG = /<([a-zA-Z][\w:-]*)/y;
+const CLOSING_TAG = /<\/([a-zA-Z][\w:-]*)[^>]*>/y;
+const ATTRIBUTE_NAME = /[^\s"'>/={]+/y;
+
+// Reads the attributes of the tag opened at `pos` (just past its name)
+const parseAttributes = (html, pos) => {
+  const attributes = [];
+  let i = pos;
+
+  while (i < html.length) {
+    while (/\s|\//.test(html[i] || '') && i < html.length) i++;
+    if (i >= html.length) return null;
+    if (html[i] === '>') return { attributes, end: i + 1, selfClosing: html[i - 1] === '/' };
+
+    // {{#if x}}checked{{/if}} and friends between attributes
+    if (html.startsWith('{{', i)) {
+      const end = mustacheEnd(html, i);
+      attributes.push({ expression: html.slice(i, end), pos: i });
+      i = end;
+      continue;
+    }
+
+    ATTRIBUTE_NAME.lastIndex = i;
+    if (!ATTRIBUTE_NAME.test(html)) {
+      i++;
+      continue;
+    }
+    const name = html.slice(i, ATTRIBUTE_NAME.lastIndex);
+    const attribute = { name, value: null, quote: '"', pos: i };
+    i += name.length;
+
+    let j = i;
+    while (/\s/.test(html[j] || '')) j++;
+    if (html[j] === '=') {
+      j++;
+      while (/\s/.test(html[j] || '')) j++;
+      const quote = html[j] === '"' || html[j] === '\'' ? html[j] : '';
+      let k = quote ? j + 1 : j;
+      while (k < html.length) {
+        if (html.startsWith('{{', k)) {
+          k = mustacheEnd(html, k);
+          continue;
+        }
+        if (quote ? html[k] === quote : /[\s>]/.test(html[k])) break;
+        k++;
+      }
+      attribute.value = html.slice(quote ? j + 1 : j, k);
+      attribute.quote = quote || (attribute.value.includes('"') ? '\'' : '"');
+      i = quote ? k + 1 : k;
+    }
+    attributes.push(attribute);
+  }
+  return null;
+};
+
+// Static scheme of a URL attribute, ignoring whitespace and entity tricks
+const urlScheme = (value) => {
+  const staticPart = decodeEntities(value.split('{{')[0]).replace(/[\s\u0000-\u001f]/g, '').toLowerCase();
+  const match = staticPart.match(/^([a-z][a-z0-9+.-]*):/);
+  return { staticPart, scheme: match ? match[1] : null, dynamic: value.includes('{{') };
+};
+
+const checkUrlAttribute = (tag, name, value) => {
+  const { staticPart, scheme, dynamic } = urlScheme(value);
+
+  if (name === 'href') {
+    if (!scheme || ['http', 'https', 'mailto', 'tel'].includes(scheme)) return null;
+    return { code: 'unsafe_url', message: `Links cannot use the ${scheme}: scheme` };
+  }
+
+  // src: fetched while rendering
+  if (!scheme) return null;
+  if (scheme === 'data') {
+    return IMAGE_DATA_URL.test(staticPart) ? null : { code: 'unsafe_url', message: 'Only image data URLs are allowed' };
+  }
+  if (scheme === 'http' || scheme === 'https') {
+    if (dynamic && !/^https?:\/\/[^/]+\//.test(staticPart)) return null;
+    if (isAllowedAssetUrl(staticPart)) return null;
+    return { code: 'external_resource', message: `<${tag}> loads ${staticPart.slice(0, 100)}, which is not on an allowed asset host` };
+  }
+  return { code: 'unsafe_url', message: `<${tag}> cannot load ${scheme}: URLs` };
+};
+
+// Escapes `quote` in a rebuilt attribute value, leaving Handlebars expressions alone
+const escapeQuotes = (value, quote) => value
+  .split(/(\{\{[\s\S]*?\}\}\}?)/)
+  .map((part, index) => (index % 2 ? part : part.split(quote).join(quote === '"' ? '&quot;' : '&#39;')))
+  .join('');
+
+const sanitizeAttributes = (tag, attributes, html, warnings, field) => {
+  const allowed = ALLOWED_TAGS[tag];
+  const out = [];
+
+  for (const attribute of attributes) {
+    const line = lineAt(html, attribute.pos);
+
+    if (attribute.expression) {
+      if (isUnescaped(attribute.expression)) {
+        warnings.push({ field, code: 'unescaped_output', tag, line, message: `${attribute.expression} outputs unescaped HTML` });
+      }
+      out.push(attribute.expression);
+      continue;
+    }
+
+    const name = attribute.name.toLowerCase();
+    if (name.startsWith('on')) {
+      warnings.push({ field, code: 'disallowed_attribute', tag, attribute: name, line, message: `Event handler ${name} is not allowed` });
+      continue;
+    }
+    const permitted = GLOBAL_ATTRIBUTES.has(name) || allowed.includes(name) || name.startsWith('aria-') || name.startsWith('data-');
+    if (!permitted) {
+      warnings.push({ field, code: 'disallowed_attribute', tag, attribute: name, line, message: `Attribute ${name} is not allowed on <${tag}>` });
+      continue;
+    }
+
+    let { value } = attribute;
+    if (value === null) {
+      out.push(attribute.name);
+      continue;
+    }
+
+    if (name === 'style') {
+      const styleWarnings = [];
+      value = sanitizeStyleBlock(decodeEntities(value), styleWarnings, field, ' ');
+      styleWarnings.forEach(warning => warnings.push({ ...warning, tag, attribute: name, line }));
+      if (!value) continue;
+      value = escapeQuotes(value, attribute.quote);
+    } else if (name === 'href' || name === 'src') {
+      const problem = checkUrlAttribute(tag, name, value);
+      if (problem) {
+        warnings.push({ field, ...problem, tag, attribute: name, line });
+        continue;
+      }
+    }
+
+    out.push(`${attribute.name}=${attribute.quote}${value}${attribute.quote}`);
+  }
+  return out;
+};
+
+/**
+ * Sanitizes template markup (`html_content`). Handlebars expressions are kept
+ * verbatim; disallowed tags and attributes are removed.
+ * @returns {{ html: string, warnings: object[] }}
+ */
+const sanitizeHTML = (html, { field = 'html_content' } = {}) => {
+  const warnings = [];
+  if (!html) return { html: html || '', warnings };
+
+  let out = '';
+  let pos = 0;
+
+  while (pos < html.length) {
+    const nextTag = html.indexOf('<', pos);
+    const nextExpression = html.indexOf('{{', pos);
+    const next = [nextTag, nextExpression].filter(index => index !== -1).reduce((a, b) => Math.min(a, b), html.length);
+
+    out += html.slice(pos, next);
+    pos = next;
+    if (pos >= html.length) break;
+
+    if (pos === nextExpression) {
+      const end = mustacheEnd(html, pos);
+      const expression = html.slice(pos, end);
+      if (isUnescaped(expression)) {
+        warnings.push({ field, code: 'unescaped_output', line: lineAt(html, pos), message: `${expression} outputs unescaped HTML` });
+      }
+      out += expression;
+      pos = end;
+      continue;
+    }
+
+    // Comments can hide markup from reviewers; they are not needed in a PDF
+    if (html.startsWith('<!--', pos)) {
+      const end = html.indexOf('-->', pos + 4);
+      pos = end === -1 ? html.length : end + 3;
+      continue;
+    }
+    if (html.startsWith('<!', pos) || html.startsWith('<?', pos)) {
+      if (/^<!doctype/i.test(html.slice(pos, pos + 9))) out += '<!DOCTYPE html>';
+      const end = html.indexOf('>', pos);
+      pos = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    CLOSING_TAG.lastIndex = pos;
+    const closing = CLOSING_TAG.exec(html);
+    if (closing) {
+      if (ALLOWED_TAGS[closing[1].toLowerCase()]) out += `</${closing[1]}>`;
+      pos = CLOSING_TAG.lastIndex;
+      continue;
+    }
+
+    OPENING_TAG.lastIndex = pos;
+    const opening = OPENING_TAG.exec(html);
+    const parsed = opening && parseAttributes(html, OPENING_TAG.lastIndex);
+    if (!parsed) {
+      out += '&lt;';
+      pos++;
+      continue;
+    }
+
+    const tagName = opening[1];
+    const tag = tagName.toLowerCase();
+    const line = lineAt(html, pos);
+    pos = parsed.end;
+
+    if (DROPPED_WITH_CONTENT.has(tag) || tag === 'style') {
+      const closeAt = html.toLowerCase().indexOf(`</${tag}`, pos);
+      const content = html.slice(pos, closeAt === -1 ? html.length : closeAt);
+      const closeEnd = closeAt === -1 ? -1 : html.indexOf('>', closeAt);
+      pos = closeEnd === -1 ? html.length : closeEnd + 1;
+
+      if (tag === 'style') {
+        const css = sanitizeCSS(content, { field });
+        css.warnings.forEach(warning => warnings.push({ ...warning, tag, line }));
+        out += `<style>${css.css.replace(/<\//g, '<\\/')}</style>`;
+      } else {
+        warnings.push({ field, code: 'disallowed_tag', tag, line, message: `<${tag}> elements are not allowed and were removed with their content` });
+      }
+      continue;
+    }
+
+    if (!ALLOWED_TAGS[tag]) {
+      warnings.push({ field, code: 'disallowed_tag', tag, line, message: `<${tag}> elements are not allowed` });
+      continue;
+    }
+
+    const attributes = sanitizeAttributes(tag, parsed.attributes, html, warnings, field);
+    out += `<${tagName}${attributes.length ? ` ${attributes.join(' ')}` : ''}${parsed.selfClosing ? ' />' : '>'}`;
+  }
+
+  return { html: out, warnings };
+};
+
+/**
+ * Sanitizes a template's markup and style sheet together.
+ * @returns {{ html_content: string, css_content: string, warnings: object[] }}
+ */
+const sanitizeTemplate = ({ html_content, css_content }) => {
+  const html = sanitizeHTML(html_content);
+  const css = sanitizeCSS(css_content);
+
+  return {
+    html_content: html.html,
+    css_content: css.css.replace(/<\//g, '<\\/'),
+    warnings: [...html.warnings, ...css.warnings]
+  };
+};
+
+module.exports = {
+  sanitizeTemplate,
+  sanitizeHTML,
+  sanitizeCSS,
+  isAllowedAssetUrl,
+  ALLOWED_TAGS
+};
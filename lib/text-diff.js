@@ -0,0 +1,129 @@
+// lib/text-diff.js - Line diffs in unified format, for comparing template versions
+//
+// Longest-common-subsequence over the lines that differ (the shared head and
+// tail are trimmed first). Beyond MAX_DIFF_CELLS the middle is reported as one
+// replaced block instead of spending memory on the table.
+const MAX_DIFF_CELLS = 4000000;
+const DEFAULT_CONTEXT = 3;
+
+const splitLines = (text) => (text ? String(text).replace(/\r\n/g, '\n').split('\n') : []);
+
+// Edit script for a and b: [{ type: ' ' | '-' | '+', line }]
+const diffSequences = (a, b) => {
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+  const before = a.slice(head, a.length - tail);
+  const after = b.slice(head, b.length - tail);
+  const middle = [];
+
+  if ((before.length + 1) * (after.length + 1) > MAX_DIFF_CELLS) {
+    before.forEach(line => middle.push({ type: '-', line }));
+    after.forEach(line => middle.push({ type: '+', line }));
+  } else {
+    // lengths[i][j]: LCS of before[i..] and after[j..], stored row-major
+    const width = after.length + 1;
+    const lengths = new Uint32Array((before.length + 1) * width);
+    for (let i = before.length - 1; i >= 0; i--) {
+      for (let j = after.length - 1; j >= 0; j--) {
+        lengths[i * width + j] = before[i] === after[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < before.length || j < after.length) {
+      if (i < before.length && j < after.length && before[i] === after[j]) {
+        middle.push({ type: ' ', line: before[i++] });
+        j++;
+      } else if (i < before.length && (j === after.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+        middle.push({ type: '-', line: before[i++] });
+      } else {
+        middle.push({ type: '+', line: after[j++] });
+      }
+    }
+  }
+
+  return [
+    ...a.slice(0, head).map(line => ({ type: ' ', line })),
+    ...middle,
+    ...a.slice(a.length - tail).map(line => ({ type: ' ', line }))
+  ];
+};
+
+// Groups the edit script into hunks with `context` unchanged lines around changes
+const toHunks = (script, context) => {
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let current = null;
+  let trailing = 0;
+
+  script.forEach((entry, index) => {
+    if (entry.type !== ' ') {
+      if (!current) {
+        const start = Math.max(0, index - context);
+        const lead = script.slice(start, index);
+        current = {
+          old_start: oldLine - lead.length,
+          new_start: newLine - lead.length,
+          lines: lead.map(item => ` ${item.line}`)
+        };
+      }
+      current.lines.push(`${entry.type}${entry.line}`);
+      trailing = 0;
+    } else if (current) {
+      if (trailing < context) {
+        current.lines.push(` ${entry.line}`);
+        trailing++;
+      } else {
+        // Close the hunk unless another change is close enough to merge
+        const nextChange = script.findIndex((item, at) => at > index && item.type !== ' ');
+        if (nextChange === -1 || nextChange - index > context) {
+          hunks.push(current);
+          current = null;
+          trailing = 0;
+        } else {
+          current.lines.push(` ${entry.line}`);
+        }
+      }
+    }
+
+    if (entry.type !== '+') oldLine++;
+    if (entry.type !== '-') newLine++;
+  });
+  if (current) hunks.push(current);
+
+  return hunks.map(hunk => ({
+    ...hunk,
+    old_lines: hunk.lines.filter(line => line[0] !== '+').length,
+    new_lines: hunk.lines.filter(line => line[0] !== '-').length
+  }));
+};
+
+/**
+ * Line diff of two texts.
+ * @returns {{ additions: number, deletions: number, unified: string }} where
+ * `unified` is in `diff -u` hunk format (empty when the texts are equal)
+ */
+const diffLines = (before, after, { context = DEFAULT_CONTEXT } = {}) => {
+  const script = diffSequences(splitLines(before), splitLines(after));
+  const hunks = toHunks(script, context);
+
+  return {
+    additions: script.filter(entry => entry.type === '+').length,
+    deletions: script.filter(entry => entry.type === '-').length,
+    unified: hunks
+      .map(hunk => [
+        `@@ -${hunk.old_start},${hunk.old_lines} +${hunk.new_start},${hunk.new_lines} @@`,
+        ...hunk.lines
+      ].join('\n'))
+      .join('\n')
+  };
+};
+
+module.exports = { diffLines };
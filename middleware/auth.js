@@ -1,10 +1,70 @@
-// middleware/auth.js - UPDATED: Simple API key authentication for production
+// middleware/auth.js - API key and JWT bearer authentication
 const supabase = require('../lib/supabase');
 const crypto = require('crypto');
+const tokenService = require('../services/token-service');
+const apiKeyService = require('../services/api-key-service');
+const { hasScope, FULL_ACCESS } = require('../services/api-key-service');
+const { scopesForRole } = require('../services/team-service');
+const tenantService = require('../services/tenant-service');
 
 const authMiddleware = {
-  // Middleware to validate tenant via API key
-  async validateTenant(req, res, next) {
+  // Short-lived access token for a tenant (see tokenService.issueTokens for the
+  // access + refresh pair returned by login)
+  generateToken(tenant, claims = {}) {
+    return tokenService.signAccessToken(tenant, claims);
+  },
+
+  // Middleware to validate tenant via `Authorization: Bearer <jwt>` (dashboards)
+  // or the x-tenant-id / x-api-key pair (server-to-server integrations), and
+  // require full access for the tenant's status (see tenant-service)
+  validateTenant(req, res, next) {
+    return authMiddleware.authenticateWithStatus(req, res, next, { allowLimited: false });
+  },
+
+  // validateTenant for billing and account routes, which stay reachable while
+  // suspended for non-payment or pending deletion so the tenant can pay,
+  // export its data or cancel the deletion
+  validateTenantLimited(req, res, next) {
+    return authMiddleware.authenticateWithStatus(req, res, next, { allowLimited: true });
+  },
+
+  async authenticateWithStatus(req, res, next, options) {
+    let authenticated = false;
+    await authMiddleware.authenticate(req, res, () => { authenticated = true; });
+    if (authenticated) await authMiddleware.enforceStatus(req, res, next, options);
+  },
+
+  async enforceStatus(req, res, next, { allowLimited }) {
+    try {
+      const access = await tenantService.getAccess(req.tenant);
+      req.tenantStatus = access.status;
+
+      if (access.grace_period_until) {
+        res.set('X-Tenant-Grace-Period-Until', new Date(access.grace_period_until).toISOString());
+      }
+
+      if (access.allowed || (allowLimited && access.limited)) {
+        return next();
+      }
+
+      res.status(access.statusCode).json({
+        error: access.statusCode === 402 ? 'Payment required' : 'Account unavailable',
+        message: access.message,
+        tenant_status: access.status
+      });
+    } catch (error) {
+      console.error('Tenant status check error:', error);
+      res.status(500).json({ error: 'Internal authentication server error' });
+    }
+  },
+
+  // Authentication only, without the tenant status check
+  async authenticate(req, res, next) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+      return authMiddleware.validateBearerToken(req, res, next, authorization.slice(7).trim());
+    }
+
     try {
       const tenantId = req.headers['x-tenant-id'];
       const apiKey = req.headers['x-api-key'];
@@ -13,7 +73,7 @@ const authMiddleware = {
       if (!tenantId || !apiKey) {
         return res.status(401).json({
           error: 'Unauthorized',
-          message: 'Missing authentication headers. Required: x-tenant-id, x-api-key'
+          message: 'Missing authentication. Send Authorization: Bearer <token>, or x-tenant-id and x-api-key'
         });
       }
 
@@ -32,18 +92,34 @@ const authMiddleware = {
         });
       }
 
-      // 3. Verify the API key against the stored hash
-      //    This requires the 'api_key_hash' column you just added.
-      const providedKeyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
+      // 3. Verify the API key: named keys in tenant_api_keys first, then the
+      //    legacy single tenants.api_key_hash (which keeps full access)
+      const namedKey = await apiKeyService.authenticate(tenantId, apiKey);
 
-      // IMPORTANT: Check if the hash column exists for this tenant
-      if (!tenant.api_key_hash || providedKeyHash !== tenant.api_key_hash) {
+      if (namedKey && !namedKey.valid) {
         return res.status(401).json({
           error: 'Unauthorized',
-          message: 'Invalid API key'
+          message: namedKey.reason
         });
       }
 
+      if (namedKey) {
+        req.apiKey = { id: namedKey.key.id, name: namedKey.key.name };
+        req.scopes = namedKey.key.scopes || [];
+      } else {
+        const providedKeyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
+
+        // IMPORTANT: Check if the hash column exists for this tenant
+        if (!tenant.api_key_hash || providedKeyHash !== tenant.api_key_hash) {
+          return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'Invalid API key'
+          });
+        }
+
+        req.scopes = [FULL_ACCESS];
+      }
+
       // 4. Update last access timestamp (using the new column)
       await supabase
         .from('tenants')
@@ -53,12 +129,125 @@ const authMiddleware = {
       // 5. Attach tenant info to the request for use in routes
       req.tenant = tenant;
       req.tenantId = tenantId;
+      req.authMethod = 'api_key';
 
       next(); // Authentication successful, proceed to the route handler
     } catch (error) {
       console.error('Auth middleware error:', error);
       res.status(500).json({ error: 'Internal authentication server error' });
     }
+  },
+
+  // Route-level scope check, e.g. requireScope('billing:read'). Applies to API
+  // keys and to team members (whose role maps to scopes, see team-service).
+  // A bare resource ('templates') needs :read for GET/HEAD and :write otherwise.
+  requireScope(scope) {
+    return (req, res, next) => {
+      const required = scope.includes(':')
+        ? scope
+        : `${scope}:${['GET', 'HEAD'].includes(req.method) ? 'read' : 'write'}`;
+
+      if (!hasScope(req.scopes, required)) {
+        const role = req.user && req.user.role;
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: role
+            ? `Your role (${role}) does not allow this action (requires ${required})`
+            : `API key is missing the required scope: ${required}`,
+          required_scope: required,
+          ...(role && { role })
+        });
+      }
+
+      next();
+    };
+  },
+
+  // Platform operator routes (tenant suspension, purges); not tenant-scoped.
+  // Send the ADMIN_API_KEY secret as x-admin-key.
+  requirePlatformAdmin(req, res, next) {
+    const expected = process.env.ADMIN_API_KEY;
+    const provided = req.headers['x-admin-key'];
+
+    if (!expected) {
+      return res.status(503).json({ error: 'Platform admin API is not configured' });
+    }
+
+    const expectedBuffer = Buffer.from(expected);
+    const providedBuffer = Buffer.from(String(provided || ''));
+    if (providedBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(providedBuffer, expectedBuffer)) {
+      return res.status(401).json({ error: 'Unauthorized', message: 'Invalid admin key' });
+    }
+
+    next();
+  },
+
+  async validateBearerToken(req, res, next, token) {
+    try {
+      let payload;
+      try {
+        payload = tokenService.verifyAccessToken(token);
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: error.message
+        });
+      }
+
+      const { data: tenant, error } = await supabase
+        .from('tenants')
+        .select('*')
+        .eq('id', payload.tenant_id)
+        .single();
+
+      if (error || !tenant) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Invalid tenant ID'
+        });
+      }
+
+      // Team members get their current role's scopes, so role changes and
+      // removals apply without waiting for the token to expire. Tokens without
+      // a user_id come from the tenant's own login, which is the owner.
+      let member = null;
+      if (payload.user_id) {
+        const { data } = await supabase
+          .from('tenant_users')
+          .select('id, email, name, role, status')
+          .eq('id', payload.user_id)
+          .eq('tenant_id', tenant.id)
+          .single();
+
+        if (!data || data.status !== 'active') {
+          return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'User no longer has access to this tenant'
+          });
+        }
+        member = data;
+      }
+
+      const role = member ? member.role : 'owner';
+
+      req.tenant = tenant;
+      req.tenantId = tenant.id;
+      req.authMethod = 'jwt';
+      req.scopes = scopesForRole(role);
+      req.user = {
+        id: payload.sub,
+        tenant_id: payload.tenant_id,
+        user_id: payload.user_id || null,
+        email: member ? member.email : tenant.email,
+        role
+      };
+
+      next();
+    } catch (error) {
+      console.error('Auth middleware error:', error);
+      res.status(500).json({ error: 'Internal authentication server error' });
+    }
   }
 };
 
@@ -0,0 +1,121 @@
+// middleware/rate-limit.js - Per-tenant API rate limits sized by the tenant's plan
+const rateLimit = require('express-rate-limit');
+const { MemoryStore } = require('express-rate-limit');
+const supabase = require('../lib/supabase');
+
+const WINDOW_MS = 60 * 1000;
+const DEFAULT_LIMIT = Number(process.env.RATE_LIMIT_DEFAULT_PER_MINUTE) || 120;
+// Plan changes take effect within this long
+const PLAN_CACHE_MS = 5 * 60 * 1000;
+
+/**
+ * express-rate-limit store backed by the rate_limit_counters table, so every
+ * instance behind the load balancer counts against the same quota.
+ */
+class SupabaseStore {
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const { data, error } = await supabase.rpc('rate_limit_hit', { p_key: key, p_window_ms: this.windowMs });
+    const counter = Array.isArray(data) ? data[0] : data;
+
+    // Fail open: a database hiccup shouldn't take the whole API down
+    if (error || !counter) {
+      console.error(`❌ Rate limit store unavailable for ${key}:`, error ? error.message : 'no counter returned');
+      return { totalHits: 1, resetTime: new Date(Date.now() + this.windowMs) };
+    }
+
+    return { totalHits: counter.hits, resetTime: new Date(counter.reset_at) };
+  }
+
+  // Only called with skipFailedRequests / skipSuccessfulRequests, which we don't use
+  async decrement() {}
+
+  async resetKey(key) {
+    await supabase.from('rate_limit_counters').delete().eq('key', key);
+  }
+}
+
+// RATE_LIMIT_STORE=supabase for multi-instance deployments; memory otherwise
+const createStore = (type = process.env.RATE_LIMIT_STORE || 'memory') => {
+  if (type === 'supabase') return new SupabaseStore();
+  if (type === 'memory') return new MemoryStore();
+  throw new Error(`Unknown RATE_LIMIT_STORE "${type}" (expected memory or supabase)`);
+};
+
+const planLimitCache = new Map();
+
+// Requests per minute for the tenant's active plan, or DEFAULT_LIMIT
+const getTenantLimit = async (tenantId) => {
+  const cached = planLimitCache.get(tenantId);
+  if (cached && cached.expiresAt > Date.now()) return cached.limit;
+
+  let limit = DEFAULT_LIMIT;
+  try {
+    const { data: subscription } = await supabase
+      .from('tenant_subscriptions')
+      .select('plans!inner ( api_requests_per_minute )')
+      .eq('tenant_id', tenantId)
+      .eq('status', 'active')
+      .gte('current_period_end', new Date().toISOString())
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .single();
+
+    limit = subscription?.plans?.api_requests_per_minute || DEFAULT_LIMIT;
+  } catch (error) {
+    console.error(`❌ Failed to load rate limit for tenant ${tenantId}:`, error.message);
+  }
+
+  planLimitCache.set(tenantId, { limit, expiresAt: Date.now() + PLAN_CACHE_MS });
+  return limit;
+};
+
+// Named API keys get their own bucket; team members, the tenant login and the
+// legacy tenant key share the tenant's
+const rateLimitKey = (req) => (req.apiKey ? `key:${req.apiKey.id}` : `tenant:${req.tenantId}`);
+
+/**
+ * Rate limiter for authenticated routes (mount after validateTenant). Sends
+ * the standard RateLimit-Limit / -Remaining / -Reset headers.
+ */
+const createTenantRateLimit = ({ store = createStore(), getLimit = getTenantLimit } = {}) => rateLimit({
+  windowMs: WINDOW_MS,
+  max: (req) => getLimit(req.tenantId),
+  keyGenerator: rateLimitKey,
+  store,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    const { limit, resetTime } = req.rateLimit;
+    res.status(429).json({
+      success: false,
+      error: 'Rate limit exceeded',
+      message: `This plan allows ${limit} API requests per minute. Try again shortly or upgrade your plan.`,
+      limit,
+      reset_at: resetTime ? resetTime.toISOString() : null
+    });
+  }
+});
+
+// Unauthenticated routes (login, registration, password reset) are limited by IP
+const createIpRateLimit = ({ store = createStore() } = {}) => rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 100,
+  keyGenerator: (req) => `ip:${req.ip}`,
+  message: 'Too many requests from this IP, please try again later.',
+  store,
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+module.exports = {
+  createTenantRateLimit,
+  createIpRateLimit,
+  createStore,
+  getTenantLimit,
+  rateLimitKey,
+  SupabaseStore
+};
@@ -0,0 +1,197 @@
+// middleware/request-signing.js - Timestamped HMAC signatures for server-to-server calls
+//
+// Callers send three headers:
+//   X-ReportFlow-Timestamp  unix seconds when the request was signed
+//   X-ReportFlow-Nonce      random value, unique per request
+//   X-ReportFlow-Signature  hex HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>"
+// keyed with the tenant's signing secret, or WEBHOOK_SECRET for tenants
+// without one. Platform endpoints that act on every tenant (the scheduler and
+// job worker cron triggers) accept only PLATFORM_SIGNING_SECRET, which is never
+// handed to tenants. Requests outside the tolerance window or reusing a nonce
+// are rejected.
+const crypto = require('crypto');
+const supabase = require('../lib/supabase');
+const apiKeyService = require('../services/api-key-service');
+
+const TOLERANCE_SECONDS = Number(process.env.SIGNATURE_TOLERANCE_SECONDS) || 300;
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+const computeSignature = (secret, timestamp, nonce, rawBody) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${nonce}.`)
+  .update(rawBody || '')
+  .digest('hex');
+
+/**
+ * Headers for a signed request, for callers and tests.
+ */
+function signRequest(secret, rawBody = '', { timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomBytes(16).toString('hex') } = {}) {
+  return {
+    'x-reportflow-timestamp': String(timestamp),
+    'x-reportflow-nonce': nonce,
+    'x-reportflow-signature': computeSignature(secret, timestamp, nonce, rawBody)
+  };
+}
+
+const signaturesMatch = (received, expected) => {
+  const receivedBuffer = Buffer.from(String(received).replace(/^sha256=/, ''), 'utf8');
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  return receivedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+};
+
+// Single-instance nonce store; entries are dropped once they expire
+class MemoryNonceStore {
+  constructor() {
+    this.nonces = new Map();
+    this.lastPrunedAt = Date.now();
+  }
+
+  // Resolves false if the nonce was already used
+  async claim(nonce, expiresAt) {
+    this.prune();
+    if (this.nonces.has(nonce)) return false;
+    this.nonces.set(nonce, expiresAt.getTime());
+    return true;
+  }
+
+  prune() {
+    if (Date.now() - this.lastPrunedAt < PRUNE_INTERVAL_MS) return;
+    const now = Date.now();
+    for (const [nonce, expiresAt] of this.nonces) {
+      if (expiresAt <= now) this.nonces.delete(nonce);
+    }
+    this.lastPrunedAt = now;
+  }
+}
+
+// Shared nonce store on request_nonces, whose primary key rejects reuse
+class SupabaseNonceStore {
+  constructor() {
+    this.lastPrunedAt = 0;
+  }
+
+  async claim(nonce, expiresAt) {
+    await this.prune();
+
+    const { error } = await supabase
+      .from('request_nonces')
+      .insert({ nonce, expires_at: expiresAt.toISOString() });
+
+    if (!error) return true;
+    if (error.code === '23505') return false;
+    throw new Error(`Failed to record request nonce: ${error.message}`);
+  }
+
+  async prune() {
+    if (Date.now() - this.lastPrunedAt < PRUNE_INTERVAL_MS) return;
+    this.lastPrunedAt = Date.now();
+
+    const { error } = await supabase
+      .from('request_nonces')
+      .delete()
+      .lt('expires_at', new Date().toISOString());
+
+    if (error) console.error('❌ Failed to prune request nonces:', error.message);
+  }
+}
+
+// SIGNATURE_NONCE_STORE=supabase for multi-instance deployments; memory otherwise
+const createNonceStore = (type = process.env.SIGNATURE_NONCE_STORE || 'memory') => {
+  if (type === 'supabase') return new SupabaseNonceStore();
+  if (type === 'memory') return new MemoryNonceStore();
+  throw new Error(`Unknown SIGNATURE_NONCE_STORE "${type}" (expected memory or supabase)`);
+};
+
+// The tenant's own secrets if it has any, otherwise the shared WEBHOOK_SECRET
+const resolveSecrets = (req) => {
+  const tenantSecrets = apiKeyService.getSigningSecrets(req.tenant);
+  if (tenantSecrets.length > 0) return tenantSecrets;
+  return process.env.WEBHOOK_SECRET ? [process.env.WEBHOOK_SECRET] : [];
+};
+
+// Only PLATFORM_SIGNING_SECRET; tenant secrets, including the shared
+// WEBHOOK_SECRET, never authorize cross-tenant work
+const platformSecrets = () => {
+  const secret = process.env.PLATFORM_SIGNING_SECRET;
+  if (!secret) return [];
+  if (secret === process.env.WEBHOOK_SECRET) {
+    console.error('❌ PLATFORM_SIGNING_SECRET must differ from WEBHOOK_SECRET; platform requests are refused');
+    return [];
+  }
+  return [secret];
+};
+
+const reject = (res, message) => res.status(401).json({ error: 'Invalid signature', message });
+
+/**
+ * Middleware verifying signed requests. Needs req.rawBody (see captureRawBody)
+ * and, for per-tenant secrets, runs after validateTenant.
+ */
+function createSignatureVerifier({
+  nonceStore = createNonceStore(),
+  toleranceSeconds = TOLERANCE_SECONDS,
+  getSecrets = resolveSecrets,
+  secretsHint = 'WEBHOOK_SECRET or a tenant signing secret'
+} = {}) {
+  return async (req, res, next) => {
+    try {
+      const signature = req.headers['x-reportflow-signature'];
+      const timestamp = req.headers['x-reportflow-timestamp'];
+      const nonce = req.headers['x-reportflow-nonce'];
+
+      if (!signature || !timestamp || !nonce) {
+        return res.status(401).json({
+          error: 'Missing signature',
+          message: 'Send X-ReportFlow-Signature, X-ReportFlow-Timestamp and X-ReportFlow-Nonce'
+        });
+      }
+
+      const signedAt = Number(timestamp);
+      if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() / 1000 - signedAt) > toleranceSeconds) {
+        return reject(res, `Timestamp is outside the ${toleranceSeconds}s tolerance window`);
+      }
+      if (!NONCE_PATTERN.test(nonce)) {
+        return reject(res, 'Nonce must be 16-128 URL-safe characters');
+      }
+
+      const secrets = getSecrets(req);
+      if (secrets.length === 0) {
+        console.error(`❌ No signing secret configured (set ${secretsHint})`);
+        return res.status(500).json({ error: 'Request signing is not configured' });
+      }
+
+      const valid = secrets.some(secret => signaturesMatch(signature, computeSignature(secret, timestamp, nonce, req.rawBody)));
+      if (!valid) {
+        return reject(res, 'Signature does not match the request');
+      }
+
+      // Claimed only after the signature checks out, so forged requests can't burn nonces
+      const expiresAt = new Date((signedAt + toleranceSeconds) * 1000);
+      if (!(await nonceStore.claim(`${req.tenantId || 'shared'}:${nonce}`, expiresAt))) {
+        return reject(res, 'Nonce has already been used');
+      }
+
+      next();
+    } catch (error) {
+      console.error('Signature verification error:', error);
+      res.status(500).json({ error: 'Failed to verify signature' });
+    }
+  };
+}
+
+// express.json / express.urlencoded `verify` hook keeping the exact bytes that were signed
+const captureRawBody = (req, res, buffer) => {
+  req.rawBody = buffer;
+};
+
+module.exports = {
+  verifySignature: createSignatureVerifier(),
+  verifyPlatformSignature: createSignatureVerifier({ getSecrets: platformSecrets, secretsHint: 'PLATFORM_SIGNING_SECRET' }),
+  createSignatureVerifier,
+  createNonceStore,
+  captureRawBody,
+  signRequest,
+  MemoryNonceStore,
+  SupabaseNonceStore
+};
@@ -0,0 +1,30 @@
+-- Migration: Per-report schedules (daily, weekly, monthly, last business day, cron)
+-- Slots are evaluated in report_configs.timezone (IANA name) by lib/schedule.js
+ALTER TABLE report_configs
+  ADD COLUMN IF NOT EXISTS schedule_day_of_week SMALLINT DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS schedule_day_of_month SMALLINT DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS schedule_cron TEXT;
+
+ALTER TABLE report_configs
+  ALTER COLUMN schedule_frequency SET DEFAULT 'weekly',
+  ALTER COLUMN schedule_time SET DEFAULT '09:00:00',
+  ALTER COLUMN timezone SET DEFAULT 'UTC';
+
+ALTER TABLE report_configs
+  ADD CONSTRAINT report_configs_schedule_frequency_check CHECK (
+    schedule_frequency IN ('daily', 'weekly', 'monthly', 'last_business_day', 'cron')
+  ),
+  ADD CONSTRAINT report_configs_schedule_day_of_week_check CHECK (
+    schedule_day_of_week BETWEEN 0 AND 6
+  ),
+  ADD CONSTRAINT report_configs_schedule_day_of_month_check CHECK (
+    schedule_day_of_month BETWEEN 1 AND 31
+  ),
+  ADD CONSTRAINT report_configs_schedule_cron_check CHECK (
+    schedule_frequency <> 'cron' OR schedule_cron IS NOT NULL
+  );
+
+-- Index for the scheduler's "due reports" query
+CREATE INDEX IF NOT EXISTS idx_report_configs_due
+  ON report_configs(next_scheduled_run)
+  WHERE is_active = true;
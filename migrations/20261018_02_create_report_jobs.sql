@@ -0,0 +1,54 @@
+-- Migration: Durable job queue for report generation
+CREATE TABLE IF NOT EXISTS report_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  report_config_id UUID REFERENCES report_configs(id) ON DELETE CASCADE,
+  job_type VARCHAR(50) NOT NULL, -- 'report' | 'unified_report'
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued', -- queued | running | succeeded | dead
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(), -- Earliest time the job may be claimed (backoff)
+  locked_by TEXT,
+  locked_until TIMESTAMPTZ, -- Lease: an expired lease on a running job makes it claimable again
+  last_error TEXT,
+  result JSONB,
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT report_jobs_status_check CHECK (status IN ('queued', 'running', 'succeeded', 'dead'))
+);
+
+CREATE INDEX idx_report_jobs_claimable ON report_jobs(run_at) WHERE status IN ('queued', 'running');
+CREATE INDEX idx_report_jobs_tenant ON report_jobs(tenant_id, created_at DESC);
+
+-- Function to claim due jobs. FOR UPDATE SKIP LOCKED lets several workers
+-- claim concurrently without ever handing the same job to two of them.
+CREATE OR REPLACE FUNCTION claim_report_jobs(
+  p_worker_id TEXT,
+  p_limit INTEGER DEFAULT 1,
+  p_lease_seconds INTEGER DEFAULT 300
+)
+RETURNS SETOF report_jobs AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE report_jobs j
+  SET status = 'running',
+      locked_by = p_worker_id,
+      locked_until = NOW() + make_interval(secs => p_lease_seconds),
+      attempts = j.attempts + 1,
+      started_at = NOW(),
+      updated_at = NOW()
+  WHERE j.id IN (
+    SELECT id FROM report_jobs
+    WHERE (status = 'queued' AND run_at <= NOW())
+       OR (status = 'running' AND locked_until < NOW())
+    ORDER BY run_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING j.*;
+END;
+$$ LANGUAGE plpgsql;
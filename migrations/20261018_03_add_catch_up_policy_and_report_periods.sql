@@ -0,0 +1,19 @@
+-- Migration: Missed-run catch-up policy and reporting periods
+--   skip   - drop missed runs; only deliver a run that is within the grace window
+--   latest - deliver only the most recent missed run (previous behaviour)
+--   all    - deliver every missed period, oldest first
+ALTER TABLE report_configs
+  ADD COLUMN IF NOT EXISTS catch_up_policy VARCHAR(20) NOT NULL DEFAULT 'latest';
+
+ALTER TABLE report_configs
+  ADD CONSTRAINT report_configs_catch_up_policy_check CHECK (
+    catch_up_policy IN ('skip', 'latest', 'all')
+  );
+
+-- Period each generated report covers (NULL for ad-hoc "last 30 days" reports)
+ALTER TABLE generated_reports
+  ADD COLUMN IF NOT EXISTS period_start DATE,
+  ADD COLUMN IF NOT EXISTS period_end DATE;
+
+CREATE INDEX IF NOT EXISTS idx_generated_reports_period
+  ON generated_reports(report_config_id, period_start, period_end);
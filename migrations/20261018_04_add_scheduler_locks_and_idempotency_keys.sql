@@ -0,0 +1,24 @@
+-- Migration: Scheduler leases and idempotency keys
+-- Concurrent scheduler invocations (cron overlap, manual /run, retries) claim a
+-- config with a short lease before enqueueing, and every scheduled period is
+-- enqueued and delivered at most once per idempotency key.
+ALTER TABLE report_configs
+  ADD COLUMN IF NOT EXISTS scheduler_locked_by TEXT,
+  ADD COLUMN IF NOT EXISTS scheduler_locked_until TIMESTAMPTZ;
+
+-- report:<config id>:<period start>:<period end>
+ALTER TABLE report_jobs
+  ADD COLUMN IF NOT EXISTS idempotency_key TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_report_jobs_idempotency_key
+  ON report_jobs(idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
+
+-- Claimed with status 'generating' before the email is sent; a failed row may be
+-- reclaimed by a retry, anything else means the period was already handled
+ALTER TABLE generated_reports
+  ADD COLUMN IF NOT EXISTS idempotency_key TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_generated_reports_idempotency_key
+  ON generated_reports(idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
@@ -0,0 +1,42 @@
+-- Migration: Scheduler run history
+-- One row per executeScheduler invocation, plus one outcome row per report
+-- period it looked at, so tenants can see what was delivered, skipped and why.
+CREATE TABLE IF NOT EXISTS scheduler_runs (
+  id UUID PRIMARY KEY, -- The invocation id that also holds the report_configs leases
+  status VARCHAR(20) NOT NULL DEFAULT 'running', -- running | completed | failed
+  stats JSONB,
+  error TEXT,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+
+  CONSTRAINT scheduler_runs_status_check CHECK (status IN ('running', 'completed', 'failed'))
+);
+
+CREATE INDEX idx_scheduler_runs_started ON scheduler_runs(started_at DESC);
+
+CREATE TABLE IF NOT EXISTS scheduler_run_outcomes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  scheduler_run_id UUID NOT NULL REFERENCES scheduler_runs(id) ON DELETE CASCADE,
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  report_config_id UUID REFERENCES report_configs(id) ON DELETE SET NULL,
+  report_name TEXT,
+  scheduled_for TIMESTAMPTZ,
+  status VARCHAR(20) NOT NULL, -- queued | delivered | retrying | failed | skipped
+  -- Why a report was skipped or failed: no_active_subscription, subscription_expired,
+  -- monthly_limit_exceeded, eligibility_check_failed, missed_runs_skipped,
+  -- already_queued, enqueue_failed
+  reason VARCHAR(50),
+  message TEXT,
+  job_id UUID REFERENCES report_jobs(id) ON DELETE SET NULL,
+  period_start DATE,
+  period_end DATE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT scheduler_run_outcomes_status_check CHECK (
+    status IN ('queued', 'delivered', 'retrying', 'failed', 'skipped')
+  )
+);
+
+CREATE INDEX idx_scheduler_run_outcomes_tenant ON scheduler_run_outcomes(tenant_id, created_at DESC);
+CREATE INDEX idx_scheduler_run_outcomes_failures ON scheduler_run_outcomes(tenant_id, created_at DESC)
+  WHERE status = 'failed';
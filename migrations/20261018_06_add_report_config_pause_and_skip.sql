@@ -0,0 +1,7 @@
+-- Migration: Pause / skip-next controls for scheduled reports
+-- paused_until  - scheduled runs before this instant are dropped (NULL = not paused)
+-- skip_next_run - the next scheduled occurrence is skipped, then the flag clears
+-- Skipped runs are recorded in scheduler_run_outcomes with reason 'paused' or 'skip_requested'.
+ALTER TABLE report_configs
+  ADD COLUMN IF NOT EXISTS paused_until TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS skip_next_run BOOLEAN NOT NULL DEFAULT false;
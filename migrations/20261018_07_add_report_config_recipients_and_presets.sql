@@ -0,0 +1,16 @@
+-- Migration: Report config API fields
+-- recipients        - extra email addresses that receive the report (JSON array)
+-- date_range_preset - period each run reports on; 'schedule_period' covers the
+--                     time since the previous run, the rest are fixed windows
+ALTER TABLE report_configs
+  ADD COLUMN IF NOT EXISTS recipients JSONB NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS date_range_preset VARCHAR(30) NOT NULL DEFAULT 'schedule_period',
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT NOW(),
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+ALTER TABLE report_configs
+  ADD CONSTRAINT report_configs_date_range_preset_check CHECK (
+    date_range_preset IN ('schedule_period', 'last_7_days', 'last_30_days', 'last_90_days', 'previous_month', 'month_to_date')
+  );
+
+CREATE INDEX IF NOT EXISTS idx_report_configs_tenant ON report_configs(tenant_id, created_at DESC);
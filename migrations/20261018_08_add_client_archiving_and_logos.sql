@@ -0,0 +1,22 @@
+-- Migration: Client management
+-- Archived clients keep their history but no longer receive reports or count
+-- towards the plan's max_clients.
+ALTER TABLE clients
+  ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_clients_tenant_active ON clients(tenant_id) WHERE archived_at IS NULL;
+
+-- Public bucket for client logos (rendered into PDFs and emails via logo_path)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('client-logos', 'client-logos', true)
+ON CONFLICT (id) DO NOTHING;
+
+-- Bring client_count in line with the live number of active clients
+INSERT INTO tenant_usage (tenant_id, month, client_count, created_at, updated_at)
+SELECT tenant_id, date_trunc('month', NOW())::date, COUNT(*), NOW(), NOW()
+FROM clients
+WHERE archived_at IS NULL
+GROUP BY tenant_id
+ON CONFLICT (tenant_id, month)
+DO UPDATE SET client_count = EXCLUDED.client_count, updated_at = NOW();
@@ -0,0 +1,15 @@
+-- Migration: Per-recipient email delivery logs
+-- report_configs.recipients entries are now either a plain address ("to") or
+-- { "email": "...", "name": "...", "type": "to" | "cc" | "bcc" }.
+-- Each delivery attempt logs one row per recipient on the message.
+ALTER TABLE email_delivery_logs
+  ADD COLUMN IF NOT EXISTS recipient_email TEXT,
+  ADD COLUMN IF NOT EXISTS recipient_type VARCHAR(3);
+
+ALTER TABLE email_delivery_logs
+  ADD CONSTRAINT email_delivery_logs_recipient_type_check CHECK (
+    recipient_type IS NULL OR recipient_type IN ('to', 'cc', 'bcc')
+  );
+
+CREATE INDEX IF NOT EXISTS idx_email_delivery_logs_recipient
+  ON email_delivery_logs(tenant_id, recipient_email);
@@ -0,0 +1,20 @@
+-- Migration: Rotating refresh tokens for JWT auth
+-- Only a SHA-256 hash of each refresh token is stored. Every rotation of a login
+-- shares a family_id; presenting an already-rotated token revokes the family.
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  user_id UUID,
+  token_hash TEXT NOT NULL UNIQUE,
+  family_id UUID NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  revoked_reason VARCHAR(30), -- rotated | logout | logout_all | reuse_detected
+  replaced_by UUID REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+  user_agent TEXT,
+  ip_address TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_refresh_tokens_family ON refresh_tokens(family_id) WHERE revoked_at IS NULL;
+CREATE INDEX idx_refresh_tokens_tenant ON refresh_tokens(tenant_id) WHERE revoked_at IS NULL;
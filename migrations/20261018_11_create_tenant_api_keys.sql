@@ -0,0 +1,20 @@
+-- Migration: Named, scoped API keys
+-- Keys are looked up by the SHA-256 hash of the secret; key_prefix is the
+-- first characters of the secret so keys can be told apart in the UI.
+-- Rotation creates a new key and sets expires_at on the old one (overlap window).
+-- tenants.api_key_hash keeps working as a legacy full-access key.
+CREATE TABLE IF NOT EXISTS tenant_api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL DEFAULT '{}', -- e.g. {reports:write,templates:read} or {*}
+  expires_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  rotated_from UUID REFERENCES tenant_api_keys(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_tenant_api_keys_tenant ON tenant_api_keys(tenant_id, created_at DESC);
@@ -0,0 +1,49 @@
+-- Migration: Team members and invitations
+-- A tenant can have several users, each with a role (owner > admin > editor > viewer).
+-- Roles map to the same scopes as API keys (see services/team-service.js).
+-- The same email may belong to several tenants; passwords are per membership.
+CREATE TABLE IF NOT EXISTS tenant_users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  name VARCHAR(255),
+  password_hash TEXT NOT NULL,
+  role VARCHAR(20) NOT NULL DEFAULT 'viewer'
+    CHECK (role IN ('owner', 'admin', 'editor', 'viewer')),
+  status VARCHAR(20) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'removed')),
+  invited_by UUID REFERENCES tenant_users(id) ON DELETE SET NULL,
+  last_login_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_tenant_users_tenant_email ON tenant_users(tenant_id, lower(email));
+CREATE INDEX idx_tenant_users_email ON tenant_users(lower(email)) WHERE status = 'active';
+
+-- Invitation tokens are emailed once; only their SHA-256 hash is stored
+CREATE TABLE IF NOT EXISTS tenant_invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'admin', 'editor', 'viewer')),
+  token_hash TEXT NOT NULL UNIQUE,
+  invited_by UUID REFERENCES tenant_users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_tenant_invitations_pending ON tenant_invitations(tenant_id, created_at DESC)
+  WHERE accepted_at IS NULL AND revoked_at IS NULL;
+
+ALTER TABLE refresh_tokens
+  ADD CONSTRAINT refresh_tokens_user_fk FOREIGN KEY (user_id) REFERENCES tenant_users(id) ON DELETE CASCADE;
+
+-- Every existing tenant login becomes the owner of its tenant
+INSERT INTO tenant_users (tenant_id, email, name, password_hash, role)
+SELECT id, email, name, password_hash, 'owner'
+FROM tenants
+WHERE email IS NOT NULL AND password_hash IS NOT NULL
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,49 @@
+-- Migration: Email verification, progressive login lockout and audit events
+ALTER TABLE tenant_users
+  ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ;
+
+-- Counts a failed login atomically. From p_threshold failures on, the account
+-- is locked for p_base_seconds, doubling with every further failure up to p_max_seconds.
+CREATE OR REPLACE FUNCTION record_failed_login(
+  p_user_id UUID,
+  p_threshold INTEGER,
+  p_base_seconds INTEGER,
+  p_max_seconds INTEGER
+)
+RETURNS TABLE (failed_login_count INTEGER, locked_until TIMESTAMPTZ) AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE tenant_users u
+  SET failed_login_count = u.failed_login_count + 1,
+      last_failed_login_at = NOW(),
+      locked_until = CASE
+        WHEN u.failed_login_count + 1 >= p_threshold THEN
+          NOW() + LEAST(
+            p_base_seconds * power(2, u.failed_login_count + 1 - p_threshold),
+            p_max_seconds
+          ) * INTERVAL '1 second'
+        ELSE u.locked_until
+      END
+  WHERE u.id = p_user_id
+  RETURNING u.failed_login_count, u.locked_until;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Security-relevant events (logins, lockouts, password resets, ...)
+CREATE TABLE IF NOT EXISTS audit_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES tenant_users(id) ON DELETE SET NULL,
+  action VARCHAR(100) NOT NULL, -- e.g. auth.login_failed, auth.password_reset_completed
+  ip_address TEXT,
+  user_agent TEXT,
+  metadata JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_audit_events_tenant ON audit_events(tenant_id, created_at DESC);
+CREATE INDEX idx_audit_events_action ON audit_events(action, created_at DESC);
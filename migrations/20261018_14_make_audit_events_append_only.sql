@@ -0,0 +1,36 @@
+-- Migration: Tenant-wide, append-only audit log
+-- Extends audit_events (created for auth events) with the acting principal,
+-- the affected resource and a before/after diff with secrets already redacted.
+ALTER TABLE audit_events
+  ADD COLUMN IF NOT EXISTS actor_type VARCHAR(20), -- user | api_key | tenant | system
+  ADD COLUMN IF NOT EXISTS actor_id TEXT,
+  ADD COLUMN IF NOT EXISTS actor_label TEXT,       -- email or API key name at the time of the event
+  ADD COLUMN IF NOT EXISTS resource_type VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS resource_id TEXT,
+  ADD COLUMN IF NOT EXISTS changes JSONB;          -- { before: {...}, after: {...} }
+
+-- Audit rows must outlive the users and tenants they mention, so they don't
+-- reference them (a cascade or SET NULL would be an update/delete)
+ALTER TABLE audit_events DROP CONSTRAINT IF EXISTS audit_events_tenant_id_fkey;
+ALTER TABLE audit_events DROP CONSTRAINT IF EXISTS audit_events_user_id_fkey;
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_tenant_action ON audit_events(tenant_id, action, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_tenant_actor ON audit_events(tenant_id, actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_tenant_resource ON audit_events(tenant_id, resource_type, resource_id);
+
+-- Append-only: updates are never allowed; deletes only inside an explicit
+-- purge (SET LOCAL reportflow.audit_purge = 'on'), e.g. when a tenant is erased
+CREATE OR REPLACE FUNCTION prevent_audit_event_changes()
+RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'DELETE' AND current_setting('reportflow.audit_purge', true) = 'on' THEN
+    RETURN OLD;
+  END IF;
+  RAISE EXCEPTION 'audit_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_events_append_only ON audit_events;
+CREATE TRIGGER audit_events_append_only
+  BEFORE UPDATE OR DELETE ON audit_events
+  FOR EACH ROW EXECUTE FUNCTION prevent_audit_event_changes();
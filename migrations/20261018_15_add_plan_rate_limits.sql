@@ -0,0 +1,28 @@
+-- Migration: Per-tenant API rate limits
+-- Each plan sets its own request quota; plans without one (and tenants
+-- without an active subscription) get RATE_LIMIT_DEFAULT_PER_MINUTE.
+ALTER TABLE plans
+  ADD COLUMN IF NOT EXISTS api_requests_per_minute INTEGER CHECK (api_requests_per_minute > 0);
+
+-- Shared fixed-window counters for multi-instance deployments
+-- (RATE_LIMIT_STORE=supabase). One row per rate limit key, reused every window.
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+  key TEXT PRIMARY KEY, -- tenant:<id> or key:<api key id>
+  hits INTEGER NOT NULL DEFAULT 0,
+  reset_at TIMESTAMPTZ NOT NULL
+);
+
+-- Counts one hit and returns the window's total; starts a new window once the
+-- previous one has ended. Atomic, so concurrent instances can't lose hits.
+CREATE OR REPLACE FUNCTION rate_limit_hit(p_key TEXT, p_window_ms INTEGER)
+RETURNS TABLE (hits INTEGER, reset_at TIMESTAMPTZ) AS $$
+BEGIN
+  RETURN QUERY
+  INSERT INTO rate_limit_counters AS c (key, hits, reset_at)
+  VALUES (p_key, 1, NOW() + p_window_ms * INTERVAL '1 millisecond')
+  ON CONFLICT (key) DO UPDATE
+  SET hits = CASE WHEN c.reset_at <= NOW() THEN 1 ELSE c.hits + 1 END,
+      reset_at = CASE WHEN c.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE c.reset_at END
+  RETURNING c.hits, c.reset_at;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,17 @@
+-- Migration: Timestamped HMAC request signing
+-- Optional per-tenant signing secret (encrypted like smtp_config, enc:<keyId>:...).
+-- Tenants without one keep verifying against the shared WEBHOOK_SECRET. On
+-- rotation the previous secret stays valid until signing_secret_previous_expires_at.
+ALTER TABLE tenants
+  ADD COLUMN IF NOT EXISTS signing_secret TEXT,
+  ADD COLUMN IF NOT EXISTS signing_secret_previous TEXT,
+  ADD COLUMN IF NOT EXISTS signing_secret_previous_expires_at TIMESTAMPTZ;
+
+-- Nonces of accepted signed requests, for replay protection across instances
+-- (SIGNATURE_NONCE_STORE=supabase). Rows are only needed until expires_at.
+CREATE TABLE IF NOT EXISTS request_nonces (
+  nonce TEXT PRIMARY KEY, -- <tenant id or "shared">:<nonce>
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_request_nonces_expires ON request_nonces(expires_at);
@@ -0,0 +1,75 @@
+-- Migration: Tenant status lifecycle, data exports and deletion
+-- active               full access
+-- suspended_nonpayment set when a payment fails; full access until the
+--                      subscription's grace_period_until, then billing/account only
+-- suspended_admin      suspended by a platform admin; no access
+-- pending_deletion     deletion requested; billing/account only until
+--                      deletion_scheduled_for, when purge_tenant() removes the tenant
+UPDATE tenants SET status = 'active' WHERE status IS NULL;
+
+ALTER TABLE tenants
+  ALTER COLUMN status SET DEFAULT 'active',
+  ALTER COLUMN status SET NOT NULL,
+  ADD COLUMN IF NOT EXISTS status_reason TEXT,
+  ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS previous_status VARCHAR(30), -- restored when a deletion is canceled
+  ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMPTZ;
+
+ALTER TABLE tenants DROP CONSTRAINT IF EXISTS tenants_status_check;
+ALTER TABLE tenants
+  ADD CONSTRAINT tenants_status_check CHECK (
+    status IN ('active', 'suspended_nonpayment', 'suspended_admin', 'pending_deletion')
+  );
+
+CREATE INDEX IF NOT EXISTS idx_tenants_deletion_due
+  ON tenants(deletion_scheduled_for) WHERE status = 'pending_deletion';
+
+-- GDPR-style exports of everything a tenant stored (secrets redacted)
+CREATE TABLE IF NOT EXISTS tenant_exports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  reason VARCHAR(20) NOT NULL DEFAULT 'requested', -- requested | deletion
+  data JSONB NOT NULL,
+  size_bytes INTEGER,
+  requested_by UUID,
+  expires_at TIMESTAMPTZ NOT NULL,
+  downloaded_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tenant_exports_tenant ON tenant_exports(tenant_id, created_at DESC);
+
+-- Removes a tenant that is due for deletion, with everything it owns. Tables
+-- from before these migrations are cleared explicitly rather than relying on
+-- their foreign keys cascading. audit_events is append-only (migration 14)
+-- except inside this explicit purge.
+CREATE OR REPLACE FUNCTION purge_tenant(p_tenant_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM tenants
+    WHERE id = p_tenant_id
+      AND status = 'pending_deletion'
+      AND deletion_scheduled_for <= NOW()
+  ) THEN
+    RAISE EXCEPTION 'Tenant % is not due for deletion', p_tenant_id;
+  END IF;
+
+  SET LOCAL reportflow.audit_purge = 'on';
+  DELETE FROM audit_events WHERE tenant_id = p_tenant_id;
+
+  DELETE FROM email_delivery_logs WHERE tenant_id = p_tenant_id;
+  DELETE FROM ai_insights WHERE tenant_id = p_tenant_id;
+  DELETE FROM generated_reports WHERE tenant_id = p_tenant_id;
+  DELETE FROM report_configs WHERE tenant_id = p_tenant_id;
+  DELETE FROM clients WHERE tenant_id = p_tenant_id;
+  DELETE FROM subscription_events WHERE tenant_id = p_tenant_id;
+  DELETE FROM upgrade_history WHERE tenant_id = p_tenant_id;
+  DELETE FROM tenant_usage WHERE tenant_id = p_tenant_id;
+  DELETE FROM tenant_subscriptions WHERE tenant_id = p_tenant_id;
+
+  -- Everything created by these migrations cascades from tenants
+  DELETE FROM tenants WHERE id = p_tenant_id;
+END;
+$$ LANGUAGE plpgsql;
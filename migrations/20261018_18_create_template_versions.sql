@@ -0,0 +1,148 @@
+-- Migration: Immutable template versions
+-- Every content save creates a numbered version; tenant_templates keeps the
+-- latest content (current_version_id) for editing, while reports render the
+-- version the template was activated with (active_version_id).
+CREATE TABLE IF NOT EXISTS tenant_template_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  template_id UUID NOT NULL REFERENCES tenant_templates(id) ON DELETE CASCADE,
+  tenant_id UUID NOT NULL,
+  version_number INTEGER NOT NULL,
+  html_content TEXT NOT NULL,
+  css_content TEXT,
+  change_note TEXT,
+  source_version_id UUID, -- version restored by a rollback (no FK: a SET NULL would update an immutable row)
+  created_by UUID,
+  created_by_label TEXT, -- email or API key name at the time
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(template_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_template_versions_template ON tenant_template_versions(template_id, version_number DESC);
+CREATE INDEX IF NOT EXISTS idx_template_versions_tenant ON tenant_template_versions(tenant_id);
+
+-- Versions never change once written (they go away with their template)
+CREATE OR REPLACE FUNCTION prevent_template_version_changes()
+RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'tenant_template_versions is immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS tenant_template_versions_immutable ON tenant_template_versions;
+CREATE TRIGGER tenant_template_versions_immutable
+  BEFORE UPDATE ON tenant_template_versions
+  FOR EACH ROW EXECUTE FUNCTION prevent_template_version_changes();
+
+ALTER TABLE tenant_templates
+  ADD COLUMN IF NOT EXISTS current_version_id UUID REFERENCES tenant_template_versions(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS active_version_id UUID REFERENCES tenant_template_versions(id) ON DELETE SET NULL;
+
+-- Which template version produced each PDF. template_id and template_version
+-- are kept as plain values so the record survives the template's deletion.
+ALTER TABLE generated_reports
+  ADD COLUMN IF NOT EXISTS template_id UUID,
+  ADD COLUMN IF NOT EXISTS template_version_id UUID REFERENCES tenant_template_versions(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS template_version INTEGER;
+
+-- Existing templates start at version 1, active ones pinned to it
+INSERT INTO tenant_template_versions (template_id, tenant_id, version_number, html_content, css_content, change_note, created_at)
+SELECT id, tenant_id, 1, html_content, css_content, 'Initial version', COALESCE(updated_at, created_at, NOW())
+FROM tenant_templates t
+WHERE NOT EXISTS (SELECT 1 FROM tenant_template_versions v WHERE v.template_id = t.id);
+
+UPDATE tenant_templates t
+SET current_version_id = v.id,
+    active_version_id = CASE WHEN t.is_active THEN v.id ELSE t.active_version_id END
+FROM tenant_template_versions v
+WHERE v.template_id = t.id
+  AND v.version_number = 1
+  AND t.current_version_id IS NULL;
+
+-- Appends a version and makes it the template's current content. The template
+-- row is locked so concurrent saves get consecutive numbers.
+CREATE OR REPLACE FUNCTION create_template_version(
+  p_template_id UUID,
+  p_html_content TEXT,
+  p_css_content TEXT,
+  p_change_note TEXT DEFAULT NULL,
+  p_source_version_id UUID DEFAULT NULL,
+  p_created_by UUID DEFAULT NULL,
+  p_created_by_label TEXT DEFAULT NULL
+)
+RETURNS SETOF tenant_template_versions AS $$
+DECLARE
+  v_tenant_id UUID;
+  v_version tenant_template_versions;
+BEGIN
+  SELECT tenant_id INTO v_tenant_id FROM tenant_templates WHERE id = p_template_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Template not found';
+  END IF;
+
+  INSERT INTO tenant_template_versions (
+    template_id, tenant_id, version_number, html_content, css_content,
+    change_note, source_version_id, created_by, created_by_label
+  )
+  SELECT p_template_id, v_tenant_id, COALESCE(MAX(version_number), 0) + 1, p_html_content, p_css_content,
+    p_change_note, p_source_version_id, p_created_by, p_created_by_label
+  FROM tenant_template_versions
+  WHERE template_id = p_template_id
+  RETURNING * INTO v_version;
+
+  UPDATE tenant_templates
+  SET html_content = p_html_content,
+      css_content = p_css_content,
+      current_version_id = v_version.id,
+      updated_at = NOW()
+  WHERE id = p_template_id;
+
+  RETURN NEXT v_version;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Activation now pins a version: the one given, or the template's latest
+DROP FUNCTION IF EXISTS activate_tenant_template(UUID, UUID);
+
+CREATE OR REPLACE FUNCTION activate_tenant_template(
+  p_tenant_id UUID,
+  p_template_id UUID,
+  p_version_id UUID DEFAULT NULL
+)
+RETURNS SETOF tenant_templates AS $$
+BEGIN
+  -- Verify template belongs to tenant (or is system template)
+  IF NOT EXISTS (
+    SELECT 1 FROM tenant_templates
+    WHERE id = p_template_id
+    AND (tenant_id = p_tenant_id OR is_system_template = true)
+  ) THEN
+    RAISE EXCEPTION 'Template not found or access denied';
+  END IF;
+
+  IF p_version_id IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM tenant_template_versions
+    WHERE id = p_version_id AND template_id = p_template_id
+  ) THEN
+    RAISE EXCEPTION 'Template version not found';
+  END IF;
+
+  -- Deactivate all other templates for this tenant
+  UPDATE tenant_templates
+  SET is_active = false, updated_at = NOW()
+  WHERE tenant_id = p_tenant_id
+  AND id != p_template_id
+  AND is_system_template = false;
+
+  -- Activate the requested template at the requested version
+  UPDATE tenant_templates
+  SET is_active = true,
+      active_version_id = COALESCE(p_version_id, current_version_id),
+      updated_at = NOW()
+  WHERE id = p_template_id;
+
+  -- Return the updated template
+  RETURN QUERY
+  SELECT * FROM tenant_templates
+  WHERE id = p_template_id;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,36 @@
+-- Migration: Tenant partials, layouts and brand kits
+-- Templates compose from named partials ({{> header}}) and layouts
+-- ({{!< base}}). The system ones ship in templates/partials and
+-- templates/base.html; a tenant row with the same name overrides them.
+CREATE TABLE IF NOT EXISTS tenant_template_partials (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  name VARCHAR(64) NOT NULL,
+  kind VARCHAR(10) NOT NULL DEFAULT 'partial' CHECK (kind IN ('partial', 'layout')),
+  description TEXT,
+  content TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(tenant_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_template_partials_tenant ON tenant_template_partials(tenant_id);
+
+-- One brand kit per tenant, injected into every report as `brand` and as
+-- --brand-* CSS variables
+CREATE TABLE IF NOT EXISTS tenant_brand_kits (
+  tenant_id UUID PRIMARY KEY REFERENCES tenants(id) ON DELETE CASCADE,
+  company_name VARCHAR(255), -- defaults to tenants.company_name in reports
+  logo_url TEXT,             -- defaults to tenants.logo_path in reports
+  primary_color VARCHAR(64),
+  secondary_color VARCHAR(64),
+  accent_color VARCHAR(64),
+  text_color VARCHAR(64),
+  background_color VARCHAR(64),
+  heading_font VARCHAR(200),
+  body_font VARCHAR(200),
+  contact JSONB NOT NULL DEFAULT '{}', -- { name, email, phone, website, address }
+  show_cover_page BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
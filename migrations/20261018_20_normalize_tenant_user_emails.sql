@@ -0,0 +1,7 @@
+-- Migration: Lowercase team member emails
+-- Logins look memberships up by lowercased email, but the migration 12
+-- backfill copied tenants.email as entered. (tenant_id, lower(email)) is
+-- unique, so this cannot create duplicates.
+UPDATE tenant_users
+SET email = lower(email), updated_at = NOW()
+WHERE email <> lower(email);
@@ -0,0 +1,7 @@
+-- Migration: Expiring delivery claims
+-- A worker that crashed after claiming a delivery left the row 'generating'
+-- for good, and every retry then saw the period as handled. A 'generating'
+-- claim now expires, after which a retry may take the row over. Rows claimed
+-- before this migration have no expiry and count as expired.
+ALTER TABLE generated_reports
+  ADD COLUMN IF NOT EXISTS claim_expires_at TIMESTAMPTZ;
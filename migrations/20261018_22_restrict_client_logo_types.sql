@@ -0,0 +1,12 @@
+-- Migration: Raster-only client logos
+-- client-logos is public, so an SVG stored there runs its scripts when opened
+-- from the bucket URL. Storage now refuses anything but PNG, JPEG and WebP.
+UPDATE storage.buckets
+SET allowed_mime_types = ARRAY['image/png', 'image/jpeg', 'image/webp']
+WHERE id = 'client-logos';
+
+-- Stop rendering SVG logos uploaded before this; the files themselves have to
+-- be removed from the bucket through the storage API
+UPDATE clients
+SET logo_path = NULL, updated_at = NOW()
+WHERE logo_path LIKE '%/client-logos/%.svg';
@@ -0,0 +1,51 @@
+-- Migration: Enforce max_clients in the database
+-- The API checks the limit before adding or restoring a client, but two
+-- concurrent requests could both pass that check. This trigger repeats it
+-- under a per-tenant lock, so active clients never exceed the plan's
+-- max_clients. Same rule as the API: no active subscription, no limit.
+CREATE OR REPLACE FUNCTION enforce_client_limit()
+RETURNS trigger AS $$
+DECLARE
+  v_max_clients INTEGER;
+  v_current INTEGER;
+BEGIN
+  -- Only adding an active client or restoring an archived one can exceed the limit
+  IF NEW.archived_at IS NOT NULL OR (TG_OP = 'UPDATE' AND OLD.archived_at IS NULL) THEN
+    RETURN NEW;
+  END IF;
+
+  -- Held until commit, so concurrent adds for a tenant count each other's rows
+  PERFORM pg_advisory_xact_lock(hashtext('clients:' || NEW.tenant_id::text));
+
+  SELECT p.max_clients INTO v_max_clients
+  FROM tenant_subscriptions s
+  JOIN plans p ON p.id = s.plan_id
+  WHERE s.tenant_id = NEW.tenant_id
+    AND s.status = 'active'
+    AND s.current_period_end >= NOW()
+  ORDER BY s.created_at DESC
+  LIMIT 1;
+
+  IF v_max_clients IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT COUNT(*) INTO v_current
+  FROM clients
+  WHERE tenant_id = NEW.tenant_id
+    AND archived_at IS NULL
+    AND id <> NEW.id;
+
+  IF v_current >= v_max_clients THEN
+    RAISE EXCEPTION 'max_clients exceeded: % of %', v_current, v_max_clients
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS clients_enforce_limit ON clients;
+CREATE TRIGGER clients_enforce_limit
+  BEFORE INSERT OR UPDATE OF archived_at ON clients
+  FOR EACH ROW EXECUTE FUNCTION enforce_client_limit();
@@ -0,0 +1,18 @@
+-- Migration: Scheduler outcomes with the status of their job
+-- An outcome records what the scheduler saw: a report it only queued stays
+-- 'queued' even after the worker delivered it or dead-lettered it. This view
+-- joins report_jobs so the dashboard shows where each report ended up.
+CREATE OR REPLACE VIEW scheduler_run_outcome_statuses
+WITH (security_invoker = true) AS
+SELECT
+  o.*,
+  j.status AS job_status,
+  j.attempts AS job_attempts,
+  j.last_error AS job_last_error,
+  CASE
+    WHEN o.status IN ('queued', 'retrying') AND j.status = 'dead' THEN 'failed'
+    WHEN o.status IN ('queued', 'retrying') AND j.status = 'succeeded' THEN 'delivered'
+    ELSE o.status
+  END AS current_status
+FROM scheduler_run_outcomes o
+LEFT JOIN report_jobs j ON j.id = o.job_id;
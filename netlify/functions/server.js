@@ -14,7 +14,7 @@ exports.handler = async (event, context) => {
   // Ensure CORS headers are set
   if (!response.headers) response.headers = {};
   response.headers['Access-Control-Allow-Origin'] = '*';
-  response.headers['Access-Control-Allow-Headers'] = 'Content-Type, X-ReportFlow-Signature';
+  response.headers['Access-Control-Allow-Headers'] = 'Content-Type, X-ReportFlow-Signature, X-ReportFlow-Timestamp, X-ReportFlow-Nonce';
   response.headers['Access-Control-Allow-Methods'] = 'GET, POST, PUT, DELETE, OPTIONS';
   
   return response;
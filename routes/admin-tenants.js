@@ -0,0 +1,73 @@
+// routes/admin-tenants.js - Platform operator tenant management (requirePlatformAdmin)
+const express = require('express');
+const router = express.Router();
+const tenantService = require('../services/tenant-service');
+const { body, param, validationResult } = require('express-validator');
+
+const ADMIN_ACTOR = { type: 'system', id: null, label: 'platform admin' };
+
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallbackMessage
+  });
+};
+
+const auditContext = (req) => ({
+  actor: ADMIN_ACTOR,
+  ip: req.ip || null,
+  userAgent: req.headers['user-agent'] || null
+});
+
+router.post('/:id/suspend',
+  [
+    param('id').isUUID(),
+    body('reason').isString().trim().notEmpty().isLength({ max: 500 })
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const tenant = await tenantService.suspend(req.params.id, req.body.reason, auditContext(req));
+      res.json({ success: true, tenant });
+    } catch (error) {
+      sendError(res, error, 'Failed to suspend tenant');
+    }
+  }
+);
+
+router.post('/:id/reactivate',
+  [param('id').isUUID()],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const tenant = await tenantService.reactivate(req.params.id, auditContext(req));
+      res.json({ success: true, tenant });
+    } catch (error) {
+      sendError(res, error, 'Failed to reactivate tenant');
+    }
+  }
+);
+
+// Purge tenants whose deletion date has passed (also `npm run tenants:purge`)
+router.post('/purge-due', async (req, res) => {
+  try {
+    const results = await tenantService.purgeDueTenants();
+    res.json({ success: true, results });
+  } catch (error) {
+    sendError(res, error, 'Failed to purge tenants');
+  }
+});
+
+module.exports = router;
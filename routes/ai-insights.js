@@ -1,33 +1,15 @@
 // routes/ai-insights.js
 const express = require('express');
 const router = express.Router();
+// Test/debug routes, only mounted in dev mode (see lib/dev-mode.js)
+const devRouter = express.Router();
 const aiInsightsService = require('../services/ai-insights-service');
 const gaOAuthService = require('../services/oauth-ga-service');
 const supabase = require('../lib/supabase');
-const crypto = require('crypto');
-
-// Verify webhook secret middleware
-const verifyWebhook = (req, res, next) => {
-  const signature = req.headers['x-reportflow-signature'];
-  
-  if (!signature) {
-    return res.status(401).json({ error: 'Missing signature' });
-  }
-
-  const expectedSignature = crypto
-    .createHmac('sha256', process.env.WEBHOOK_SECRET)
-    .update(JSON.stringify(req.body))
-    .digest('hex');
-
-  if (signature !== expectedSignature) {
-    return res.status(401).json({ error: 'Invalid signature' });
-  }
-
-  next();
-};
+const { verifySignature } = require('../middleware/request-signing');
 
 // 🧠 GET PREDICTIVE INSIGHTS
-router.post('/predictive', verifyWebhook, async (req, res) => {
+router.post('/predictive', verifySignature, async (req, res) => {
   try {
     const { tenant_id, report_config_id, periods = 3 } = req.body;
     
@@ -71,7 +53,7 @@ router.post('/predictive', verifyWebhook, async (req, res) => {
 });
 
 // ⚠️ DETECT ANOMALIES
-router.post('/anomalies', verifyWebhook, async (req, res) => {
+router.post('/anomalies', verifySignature, async (req, res) => {
   try {
     const { tenant_id, report_config_id, baseline_period = '30daysAgo' } = req.body;
     
@@ -115,7 +97,7 @@ router.post('/anomalies', verifyWebhook, async (req, res) => {
 });
 
 // 📊 COMPETITIVE BENCHMARKING
-router.post('/benchmarking', verifyWebhook, async (req, res) => {
+router.post('/benchmarking', verifySignature, async (req, res) => {
   try {
     const { tenant_id, report_config_id, industry = 'digital_agency' } = req.body;
     
@@ -159,7 +141,7 @@ router.post('/benchmarking', verifyWebhook, async (req, res) => {
 });
 
 // 🌐 CROSS-PLATFORM INSIGHTS
-router.post('/cross-platform', verifyWebhook, async (req, res) => {
+router.post('/cross-platform', verifySignature, async (req, res) => {
   try {
     const { tenant_id, report_config_id } = req.body;
     
@@ -202,7 +184,7 @@ router.post('/cross-platform', verifyWebhook, async (req, res) => {
 });
 
 // 🎯 COMPREHENSIVE AI REPORT
-router.post('/comprehensive', verifyWebhook, async (req, res) => {
+router.post('/comprehensive', verifySignature, async (req, res) => {
   try {
     const { tenant_id, report_config_id, industry = 'digital_agency' } = req.body;
     
@@ -261,7 +243,7 @@ router.post('/comprehensive', verifyWebhook, async (req, res) => {
 });
 
 // 🧪 TEST ENDPOINT (Unprotected for development)
-router.post('/test', async (req, res) => {
+devRouter.post('/test', async (req, res) => {
   try {
     // Use existing test data
     const testTenantId = '3bce31b7-b045-4da0-981c-db138e866cfe';
@@ -304,7 +286,7 @@ router.post('/test', async (req, res) => {
 });
 
 // 📊 GET STORED INSIGHTS
-router.get('/stored', verifyWebhook, async (req, res) => {
+router.get('/stored', verifySignature, async (req, res) => {
   try {
     const { tenant_id, report_config_id, insight_type, limit = 10 } = req.query;
     
@@ -376,7 +358,6 @@ async function storeAIInsights(tenantId, reportConfigId, insightType, insightDat
   }
 }
 
-
 // Calculate overall confidence score
 function calculateOverallConfidence(insightData) {
   if (insightData.confidence_scores) {
@@ -427,9 +408,8 @@ function generateStrategicRecommendations(predictive, anomalies, benchmarking) {
   return recommendations.slice(0, 5); // top 5
 }
 
-
 // GET test page for browser testing
-router.get('/test', async (req, res) => {
+devRouter.get('/test', async (req, res) => {
   res.send(`
     <html>
       <head>
@@ -466,7 +446,7 @@ router.get('/test', async (req, res) => {
 });
 
 // 🏆 COMPREHENSIVE TEST SUITE FOR AI INSIGHTS
-router.get('/test-complete', async (req, res) => {
+devRouter.get('/test-complete', async (req, res) => {
   try {
     const testTenantId = req.query.tenant_id || '3bce31b7-b045-4da0-981c-db138e866cfe';
     const testConfigId = req.query.report_config_id || 'e51bc18e-a9f4-4501-a33f-6b478b689289';
@@ -600,4 +580,5 @@ router.get('/test-complete', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.devRouter = devRouter;
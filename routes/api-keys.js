@@ -0,0 +1,231 @@
+// routes/api-keys.js - Manage the tenant's named API keys
+const express = require('express');
+const router = express.Router();
+const apiKeyService = require('../services/api-key-service');
+const auditService = require('../services/audit-service');
+const { SCOPES, FULL_ACCESS, hasScope } = require('../services/api-key-service');
+const { body, param, validationResult } = require('express-validator');
+
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallbackMessage
+  });
+};
+
+// Scopes the caller doesn't hold: a key can't grant or rotate more access
+// than the credentials managing it
+const escalatedScopes = (callerScopes, scopes) => scopes.filter(scope => scope === FULL_ACCESS
+  ? !callerScopes.includes(FULL_ACCESS)
+  : !hasScope(callerScopes, scope));
+
+// Available scopes, for building key management UIs
+router.get('/scopes', (req, res) => {
+  res.json({ success: true, scopes: [FULL_ACCESS, ...SCOPES] });
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys(req.tenantId, {
+      includeRevoked: req.query.include_revoked === 'true'
+    });
+    res.json({ success: true, api_keys: keys });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch API keys');
+  }
+});
+
+// Per-tenant secret for signed requests (X-ReportFlow-Signature). Without one
+// the tenant's requests are verified against the shared WEBHOOK_SECRET.
+router.get('/signing-secret', (req, res) => {
+  const previousActive = !!req.tenant.signing_secret_previous &&
+    new Date(req.tenant.signing_secret_previous_expires_at) > new Date();
+
+  res.json({
+    success: true,
+    signing_secret: {
+      configured: !!req.tenant.signing_secret,
+      previous_secret_expires_at: previousActive ? req.tenant.signing_secret_previous_expires_at : null
+    }
+  });
+});
+
+// Create or rotate the signing secret. The secret is returned once; the
+// previous one keeps verifying requests for overlap_hours.
+router.post('/signing-secret/rotate',
+  [body('overlap_hours').optional().isInt({ min: 0, max: 168 }).toInt()],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { secret, previous_secret_expires_at } = await apiKeyService.rotateSigningSecret(
+        req.tenant,
+        req.body.overlap_hours ?? 24
+      );
+
+      await auditService.recordRequest(req, 'signing_secret.rotated', {
+        resourceType: 'tenant',
+        resourceId: req.tenantId,
+        metadata: { previous_secret_expires_at }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Signing secret rotated. Store it now; it will not be shown again.',
+        secret,
+        previous_secret_expires_at
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to rotate signing secret');
+    }
+  }
+);
+
+// Go back to the shared WEBHOOK_SECRET
+router.delete('/signing-secret', async (req, res) => {
+  try {
+    await apiKeyService.removeSigningSecret(req.tenantId);
+    await auditService.recordRequest(req, 'signing_secret.removed', {
+      resourceType: 'tenant',
+      resourceId: req.tenantId
+    });
+
+    res.json({ success: true, message: 'Signing secret removed' });
+  } catch (error) {
+    sendError(res, error, 'Failed to remove signing secret');
+  }
+});
+
+// Create a key. The secret is returned once and cannot be retrieved later.
+router.post('/',
+  [
+    body('name').isString().trim().notEmpty().isLength({ max: 100 }),
+    body('scopes').isArray({ min: 1 }),
+    body('scopes.*').isIn([FULL_ACCESS, ...SCOPES]),
+    body('expires_at').optional({ nullable: true }).isISO8601()
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { name, scopes, expires_at } = req.body;
+
+      if (expires_at && new Date(expires_at) <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          error: 'expires_at must be in the future'
+        });
+      }
+
+      const escalated = escalatedScopes(req.scopes, scopes);
+      if (escalated.length > 0) {
+        return res.status(403).json({
+          success: false,
+          error: `Cannot grant scopes you don't have: ${escalated.join(', ')}`
+        });
+      }
+
+      const { key, secret } = await apiKeyService.createKey(req.tenantId, {
+        name,
+        scopes: [...new Set(scopes)],
+        expiresAt: expires_at ? new Date(expires_at).toISOString() : null
+      });
+
+      await auditService.recordRequest(req, 'api_key.created', {
+        resourceType: 'api_key',
+        resourceId: key.id,
+        after: { name: key.name, scopes: key.scopes, expires_at: key.expires_at }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created. Store the secret now; it will not be shown again.',
+        api_key: key,
+        secret
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to create API key');
+    }
+  }
+);
+
+// Rotate a key: returns a new secret, the old one keeps working for overlap_hours
+router.post('/:id/rotate',
+  [
+    param('id').isUUID(),
+    body('overlap_hours').optional().isInt({ min: 0, max: 168 }).toInt()
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      // Rotating hands out a new secret with the key's scopes
+      const existing = await apiKeyService.getKey(req.tenantId, req.params.id);
+      const escalated = escalatedScopes(req.scopes, existing.scopes || []);
+      if (escalated.length > 0) {
+        return res.status(403).json({
+          success: false,
+          error: `Cannot rotate a key with scopes you don't have: ${escalated.join(', ')}`
+        });
+      }
+
+      const overlapHours = req.body.overlap_hours ?? 24;
+      const { key, secret, previous_key_expires_at } = await apiKeyService.rotateKey(req.tenantId, req.params.id, overlapHours);
+
+      await auditService.recordRequest(req, 'api_key.rotated', {
+        resourceType: 'api_key',
+        resourceId: key.id,
+        metadata: { rotated_from: req.params.id, previous_key_expires_at }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'API key rotated. Store the new secret now; it will not be shown again.',
+        api_key: key,
+        secret,
+        previous_key_expires_at
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to rotate API key');
+    }
+  }
+);
+
+// Revoke a key immediately
+router.delete('/:id', [param('id').isUUID()], validateRequest, async (req, res) => {
+  try {
+    if (req.apiKey && req.apiKey.id === req.params.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'An API key cannot revoke itself'
+      });
+    }
+
+    const key = await apiKeyService.revokeKey(req.tenantId, req.params.id);
+
+    await auditService.recordRequest(req, 'api_key.revoked', {
+      resourceType: 'api_key',
+      resourceId: key.id,
+      metadata: { name: key.name }
+    });
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      api_key: key
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke API key');
+  }
+});
+
+module.exports = router;
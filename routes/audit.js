@@ -0,0 +1,84 @@
+// routes/audit.js - Query and export the tenant's audit log
+const express = require('express');
+const router = express.Router();
+const auditService = require('../services/audit-service');
+const { query, validationResult } = require('express-validator');
+
+const ACTOR_TYPES = ['user', 'api_key', 'tenant', 'system'];
+
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const filterValidators = [
+  query('action').optional().matches(/^[a-z_]+(\.[a-z_]+)*(\.\*)?$/).withMessage('action must look like "template.activated" or "template.*"'),
+  query('actor_type').optional().isIn(ACTOR_TYPES),
+  query('actor_id').optional().isString().trim().notEmpty(),
+  query('resource_type').optional().isString().trim().notEmpty(),
+  query('resource_id').optional().isString().trim().notEmpty(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601()
+];
+
+const getFilters = (req) => ({
+  action: req.query.action,
+  actorType: req.query.actor_type,
+  actorId: req.query.actor_id,
+  resourceType: req.query.resource_type,
+  resourceId: req.query.resource_id,
+  from: req.query.from,
+  to: req.query.to
+});
+
+// List events, newest first
+router.get('/',
+  [
+    ...filterValidators,
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const limit = req.query.limit || 50;
+      const offset = req.query.offset || 0;
+      const { events, total } = await auditService.listEvents(req.tenantId, getFilters(req), { limit, offset });
+
+      res.json({
+        success: true,
+        events,
+        pagination: { limit, offset, total }
+      });
+    } catch (error) {
+      console.error('Audit log query error:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch audit events' });
+    }
+  }
+);
+
+// CSV export with the same filters (capped; X-Export-Truncated tells when rows were left out)
+router.get('/export', filterValidators, validateRequest, async (req, res) => {
+  try {
+    const { csv, truncated } = await auditService.exportCsv(req.tenantId, getFilters(req));
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="audit-events-${date}.csv"`,
+      'X-Export-Truncated': String(truncated)
+    });
+    res.send(csv);
+  } catch (error) {
+    console.error('Audit log export error:', error);
+    res.status(500).json({ success: false, error: 'Failed to export audit events' });
+  }
+});
+
+module.exports = router;
@@ -4,8 +4,42 @@ const router = express.Router();
 const bcrypt = require('bcryptjs');
 const supabase = require('../lib/supabase');
 const authMiddleware = require('../middleware/auth');
+const tokenService = require('../services/token-service');
+const teamService = require('../services/team-service');
+const accountService = require('../services/account-service');
+const auditService = require('../services/audit-service');
+const tenantService = require('../services/tenant-service');
 const { body, validationResult } = require('express-validator');
 
+const clientInfo = (req) => ({
+  userAgent: req.headers['user-agent'] || null,
+  ip: req.ip || null
+});
+
+// Signing in and refreshing require a tenant that may sign in (suspended or
+// pending-deletion tenants still can, for billing and account routes; see
+// tenant-service) and, for team members, an active membership
+const loadActiveTenant = async (tenantId, userId = null) => {
+  const { data: tenant } = await supabase
+    .from('tenants')
+    .select('*')
+    .eq('id', tenantId)
+    .single();
+
+  if (!tenant || !tenantService.canSignIn(tenant)) return null;
+  if (!userId) return tenant;
+
+  const { data: member } = await supabase
+    .from('tenant_users')
+    .select('id')
+    .eq('id', userId)
+    .eq('tenant_id', tenantId)
+    .eq('status', 'active')
+    .single();
+
+  return member ? tenant : null;
+};
+
 // Tenant registration (for admin use)
 router.post('/register', [
   body('name').notEmpty().trim(),
@@ -63,8 +97,26 @@ router.post('/register', [
 
     if (subscriptionError) throw subscriptionError;
 
-    // Generate JWT token
-    const token = authMiddleware.generateToken(tenant);
+    // The registering login becomes the tenant's first owner
+    const owner = await teamService.createOwner(tenant, hashedPassword);
+
+    await auditService.record('auth.registered', {
+      tenantId: tenant.id,
+      userId: owner.id,
+      ...clientInfo(req),
+      metadata: { email: owner.email, plan }
+    });
+
+    // Registration succeeds even if the verification email can't be sent;
+    // it can be re-sent from POST /api/auth/verify-email/resend
+    try {
+      await accountService.sendVerificationEmail(owner, clientInfo(req));
+    } catch (verificationError) {
+      console.error('Verification email error:', verificationError.message);
+    }
+
+    // Issue access + refresh tokens
+    const tokens = await tokenService.issueTokens(tenant, { claims: { user_id: owner.id }, ...clientInfo(req) });
 
     res.status(201).json({
       message: 'Tenant registered successfully',
@@ -74,8 +126,9 @@ router.post('/register', [
         email: tenant.email,
         status: tenant.status
       },
-      token,
-      expires_in: '7 days'
+      user: { id: owner.id, email: owner.email, role: owner.role, email_verified: false },
+      token: tokens.access_token,
+      ...tokens
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -83,10 +136,13 @@ router.post('/register', [
   }
 });
 
-// Tenant login
+// Login for team members, the tenant's owner included. The same email can
+// belong to several tenants; pass tenant_id to pick one when the password
+// matches more than one.
 router.post('/login', [
   body('email').isEmail().normalizeEmail(),
-  body('password').notEmpty()
+  body('password').notEmpty(),
+  body('tenant_id').optional().isUUID()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -94,44 +150,83 @@ router.post('/login', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, password } = req.body;
+    const { email, password, tenant_id } = req.body;
 
-    // Get tenant with password hash
-    const { data: tenant, error } = await supabase
-      .from('tenants')
-      .select('*')
-      .eq('email', email)
-      .eq('status', 'active')
-      .single();
+    const candidates = (await teamService.findLoginCandidates(email))
+      .filter(candidate => !tenant_id || candidate.tenant_id === tenant_id);
 
-    if (error || !tenant) {
+    // Every login is a tenant_users membership (migration 12 backfilled the
+    // tenant logins as owners). tenants.password_hash is no longer checked: it
+    // has no failed-login counter or lockout, and it outlives member removal.
+    if (candidates.length === 0) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Verify password
-    const validPassword = await bcrypt.compare(password, tenant.password_hash);
-    if (!validPassword) {
+    const context = clientInfo(req);
+
+    // Locked memberships aren't tried at all, so guessing can't continue during a lock
+    const unlocked = candidates.filter(candidate => accountService.lockRemainingSeconds(candidate) === 0);
+    if (unlocked.length === 0) {
+      const retryAfter = Math.min(...candidates.map(candidate => accountService.lockRemainingSeconds(candidate)));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(423).json({
+        error: 'Account temporarily locked after too many failed logins. Try again later or reset your password.',
+        retry_after_seconds: retryAfter
+      });
+    }
+
+    const matches = [];
+    for (const candidate of unlocked) {
+      if (await bcrypt.compare(password, candidate.password_hash)) {
+        matches.push(candidate);
+      }
+    }
+
+    if (matches.length === 0) {
+      for (const candidate of unlocked) {
+        await accountService.recordFailedLogin(candidate, context);
+      }
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = authMiddleware.generateToken(tenant);
+    const tenants = [];
+    for (const match of matches) {
+      const tenant = await loadActiveTenant(match.tenant_id);
+      if (tenant) tenants.push({ member: match, tenant });
+    }
 
-    // Update last login
-    await supabase
-      .from('tenants')
-      .update({ last_login_at: new Date().toISOString() })
-      .eq('id', tenant.id);
+    if (tenants.length === 0) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
 
-    res.json({
+    if (tenants.length > 1) {
+      return res.status(409).json({
+        error: 'This login belongs to several tenants. Send tenant_id to choose one.',
+        tenants: tenants.map(({ tenant }) => ({ id: tenant.id, name: tenant.name }))
+      });
+    }
+
+    const { member, tenant } = tenants[0];
+    const tokens = await tokenService.issueTokens(tenant, { claims: { user_id: member.id }, ...context });
+
+    await accountService.recordSuccessfulLogin(member, context);
+
+    return res.json({
       message: 'Login successful',
       tenant: {
         id: tenant.id,
         name: tenant.name,
         email: tenant.email
       },
-      token,
-      expires_in: '7 days'
+      user: {
+        id: member.id,
+        email: member.email,
+        name: member.name,
+        role: member.role,
+        email_verified: !!member.email_verified_at
+      },
+      token: tokens.access_token,
+      ...tokens
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -139,9 +234,251 @@ router.post('/login', [
   }
 });
 
+// Look up an emailed invitation so the accept page can show who invited whom
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await teamService.getInvitationByToken(req.params.token);
+    res.json({
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        expires_at: invitation.expires_at,
+        tenant_name: invitation.tenants ? invitation.tenants.name : null
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Invitation lookup error:', error);
+    res.status(500).json({ error: 'Failed to load invitation' });
+  }
+});
+
+// Accept an invitation: creates the team member and signs them in
+router.post('/invitations/accept', [
+  body('token').isString().notEmpty(),
+  body('name').notEmpty().trim(),
+  body('password').isLength({ min: 8 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, name, password } = req.body;
+    const member = await teamService.acceptInvitation(token, { name, password });
+
+    const tenant = await loadActiveTenant(member.tenant_id);
+    if (!tenant) {
+      return res.status(403).json({ error: 'Tenant is not active' });
+    }
+
+    const tokens = await tokenService.issueTokens(tenant, { claims: { user_id: member.id }, ...clientInfo(req) });
+
+    await auditService.record('team.invitation_accepted', {
+      tenantId: member.tenant_id,
+      userId: member.id,
+      ...clientInfo(req),
+      resourceType: 'team_member',
+      resourceId: member.id,
+      metadata: { email: member.email, role: member.role }
+    });
+
+    res.status(201).json({
+      message: 'Invitation accepted',
+      tenant: {
+        id: tenant.id,
+        name: tenant.name
+      },
+      user: { id: member.id, email: member.email, name: member.name, role: member.role },
+      token: tokens.access_token,
+      ...tokens
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Invitation accept error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+// Email a password reset link. Always answers the same way so the endpoint
+// can't be used to find out which emails have accounts.
+router.post('/password/forgot', [
+  body('email').isEmail().normalizeEmail(),
+  body('tenant_id').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await accountService.requestPasswordReset(req.body.email, {
+      tenantId: req.body.tenant_id || null,
+      ...clientInfo(req)
+    });
+
+    res.json({ message: 'If an account exists for this email, a reset link has been sent.' });
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+});
+
+// Set a new password from an emailed reset link; signs out all sessions
+router.post('/password/reset', [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 8 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await accountService.resetPassword(req.body.token, req.body.password, clientInfo(req));
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Password reset error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Confirm an email address from an emailed verification link
+router.post('/verify-email', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await accountService.verifyEmail(req.body.token, clientInfo(req));
+    res.json({
+      message: 'Email verified',
+      user: { id: user.id, email: user.email, email_verified: true }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Email verification error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Send a fresh verification link to the signed-in team member
+router.post('/verify-email/resend', authMiddleware.validateTenantLimited, async (req, res) => {
+  try {
+    const userId = req.user && req.user.user_id;
+    if (!userId) {
+      return res.status(400).json({ error: 'Only team member logins have an email to verify' });
+    }
+
+    const member = await teamService.getMember(req.tenantId, userId);
+    if (member.email_verified_at) {
+      return res.json({ message: 'Email is already verified' });
+    }
+
+    await accountService.sendVerificationEmail(member, clientInfo(req));
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Verification resend error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Exchange a refresh token for a new access + refresh token pair.
+// Each refresh token works once; reusing one revokes the whole login.
+router.post('/refresh', [
+  body('refresh_token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { tokens } = await tokenService.rotateRefreshToken(req.body.refresh_token, {
+      loadTenant: loadActiveTenant,
+      ...clientInfo(req)
+    });
+
+    res.json({
+      message: 'Token refreshed',
+      token: tokens.access_token,
+      ...tokens
+    });
+  } catch (error) {
+    if (error.statusCode === 401) {
+      return res.status(401).json({ error: error.message });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+// Revoke the refresh token (and its rotations) for this login
+router.post('/logout', [
+  body('refresh_token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await tokenService.revokeRefreshToken(req.body.refresh_token);
+    if (session) {
+      await auditService.record('auth.logged_out', {
+        tenantId: session.tenant_id,
+        userId: session.user_id,
+        actor: session.user_id ? null : { type: 'tenant', id: session.tenant_id, label: null },
+        ...clientInfo(req)
+      });
+    }
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Sign out all sessions: a team member's own sessions, or every session of
+// the tenant when called with the tenant's own login or API key
+router.post('/logout-all', authMiddleware.validateTenantLimited, async (req, res) => {
+  try {
+    const userId = req.user && req.user.user_id;
+    const revoked = userId
+      ? await tokenService.revokeAllForUser(req.tenantId, userId)
+      : await tokenService.revokeAllForTenant(req.tenantId);
+
+    await auditService.recordRequest(req, 'auth.logged_out_everywhere', {
+      metadata: { revoked_sessions: revoked }
+    });
+
+    res.json({ message: 'All sessions signed out', revoked_sessions: revoked });
+  } catch (error) {
+    console.error('Logout-all error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
 // Get current tenant profile
 // NEW CODE - Use the correct method
-router.get('/profile', authMiddleware.validateTenant, async (req, res) => {
+router.get('/profile', authMiddleware.validateTenantLimited, async (req, res) => {
     try {
         const { data: subscription } = await supabase
             .from('tenant_subscriptions')
@@ -0,0 +1,47 @@
+// routes/brand-kit.js - The tenant's brand kit: logo, colors, fonts and contact block
+const express = require('express');
+const router = express.Router();
+const brandingService = require('../services/branding-service');
+const auditService = require('../services/audit-service');
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallbackMessage
+  });
+};
+
+router.get('/', async (req, res) => {
+  try {
+    const brandKit = await brandingService.getBrandKit(req.tenantId);
+    res.json({ success: true, brand_kit: brandKit });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch brand kit');
+  }
+});
+
+// Sets the given fields and keeps the rest; null clears a field
+router.put('/', async (req, res) => {
+  const errors = brandingService.validateBrandKit(req.body);
+  if (errors.length) {
+    return res.status(400).json({ success: false, errors });
+  }
+
+  try {
+    const { before, brandKit, warnings } = await brandingService.saveBrandKit(req.tenantId, req.body);
+
+    await auditService.recordRequest(req, 'brand_kit.updated', {
+      resourceType: 'brand_kit',
+      resourceId: req.tenantId,
+      before,
+      after: brandKit
+    });
+
+    res.json({ success: true, brand_kit: brandKit, warnings });
+  } catch (error) {
+    sendError(res, error, 'Failed to save brand kit');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+// routes/clients.js - Tenant-scoped client management
+const express = require('express');
+const router = express.Router();
+const clientService = require('../services/client-service');
+const { body, param, query, validationResult } = require('express-validator');
+
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      ...error.limitDetails
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage
+  });
+};
+
+// List clients (?include_archived=true to include archived ones)
+router.get('/',
+  [query('include_archived').optional().isBoolean()],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || 20, 100);
+      const offset = Number(req.query.offset) || 0;
+
+      const { clients, total } = await clientService.listClients(req.tenantId, {
+        includeArchived: req.query.include_archived === 'true',
+        limit,
+        offset
+      });
+
+      res.json({
+        success: true,
+        clients,
+        pagination: { limit, offset, total }
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch clients');
+    }
+  }
+);
+
+router.get('/:id', [param('id').isUUID()], validateRequest, async (req, res) => {
+  try {
+    const client = await clientService.getClient(req.tenantId, req.params.id);
+    res.json({ success: true, client });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch client');
+  }
+});
+
+// Create a client (enforces the plan's max_clients)
+router.post('/',
+  [
+    body('client_name').isString().trim().notEmpty().isLength({ max: 255 }),
+    body('contact_email').isEmail().normalizeEmail()
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { client_name, contact_email } = req.body;
+      const client = await clientService.createClient(req.tenantId, { client_name, contact_email });
+
+      res.status(201).json({
+        success: true,
+        message: 'Client created successfully',
+        client
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to create client');
+    }
+  }
+);
+
+router.put('/:id',
+  [
+    param('id').isUUID(),
+    body('client_name').optional().isString().trim().notEmpty().isLength({ max: 255 }),
+    body('contact_email').optional().isEmail().normalizeEmail()
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const updates = {};
+      if (req.body.client_name !== undefined) updates.client_name = req.body.client_name;
+      if (req.body.contact_email !== undefined) updates.contact_email = req.body.contact_email;
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Nothing to update'
+        });
+      }
+
+      const client = await clientService.updateClient(req.tenantId, req.params.id, updates);
+      res.json({
+        success: true,
+        message: 'Client updated successfully',
+        client
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to update client');
+    }
+  }
+);
+
+// Archive a client; its active report configs are deactivated
+router.post('/:id/archive', [param('id').isUUID()], validateRequest, async (req, res) => {
+  try {
+    const { client, deactivatedConfigs } = await clientService.archiveClient(req.tenantId, req.params.id);
+    res.json({
+      success: true,
+      message: 'Client archived successfully',
+      client,
+      deactivated_report_configs: deactivatedConfigs
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to archive client');
+  }
+});
+
+router.post('/:id/restore', [param('id').isUUID()], validateRequest, async (req, res) => {
+  try {
+    const client = await clientService.restoreClient(req.tenantId, req.params.id);
+    res.json({
+      success: true,
+      message: 'Client restored. Re-enable its report configurations to resume delivery.',
+      client
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to restore client');
+  }
+});
+
+// Upload a logo: send the image as the raw request body with its Content-Type
+router.post('/:id/logo',
+  express.raw({ type: 'image/*', limit: '2mb' }),
+  [param('id').isUUID()],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const client = await clientService.uploadLogo(
+        req.tenantId,
+        req.params.id,
+        Buffer.isBuffer(req.body) ? req.body : null,
+        (req.headers['content-type'] || '').split(';')[0].trim()
+      );
+
+      res.json({
+        success: true,
+        message: 'Logo uploaded successfully',
+        client
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to upload client logo');
+    }
+  }
+);
+
+module.exports = router;
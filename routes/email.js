@@ -3,32 +3,35 @@ const router = express.Router();
 const supabase = require('../lib/supabase');
 const emailService = require('../services/email-service');
 const encryptionService = require('../services/encryption-service');
-const crypto = require('crypto');
-
-// Verify webhook secret middleware
-const verifyWebhook = (req, res, next) => {
-  const signature = req.headers['x-reportflow-signature'];
-  
-  if (!signature) {
-    return res.status(401).json({ error: 'Missing signature' });
-  }
-
-  const expectedSignature = crypto
-    .createHmac('sha256', process.env.WEBHOOK_SECRET)
-    .update(JSON.stringify(req.body))
-    .digest('hex');
+const auditService = require('../services/audit-service');
+const { verifySignature } = require('../middleware/request-signing');
 
-  if (signature !== expectedSignature) {
-    return res.status(401).json({ error: 'Invalid signature' });
+// Email settings as recorded in the audit log (the audit service redacts the SMTP password)
+const emailAuditFields = (tenant) => {
+  let smtp = null;
+  try {
+    smtp = tenant.smtp_config ? encryptionService.decryptSMTPConfig(tenant.smtp_config) : null;
+  } catch (error) {
+    smtp = null;
   }
+  return { email_provider: tenant.email_provider, smtp_verified: tenant.smtp_verified, smtp };
+};
+
+const loadEmailSettings = async (tenantId) => {
+  const { data: tenant } = await supabase
+    .from('tenants')
+    .select('email_provider, smtp_verified, smtp_config')
+    .eq('id', tenantId)
+    .single();
 
-  next();
+  return tenant || {};
 };
 
 // Get email configuration for tenant
-router.get('/config', verifyWebhook, async (req, res) => {
+router.get('/config', verifySignature, async (req, res) => {
   try {
-    const { tenant_id } = req.query;
+    // The authenticated tenant wins over a tenant_id in the request
+    const tenant_id = req.tenantId || req.query.tenant_id;
     
     if (!tenant_id) {
       return res.status(400).json({ error: 'Missing tenant_id' });
@@ -62,9 +65,10 @@ router.get('/config', verifyWebhook, async (req, res) => {
 
 // Update email configuration
 // Update email configuration
-router.post('/config', verifyWebhook, async (req, res) => {
+router.post('/config', verifySignature, async (req, res) => {
   try {
-    const { tenant_id, email_provider, smtp_config } = req.body;
+    const { email_provider, smtp_config } = req.body;
+    const tenant_id = req.tenantId || req.body.tenant_id;
     
     if (!tenant_id) {
       return res.status(400).json({ error: 'Missing tenant_id' });
@@ -82,6 +86,8 @@ router.post('/config', verifyWebhook, async (req, res) => {
       updateData.smtp_verified = false; // Require verification after config change
     }
 
+    const previous = await loadEmailSettings(tenant_id);
+
     const { data, error } = await supabase
       .from('tenants')
       .update(updateData)
@@ -91,6 +97,13 @@ router.post('/config', verifyWebhook, async (req, res) => {
 
     if (error) throw error;
 
+    await auditService.recordRequest(req, 'email.config_updated', {
+      resourceType: 'email_config',
+      resourceId: tenant_id,
+      before: emailAuditFields(previous),
+      after: emailAuditFields(data)
+    });
+
     res.json({
       success: true,
       message: 'Email configuration updated successfully',
@@ -111,9 +124,10 @@ router.post('/config', verifyWebhook, async (req, res) => {
 
 // Test SMTP configuration
 // Test SMTP configuration
-router.post('/test-smtp', verifyWebhook, async (req, res) => {
+router.post('/test-smtp', verifySignature, async (req, res) => {
   try {
-    const { tenant_id, smtp_config } = req.body;
+    const { smtp_config } = req.body;
+    const tenant_id = req.tenantId || req.body.tenant_id;
     
     if (!tenant_id || !smtp_config) {
       return res.status(400).json({ error: 'Missing tenant_id or smtp_config' });
@@ -123,6 +137,8 @@ router.post('/test-smtp', verifyWebhook, async (req, res) => {
     const testResult = await emailService.testSMTP(smtp_config);
 
     if (testResult.success) {
+      const previous = await loadEmailSettings(tenant_id);
+
       // Update tenant as verified
       const encryptedConfig = encryptionService.encryptSMTPConfig(smtp_config);
       
@@ -135,6 +151,13 @@ router.post('/test-smtp', verifyWebhook, async (req, res) => {
           email_config_updated_at: new Date().toISOString() // ADD THIS LINE
         })
         .eq('id', tenant_id);
+
+      await auditService.recordRequest(req, 'email.smtp_verified', {
+        resourceType: 'email_config',
+        resourceId: tenant_id,
+        before: emailAuditFields(previous),
+        after: emailAuditFields({ email_provider: previous.email_provider, smtp_verified: true, smtp_config: encryptedConfig })
+      });
     }
 
     res.json(testResult);
@@ -148,9 +171,10 @@ router.post('/test-smtp', verifyWebhook, async (req, res) => {
 });
 
 // Test email send (for debugging)
-router.post('/test-send', verifyWebhook, async (req, res) => {
+router.post('/test-send', verifySignature, async (req, res) => {
   try {
-    const { tenant_id, to_email } = req.body;
+    const { to_email } = req.body;
+    const tenant_id = req.tenantId || req.body.tenant_id;
     
     if (!tenant_id) {
       return res.status(400).json({ error: 'Missing tenant_id' });
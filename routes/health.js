@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const supabase = require('../lib/supabase');
+const pdfService = require('../services/pdf-service');
 
 router.get('/', async (req, res) => {
   const healthCheck = {
@@ -86,7 +87,8 @@ router.get('/detailed', async (req, res) => {
         uptime: process.uptime(),
         memory: process.memoryUsage(),
         node_version: process.version
-      }
+      },
+      pdf_pool: pdfService.getPoolMetrics()
     });
   } catch (error) {
     res.status(503).json({
@@ -96,4 +98,12 @@ router.get('/detailed', async (req, res) => {
   }
 });
 
+// PDF browser pool usage, for sizing PDF_POOL_* against scheduled batch runs
+router.get('/pdf-pool', (req, res) => {
+  res.json({
+    timestamp: new Date().toISOString(),
+    pdf_pool: pdfService.getPoolMetrics()
+  });
+});
+
 module.exports = router;
\ No newline at end of file
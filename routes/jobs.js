@@ -0,0 +1,117 @@
+// routes/jobs.js - Report job status, dead-letter inspection and worker trigger
+const express = require('express');
+const router = express.Router();
+// Cron trigger for all tenants, mounted outside tenant auth (see server.js)
+const platformRouter = express.Router();
+const jobQueueService = require('../services/job-queue-service');
+const { verifyPlatformSignature } = require('../middleware/request-signing');
+
+// Drain the queue for every tenant (called by cron on serverless deployments);
+// signed with PLATFORM_SIGNING_SECRET only
+platformRouter.post('/worker/run', verifyPlatformSignature, async (req, res) => {
+  try {
+    const result = await jobQueueService.runWorker({
+      maxJobs: Number(req.body.max_jobs) || 10
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Job worker run failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List jobs for the tenant (?status=dead to inspect the dead-letter queue)
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+    const offset = Number(req.query.offset) || 0;
+
+    const { jobs, total } = await jobQueueService.listJobs(req.tenantId, {
+      status: req.query.status,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      jobs,
+      pagination: { limit, offset, total }
+    });
+  } catch (error) {
+    console.error('❌ Job list failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch jobs'
+    });
+  }
+});
+
+// Poll a single job
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await jobQueueService.getJob(req.tenantId, req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: {
+        id: job.id,
+        job_type: job.job_type,
+        report_config_id: job.report_config_id,
+        status: job.status,
+        attempts: job.attempts,
+        max_attempts: job.max_attempts,
+        next_attempt_at: job.status === 'queued' ? job.run_at : null,
+        last_error: job.last_error,
+        result: job.result,
+        created_at: job.created_at,
+        completed_at: job.completed_at
+      }
+    });
+  } catch (error) {
+    console.error('❌ Job status failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job'
+    });
+  }
+});
+
+// Requeue a dead-lettered job
+router.post('/:id/requeue', async (req, res) => {
+  try {
+    const job = await jobQueueService.requeueJob(req.tenantId, req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dead-lettered job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job requeued successfully',
+      job_id: job.id,
+      status: job.status
+    });
+  } catch (error) {
+    console.error('❌ Job requeue failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to requeue job'
+    });
+  }
+});
+
+module.exports = router;
+module.exports.platformRouter = platformRouter;
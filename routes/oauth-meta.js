@@ -1,8 +1,11 @@
 // routes/oauth-meta.js - MANUAL TOKEN ROUTES
 const express = require('express');
 const router = express.Router();
+// Test/debug routes, only mounted in dev mode (see lib/dev-mode.js)
+const devRouter = express.Router();
 const metaOAuthService = require('../services/oauth-meta-service');
 const supabase = require('../lib/supabase');
+const auditService = require('../services/audit-service');
 
 // 🎯 1. MANUAL CONNECTION ENDPOINT (POST)
 router.post('/connect-manual', async (req, res) => {
@@ -52,19 +55,40 @@ router.get('/status', async (req, res) => {
 // 🎯 3. DISCONNECT META ADS
 router.post('/disconnect', async (req, res) => {
   try {
-    const { tenant_id, report_config_id } = req.body;
+    const { report_config_id } = req.body;
+    const tenant_id = req.tenantId || req.body.tenant_id;
     if (!tenant_id || !report_config_id) {
       return res.status(400).json({ error: 'Missing tenant_id or report_config_id' });
     }
 
     console.log(`🗑️ Disconnecting Meta Ads for tenant: ${tenant_id}`);
+    const { data: reportConfig, error: fetchError } = await supabase
+      .from('report_configs')
+      .select('sources')
+      .eq('id', report_config_id)
+      .eq('tenant_id', tenant_id)
+      .single();
+
+    if (fetchError || !reportConfig) {
+      return res.status(404).json({ success: false, error: 'Report configuration not found or access denied' });
+    }
+
+    const { meta_ads: removed, ...sources } = reportConfig.sources || {};
     const { error } = await supabase
       .from('report_configs')
-      .update({ sources: supabase.raw(`sources - 'meta_ads'`) })
+      .update({ sources })
       .eq('id', report_config_id)
       .eq('tenant_id', tenant_id);
 
     if (error) throw error;
+
+    await auditService.recordRequest(req, 'integration.disconnected', {
+      resourceType: 'report_config',
+      resourceId: report_config_id,
+      before: { meta_ads: removed || null },
+      after: { meta_ads: null },
+      metadata: { source: 'meta_ads' }
+    });
     res.json({ success: true, message: 'Meta Ads disconnected successfully' });
 
   } catch (error) {
@@ -74,7 +98,7 @@ router.post('/disconnect', async (req, res) => {
 });
 
 // 🎯 4. TEST DATA FETCH (Protected or Unprotected - your choice)
-router.post('/test-fetch', async (req, res) => {
+devRouter.post('/test-fetch', async (req, res) => {
   try {
     const { tenant_id, report_config_id } = req.body;
     if (!tenant_id || !report_config_id) {
@@ -98,7 +122,7 @@ router.post('/test-fetch', async (req, res) => {
 });
 
 // 🎯 5. COMPREHENSIVE TEST & INSTRUCTION PAGE (GET - for your browser)
-router.get('/test-complete', async (req, res) => {
+devRouter.get('/test-complete', async (req, res) => {
   try {
     const testTenantId = req.query.tenant_id || '3bce31b7-b045-4da0-981c-db138e866cfe';
     const testConfigId = req.query.report_config_id || 'e51bc18e-a9f4-4501-a33f-6b478b689289';
@@ -306,4 +330,5 @@ router.get('/test-complete', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.devRouter = devRouter;
@@ -1,13 +1,18 @@
 // routes/payment.js - ENHANCED VERSION
 const express = require('express');
 const router = express.Router();
+// Test/debug routes, only mounted in dev mode (see lib/dev-mode.js)
+const devRouter = express.Router();
 const paymentService = require('../services/payment-service');
 const crypto = require('crypto');
 const supabase = require('../lib/supabase');
+const auditService = require('../services/audit-service');
 
 // Middleware to extract tenant ID and validate
 const validateTenant = (req, res, next) => {
-  const tenantId = req.body.tenant_id || req.headers['x-tenant-id'];
+  // Prefer the tenant authenticated by validateTenant so a tenant_id in the
+  // body can't act on another tenant's billing
+  const tenantId = req.tenantId || req.body.tenant_id || req.headers['x-tenant-id'];
   
   if (!tenantId) {
     return res.status(400).json({ 
@@ -104,6 +109,12 @@ router.post('/create-subscription', validateTenant, async (req, res) => {
     if (!result.success) {
       return res.status(400).json(result);
     }
+
+    await auditService.recordRequest(req, 'billing.subscription_created', {
+      resourceType: 'subscription',
+      resourceId: result.subscriptionId || (result.subscription && result.subscription.id) || null,
+      after: { plan_id: plan_id || 'starter', price_id, trial_days: trial_days || 15 }
+    });
     
     if (result.success) {
     res.status(201).json(result); // ✅ Tests expect 201 on success
@@ -145,6 +156,13 @@ router.post('/cancel-subscription', validateTenant, async (req, res) => {
     // In a real implementation, you would call Dodo API to cancel
     // For now, we'll update the status in our database
     
+    const { data: previous } = await supabase
+      .from('tenant_subscriptions')
+      .select('status')
+      .eq('tenant_id', req.tenantId)
+      .eq('dodo_subscription_id', subscription_id)
+      .single();
+
     const { error } = await supabase
       .from('tenant_subscriptions')
       .update({ 
@@ -159,6 +177,13 @@ router.post('/cancel-subscription', validateTenant, async (req, res) => {
       throw new Error(`Failed to cancel subscription: ${error.message}`);
     }
 
+    await auditService.recordRequest(req, 'billing.subscription_canceled', {
+      resourceType: 'subscription',
+      resourceId: subscription_id,
+      before: { status: previous ? previous.status : null },
+      after: { status: 'canceled' }
+    });
+
     // Log the cancellation event
     await supabase.from('subscription_events').insert({
       tenant_id: req.tenantId,
@@ -334,10 +359,9 @@ router.get('/invoices', validateTenant, async (req, res) => {
 });
 
 // Test endpoint
-router.post('/test-webhook', async (req, res) => {
+devRouter.post('/test-webhook', async (req, res) => {
   try {
     // This endpoint simulates a webhook for testing
-    // SECURITY: In production, this should be protected or removed
     
     const { event_type, tenant_id, subscription_id } = req.body;
     
@@ -389,4 +413,5 @@ router.post('/test-webhook', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.devRouter = devRouter;
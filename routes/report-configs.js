@@ -0,0 +1,400 @@
+// routes/report-configs.js - Tenant-scoped CRUD for scheduled report configurations
+const express = require('express');
+const router = express.Router();
+const supabase = require('../lib/supabase');
+const { body, param, query, validationResult } = require('express-validator');
+const {
+  FREQUENCIES,
+  DATE_RANGE_PRESETS,
+  validateSchedule,
+  getNextRun
+} = require('../lib/schedule');
+const { validateRecipients, normalizeRecipient } = require('../lib/recipients');
+
+const CATCH_UP_POLICIES = ['skip', 'latest', 'all'];
+const DATA_SOURCES = ['google_analytics', 'meta_ads'];
+const SCHEDULE_FIELDS = [
+  'schedule_frequency',
+  'schedule_time',
+  'timezone',
+  'schedule_day_of_week',
+  'schedule_day_of_month',
+  'schedule_cron'
+];
+const EDITABLE_FIELDS = [
+  'name',
+  'client_id',
+  'template_id',
+  'sources',
+  'recipients',
+  'date_range_preset',
+  'catch_up_policy',
+  'ai_insights_enabled',
+  'is_active',
+  ...SCHEDULE_FIELDS
+];
+
+// Credentials stored by the OAuth flows live inside sources; never echo them back
+const SECRET_SOURCE_KEYS = ['oauth_tokens', 'access_token', 'refresh_token'];
+
+const configValidators = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('name')).isString().trim().notEmpty().isLength({ max: 255 }),
+    required(body('client_id')).isUUID(),
+    body('template_id').optional({ nullable: true }).isUUID(),
+    body('schedule_frequency').optional().isIn(FREQUENCIES),
+    body('schedule_time').optional().matches(/^\d{1,2}:\d{2}(:\d{2})?$/),
+    body('timezone').optional().isString().notEmpty(),
+    body('schedule_day_of_week').optional().isInt({ min: 0, max: 6 }).toInt(),
+    body('schedule_day_of_month').optional().isInt({ min: 1, max: 31 }).toInt(),
+    body('schedule_cron').optional({ nullable: true }).isString(),
+    body('catch_up_policy').optional().isIn(CATCH_UP_POLICIES),
+    body('date_range_preset').optional().isIn(DATE_RANGE_PRESETS),
+    body('sources').optional().isObject(),
+    body('sources.google_analytics.property_id').optional().isString().trim().notEmpty(),
+    body('sources.meta_ads.ad_account_id').optional().isString().trim().notEmpty(),
+    // Plain addresses or { email, name, type: 'to' | 'cc' | 'bcc' }
+    body('recipients').optional().custom((recipients) => {
+      const errors = validateRecipients(recipients);
+      if (errors.length > 0) throw new Error(errors.join('; '));
+      return true;
+    }).customSanitizer(recipients => (Array.isArray(recipients) ? recipients.map(normalizeRecipient) : recipients)),
+    body('ai_insights_enabled').optional().isBoolean().toBoolean(),
+    body('is_active').optional().isBoolean().toBoolean()
+  ];
+};
+
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const pickEditable = (input) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => input[field] !== undefined).map(field => [field, input[field]])
+);
+
+const redactSources = (sources) => {
+  if (!sources) return sources;
+
+  return Object.fromEntries(Object.entries(sources).map(([name, source]) => [
+    name,
+    source && typeof source === 'object'
+      ? Object.fromEntries(Object.entries(source).filter(([key]) => !SECRET_SOURCE_KEYS.includes(key)))
+      : source
+  ]));
+};
+
+const toResponse = (config) => ({ ...config, sources: redactSources(config.sources) });
+
+// Merges per source so updating a property id keeps the OAuth tokens stored with it
+const mergeSources = (current = {}, updates = {}) => Object.fromEntries(
+  Object.entries({ ...current, ...updates }).map(([name, source]) => [
+    name,
+    updates[name] && current[name] ? { ...current[name], ...updates[name] } : source
+  ])
+);
+
+// Client and template must belong to the tenant (system templates are shared);
+// archived clients can't get new reports
+const checkReferences = async (tenantId, { client_id, template_id }) => {
+  if (client_id) {
+    const { data: client } = await supabase
+      .from('clients')
+      .select('id')
+      .eq('id', client_id)
+      .eq('tenant_id', tenantId)
+      .is('archived_at', null)
+      .single();
+
+    if (!client) return 'Client not found, archived or access denied';
+  }
+
+  if (template_id) {
+    const { data: template } = await supabase
+      .from('tenant_templates')
+      .select('id')
+      .eq('id', template_id)
+      .or(`tenant_id.eq.${tenantId},is_system_template.eq.true`)
+      .single();
+
+    if (!template) return 'Template not found or access denied';
+  }
+
+  return null;
+};
+
+const checkSources = (sources) => {
+  const unknown = Object.keys(sources || {}).filter(name => !DATA_SOURCES.includes(name));
+  return unknown.length > 0
+    ? `Unknown data sources: ${unknown.join(', ')}. Supported: ${DATA_SOURCES.join(', ')}`
+    : null;
+};
+
+// List report configs for the tenant (?client_id= & ?is_active= filter)
+router.get('/',
+  [
+    query('client_id').optional().isUUID(),
+    query('is_active').optional().isBoolean(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const limit = req.query.limit || 20;
+      const offset = req.query.offset || 0;
+
+      let configsQuery = supabase
+        .from('report_configs')
+        .select('*, clients ( id, client_name )', { count: 'exact' })
+        .eq('tenant_id', req.tenantId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (req.query.client_id) configsQuery = configsQuery.eq('client_id', req.query.client_id);
+      if (req.query.is_active !== undefined) configsQuery = configsQuery.eq('is_active', req.query.is_active === 'true');
+
+      const { data: configs, error, count } = await configsQuery;
+      if (error) throw error;
+
+      res.json({
+        success: true,
+        report_configs: (configs || []).map(toResponse),
+        pagination: { limit, offset, total: count || 0 }
+      });
+    } catch (error) {
+      console.error('Report config list error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch report configurations'
+      });
+    }
+  }
+);
+
+router.get('/:id', [param('id').isUUID()], validateRequest, async (req, res) => {
+  try {
+    const { data: config, error } = await supabase
+      .from('report_configs')
+      .select('*, clients ( id, client_name, contact_email )')
+      .eq('id', req.params.id)
+      .eq('tenant_id', req.tenantId)
+      .single();
+
+    if (error || !config) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report configuration not found or access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      report_config: toResponse(config)
+    });
+  } catch (error) {
+    console.error('Report config fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch report configuration'
+    });
+  }
+});
+
+// Create a report config; next_scheduled_run is computed from the schedule
+router.post('/',
+  configValidators(false),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const tenantId = req.tenantId;
+      const config = {
+        schedule_frequency: 'weekly',
+        schedule_time: '09:00',
+        timezone: 'UTC',
+        is_active: true,
+        ...pickEditable(req.body)
+      };
+
+      const scheduleErrors = validateSchedule(config);
+      const problem = scheduleErrors.length > 0
+        ? scheduleErrors.join('; ')
+        : checkSources(config.sources) || await checkReferences(tenantId, config);
+
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          error: problem
+        });
+      }
+
+      const { data: reportConfig, error } = await supabase
+        .from('report_configs')
+        .insert({
+          ...config,
+          tenant_id: tenantId,
+          next_scheduled_run: getNextRun(config).toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      console.log(`🗂️ Created report config ${reportConfig.id} for tenant: ${tenantId}`);
+      res.status(201).json({
+        success: true,
+        message: 'Report configuration created successfully',
+        report_config: toResponse(reportConfig)
+      });
+    } catch (error) {
+      console.error('Report config creation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create report configuration'
+      });
+    }
+  }
+);
+
+// Update a report config; changing the schedule recomputes the next run
+router.put('/:id',
+  [param('id').isUUID(), ...configValidators(true)],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const tenantId = req.tenantId;
+      const reportConfigId = req.params.id;
+      const updates = pickEditable(req.body);
+
+      // Validate ownership
+      const { data: existingConfig, error: fetchError } = await supabase
+        .from('report_configs')
+        .select('*')
+        .eq('id', reportConfigId)
+        .eq('tenant_id', tenantId)
+        .single();
+
+      if (fetchError || !existingConfig) {
+        return res.status(404).json({
+          success: false,
+          error: 'Report configuration not found or access denied'
+        });
+      }
+
+      const merged = { ...existingConfig, ...updates };
+      const scheduleErrors = validateSchedule(merged);
+      const problem = scheduleErrors.length > 0
+        ? scheduleErrors.join('; ')
+        : checkSources(updates.sources) || await checkReferences(tenantId, updates);
+
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          error: problem
+        });
+      }
+
+      if (updates.sources) {
+        updates.sources = mergeSources(existingConfig.sources || {}, updates.sources);
+      }
+
+      const now = new Date();
+      const scheduleChanged = SCHEDULE_FIELDS.some(field => updates[field] !== undefined);
+      const paused = existingConfig.paused_until && new Date(existingConfig.paused_until) > now;
+      if (scheduleChanged) {
+        updates.next_scheduled_run = getNextRun(merged, paused ? new Date(existingConfig.paused_until) : now).toISOString();
+      }
+
+      let updateQuery = supabase
+        .from('report_configs')
+        .update({
+          ...updates,
+          updated_at: now.toISOString()
+        })
+        .eq('id', reportConfigId)
+        .eq('tenant_id', tenantId);
+
+      // Like pause and skip-next: a running scheduler would overwrite the new
+      // next_scheduled_run when it releases the config's lease
+      if (scheduleChanged) {
+        updateQuery = updateQuery.or(`scheduler_locked_until.is.null,scheduler_locked_until.lt.${now.toISOString()}`);
+      }
+
+      const { data: updated, error } = await updateQuery.select();
+
+      if (error) throw error;
+      if (!updated || updated.length === 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'The scheduler is processing this report right now; try again in a few minutes',
+          reason: 'scheduler_run_in_progress'
+        });
+      }
+
+      const reportConfig = updated[0];
+
+      res.json({
+        success: true,
+        message: 'Report configuration updated successfully',
+        report_config: toResponse(reportConfig)
+      });
+    } catch (error) {
+      console.error('Report config update error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update report configuration'
+      });
+    }
+  }
+);
+
+router.delete('/:id', [param('id').isUUID()], validateRequest, async (req, res) => {
+  try {
+    const tenantId = req.tenantId;
+    const reportConfigId = req.params.id;
+
+    const { data: existingConfig, error: fetchError } = await supabase
+      .from('report_configs')
+      .select('id')
+      .eq('id', reportConfigId)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (fetchError || !existingConfig) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report configuration not found or access denied'
+      });
+    }
+
+    const { error } = await supabase
+      .from('report_configs')
+      .delete()
+      .eq('id', reportConfigId)
+      .eq('tenant_id', tenantId);
+
+    if (error) throw error;
+
+    console.log(`🗑️ Deleted report config ${reportConfigId} for tenant: ${tenantId}`);
+    res.json({
+      success: true,
+      message: 'Report configuration deleted successfully'
+    });
+  } catch (error) {
+    console.error('Report config deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete report configuration'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,80 +1,73 @@
 const express = require('express');
 const router = express.Router();
+// Test/debug routes, only mounted in dev mode (see lib/dev-mode.js)
+const devRouter = express.Router();
 const reporterService = require('../services/reporter-service');
 const supabase = require('../lib/supabase');
-const crypto = require('crypto');
-const { checkUsage, incrementUsage } = require('../middleware/usage-limits');
+const jobQueueService = require('../services/job-queue-service');
+const { checkUsage } = require('../middleware/usage-limits');
+const { verifySignature } = require('../middleware/request-signing');
 
-
-// Verify webhook secret middleware
-const verifyWebhook = (req, res, next) => {
-    const signature = req.headers['x-reportflow-signature'];
-    
-    if (!signature) {
-        return res.status(401).json({ error: 'Missing signature' });
-    }
-
-    const expectedSignature = crypto
-        .createHmac('sha256', process.env.WEBHOOK_SECRET)
-        .update(JSON.stringify(req.body))
-        .digest('hex');
-
-    if (signature !== expectedSignature) {
-        return res.status(401).json({ error: 'Invalid signature' });
-    }
-
-    next();
-};
-
-// Generate and send report (protected)
-// ADD checkUsage middleware HERE, after verifyWebhook
-router.post('/generate', verifyWebhook, checkUsage, async (req, res) => {
+// Queue report generation (protected)
+// Returns a job id immediately; poll GET /api/jobs/:id for the outcome
+router.post('/generate', verifySignature, checkUsage, async (req, res) => {
     try {
         const { report_config_id, tenant_id } = req.body;
         
-        if (!report_config_id || !tenant_id) {
+        if (!report_config_id) {
             return res.status(400).json({ 
                 success: false, 
-                error: 'Missing report_config_id or tenant_id' 
+                error: 'Missing report_config_id' 
+            });
+        }
+
+        // Reports run for the authenticated tenant only; tenant_id is optional
+        if (tenant_id && tenant_id !== req.tenantId) {
+            return res.status(403).json({
+                success: false,
+                error: 'tenant_id does not match the authenticated tenant'
+            });
+        }
+
+        const { data: reportConfig } = await supabase
+            .from('report_configs')
+            .select('id')
+            .eq('id', report_config_id)
+            .eq('tenant_id', req.tenantId)
+            .single();
+
+        if (!reportConfig) {
+            return res.status(404).json({
+                success: false,
+                error: 'Report configuration not found'
             });
         }
 
         console.log(`🚀 Reporter triggered for config: ${report_config_id}`);
         
-        // Your existing service call
-        const result = await reporterService.generateAndSendReport(report_config_id, tenant_id);
-        
-        // === CRITICAL: INCREMENT USAGE AFTER SUCCESS ===
-        // Only increment if the report was successfully generated and sent
-        if (result.success === true) {
-            await incrementUsage(tenant_id, 'reports', 1);
-            console.log(`📈 Incremented usage for tenant: ${tenant_id}`);
-        }
-        // ==============================================
+        // Usage is incremented by the worker once the report is delivered
+        const job = await jobQueueService.enqueue(req.tenantId, 'report', { report_config_id });
         
-        // Return the result from the service
-        res.json(result);
+        res.status(202).json({
+            success: true,
+            message: 'Report generation queued',
+            job_id: job.id,
+            status: job.status,
+            status_url: `/api/jobs/${job.id}`
+        });
 
     } catch (error) {
         console.error('Reporter route error:', error);
         
-        // Special handling for usage limit errors thrown by checkUsage
-        if (error.message?.includes('Plan limit exceeded') || error.statusCode === 429) {
-            return res.status(429).json({
-                success: false,
-                error: error.message || 'Monthly report limit exceeded'
-            });
-        }
-        
         res.status(500).json({ 
             success: false, 
-            error: 'Failed to generate report' 
+            error: 'Failed to queue report' 
         });
     }
 });
 
 // Setup test data endpoint
-router.post('/setup-test-data', async (req, res) => {
+devRouter.post('/setup-test-data', async (req, res) => {
   try {
     // Get the first tenant
     const { data: tenants, error: tenantError } = await supabase
@@ -154,7 +147,7 @@ router.post('/setup-test-data', async (req, res) => {
 });
 
 // Test endpoint (unprotected) - Updated to use valid data
-router.post('/test', async (req, res) => {
+devRouter.post('/test', async (req, res) => {
   try {
     // Get the first valid report config from the database
     const { data: reportConfigs, error } = await supabase
@@ -190,7 +183,7 @@ router.post('/test', async (req, res) => {
 // Add to routes/reporter.js - after your existing routes
 
 // ✅ ADD THIS: GET endpoint for browser testing
-router.get('/test', async (req, res) => {
+devRouter.get('/test', async (req, res) => {
   try {
     // Get the first valid report config from the database
     const { data: reportConfigs, error } = await supabase
@@ -224,7 +217,7 @@ router.get('/test', async (req, res) => {
 });
 
 // ✅ ADD THIS: Simple HTML test page
-router.get('/test-page', (req, res) => {
+devRouter.get('/test-page', (req, res) => {
   res.send(`
     <html>
       <body style="font-family: Arial; padding: 40px;">
@@ -241,4 +234,5 @@ router.get('/test-page', (req, res) => {
   `);
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.devRouter = devRouter;
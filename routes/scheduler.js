@@ -1,43 +1,200 @@
 const express = require('express');
 const router = express.Router();
+// Test/debug routes, only mounted in dev mode (see lib/dev-mode.js)
+const devRouter = express.Router();
+// Cron trigger for all tenants, mounted outside tenant auth (see server.js)
+const platformRouter = express.Router();
 const schedulerService = require('../services/scheduler-service');
-const crypto = require('crypto');
+const { body, param, validationResult } = require('express-validator');
+const { checkUsage } = require('../middleware/usage-limits');
+const { verifyPlatformSignature } = require('../middleware/request-signing');
 
-// Verify webhook secret middleware
-const verifyWebhook = (req, res, next) => {
-  const signature = req.headers['x-reportflow-signature'];
-  
-  if (!signature) {
-    return res.status(401).json({ error: 'Missing signature' });
+// Runs the scheduler for every tenant; signed with PLATFORM_SIGNING_SECRET only
+// Returns a per-report outcome summary (delivered / failed / skipped with reason)
+platformRouter.post('/run', verifyPlatformSignature, async (req, res) => {
+  try {
+    const result = await schedulerService.executeScheduler();
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
   }
+});
 
-  const expectedSignature = crypto
-    .createHmac('sha256', process.env.WEBHOOK_SECRET)
-    .update(JSON.stringify(req.body))
-    .digest('hex');
+// Scheduler dashboard for the tenant: upcoming runs, recent per-report
+// outcomes and failures (?limit=&offset= page the outcome lists)
+router.get('/dashboard', async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+    const offset = Number(req.query.offset) || 0;
 
-  if (signature !== expectedSignature) {
-    return res.status(401).json({ error: 'Invalid signature' });
+    const dashboard = await schedulerService.getTenantDashboard(req.tenantId, { limit, offset });
+
+    res.json({
+      success: true,
+      ...dashboard
+    });
+  } catch (error) {
+    console.error('❌ Scheduler dashboard failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scheduler dashboard'
+    });
   }
+});
+
+// Backfill reports for a historical date range
+// Queues one report per schedule period inside [start_date, end_date], each
+// with its GA and Meta date range set to that period
+router.post('/backfill',
+  checkUsage,
+  [
+    body('report_config_id').isUUID(),
+    body('start_date').isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+    body('end_date').isISO8601({ strict: true }).isLength({ min: 10, max: 10 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
 
+      const { report_config_id, start_date, end_date } = req.body;
+
+      if (start_date > end_date) {
+        return res.status(400).json({
+          success: false,
+          error: 'start_date must be on or before end_date'
+        });
+      }
+
+      if (new Date(end_date) > new Date()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Backfill is limited to past periods'
+        });
+      }
+
+      const jobs = await schedulerService.backfillReports(req.tenantId, report_config_id, start_date, end_date);
+
+      res.status(202).json({
+        success: true,
+        message: `${jobs.length} backfill reports queued`,
+        jobs
+      });
+    } catch (error) {
+      console.error('❌ Backfill failed:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// Schedule controls for a single report config
+const sendControlError = (res, action, error) => {
+  console.error(`❌ ${action} failed:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message,
+    ...(error.reason && { reason: error.reason })
+  });
+};
+
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
   next();
 };
 
-// Manual trigger endpoint (protected)
-router.post('/run', verifyWebhook, async (req, res) => {
+// Pause scheduled delivery until a date; runs during the pause are dropped
+router.post('/configs/:id/pause',
+  [
+    param('id').isUUID(),
+    body('until').isISO8601()
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const until = new Date(req.body.until);
+      if (until <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          error: 'until must be in the future'
+        });
+      }
+
+      const config = await schedulerService.pauseReportConfig(req.tenantId, req.params.id, until);
+      res.json({ success: true, message: `Reports paused until ${config.paused_until}`, config });
+    } catch (error) {
+      sendControlError(res, 'Pause', error);
+    }
+  }
+);
+
+router.post('/configs/:id/resume', [param('id').isUUID()], validateRequest, async (req, res) => {
   try {
-    const result = await schedulerService.executeScheduler();
-    res.json(result);
+    const config = await schedulerService.resumeReportConfig(req.tenantId, req.params.id);
+    res.json({ success: true, message: 'Reports resumed', config });
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
+    sendControlError(res, 'Resume', error);
+  }
+});
+
+// Skip the next scheduled occurrence only ({ "skip": false } cancels a pending skip)
+router.post('/configs/:id/skip-next',
+  [
+    param('id').isUUID(),
+    body('skip').optional().isBoolean()
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const skip = req.body.skip === undefined ? true : req.body.skip === true || req.body.skip === 'true';
+      const config = await schedulerService.skipNextRun(req.tenantId, req.params.id, skip);
+      res.json({
+        success: true,
+        message: skip ? 'Next run will be skipped' : 'Pending skip cancelled',
+        config
+      });
+    } catch (error) {
+      sendControlError(res, 'Skip next run', error);
+    }
+  }
+);
+
+// Queue an out-of-band delivery of the latest complete period
+router.post('/configs/:id/run-now', checkUsage, [param('id').isUUID()], validateRequest, async (req, res) => {
+  try {
+    const { job, period } = await schedulerService.runNow(req.tenantId, req.params.id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Report queued for delivery',
+      job_id: job.id,
+      status: job.status,
+      period,
+      status_url: `/api/jobs/${job.id}`
     });
+  } catch (error) {
+    sendControlError(res, 'Run now', error);
   }
 });
 
 // Test endpoint (unprotected for testing)
-router.post('/test', async (req, res) => {
+devRouter.post('/test', async (req, res) => {
   try {
     const result = await schedulerService.executeScheduler();
     res.json({
@@ -52,4 +209,6 @@ router.post('/test', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.devRouter = devRouter;
+module.exports.platformRouter = platformRouter;
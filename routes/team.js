@@ -0,0 +1,160 @@
+// routes/team.js - Team members, roles and invitations for the tenant
+const express = require('express');
+const router = express.Router();
+const teamService = require('../services/team-service');
+const auditService = require('../services/audit-service');
+const { ROLES, ROLE_SCOPES, roleForScopes } = require('../services/team-service');
+const { body, param, validationResult } = require('express-validator');
+
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallbackMessage
+  });
+};
+
+// API keys have no role: they act as the highest role whose scopes they hold
+// (a full-access key as an owner), so a key can't invite or promote anyone to
+// more access than its own. Keys covering no role can't manage the team.
+const actorRole = (req) => {
+  if (req.user && req.user.role) return req.user.role;
+  return roleForScopes(req.scopes);
+};
+
+// Roles and what they can do, for building team management UIs
+router.get('/roles', (req, res) => {
+  res.json({
+    success: true,
+    roles: ROLES.map(role => ({ role, scopes: ROLE_SCOPES[role] }))
+  });
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const [members, invitations] = await Promise.all([
+      teamService.listMembers(req.tenantId),
+      teamService.listPendingInvitations(req.tenantId)
+    ]);
+    res.json({ success: true, members, invitations });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch team');
+  }
+});
+
+// Invite someone by email; the invitation link is emailed to them
+router.post('/invitations',
+  [
+    body('email').isEmail().normalizeEmail(),
+    body('role').isIn(ROLES)
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const result = await teamService.inviteMember(req.tenant, {
+        email: req.body.email,
+        role: req.body.role,
+        invitedBy: req.user ? req.user.user_id : null,
+        actorRole: actorRole(req)
+      });
+
+      await auditService.recordRequest(req, 'team.member_invited', {
+        resourceType: 'invitation',
+        resourceId: result.invitation.id,
+        after: { email: result.invitation.email, role: result.invitation.role },
+        metadata: { email_sent: result.email_sent }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: result.email_sent
+          ? 'Invitation sent'
+          : 'Invitation created but the email could not be sent. Share the link manually.',
+        ...result
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to send invitation');
+    }
+  }
+);
+
+router.delete('/invitations/:id', [param('id').isUUID()], validateRequest, async (req, res) => {
+  try {
+    const invitation = await teamService.revokeInvitation(req.tenantId, req.params.id);
+
+    await auditService.recordRequest(req, 'team.invitation_revoked', {
+      resourceType: 'invitation',
+      resourceId: invitation.id,
+      metadata: { email: invitation.email, role: invitation.role }
+    });
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked',
+      invitation
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke invitation');
+  }
+});
+
+router.put('/members/:id/role',
+  [
+    param('id').isUUID(),
+    body('role').isIn(ROLES)
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const previous = await teamService.getMember(req.tenantId, req.params.id);
+      const member = await teamService.updateMemberRole(req.tenantId, req.params.id, req.body.role, actorRole(req));
+
+      await auditService.recordRequest(req, 'team.role_changed', {
+        resourceType: 'team_member',
+        resourceId: member.id,
+        before: { role: previous.role },
+        after: { role: member.role },
+        metadata: { email: member.email }
+      });
+
+      res.json({ success: true, member });
+    } catch (error) {
+      sendError(res, error, 'Failed to update role');
+    }
+  }
+);
+
+// Remove a member; their sessions are signed out immediately
+router.delete('/members/:id', [param('id').isUUID()], validateRequest, async (req, res) => {
+  try {
+    const member = await teamService.removeMember(req.tenantId, req.params.id, actorRole(req));
+
+    await auditService.recordRequest(req, 'team.member_removed', {
+      resourceType: 'team_member',
+      resourceId: member.id,
+      before: { email: member.email, role: member.role },
+      after: null
+    });
+
+    res.json({
+      success: true,
+      message: 'Team member removed',
+      member
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to remove team member');
+  }
+});
+
+module.exports = router;
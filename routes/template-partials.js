@@ -0,0 +1,98 @@
+// routes/template-partials.js - Manage the tenant's template partials and layouts
+const express = require('express');
+const router = express.Router();
+const brandingService = require('../services/branding-service');
+const auditService = require('../services/audit-service');
+const { body, param, validationResult } = require('express-validator');
+
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallbackMessage
+  });
+};
+
+// System partials and the tenant's own, without content
+router.get('/', async (req, res) => {
+  try {
+    const partials = await brandingService.listPartials(req.tenantId);
+    res.json({ success: true, partials });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch partials');
+  }
+});
+
+router.get('/:name', async (req, res) => {
+  try {
+    const partial = await brandingService.getPartial(req.tenantId, req.params.name);
+    res.json({ success: true, partial });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch partial');
+  }
+});
+
+// Create or replace a partial; a system partial's name overrides it for this tenant
+router.put('/:name',
+  [
+    param('name').isString(),
+    body('content').isString().withMessage('content must be a string'),
+    body('kind').optional().isIn(['partial', 'layout']),
+    body('description').optional({ nullable: true }).isString().isLength({ max: 500 })
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { partial, warnings } = await brandingService.savePartial(req.tenantId, req.params.name, {
+        content: req.body.content,
+        kind: req.body.kind,
+        description: req.body.description || null
+      });
+
+      await auditService.recordRequest(req, 'template.partial_saved', {
+        resourceType: 'template_partial',
+        resourceId: partial.id,
+        after: { name: partial.name, kind: partial.kind },
+        metadata: { overrides_system: partial.overridden }
+      });
+
+      res.json({ success: true, partial, warnings });
+    } catch (error) {
+      sendError(res, error, 'Failed to save partial');
+    }
+  }
+);
+
+// Remove the tenant's partial; a system partial of that name applies again
+router.delete('/:name', async (req, res) => {
+  try {
+    const { partial, restored_system_default } = await brandingService.deletePartial(req.tenantId, req.params.name);
+
+    await auditService.recordRequest(req, 'template.partial_deleted', {
+      resourceType: 'template_partial',
+      resourceId: partial.id,
+      before: { name: partial.name, kind: partial.kind }
+    });
+
+    res.json({
+      success: true,
+      message: restored_system_default ? 'Partial deleted; the system default applies again' : 'Partial deleted',
+      restored_system_default
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete partial');
+  }
+});
+
+module.exports = router;
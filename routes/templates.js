@@ -1,8 +1,43 @@
 const express = require('express');
 const router = express.Router();
 const supabase = require('../lib/supabase');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { checkUsage } = require('../middleware/usage-limits');
+const auditService = require('../services/audit-service');
+const templateVersionService = require('../services/template-version-service');
+const brandingService = require('../services/branding-service');
+const { sanitizeTemplate } = require('../lib/template-sanitizer');
+const { brandStyles } = require('../lib/template-layouts');
+
+// Fields a tenant may change with PUT /:id
+const EDITABLE_FIELDS = ['name', 'description', 'html_content', 'css_content', 'category'];
+
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallbackMessage
+  });
+};
+
+// Template fields worth a before/after in the audit log (content is summarized, not copied)
+const auditFields = (template) => ({
+  name: template.name,
+  description: template.description,
+  category: template.category,
+  is_active: template.is_active
+});
 
 // Get all templates for a tenant (including system templates)
 router.get('/', checkUsage, async (req, res) => {
@@ -39,7 +74,8 @@ router.post('/',
     body('name').isString().trim().notEmpty().isLength({ max: 255 }),
     body('html_content').isString().notEmpty(),
     body('css_content').optional().isString(),
-    body('category').optional().isIn(['analytics', 'marketing', 'executive', 'custom'])
+    body('category').optional().isIn(['analytics', 'marketing', 'executive', 'custom']),
+    body('change_note').optional().isString().isLength({ max: 500 })
   ],
   async (req, res) => {
     try {
@@ -52,15 +88,10 @@ router.post('/',
       }
 
       const tenantId = req.tenantId;
-      const { name, description, html_content, css_content, category } = req.body;
+      const { name, description, category } = req.body;
 
-      // Validate HTML for security (basic check)
-      if (html_content.includes('<script>') || html_content.includes('javascript:')) {
-        return res.status(400).json({
-          success: false,
-          error: 'HTML content cannot contain JavaScript for security reasons'
-        });
-      }
+      // Disallowed markup and CSS is stripped; the warnings say what and where
+      const { html_content, css_content, warnings } = sanitizeTemplate(req.body);
 
       const { data: template, error } = await supabase
         .from('tenant_templates')
@@ -78,10 +109,26 @@ router.post('/',
 
       if (error) throw error;
 
+      const version = await templateVersionService.createVersion(template.id, {
+        html_content,
+        css_content,
+        changeNote: req.body.change_note || 'Initial version',
+        actor: auditService.actorFromRequest(req)
+      });
+
+      await auditService.recordRequest(req, 'template.created', {
+        resourceType: 'template',
+        resourceId: template.id,
+        after: auditFields(template),
+        metadata: { version: version.version_number }
+      });
+
       res.status(201).json({
         success: true,
         message: 'Template created successfully',
-        template
+        template: { ...template, current_version_id: version.id },
+        version,
+        warnings
       });
     } catch (error) {
       console.error('Template creation error:', error);
@@ -105,14 +152,37 @@ router.post('/',
 router.put('/:id',
   checkUsage,
   [
-    body('name').optional().isString().trim().notEmpty(),
-    body('html_content').optional().isString().notEmpty()
+    body('name').optional().isString().trim().notEmpty().isLength({ max: 255 }),
+    body('html_content').optional().isString().notEmpty(),
+    body('css_content').optional().isString(),
+    body('category').optional().isIn(['analytics', 'marketing', 'executive', 'custom']),
+    body('change_note').optional().isString().isLength({ max: 500 })
   ],
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
       const tenantId = req.tenantId;
       const templateId = req.params.id;
-      const updates = req.body;
+
+      const updates = {};
+      for (const field of EDITABLE_FIELDS) {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
+      }
+
+      let warnings = [];
+      if (updates.html_content !== undefined || updates.css_content !== undefined) {
+        const sanitized = sanitizeTemplate(updates);
+        warnings = sanitized.warnings;
+        if (updates.html_content !== undefined) updates.html_content = sanitized.html_content;
+        if (updates.css_content !== undefined) updates.css_content = sanitized.css_content;
+      }
 
       // Validate ownership
       const { data: existingTemplate, error: fetchError } = await supabase
@@ -137,23 +207,65 @@ router.put('/:id',
         });
       }
 
-      const { data: template, error } = await supabase
-        .from('tenant_templates')
-        .update({
-          ...updates,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', templateId)
-        .eq('tenant_id', tenantId)
-        .select()
-        .single();
+      // Content goes into a new version; the rest is updated in place
+      const { html_content, css_content, ...fields } = updates;
+      let template = existingTemplate;
+
+      if (Object.keys(fields).length > 0) {
+        const { data: updated, error } = await supabase
+          .from('tenant_templates')
+          .update({
+            ...fields,
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', templateId)
+          .eq('tenant_id', tenantId)
+          .select()
+          .single();
+
+        if (error) throw error;
+        template = updated;
+      }
 
-      if (error) throw error;
+      const contentChanged = (html_content !== undefined && html_content !== existingTemplate.html_content) ||
+        (css_content !== undefined && css_content !== existingTemplate.css_content);
+
+      let version = null;
+      if (contentChanged) {
+        version = await templateVersionService.createVersion(templateId, {
+          html_content: html_content !== undefined ? html_content : existingTemplate.html_content,
+          css_content: css_content !== undefined ? css_content : existingTemplate.css_content,
+          changeNote: req.body.change_note,
+          actor: auditService.actorFromRequest(req)
+        });
+        template = {
+          ...template,
+          html_content: version.html_content,
+          css_content: version.css_content,
+          current_version_id: version.id
+        };
+      }
 
+      await auditService.recordRequest(req, 'template.updated', {
+        resourceType: 'template',
+        resourceId: templateId,
+        before: auditFields(existingTemplate),
+        after: auditFields(template),
+        metadata: {
+          content_changed: contentChanged,
+          version: version ? version.version_number : null
+        }
+      });
+
+      // Reports keep rendering the activated version until this one is activated
       res.json({
         success: true,
-        message: 'Template updated successfully',
-        template
+        message: version && template.is_active
+          ? `Template updated as version ${version.version_number}. Activate it to use it for reports.`
+          : 'Template updated successfully',
+        template,
+        version,
+        warnings
       });
     } catch (error) {
       console.error('Template update error:', error);
@@ -165,41 +277,37 @@ router.put('/:id',
   }
 );
 
-// Set a template as active
-router.post('/:id/activate', checkUsage, async (req, res) => {
-  try {
-    const tenantId = req.tenantId;
-    const templateId = req.params.id;
+// Set a template as active, pinned to body.version (default: its current version)
+router.post('/:id/activate',
+  checkUsage,
+  [body('version').optional().isInt({ min: 1 }).toInt()],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const tenantId = req.tenantId;
+      const templateId = req.params.id;
 
-    // Use a transaction to ensure only one active template
-    const { data: templates, error } = await supabase.rpc('activate_tenant_template', {
-      p_tenant_id: tenantId,
-      p_template_id: templateId
-    });
+      // The RPC makes this the tenant's only active template in one transaction
+      const activeTemplate = await templateVersionService.activate(tenantId, templateId, {
+        versionNumber: req.body.version
+      });
 
-    if (error) throw error;
+      await auditService.recordRequest(req, 'template.activated', {
+        resourceType: 'template',
+        resourceId: templateId,
+        after: { is_active: true, active_version_id: activeTemplate.active_version_id }
+      });
 
-    res.json({
-      success: true,
-      message: 'Template activated successfully',
-      active_template: templates[0]
-    });
-  } catch (error) {
-    console.error('Template activation error:', error);
-    
-    if (error.message.includes('not found')) {
-      return res.status(404).json({
-        success: false,
-        error: 'Template not found'
+      res.json({
+        success: true,
+        message: 'Template activated successfully',
+        active_template: activeTemplate
       });
+    } catch (error) {
+      sendError(res, error, 'Failed to activate template');
     }
-    
-    res.status(500).json({
-      success: false,
-      error: 'Failed to activate template'
-    });
   }
-});
+);
 
 // Duplicate a template (including system templates)
 router.post('/:id/duplicate', checkUsage, async (req, res) => {
@@ -237,6 +345,21 @@ router.post('/:id/duplicate', checkUsage, async (req, res) => {
 
     if (error) throw error;
 
+    const version = await templateVersionService.createVersion(newTemplate.id, {
+      html_content: newTemplate.html_content,
+      css_content: newTemplate.css_content,
+      changeNote: `Copied from ${sourceTemplate.name}`,
+      actor: auditService.actorFromRequest(req)
+    });
+    newTemplate.current_version_id = version.id;
+
+    await auditService.recordRequest(req, 'template.duplicated', {
+      resourceType: 'template',
+      resourceId: newTemplate.id,
+      after: auditFields(newTemplate),
+      metadata: { source_template_id: templateId }
+    });
+
     res.status(201).json({
       success: true,
       message: 'Template duplicated successfully',
@@ -260,7 +383,7 @@ router.delete('/:id', checkUsage, async (req, res) => {
     // Prevent deletion of active template
     const { data: template, error: fetchError } = await supabase
       .from('tenant_templates')
-      .select('is_active')
+      .select('name, description, category, is_active')
       .eq('id', templateId)
       .eq('tenant_id', tenantId)
       .single();
@@ -287,6 +410,13 @@ router.delete('/:id', checkUsage, async (req, res) => {
 
     if (error) throw error;
 
+    await auditService.recordRequest(req, 'template.deleted', {
+      resourceType: 'template',
+      resourceId: templateId,
+      before: auditFields(template),
+      after: null
+    });
+
     res.json({
       success: true,
       message: 'Template deleted successfully'
@@ -300,37 +430,31 @@ router.delete('/:id', checkUsage, async (req, res) => {
   }
 });
 
-// routes/templates.js - Add this route
+// Older clients activate with PUT; same as POST /:id/activate for the tenant's own templates
 router.put('/:id/activate', async (req, res) => {
   try {
     const { id } = req.params;
     const tenantId = req.tenantId;
 
-    console.log(`🔍 Activation Attempt: Tenant ${tenantId}, Template ${id}`);
-
-    // 1. Deactivate others
-    const deactivateResult = await supabase
+    const { data: owned } = await supabase
       .from('tenant_templates')
-      .update({ is_active: false })
+      .select('id')
+      .eq('id', id)
       .eq('tenant_id', tenantId)
-      .eq('is_active', true);
-    console.log('Deactivated others:', deactivateResult);
-
-    // 2. Activate this template
-    const { data, error } = await supabase
-  .from('tenant_templates')
-  .update({ is_active: true, updated_at: new Date().toISOString() })
-  .eq('id', id)
-  .eq('tenant_id', tenantId)
-  .select() // ✅ Add .select() to return the updated rows
-  .single();  // ❗ .single() expects exactly ONE row to be returned
-
-    console.log('Activation DB Result - Data:', data, 'Error:', error);
+      .single();
 
-    if (error || !data) {
+    if (!owned) {
       return res.status(404).json({ error: 'Template not found or update failed' });
     }
 
+    const data = await templateVersionService.activate(tenantId, id);
+
+    await auditService.recordRequest(req, 'template.activated', {
+      resourceType: 'template',
+      resourceId: id,
+      after: { is_active: true, active_version_id: data.active_version_id }
+    });
+
     res.json({ success: true, message: 'Template activated', template: data });
   } catch (error) {
     console.error('Activation error:', error);
@@ -338,6 +462,98 @@ router.put('/:id/activate', async (req, res) => {
   }
 });
 
+// GET /api/templates/:id/versions - Version history, newest first (no content)
+router.get('/:id/versions', [param('id').isUUID()], validateRequest, async (req, res) => {
+  try {
+    const { template, versions } = await templateVersionService.listVersions(req.tenantId, req.params.id);
+
+    res.json({
+      success: true,
+      template_id: template.id,
+      current_version_id: template.current_version_id || null,
+      active_version_id: template.is_active ? template.active_version_id || null : null,
+      versions,
+      count: versions.length
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch template versions');
+  }
+});
+
+// GET /api/templates/:id/versions/:version - One version with its content
+router.get('/:id/versions/:version',
+  [param('id').isUUID(), param('version').isInt({ min: 1 }).toInt()],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const version = await templateVersionService.getVersion(req.tenantId, req.params.id, req.params.version);
+      res.json({ success: true, version });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch template version');
+    }
+  }
+);
+
+// GET /api/templates/:id/diff?from=2&to=5 - Line diff of two versions (to defaults to the current one)
+router.get('/:id/diff',
+  [
+    param('id').isUUID(),
+    query('from').isInt({ min: 1 }).toInt(),
+    query('to').optional().isInt({ min: 1 }).toInt()
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const diff = await templateVersionService.diffVersions(req.tenantId, req.params.id, req.query.from, req.query.to);
+      res.json({ success: true, diff });
+    } catch (error) {
+      sendError(res, error, 'Failed to diff template versions');
+    }
+  }
+);
+
+// POST /api/templates/:id/versions/:version/rollback - Restore a version's content as a new version
+router.post('/:id/versions/:version/rollback',
+  checkUsage,
+  [
+    param('id').isUUID(),
+    param('version').isInt({ min: 1 }).toInt(),
+    body('change_note').optional().isString().isLength({ max: 500 })
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { template, source, version, activated } = await templateVersionService.rollback(
+        req.tenantId,
+        req.params.id,
+        req.params.version,
+        { actor: auditService.actorFromRequest(req), changeNote: req.body.change_note }
+      );
+
+      await auditService.recordRequest(req, 'template.rolled_back', {
+        resourceType: 'template',
+        resourceId: template.id,
+        metadata: {
+          restored_version: source.version_number,
+          new_version: version.version_number,
+          activated
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: activated
+          ? `Rolled back to version ${source.version_number}; reports now use version ${version.version_number}`
+          : `Rolled back to version ${source.version_number} as version ${version.version_number}`,
+        version,
+        activated
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to roll back template');
+    }
+  }
+);
+
 // GET /api/templates/variables - Document available template variables
 router.get('/variables', (req, res) => {
   res.json({
@@ -363,14 +579,42 @@ router.get('/variables', (req, res) => {
       
       // Advanced data
       traffic_sources: "Array - Traffic source breakdown",
-      top_pages: "Array - Top performing pages"
+      top_pages: "Array - Top performing pages",
+
+      // Brand kit (PUT /api/templates/brand-kit), also set as --brand-* CSS variables
+      brand: {
+        company_name: "String - Agency name (falls back to agencyName)",
+        logo_url: "String - Agency logo (falls back to agencyLogo)",
+        primary_color: "String - var(--brand-primary); also --chart-color-1",
+        secondary_color: "String - var(--brand-secondary); also --chart-color-2",
+        accent_color: "String - var(--brand-accent); also --chart-color-3",
+        heading_font: "String - var(--brand-heading-font)",
+        body_font: "String - var(--brand-body-font)",
+        contact: "Object - { name, email, phone, website, address }",
+        show_cover_page: "Boolean - Whether the base layout renders {{> cover_page}}"
+      }
+    },
+
+    // Managed with /api/templates/partials; a tenant partial overrides the system one of the same name
+    partials: {
+      layouts: "Start a template with {{!< base}} and define {{#*inline \"content\"}}...{{/inline}}; the layout renders it with {{> content}}",
+      base: "Default layout: cover page, header, report title, content and footer",
+      header: "Agency and client logos: {{> header}}",
+      footer: "Confidential notice, contact block and generation date: {{> footer}}",
+      contact: "Brand kit contact details: {{> contact}}",
+      cover_page: "Full-page cover with logo, title, client and period: {{> cover_page}}"
     },
     
     helpers: {
       formatDate: "Formats ISO date to readable format",
       formatNumber: "Adds commas to large numbers",
       percentage: "Converts decimal to percentage (0.15 → 15%)",
-      ifEquals: "Conditional rendering: {{#ifEquals status 'active'}}"
+      ifEquals: "Conditional rendering: {{#ifEquals status 'active'}}",
+      lineChart: "Inline SVG line chart: {{lineChart trafficTrend label=\"date\" value=\"sessions\"}}; pass [{ name, data }] for several lines",
+      barChart: "Inline SVG bar chart: {{barChart trafficSources label=\"source\" value=\"sessions\"}}",
+      pieChart: "Inline SVG pie chart: {{pieChart deviceBreakdown donut=true}}",
+      sparkline: "Small trend line for metric cards: {{sparkline trafficTrend width=120 height=32}}",
+      chart_colors: "Charts use --chart-color-1 .. --chart-color-6, --chart-text and --chart-grid from your CSS"
     },
     
     example: `<!DOCTYPE html>
@@ -389,44 +633,65 @@ router.get('/variables', (req, res) => {
   });
 });
 
-// POST /api/templates/preview - Preview template with sample data
+// POST /api/templates/preview - Preview template with sample data, the tenant's
+// partials and brand kit. Unsaved `partials` ({ name: content }) and `brand_kit`
+// fields can be tried out without storing them.
 router.post('/preview', async (req, res) => {
   try {
-    const { html_content, css_content, data } = req.body;
-    
-    // Use your PDF service to generate HTML (not PDF)
+    const tenantId = req.tenantId || req.headers['x-tenant-id'];
+    const { data } = req.body;
+
+    if (typeof req.body.html_content !== 'string' || (req.body.css_content != null && typeof req.body.css_content !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'html_content and css_content must be strings'
+      });
+    }
+
+    const isObject = (value) => value != null && typeof value === 'object' && !Array.isArray(value);
+    if ((req.body.partials != null && !isObject(req.body.partials)) || (req.body.brand_kit != null && !isObject(req.body.brand_kit))) {
+      return res.status(400).json({
+        success: false,
+        error: 'partials and brand_kit must be objects'
+      });
+    }
+
+    if (req.body.brand_kit) {
+      const errors = brandingService.validateBrandKit(req.body.brand_kit);
+      if (errors.length) {
+        return res.status(400).json({ success: false, errors });
+      }
+    }
+
+    // Previewed exactly as it would be saved
+    const { html_content, css_content, warnings } = sanitizeTemplate(req.body);
+
+    const partials = {};
+    Object.entries(req.body.partials || {}).forEach(([name, content]) => {
+      brandingService.validatePartialName(name);
+      const prepared = brandingService.preparePartial(content, { field: `partials.${name}` });
+      partials[name] = prepared.content;
+      warnings.push(...prepared.warnings);
+    });
+
     const pdfService = require('../services/pdf-service');
-    const handlebars = require('handlebars');
-    
-    // Compile and render HTML
-    const template = handlebars.compile(html_content);
-    const renderedHTML = template(data || pdfService.generateMockAnalyticsData());
-    
-    // Combine with CSS
-    const fullHTML = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          ${css_content || ''}
-          body { font-family: Arial, sans-serif; padding: 20px; }
-        </style>
-      </head>
-      <body>${renderedHTML}</body>
-      </html>
-    `;
+    const context = await brandingService.getRenderContext(tenantId, { partials, brandKit: req.body.brand_kit });
+
+    // Rendered and wrapped the way PDFs are
+    const renderedHTML = pdfService.renderTemplate(html_content, data || pdfService.generateMockAnalyticsData(), context);
+    const fullHTML = pdfService.wrapHTML(renderedHTML, css_content || null, brandStyles(context.brand));
     
     res.json({ 
       success: true, 
       html: fullHTML,
-      warnings: [] // Could add validation warnings here
+      warnings
     });
     
   } catch (error) {
     console.error('Preview error:', error);
     res.status(400).json({ 
       success: false, 
-      error: 'Failed to render preview',
+      error: error.statusCode ? error.message : 'Failed to render preview',
       details: error.message 
     });
   }
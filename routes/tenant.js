@@ -0,0 +1,139 @@
+// routes/tenant.js - Account status, data exports and account deletion
+// Mounted with validateTenantLimited, so these stay reachable while the
+// account is suspended for non-payment or pending deletion.
+const express = require('express');
+const router = express.Router();
+const tenantService = require('../services/tenant-service');
+const auditService = require('../services/audit-service');
+const { body, param, validationResult } = require('express-validator');
+
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallbackMessage
+  });
+};
+
+router.get('/status', async (req, res) => {
+  try {
+    const access = await tenantService.getAccess(req.tenant);
+    const { tenant } = req;
+
+    res.json({
+      success: true,
+      status: access.status,
+      full_access: access.allowed,
+      message: access.message || null,
+      status_reason: tenant.status_reason || null,
+      status_changed_at: tenant.status_changed_at || null,
+      grace_period_until: access.grace_period_until || null,
+      deletion_requested_at: tenant.deletion_requested_at || null,
+      deletion_scheduled_for: tenant.deletion_scheduled_for || null
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to load account status');
+  }
+});
+
+router.get('/exports', async (req, res) => {
+  try {
+    const exports = await tenantService.listExports(req.tenantId);
+    res.json({ success: true, exports });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch exports');
+  }
+});
+
+// Export everything the tenant stored: configs, templates, generated reports
+// and logs, with credentials redacted
+router.post('/exports', async (req, res) => {
+  try {
+    const tenantExport = await tenantService.createExport(req.tenantId, {
+      requestedBy: req.user ? req.user.user_id : null
+    });
+
+    await auditService.recordRequest(req, 'tenant.export_created', {
+      resourceType: 'tenant_export',
+      resourceId: tenantExport.id,
+      metadata: { reason: tenantExport.reason, size_bytes: tenantExport.size_bytes }
+    });
+
+    res.status(201).json({ success: true, export: tenantExport });
+  } catch (error) {
+    sendError(res, error, 'Failed to create export');
+  }
+});
+
+router.get('/exports/:id/download',
+  [param('id').isUUID()],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const tenantExport = await tenantService.getExportData(req.tenantId, req.params.id);
+
+      await auditService.recordRequest(req, 'tenant.export_downloaded', {
+        resourceType: 'tenant_export',
+        resourceId: tenantExport.id
+      });
+
+      const filename = `reportflow-export-${tenantExport.created_at.slice(0, 10)}.json`;
+      res.set('Content-Type', 'application/json');
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(JSON.stringify(tenantExport.data, null, 2));
+    } catch (error) {
+      sendError(res, error, 'Failed to download export');
+    }
+  }
+);
+
+// Schedule the account for deletion. The tenant's name must be typed back as
+// confirmation; an export is created first and emailed to the account.
+router.post('/deletion',
+  [body('confirm_name').isString().notEmpty()],
+  validateRequest,
+  async (req, res) => {
+    try {
+      if (req.body.confirm_name !== req.tenant.name) {
+        return res.status(400).json({ success: false, error: 'confirm_name does not match the account name' });
+      }
+
+      const { tenant, export: tenantExport } = await tenantService.requestDeletion(req.tenant, {
+        requestedBy: req.user ? req.user.user_id : null,
+        ...auditService.contextFromRequest(req)
+      });
+
+      res.status(202).json({
+        success: true,
+        message: `Account scheduled for deletion on ${tenant.deletion_scheduled_for}`,
+        status: tenant.status,
+        deletion_scheduled_for: tenant.deletion_scheduled_for,
+        export: tenantExport
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to request account deletion');
+    }
+  }
+);
+
+router.delete('/deletion', async (req, res) => {
+  try {
+    const tenant = await tenantService.cancelDeletion(req.tenant, auditService.contextFromRequest(req));
+    res.json({ success: true, message: 'Account deletion canceled', status: tenant.status });
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel account deletion');
+  }
+});
+
+module.exports = router;
@@ -1,78 +1,67 @@
 // routes/unified-reporter.js - COMPLETE IMPLEMENTATION
 const express = require('express');
 const router = express.Router();
+// Test/debug routes, only mounted in dev mode (see lib/dev-mode.js)
+const devRouter = express.Router();
 const unifiedReporterService = require('../services/unified-reporter-service');
 const supabase = require('../lib/supabase');
-const crypto = require('crypto');
-const { checkUsage, incrementUsage } = require('../middleware/usage-limits');
+const jobQueueService = require('../services/job-queue-service');
+const { checkUsage } = require('../middleware/usage-limits');
+const { verifySignature } = require('../middleware/request-signing');
 
-
-// Verify webhook secret middleware
-const verifyWebhook = (req, res, next) => {
-  const signature = req.headers['x-reportflow-signature'];
-  
-  if (!signature) {
-    return res.status(401).json({ error: 'Missing signature' });
-  }
-
-  const expectedSignature = crypto
-    .createHmac('sha256', process.env.WEBHOOK_SECRET)
-    .update(JSON.stringify(req.body))
-    .digest('hex');
-
-  if (signature !== expectedSignature) {
-    return res.status(401).json({ error: 'Invalid signature' });
-  }
-
-  next();
-};
-
-// ADD checkUsage middleware HERE, after verifyWebhook
-router.post('/generate', verifyWebhook, checkUsage, async (req, res) => {
+// Queue unified report generation
+// Returns a job id immediately; poll GET /api/jobs/:id for the report
+router.post('/generate', verifySignature, checkUsage, async (req, res) => {
   try {
     const { tenant_id, report_config_id, options } = req.body;
     
-    if (!tenant_id || !report_config_id) {
+    if (!report_config_id) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Missing tenant_id or report_config_id' 
+        error: 'Missing report_config_id' 
       });
     }
 
-    console.log(`🌐 Generating unified report for tenant: ${tenant_id}`);
-    
-    const report = await unifiedReporterService.generateUnifiedReport(
-      tenant_id, 
-      report_config_id, 
-      options || {}
-    );
+    // Reports run for the authenticated tenant only; tenant_id is optional
+    if (tenant_id && tenant_id !== req.tenantId) {
+      return res.status(403).json({
+        success: false,
+        error: 'tenant_id does not match the authenticated tenant'
+      });
+    }
+
+    const { data: reportConfig } = await supabase
+      .from('report_configs')
+      .select('id')
+      .eq('id', report_config_id)
+      .eq('tenant_id', req.tenantId)
+      .single();
 
-    // Store the unified report insights in database
-    if (report.success) {
-      // Assuming storeUnifiedInsights is a method in this file or service
-      await this.storeUnifiedInsights(tenant_id, report_config_id, report);
-      
-      // === CRITICAL: INCREMENT USAGE AFTER SUCCESS ===
-      await incrementUsage(tenant_id, 'reports', 1);
-      console.log(`📈 Incremented usage for unified report, tenant: ${tenant_id}`);
+    if (!reportConfig) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report configuration not found'
+      });
     }
 
-    res.json({
+    console.log(`🌐 Queueing unified report for tenant: ${req.tenantId}`);
+    
+    // On success the worker counts usage and stores the report's AI insights
+    const job = await jobQueueService.enqueue(req.tenantId, 'unified_report', {
+      report_config_id,
+      options: options || {}
+    });
+
+    res.status(202).json({
       success: true,
-      message: 'Unified report generated successfully!',
-      report: report
+      message: 'Unified report generation queued',
+      job_id: job.id,
+      status: job.status,
+      status_url: `/api/jobs/${job.id}`
     });
 
   } catch (error) {
-    console.error('❌ Unified report generation failed:', error);
-    
-    // Special handling for usage limit errors thrown by checkUsage
-    if (error.message?.includes('Plan limit exceeded') || error.statusCode === 429) {
-      return res.status(429).json({
-        success: false,
-        error: error.message || 'Monthly report limit exceeded'
-      });
-    }
+    console.error('❌ Unified report queueing failed:', error);
     
     res.status(500).json({ 
       success: false, 
@@ -82,7 +71,7 @@ router.post('/generate', verifyWebhook, checkUsage, async (req, res) => {
 });
 
 // 📊 GET UNIFIED REPORT BY ID
-router.get('/:report_id', verifyWebhook, async (req, res) => {
+router.get('/:report_id', verifySignature, async (req, res) => {
   try {
     const { report_id } = req.params;
     
@@ -111,7 +100,7 @@ router.get('/:report_id', verifyWebhook, async (req, res) => {
 });
 
 // 🧪 TEST ENDPOINT (Unprotected for development)
-router.post('/test', async (req, res) => {
+devRouter.post('/test', async (req, res) => {
   try {
     const testTenantId = '3bce31b7-b045-4da0-981c-db138e866cfe';
     const testConfigId = 'e51bc18e-a9f4-4501-a33f-6b478b689289';
@@ -137,7 +126,7 @@ router.post('/test', async (req, res) => {
 });
 
 // 📋 COMPREHENSIVE TEST PAGE
-router.get('/test-complete', async (req, res) => {
+devRouter.get('/test-complete', async (req, res) => {
   try {
     const testTenantId = req.query.tenant_id || '3bce31b7-b045-4da0-981c-db138e866cfe';
     const testConfigId = req.query.report_config_id || 'e51bc18e-a9f4-4501-a33f-6b478b689289';
@@ -231,29 +220,5 @@ router.get('/test-complete', async (req, res) => {
   }
 });
 
-// 🔧 HELPER METHODS
-async function storeUnifiedInsights(tenantId, reportConfigId, reportData) {
-  try {
-    // Store in ai_insights table or create a new table for unified reports
-    const { error } = await supabase
-      .from('ai_insights')
-      .insert({
-        tenant_id: tenantId,
-        report_config_id: reportConfigId,
-        insight_type: 'unified_report',
-        insight_text: JSON.stringify(reportData),
-        confidence_score: reportData.performance_scorecard?.overall_score || 0,
-        recommended_actions: reportData.strategic_recommendations || []
-      });
-
-    if (error) {
-      console.error('❌ Failed to store unified insights:', error);
-    } else {
-      console.log('✅ Unified insights stored successfully');
-    }
-  } catch (error) {
-    console.error('❌ Unified insights storage failed:', error);
-  }
-}
-
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.devRouter = devRouter;
@@ -0,0 +1,32 @@
+// scripts/purge-tenants.js - Permanently delete tenants whose deletion date has passed
+//
+// Usage: npm run tenants:purge
+//
+// Run daily (cron or a scheduled function). Only tenants in pending_deletion
+// past deletion_scheduled_for are touched; their stored PDFs are removed and
+// purge_tenant() deletes the rows. Also available as POST /api/admin/tenants/purge-due.
+require('dotenv').config();
+const tenantService = require('../services/tenant-service');
+
+async function run() {
+  console.log('🗑️ Purging tenants due for deletion');
+
+  const results = await tenantService.purgeDueTenants();
+  const failed = results.filter(result => result.status === 'failed').length;
+  console.log(`🗑️ Tenants: ${results.length - failed} purged, ${failed} failed`);
+
+  return results;
+}
+
+if (require.main === module) {
+  run()
+    .then((results) => {
+      process.exit(results.some(result => result.status === 'failed') ? 1 : 0);
+    })
+    .catch((error) => {
+      console.error('❌ Tenant purge failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
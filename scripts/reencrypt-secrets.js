@@ -0,0 +1,147 @@
+// scripts/reencrypt-secrets.js - Re-encrypt stored secrets under the active encryption key
+//
+// Usage: npm run secrets:reencrypt [-- --dry-run]
+//
+// Moves tenants.smtp_config, tenants' request signing secrets and the OAuth
+// tokens inside report_configs.sources from legacy (base64 / plaintext)
+// storage or a retired key onto
+// ENCRYPTION_ACTIVE_KEY_ID. Safe to run repeatedly; up-to-date rows are skipped.
+// Run it after adding a new key, then remove the old key from ENCRYPTION_KEYS.
+require('dotenv').config();
+const supabase = require('../lib/supabase');
+const encryptionService = require('../services/encryption-service');
+
+const PAGE_SIZE = 200;
+const TOKEN_SOURCES = ['google_analytics', 'meta_ads'];
+
+async function forEachPage(table, columns, column, handleRow) {
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data: rows, error } = await supabase
+      .from(table)
+      .select(columns)
+      .not(column, 'is', null)
+      .order('id', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) throw new Error(`Failed to read ${table}: ${error.message}`);
+
+    for (const row of rows || []) {
+      await handleRow(row);
+    }
+
+    if (!rows || rows.length < PAGE_SIZE) return;
+  }
+}
+
+async function reencryptTenants({ dryRun }) {
+  const stats = { checked: 0, updated: 0, failed: 0 };
+
+  await forEachPage('tenants', 'id, smtp_config', 'smtp_config', async (tenant) => {
+    stats.checked++;
+    try {
+      const smtpConfig = encryptionService.reencryptSMTPConfig(tenant.smtp_config);
+      if (!smtpConfig) return;
+
+      if (!dryRun) {
+        const { error } = await supabase.from('tenants').update({ smtp_config: smtpConfig }).eq('id', tenant.id);
+        if (error) throw error;
+      }
+      stats.updated++;
+    } catch (error) {
+      stats.failed++;
+      console.error(`❌ Tenant ${tenant.id}: ${error.message}`);
+    }
+  });
+
+  return stats;
+}
+
+// Signing secrets were always AES-GCM encrypted, so they only move off retired keys
+async function reencryptSigningSecrets({ dryRun }) {
+  const stats = { checked: 0, updated: 0, failed: 0 };
+
+  await forEachPage('tenants', 'id, signing_secret, signing_secret_previous', 'signing_secret', async (tenant) => {
+    stats.checked++;
+    try {
+      const updates = {};
+      for (const column of ['signing_secret', 'signing_secret_previous']) {
+        if (tenant[column] && encryptionService.needsReEncryption(tenant[column])) {
+          updates[column] = encryptionService.encrypt(encryptionService.decrypt(tenant[column]));
+        }
+      }
+      if (Object.keys(updates).length === 0) return;
+
+      if (!dryRun) {
+        const { error } = await supabase.from('tenants').update(updates).eq('id', tenant.id);
+        if (error) throw error;
+      }
+      stats.updated++;
+    } catch (error) {
+      stats.failed++;
+      console.error(`❌ Tenant ${tenant.id} signing secret: ${error.message}`);
+    }
+  });
+
+  return stats;
+}
+
+async function reencryptReportConfigs({ dryRun }) {
+  const stats = { checked: 0, updated: 0, failed: 0 };
+
+  await forEachPage('report_configs', 'id, sources', 'sources', async (config) => {
+    stats.checked++;
+    try {
+      const sources = { ...config.sources };
+      let changed = false;
+
+      for (const source of TOKEN_SOURCES) {
+        const tokens = sources[source] && encryptionService.reencryptTokens(sources[source].oauth_tokens);
+        if (tokens) {
+          sources[source] = { ...sources[source], oauth_tokens: tokens };
+          changed = true;
+        }
+      }
+
+      if (!changed) return;
+
+      if (!dryRun) {
+        const { error } = await supabase.from('report_configs').update({ sources }).eq('id', config.id);
+        if (error) throw error;
+      }
+      stats.updated++;
+    } catch (error) {
+      stats.failed++;
+      console.error(`❌ Report config ${config.id}: ${error.message}`);
+    }
+  });
+
+  return stats;
+}
+
+async function run({ dryRun = false } = {}) {
+  console.log(`🔐 Re-encrypting secrets with key ${encryptionService.getActiveKeyId()}${dryRun ? ' (dry run)' : ''}`);
+
+  const tenants = await reencryptTenants({ dryRun });
+  console.log(`📧 SMTP configs: ${tenants.updated} of ${tenants.checked} re-encrypted, ${tenants.failed} failed`);
+
+  const reportConfigs = await reencryptReportConfigs({ dryRun });
+  console.log(`🔑 OAuth tokens: ${reportConfigs.updated} of ${reportConfigs.checked} report configs re-encrypted, ${reportConfigs.failed} failed`);
+
+  const signingSecrets = await reencryptSigningSecrets({ dryRun });
+  console.log(`🔏 Signing secrets: ${signingSecrets.updated} of ${signingSecrets.checked} tenants re-encrypted, ${signingSecrets.failed} failed`);
+
+  return { tenants, signingSecrets, reportConfigs };
+}
+
+if (require.main === module) {
+  run({ dryRun: process.argv.includes('--dry-run') })
+    .then(({ tenants, signingSecrets, reportConfigs }) => {
+      process.exit(tenants.failed + signingSecrets.failed + reportConfigs.failed > 0 ? 1 : 0);
+    })
+    .catch((error) => {
+      console.error('❌ Re-encryption failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { run, reencryptTenants, reencryptSigningSecrets, reencryptReportConfigs };
@@ -2,7 +2,8 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
+const { createTenantRateLimit, createIpRateLimit } = require('./middleware/rate-limit');
+const { captureRawBody } = require('./middleware/request-signing');
 require('dotenv').config();
 
 const app = express();
@@ -24,24 +25,21 @@ app.use(cors({
   origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-tenant-id', 'x-api-key']
+  allowedHeaders: [
+    'Content-Type', 'Authorization', 'x-tenant-id', 'x-api-key',
+    'x-reportflow-signature', 'x-reportflow-timestamp', 'x-reportflow-nonce'
+  ]
 }));
 
-// Rate limiting
-const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.',
-  standardHeaders: true,
-  legacyHeaders: false
-});
-
-// Apply rate limiting to API routes
-app.use('/api/', apiLimiter);
+// Rate limiting: public auth routes by IP; authenticated routes per tenant or
+// API key, with the quota from the tenant's plan (tenantRateLimit, below)
+const ipRateLimit = createIpRateLimit();
+const tenantRateLimit = createTenantRateLimit();
 
 // Body parsing
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// captureRawBody keeps the exact bytes for signed requests (middleware/request-signing)
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: captureRawBody }));
 
 // ===== ROUTE IMPORTS =====
 const authRoutes = require('./routes/auth');
@@ -54,33 +52,77 @@ const oauthMetaRoutes = require('./routes/oauth-meta');
 const unifiedReporterRoutes = require('./routes/unified-reporter');
 const paymentRoutes = require('./routes/payment');
 const templateRoutes = require('./routes/templates');
+const templatePartialRoutes = require('./routes/template-partials');
+const brandKitRoutes = require('./routes/brand-kit');
+const jobRoutes = require('./routes/jobs');
+const reportConfigRoutes = require('./routes/report-configs');
+const clientRoutes = require('./routes/clients');
+const apiKeyRoutes = require('./routes/api-keys');
+const teamRoutes = require('./routes/team');
+const auditRoutes = require('./routes/audit');
+const tenantRoutes = require('./routes/tenant');
+const adminTenantRoutes = require('./routes/admin-tenants');
 
 // ===== AUTHENTICATION MIDDLEWARE =====
 const authMiddleware = require('./middleware/auth');
+const { mountDevRoutes } = require('./lib/dev-mode');
 
 // ===== ROUTE REGISTRATION =====
 
 // Public routes (no auth required)
-app.use('/api/auth', authRoutes);
+app.use('/api/auth', ipRateLimit, authRoutes);
 app.use('/api/health', require('./routes/health')); // Separate health route
 
+// Platform operator routes (x-admin-key)
+app.use('/api/admin/tenants', authMiddleware.requirePlatformAdmin, adminTenantRoutes);
+
+// Platform cron triggers acting on every tenant (scheduler run, job worker).
+// Verified with PLATFORM_SIGNING_SECRET only, never with tenant credentials or secrets.
+app.use('/api/scheduler', schedulerRoutes.platformRouter);
+app.use('/api/jobs', jobRoutes.platformRouter);
+
 // Payment webhook (needs raw body)
 app.use('/api/payment/webhook', 
   express.raw({ type: 'application/json' }), 
   paymentRoutes
 );
 
+// Diagnostic test/debug routes: only with ENABLE_DEV_ROUTES=true, never in production
+const activeDevRoutes = mountDevRoutes(app, [
+  ['/api/scheduler', schedulerRoutes],
+  ['/api/reporter', reporterRoutes],
+  ['/api/oauth/ga', oauthGaRoutes],
+  ['/api/ai-insights', aiInsightsRoutes],
+  ['/api/oauth/meta', oauthMetaRoutes],
+  ['/api/unified-reporter', unifiedReporterRoutes],
+  ['/api/payment', paymentRoutes]
+]);
+
 // Protected routes (auth required)
 // Protected routes (auth required) - UPDATED (CORRECT)
-app.use('/api/scheduler', authMiddleware.validateTenant, schedulerRoutes);
-app.use('/api/reporter', authMiddleware.validateTenant, reporterRoutes);
-app.use('/api/email', authMiddleware.validateTenant, emailRoutes);
-app.use('/api/oauth/ga', authMiddleware.validateTenant, oauthGaRoutes);
-app.use('/api/ai-insights', authMiddleware.validateTenant, aiInsightsRoutes);
-app.use('/api/oauth/meta', authMiddleware.validateTenant, oauthMetaRoutes);
-app.use('/api/unified-reporter', authMiddleware.validateTenant, unifiedReporterRoutes);
-app.use('/api/payment', authMiddleware.validateTenant, paymentRoutes);
-app.use('/api/templates', authMiddleware.validateTenant, templateRoutes);
+// requireScope limits what named API keys and team members (by role) can
+// reach; the tenant owner and the legacy tenant API key have full access.
+// validateTenant also enforces the tenant's status; billing and account
+// routes use validateTenantLimited so suspended tenants can pay or leave.
+const { validateTenant, validateTenantLimited, requireScope } = authMiddleware;
+app.use('/api/scheduler', validateTenant, tenantRateLimit, requireScope('scheduler'), schedulerRoutes);
+app.use('/api/reporter', validateTenant, tenantRateLimit, requireScope('reports'), reporterRoutes);
+app.use('/api/email', validateTenant, tenantRateLimit, requireScope('email'), emailRoutes);
+app.use('/api/oauth/ga', validateTenant, tenantRateLimit, requireScope('integrations'), oauthGaRoutes);
+app.use('/api/ai-insights', validateTenant, tenantRateLimit, requireScope('reports'), aiInsightsRoutes);
+app.use('/api/oauth/meta', validateTenant, tenantRateLimit, requireScope('integrations'), oauthMetaRoutes);
+app.use('/api/unified-reporter', validateTenant, tenantRateLimit, requireScope('reports'), unifiedReporterRoutes);
+app.use('/api/payment', validateTenantLimited, tenantRateLimit, requireScope('billing'), paymentRoutes);
+app.use('/api/templates/partials', validateTenant, tenantRateLimit, requireScope('templates'), templatePartialRoutes);
+app.use('/api/templates/brand-kit', validateTenant, tenantRateLimit, requireScope('templates'), brandKitRoutes);
+app.use('/api/templates', validateTenant, tenantRateLimit, requireScope('templates'), templateRoutes);
+app.use('/api/jobs', validateTenant, tenantRateLimit, requireScope('reports'), jobRoutes);
+app.use('/api/report-configs', validateTenant, tenantRateLimit, requireScope('reports'), reportConfigRoutes);
+app.use('/api/clients', validateTenant, tenantRateLimit, requireScope('clients'), clientRoutes);
+app.use('/api/api-keys', validateTenant, tenantRateLimit, requireScope('keys'), apiKeyRoutes);
+app.use('/api/team', validateTenant, tenantRateLimit, requireScope('team'), teamRoutes);
+app.use('/api/audit-events', validateTenant, tenantRateLimit, requireScope('audit'), auditRoutes);
+app.use('/api/tenant', validateTenantLimited, tenantRateLimit, requireScope('account'), tenantRoutes);
 
 // ===== ERROR HANDLING MIDDLEWARE =====
 app.use((err, req, res, next) => {
@@ -127,10 +169,14 @@ supabase.from('tenants').select('count', { count: 'exact', head: true })
   .then(() => console.log('✅ Database connection verified'))
   .catch(err => console.error('❌ Database connection failed:', err.message));
   
+  // Serverless deployments drain the queue via POST /api/jobs/worker/run instead
+  require('./services/job-queue-service').startPolling();
+
   app.listen(PORT, () => {
     console.log(`🚀 ReportFlow Backend running on port ${PORT}`);
     console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`📍 Health check: http://localhost:${PORT}/api/health`);
+    console.log(`📍 Diagnostic routes: ${activeDevRoutes.length > 0 ? `${activeDevRoutes.length} active (ENABLE_DEV_ROUTES=true)` : 'disabled'}`);
     console.log(`📍 API Documentation: http://localhost:${PORT}/api/docs`);
   });
 }
@@ -0,0 +1,257 @@
+// services/account-service.js - Login lockout, password reset and email verification for team members
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const supabase = require('../lib/supabase');
+const emailService = require('./email-service');
+const tokenService = require('./token-service');
+const teamService = require('./team-service');
+const auditService = require('./audit-service');
+
+// From LOCKOUT_THRESHOLD failures on, each further failure doubles the lock
+const LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_BASE_SECONDS = 60;
+const LOCKOUT_MAX_SECONDS = 24 * 60 * 60;
+
+const RESET_TTL_SECONDS = 60 * 60;
+const VERIFICATION_TTL_SECONDS = 3 * 24 * 60 * 60;
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Reset links embed a fingerprint of the current password hash, so a link
+// stops working as soon as the password changes (i.e. it can be used once)
+const passwordFingerprint = (passwordHash) =>
+  crypto.createHash('sha256').update(passwordHash || '').digest('hex').slice(0, 16);
+
+class AccountService {
+  lockRemainingSeconds(user, now = new Date()) {
+    if (!user.locked_until) return 0;
+    return Math.max(0, Math.ceil((new Date(user.locked_until) - now) / 1000));
+  }
+
+  async recordFailedLogin(user, { ip = null, userAgent = null } = {}) {
+    const { data, error } = await supabase.rpc('record_failed_login', {
+      p_user_id: user.id,
+      p_threshold: LOCKOUT_THRESHOLD,
+      p_base_seconds: LOCKOUT_BASE_SECONDS,
+      p_max_seconds: LOCKOUT_MAX_SECONDS
+    });
+
+    if (error) {
+      console.error(`❌ Failed to record failed login for ${user.id}:`, error.message);
+      return null;
+    }
+
+    const counters = Array.isArray(data) ? data[0] : data;
+    const context = { tenantId: user.tenant_id, userId: user.id, ip, userAgent };
+
+    await auditService.record('auth.login_failed', {
+      ...context,
+      metadata: { email: user.email, failed_login_count: counters.failed_login_count }
+    });
+
+    if (counters.failed_login_count >= LOCKOUT_THRESHOLD) {
+      console.warn(`🔒 Locked ${user.email} (tenant ${user.tenant_id}) until ${counters.locked_until}`);
+      await auditService.record('auth.account_locked', {
+        ...context,
+        metadata: { email: user.email, failed_login_count: counters.failed_login_count, locked_until: counters.locked_until }
+      });
+    }
+
+    return counters;
+  }
+
+  async recordSuccessfulLogin(user, { ip = null, userAgent = null } = {}) {
+    await supabase
+      .from('tenant_users')
+      .update({ failed_login_count: 0, locked_until: null, last_login_at: new Date().toISOString() })
+      .eq('id', user.id);
+
+    await auditService.record('auth.login_succeeded', {
+      tenantId: user.tenant_id,
+      userId: user.id,
+      ip,
+      userAgent,
+      metadata: { email: user.email }
+    });
+  }
+
+  async loadTenant(tenantId) {
+    const { data: tenant } = await supabase
+      .from('tenants')
+      .select('id, name, company_name, email_provider, smtp_config, smtp_verified')
+      .eq('id', tenantId)
+      .single();
+
+    return tenant || null;
+  }
+
+  getAppUrl(path, token) {
+    const appUrl = process.env.APP_URL || 'http://localhost:3000';
+    return `${appUrl}${path}?token=${encodeURIComponent(token)}`;
+  }
+
+  // Emails a reset link to every matching membership. Callers must respond the
+  // same way whether or not anything was sent, so emails can't be enumerated.
+  async requestPasswordReset(email, { tenantId = null, ip = null, userAgent = null } = {}) {
+    const users = (await teamService.findLoginCandidates(email))
+      .filter(user => !tenantId || user.tenant_id === tenantId);
+
+    for (const user of users) {
+      try {
+        await this.sendPasswordReset(user, { ip, userAgent });
+      } catch (error) {
+        console.error(`❌ Failed to send password reset to ${user.id}:`, error.message);
+      }
+    }
+
+    return users.length;
+  }
+
+  async sendPasswordReset(user, { ip = null, userAgent = null } = {}) {
+    const tenant = await this.loadTenant(user.tenant_id);
+    if (!tenant) throw new Error(`Tenant ${user.tenant_id} not found`);
+
+    const token = tokenService.signPurposeToken('password_reset', {
+      user_id: user.id,
+      tenant_id: user.tenant_id,
+      pwd: passwordFingerprint(user.password_hash)
+    }, RESET_TTL_SECONDS);
+    const resetUrl = this.getAppUrl('/reset-password', token);
+
+    await emailService.sendSystemEmail(tenant, {
+      to: user.email,
+      subject: 'Reset your ReportFlow password',
+      html: `
+      <p>Hello,</p>
+      <p>We received a request to reset the password for your ${tenant.company_name || tenant.name} account on ReportFlow.</p>
+      <p><a href="${resetUrl}">Choose a new password</a></p>
+      <p>This link expires in ${RESET_TTL_SECONDS / 60} minutes and can be used once. If you didn't ask for it, you can ignore this email.</p>
+    `
+    });
+
+    await auditService.record('auth.password_reset_requested', {
+      tenantId: user.tenant_id,
+      userId: user.id,
+      ip,
+      userAgent,
+      metadata: { email: user.email }
+    });
+
+    console.log(`🔑 Sent password reset link to user ${user.id}`);
+  }
+
+  // Sets the new password, clears any lockout and signs out every session
+  async resetPassword(token, password, { ip = null, userAgent = null } = {}) {
+    const payload = tokenService.verifyPurposeToken(token, 'password_reset');
+
+    const { data: user } = await supabase
+      .from('tenant_users')
+      .select('id, tenant_id, email, password_hash, status')
+      .eq('id', payload.user_id)
+      .eq('tenant_id', payload.tenant_id)
+      .single();
+
+    if (!user || user.status !== 'active' || passwordFingerprint(user.password_hash) !== payload.pwd) {
+      throw httpError('This link is invalid or has already been used', 400);
+    }
+
+    const { error } = await supabase
+      .from('tenant_users')
+      .update({
+        password_hash: await bcrypt.hash(password, 10),
+        password_changed_at: new Date().toISOString(),
+        failed_login_count: 0,
+        locked_until: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', user.id);
+
+    if (error) throw new Error(`Failed to reset password: ${error.message}`);
+
+    await tokenService.revokeAllForUser(user.tenant_id, user.id, 'password_reset');
+
+    await auditService.record('auth.password_reset_completed', {
+      tenantId: user.tenant_id,
+      userId: user.id,
+      ip,
+      userAgent,
+      metadata: { email: user.email }
+    });
+
+    console.log(`✅ Password reset for user ${user.id}`);
+    return user;
+  }
+
+  async sendVerificationEmail(user, { ip = null, userAgent = null } = {}) {
+    const tenant = await this.loadTenant(user.tenant_id);
+    if (!tenant) throw new Error(`Tenant ${user.tenant_id} not found`);
+
+    const token = tokenService.signPurposeToken('email_verification', {
+      user_id: user.id,
+      tenant_id: user.tenant_id,
+      email: user.email
+    }, VERIFICATION_TTL_SECONDS);
+    const verifyUrl = this.getAppUrl('/verify-email', token);
+
+    await emailService.sendSystemEmail(tenant, {
+      to: user.email,
+      subject: 'Verify your email for ReportFlow',
+      html: `
+      <p>Hello,</p>
+      <p>Please confirm that ${user.email} is your email address for ${tenant.company_name || tenant.name} on ReportFlow.</p>
+      <p><a href="${verifyUrl}">Verify my email</a></p>
+      <p>This link expires in ${VERIFICATION_TTL_SECONDS / (24 * 60 * 60)} days.</p>
+    `
+    });
+
+    await auditService.record('auth.email_verification_sent', {
+      tenantId: user.tenant_id,
+      userId: user.id,
+      ip,
+      userAgent,
+      metadata: { email: user.email }
+    });
+  }
+
+  // The token names the email it was sent to, so it's void if the address changed
+  async verifyEmail(token, { ip = null, userAgent = null } = {}) {
+    const payload = tokenService.verifyPurposeToken(token, 'email_verification');
+
+    const { data: user } = await supabase
+      .from('tenant_users')
+      .select('id, tenant_id, email, status, email_verified_at')
+      .eq('id', payload.user_id)
+      .eq('tenant_id', payload.tenant_id)
+      .single();
+
+    if (!user || user.status !== 'active' || user.email !== payload.email) {
+      throw httpError('This link is invalid', 400);
+    }
+
+    if (user.email_verified_at) return user;
+
+    const verifiedAt = new Date().toISOString();
+    const { error } = await supabase
+      .from('tenant_users')
+      .update({ email_verified_at: verifiedAt, updated_at: verifiedAt })
+      .eq('id', user.id);
+
+    if (error) throw new Error(`Failed to verify email: ${error.message}`);
+
+    await auditService.record('auth.email_verified', {
+      tenantId: user.tenant_id,
+      userId: user.id,
+      ip,
+      userAgent,
+      metadata: { email: user.email }
+    });
+
+    return { ...user, email_verified_at: verifiedAt };
+  }
+}
+
+module.exports = new AccountService();
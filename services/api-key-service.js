@@ -0,0 +1,222 @@
+// services/api-key-service.js - Named, scoped tenant API keys with rotation and revocation
+const crypto = require('crypto');
+const supabase = require('../lib/supabase');
+const encryptionService = require('./encryption-service');
+
+// <resource>:read / <resource>:write; write implies read on the same resource
+const SCOPE_RESOURCES = ['reports', 'templates', 'clients', 'scheduler', 'email', 'integrations', 'billing', 'keys', 'team', 'audit', 'account'];
+const SCOPES = SCOPE_RESOURCES.flatMap(resource => [`${resource}:read`, `${resource}:write`]);
+const FULL_ACCESS = '*';
+
+const KEY_PREFIX = 'rf_';
+const SIGNING_SECRET_PREFIX = 'rfsig_';
+const MAX_OVERLAP_HOURS = 24 * 7;
+const KEY_COLUMNS = 'id, name, key_prefix, scopes, created_at, last_used_at, expires_at, revoked_at, rotated_from';
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hashKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+/**
+ * True if the granted scopes allow `required` ('reports:read', ...).
+ * '*' grants everything and resource:write also grants resource:read.
+ */
+function hasScope(granted = [], required) {
+  if (granted.includes(FULL_ACCESS) || granted.includes(required)) return true;
+
+  const [resource, access] = required.split(':');
+  return access === 'read' && granted.includes(`${resource}:write`);
+}
+
+class ApiKeyService {
+  generateSecret() {
+    return `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  // Returns the stored key plus its secret; the secret is never retrievable again
+  async createKey(tenantId, { name, scopes, expiresAt = null, rotatedFrom = null }) {
+    const secret = this.generateSecret();
+
+    const { data: key, error } = await supabase
+      .from('tenant_api_keys')
+      .insert({
+        tenant_id: tenantId,
+        name,
+        key_prefix: secret.slice(0, KEY_PREFIX.length + 6),
+        key_hash: hashKey(secret),
+        scopes,
+        expires_at: expiresAt,
+        rotated_from: rotatedFrom
+      })
+      .select(KEY_COLUMNS)
+      .single();
+
+    if (error) throw new Error(`Failed to create API key: ${error.message}`);
+
+    console.log(`🔑 Created API key ${key.id} (${name}) for tenant: ${tenantId}`);
+    return { key, secret };
+  }
+
+  async listKeys(tenantId, { includeRevoked = false } = {}) {
+    let query = supabase
+      .from('tenant_api_keys')
+      .select(KEY_COLUMNS)
+      .eq('tenant_id', tenantId)
+      .order('created_at', { ascending: false });
+
+    if (!includeRevoked) query = query.is('revoked_at', null);
+
+    const { data: keys, error } = await query;
+    if (error) throw error;
+
+    return keys || [];
+  }
+
+  async getKey(tenantId, keyId) {
+    const { data: key, error } = await supabase
+      .from('tenant_api_keys')
+      .select(KEY_COLUMNS)
+      .eq('id', keyId)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (error || !key) throw httpError('API key not found', 404);
+    return key;
+  }
+
+  // Issues a replacement with the same name and scopes (and no expiry). The old
+  // key keeps working for overlapHours so integrations can switch over without downtime.
+  async rotateKey(tenantId, keyId, overlapHours = 24) {
+    const existing = await this.getKey(tenantId, keyId);
+    if (existing.revoked_at || this.isExpired(existing)) {
+      throw httpError('Revoked or expired keys cannot be rotated', 400);
+    }
+
+    const hours = Math.min(Math.max(Number(overlapHours) || 0, 0), MAX_OVERLAP_HOURS);
+    const overlapEnd = new Date(Date.now() + hours * 60 * 60 * 1000);
+    const oldExpiry = existing.expires_at && new Date(existing.expires_at) < overlapEnd
+      ? existing.expires_at
+      : overlapEnd.toISOString();
+
+    const rotated = await this.createKey(tenantId, {
+      name: existing.name,
+      scopes: existing.scopes,
+      rotatedFrom: existing.id
+    });
+
+    const { error } = await supabase
+      .from('tenant_api_keys')
+      .update({ expires_at: oldExpiry })
+      .eq('id', keyId)
+      .eq('tenant_id', tenantId);
+
+    if (error) throw new Error(`Failed to schedule expiry of rotated key: ${error.message}`);
+
+    console.log(`🔄 Rotated API key ${keyId} -> ${rotated.key.id}, old key valid until ${oldExpiry}`);
+    return { ...rotated, previous_key_expires_at: oldExpiry };
+  }
+
+  async revokeKey(tenantId, keyId) {
+    await this.getKey(tenantId, keyId);
+
+    const { data: key, error } = await supabase
+      .from('tenant_api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', keyId)
+      .eq('tenant_id', tenantId)
+      .select(KEY_COLUMNS)
+      .single();
+
+    if (error) throw new Error(`Failed to revoke API key: ${error.message}`);
+
+    console.log(`🚫 Revoked API key ${keyId} for tenant: ${tenantId}`);
+    return key;
+  }
+
+  isExpired(key, now = new Date()) {
+    return !!key.expires_at && new Date(key.expires_at) <= now;
+  }
+
+  // Resolves a presented key for the tenant. Returns null when it isn't one of
+  // the tenant's named keys, so the caller can try the legacy tenants.api_key_hash.
+  async authenticate(tenantId, apiKey) {
+    const { data: key } = await supabase
+      .from('tenant_api_keys')
+      .select('id, name, scopes, expires_at, revoked_at')
+      .eq('key_hash', hashKey(apiKey))
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (!key) return null;
+    if (key.revoked_at) return { valid: false, reason: 'API key has been revoked' };
+    if (this.isExpired(key)) return { valid: false, reason: 'API key has expired' };
+
+    // Best-effort; a failed timestamp update must not fail the request
+    supabase
+      .from('tenant_api_keys')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', key.id)
+      .then(({ error }) => {
+        if (error) console.error(`❌ Failed to update last_used_at for API key ${key.id}:`, error.message);
+      });
+
+    return { valid: true, key };
+  }
+
+  // Secrets that verify the tenant's signed requests (see middleware/request-signing):
+  // the current one plus, during a rotation overlap, the previous one. Empty when
+  // the tenant uses the shared WEBHOOK_SECRET.
+  getSigningSecrets(tenant, now = new Date()) {
+    if (!tenant || !tenant.signing_secret) return [];
+
+    const secrets = [encryptionService.decrypt(tenant.signing_secret)];
+    if (tenant.signing_secret_previous && new Date(tenant.signing_secret_previous_expires_at) > now) {
+      secrets.push(encryptionService.decrypt(tenant.signing_secret_previous));
+    }
+    return secrets;
+  }
+
+  // Sets a new per-tenant signing secret and returns it; it is never retrievable
+  // again. The previous secret keeps working for overlapHours.
+  async rotateSigningSecret(tenant, overlapHours = 24) {
+    const secret = `${SIGNING_SECRET_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const hours = Math.min(Math.max(Number(overlapHours) || 0, 0), MAX_OVERLAP_HOURS);
+    const previousExpiresAt = tenant.signing_secret
+      ? new Date(Date.now() + hours * 60 * 60 * 1000).toISOString()
+      : null;
+
+    const { error } = await supabase
+      .from('tenants')
+      .update({
+        signing_secret: encryptionService.encrypt(secret),
+        signing_secret_previous: tenant.signing_secret || null,
+        signing_secret_previous_expires_at: previousExpiresAt
+      })
+      .eq('id', tenant.id);
+
+    if (error) throw new Error(`Failed to rotate signing secret: ${error.message}`);
+
+    console.log(`🔏 Rotated signing secret for tenant: ${tenant.id}`);
+    return { secret, previous_secret_expires_at: previousExpiresAt };
+  }
+
+  // Back to the shared WEBHOOK_SECRET
+  async removeSigningSecret(tenantId) {
+    const { error } = await supabase
+      .from('tenants')
+      .update({ signing_secret: null, signing_secret_previous: null, signing_secret_previous_expires_at: null })
+      .eq('id', tenantId);
+
+    if (error) throw new Error(`Failed to remove signing secret: ${error.message}`);
+  }
+}
+
+module.exports = new ApiKeyService();
+module.exports.SCOPES = SCOPES;
+module.exports.FULL_ACCESS = FULL_ACCESS;
+module.exports.hasScope = hasScope;
+module.exports.hashKey = hashKey;
@@ -0,0 +1,178 @@
+// services/audit-service.js - Append-only audit log of security-relevant and sensitive actions
+const supabase = require('../lib/supabase');
+const encryptionService = require('./encryption-service');
+
+const REDACTED = '[REDACTED]';
+// Keys whose values never reach the audit log, at any depth
+const SECRET_KEY_PATTERN = /pass(word)?|secret|token|api_?key|authorization|credential|smtp_config|key_hash/i;
+
+const EVENT_COLUMNS = 'id, tenant_id, user_id, action, actor_type, actor_id, actor_label, resource_type, resource_id, changes, metadata, ip_address, user_agent, created_at';
+const CSV_COLUMNS = ['created_at', 'action', 'actor_type', 'actor_id', 'actor_label', 'resource_type', 'resource_id', 'ip_address', 'user_agent', 'changes', 'metadata'];
+const MAX_EXPORT_ROWS = 10000;
+
+/**
+ * Deep copy of `value` with secret-looking keys and encrypted strings replaced.
+ */
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [
+      key,
+      SECRET_KEY_PATTERN.test(key) && nested != null ? REDACTED : redact(nested)
+    ]));
+  }
+
+  return encryptionService.isEncrypted(value) ? REDACTED : value;
+}
+
+/**
+ * Redacted { before, after } holding only the top-level keys that changed,
+ * or null when nothing did. Either side may be null (create / delete).
+ */
+function diff(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = { before: {}, after: {} };
+
+  for (const key of keys) {
+    const previous = before ? before[key] : undefined;
+    const next = after ? after[key] : undefined;
+    if (JSON.stringify(previous) === JSON.stringify(next)) continue;
+
+    if (before) changes.before[key] = previous === undefined ? null : previous;
+    if (after) changes.after[key] = next === undefined ? null : next;
+  }
+
+  if (Object.keys(changes.before).length === 0 && Object.keys(changes.after).length === 0) return null;
+  return redact({ before: before ? changes.before : null, after: after ? changes.after : null });
+}
+
+// Quotes where needed and defuses cells a spreadsheet would run as a formula
+const csvCell = (value) => {
+  if (value == null) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class AuditService {
+  // Who made the request: a team member, a named API key, the tenant's own
+  // login (no user) or the legacy tenant API key
+  actorFromRequest(req) {
+    if (req.user && req.user.user_id) {
+      return { type: 'user', id: req.user.user_id, label: req.user.email || null };
+    }
+    if (req.apiKey) {
+      return { type: 'api_key', id: req.apiKey.id, label: req.apiKey.name };
+    }
+    if (req.authMethod === 'api_key') {
+      return { type: 'api_key', id: null, label: 'legacy tenant API key' };
+    }
+    if (req.authMethod === 'jwt') {
+      return { type: 'tenant', id: req.tenantId, label: req.tenant ? req.tenant.email : null };
+    }
+    return { type: 'system', id: null, label: null };
+  }
+
+  // Best-effort: a failed audit write is logged but never fails the request
+  async record(action, {
+    tenantId = null,
+    userId = null,
+    actor = null,
+    ip = null,
+    userAgent = null,
+    resourceType = null,
+    resourceId = null,
+    before = undefined,
+    after = undefined,
+    metadata = {}
+  } = {}) {
+    const resolvedActor = actor || (userId ? { type: 'user', id: userId, label: null } : { type: 'system', id: null, label: null });
+    const changes = before === undefined && after === undefined ? null : diff(before, after);
+
+    const { error } = await supabase
+      .from('audit_events')
+      .insert({
+        tenant_id: tenantId,
+        user_id: userId || (resolvedActor.type === 'user' ? resolvedActor.id : null),
+        action,
+        actor_type: resolvedActor.type,
+        actor_id: resolvedActor.id,
+        actor_label: resolvedActor.label,
+        resource_type: resourceType,
+        resource_id: resourceId == null ? null : String(resourceId),
+        changes,
+        ip_address: ip,
+        user_agent: userAgent,
+        metadata: redact(metadata)
+      });
+
+    if (error) {
+      console.error(`❌ Failed to record audit event ${action}:`, error.message);
+    }
+  }
+
+  // Actor, IP and user agent of a request, for record() calls made by services
+  contextFromRequest(req) {
+    return {
+      actor: this.actorFromRequest(req),
+      ip: req.ip || null,
+      userAgent: (req.headers && req.headers['user-agent']) || null
+    };
+  }
+
+  // record() with tenant, actor, IP and user agent taken from an authenticated request
+  async recordRequest(req, action, details = {}) {
+    return this.record(action, {
+      tenantId: req.tenantId,
+      ...this.contextFromRequest(req),
+      ...details
+    });
+  }
+
+  applyFilters(query, { action, actorType, actorId, resourceType, resourceId, from, to }) {
+    if (action) {
+      // "template.*" matches every template action
+      query = action.endsWith('.*') ? query.like('action', `${action.slice(0, -1)}%`) : query.eq('action', action);
+    }
+    if (actorType) query = query.eq('actor_type', actorType);
+    if (actorId) query = query.eq('actor_id', actorId);
+    if (resourceType) query = query.eq('resource_type', resourceType);
+    if (resourceId) query = query.eq('resource_id', resourceId);
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+    return query;
+  }
+
+  async listEvents(tenantId, filters = {}, { limit = 50, offset = 0 } = {}) {
+    const query = this.applyFilters(
+      supabase
+        .from('audit_events')
+        .select(EVENT_COLUMNS, { count: 'exact' })
+        .eq('tenant_id', tenantId),
+      filters
+    )
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    const { data: events, error, count } = await query;
+    if (error) throw error;
+
+    return { events: events || [], total: count || 0 };
+  }
+
+  async exportCsv(tenantId, filters = {}) {
+    const { events, total } = await this.listEvents(tenantId, filters, { limit: MAX_EXPORT_ROWS, offset: 0 });
+
+    const lines = [
+      CSV_COLUMNS.join(','),
+      ...events.map(event => CSV_COLUMNS.map(column => csvCell(event[column])).join(','))
+    ];
+
+    return { csv: `${lines.join('\r\n')}\r\n`, truncated: total > events.length };
+  }
+}
+
+module.exports = new AuditService();
+module.exports.redact = redact;
+module.exports.diff = diff;
@@ -0,0 +1,296 @@
+// services/branding-service.js - Tenant partials, layouts and brand kit
+const handlebars = require('handlebars');
+const supabase = require('../lib/supabase');
+const { sanitizeHTML, isAllowedAssetUrl } = require('../lib/template-sanitizer');
+const { PARTIAL_NAME, RESERVED_PARTIAL_NAMES, getSystemPartials } = require('../lib/template-layouts');
+
+const PARTIAL_KINDS = ['partial', 'layout'];
+const MAX_PARTIAL_LENGTH = 200000;
+
+const BRAND_COLOR_FIELDS = ['primary_color', 'secondary_color', 'accent_color', 'text_color', 'background_color'];
+const BRAND_FONT_FIELDS = ['heading_font', 'body_font'];
+const BRAND_KIT_FIELDS = ['company_name', 'logo_url', ...BRAND_COLOR_FIELDS, ...BRAND_FONT_FIELDS, 'contact', 'show_cover_page'];
+const CONTACT_FIELDS = ['name', 'email', 'phone', 'website', 'address'];
+
+// Colors and fonts end up in a style sheet, so only plain values get through
+const COLOR_VALUE = /^(#[0-9a-f]{3,8}|(rgb|rgba|hsl|hsla)\([\d\s.,%/]+\))$/i;
+const FONT_VALUE = /^[\w\s,'"-]{1,200}$/;
+const LOGO_URL = /^(https:\/\/\S+|data:image\/(png|jpeg|gif|webp|svg\+xml);base64,[a-z0-9+/=]+)$/i;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const WEBSITE = /^https?:\/\/\S+$/i;
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Brand kit columns exposed to templates as `brand`
+const pickBrandKit = (kit) => {
+  const brand = {};
+  BRAND_KIT_FIELDS.forEach(field => {
+    if (kit && kit[field] !== undefined && kit[field] !== null) brand[field] = kit[field];
+  });
+  return brand;
+};
+
+// Tenants override system partials by name; deleting the override restores the default
+class BrandingService {
+  validatePartialName(name) {
+    if (!PARTIAL_NAME.test(name || '')) {
+      throw httpError('Partial names use lowercase letters, digits, "-" and "_", starting with a letter', 400);
+    }
+    if (RESERVED_PARTIAL_NAMES.includes(name)) {
+      throw httpError(`"${name}" is filled by each template and cannot be saved as a partial`, 400);
+    }
+  }
+
+  async listPartials(tenantId) {
+    const { data: overrides, error } = await supabase
+      .from('tenant_template_partials')
+      .select('name, kind, description, updated_at')
+      .eq('tenant_id', tenantId);
+
+    if (error) throw error;
+
+    const system = getSystemPartials();
+    const partials = Object.entries(system).map(([name, partial]) => ({
+      name,
+      kind: partial.kind,
+      description: partial.description,
+      source: 'system',
+      overridden: false,
+      updated_at: null
+    }));
+
+    (overrides || []).forEach(override => {
+      const existing = partials.find(partial => partial.name === override.name);
+      if (existing) {
+        Object.assign(existing, { ...override, source: 'tenant', overridden: true });
+      } else {
+        partials.push({ ...override, source: 'tenant', overridden: false });
+      }
+    });
+
+    return partials.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // The tenant's version of a partial, or the system one
+  async getPartial(tenantId, name) {
+    const { data: override } = await supabase
+      .from('tenant_template_partials')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .eq('name', name)
+      .single();
+
+    const system = getSystemPartials()[name];
+    if (override) return { ...override, source: 'tenant', overridden: !!system };
+    if (system) return { name, ...system, source: 'system', overridden: false };
+    throw httpError(`Partial "${name}" not found`, 404);
+  }
+
+  /**
+   * Checks a partial the way it would be saved: sanitized, parsed by
+   * Handlebars (syntax errors are 400s) and, for layouts, placing the content.
+   * @returns {{ content: string, warnings: object[] }}
+   */
+  preparePartial(content, { kind = 'partial', field = 'content' } = {}) {
+    if (typeof content !== 'string' || !content.trim()) throw httpError('content is required', 400);
+    if (content.length > MAX_PARTIAL_LENGTH) throw httpError(`content must be at most ${MAX_PARTIAL_LENGTH} characters`, 400);
+
+    const { html, warnings } = sanitizeHTML(content, { field });
+
+    try {
+      handlebars.parse(html);
+    } catch (error) {
+      throw httpError(`Invalid Handlebars in ${field}: ${error.message.split('\n')[0]}`, 400);
+    }
+
+    if (kind === 'layout' && !/\{\{~?>\s*(content|@partial-block)\b/.test(html)) {
+      warnings.push({
+        field,
+        code: 'missing_content',
+        message: 'Layout never renders {{> content}}, so templates using it show no content'
+      });
+    }
+
+    return { content: html, warnings };
+  }
+
+  async savePartial(tenantId, name, { content, kind = 'partial', description = null }) {
+    this.validatePartialName(name);
+    if (!PARTIAL_KINDS.includes(kind)) throw httpError(`kind must be one of: ${PARTIAL_KINDS.join(', ')}`, 400);
+
+    const prepared = this.preparePartial(content, { kind });
+
+    const { data: partial, error } = await supabase
+      .from('tenant_template_partials')
+      .upsert({
+        tenant_id: tenantId,
+        name,
+        kind,
+        description,
+        content: prepared.content,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'tenant_id,name' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return {
+      partial: { ...partial, source: 'tenant', overridden: !!getSystemPartials()[name] },
+      warnings: prepared.warnings
+    };
+  }
+
+  async deletePartial(tenantId, name) {
+    const { data: deleted, error } = await supabase
+      .from('tenant_template_partials')
+      .delete()
+      .eq('tenant_id', tenantId)
+      .eq('name', name)
+      .select('id, name, kind');
+
+    if (error) throw error;
+    if (!deleted || deleted.length === 0) throw httpError(`Partial "${name}" not found`, 404);
+
+    return { partial: deleted[0], restored_system_default: !!getSystemPartials()[name] };
+  }
+
+  async getBrandKit(tenantId) {
+    const { data: kit } = await supabase
+      .from('tenant_brand_kits')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .single();
+
+    return kit || null;
+  }
+
+  /**
+   * Validates brand kit fields (any subset of BRAND_KIT_FIELDS).
+   * @returns {Array<{ path: string, msg: string }>} empty when valid
+   */
+  validateBrandKit(kit) {
+    const errors = [];
+    if (!kit || typeof kit !== 'object' || Array.isArray(kit)) {
+      return [{ path: 'brand_kit', msg: 'Brand kit must be an object' }];
+    }
+
+    const optionalString = (field, max) => {
+      if (kit[field] == null) return false;
+      if (typeof kit[field] !== 'string' || kit[field].length > max) {
+        errors.push({ path: field, msg: `${field} must be a string of at most ${max} characters` });
+        return false;
+      }
+      return kit[field] !== '';
+    };
+
+    optionalString('company_name', 255);
+    if (optionalString('logo_url', 500000) && !LOGO_URL.test(kit.logo_url)) {
+      errors.push({ path: 'logo_url', msg: 'logo_url must be an https URL or a base64 data:image URL' });
+    }
+    BRAND_COLOR_FIELDS.forEach(field => {
+      if (optionalString(field, 64) && !COLOR_VALUE.test(kit[field].trim())) {
+        errors.push({ path: field, msg: `${field} must be a hex, rgb() or hsl() color` });
+      }
+    });
+    BRAND_FONT_FIELDS.forEach(field => {
+      if (optionalString(field, 200) && !FONT_VALUE.test(kit[field])) {
+        errors.push({ path: field, msg: `${field} must be a font-family list` });
+      }
+    });
+    if (kit.show_cover_page != null && typeof kit.show_cover_page !== 'boolean') {
+      errors.push({ path: 'show_cover_page', msg: 'show_cover_page must be a boolean' });
+    }
+
+    if (kit.contact != null) {
+      if (typeof kit.contact !== 'object' || Array.isArray(kit.contact)) {
+        errors.push({ path: 'contact', msg: 'contact must be an object' });
+      } else {
+        Object.keys(kit.contact).forEach(key => {
+          const value = kit.contact[key];
+          if (!CONTACT_FIELDS.includes(key)) {
+            errors.push({ path: `contact.${key}`, msg: `contact fields are: ${CONTACT_FIELDS.join(', ')}` });
+          } else if (value != null && (typeof value !== 'string' || value.length > 300)) {
+            errors.push({ path: `contact.${key}`, msg: `contact.${key} must be a string of at most 300 characters` });
+          } else if (key === 'email' && value && !EMAIL.test(value)) {
+            errors.push({ path: 'contact.email', msg: 'contact.email must be an email address' });
+          } else if (key === 'website' && value && !WEBSITE.test(value)) {
+            errors.push({ path: 'contact.website', msg: 'contact.website must be an http(s) URL' });
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Saves the given brand kit fields, keeping the others. Remote logos outside
+   * the allowed asset hosts are saved but reported, since PDF rendering blocks them.
+   */
+  async saveBrandKit(tenantId, input) {
+    const errors = this.validateBrandKit(input);
+    if (errors.length) {
+      const error = httpError('Invalid brand kit', 400);
+      error.errors = errors;
+      throw error;
+    }
+
+    const before = await this.getBrandKit(tenantId);
+    const updates = {};
+    BRAND_KIT_FIELDS.forEach(field => {
+      if (input[field] === undefined) return;
+      updates[field] = typeof input[field] === 'string' ? input[field].trim() || null : input[field];
+    });
+
+    const { data: kit, error } = await supabase
+      .from('tenant_brand_kits')
+      .upsert({ tenant_id: tenantId, ...updates, updated_at: new Date().toISOString() }, { onConflict: 'tenant_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const warnings = [];
+    if (kit.logo_url && !isAllowedAssetUrl(kit.logo_url)) {
+      warnings.push({
+        field: 'logo_url',
+        code: 'external_resource',
+        message: 'Logo host is not an allowed asset host and will not load in PDFs; use Supabase storage or a data: URL'
+      });
+    }
+
+    return { before, brandKit: kit, warnings };
+  }
+
+  /**
+   * What reports of this tenant render with: its partials ({ name: content },
+   * over the system ones) and its brand kit. `overrides` lets previews try
+   * unsaved partials and brand kit fields.
+   */
+  async getRenderContext(tenantId, overrides = {}) {
+    const { data: rows, error } = await supabase
+      .from('tenant_template_partials')
+      .select('name, content')
+      .eq('tenant_id', tenantId);
+
+    if (error) throw error;
+
+    const partials = {};
+    (rows || []).forEach(row => {
+      partials[row.name] = row.content;
+    });
+    Object.assign(partials, overrides.partials || {});
+
+    const kit = await this.getBrandKit(tenantId);
+    const brand = { ...pickBrandKit(kit), ...pickBrandKit(overrides.brandKit) };
+
+    return { partials, brand };
+  }
+}
+
+module.exports = new BrandingService();
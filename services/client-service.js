@@ -0,0 +1,284 @@
+// services/client-service.js - Agency clients: plan limits, archiving, logos and client_count usage
+const supabase = require('../lib/supabase');
+
+const LOGO_BUCKET = 'client-logos';
+// Raster images only: the bucket is public, and an SVG opened from it runs its
+// scripts on the storage origin. The leading bytes must match the declared type.
+const LOGO_TYPES = {
+  'image/png': {
+    extension: 'png',
+    matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  'image/jpeg': {
+    extension: 'jpg',
+    matches: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff
+  },
+  'image/webp': {
+    extension: 'webp',
+    matches: (buffer) => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP'
+  }
+};
+const CLIENT_COLUMNS = 'id, tenant_id, client_name, contact_email, logo_path, archived_at, created_at, updated_at';
+
+// Raised by the clients_enforce_limit trigger
+const isClientLimitError = (error) => !!error && error.code === '23514' && /max_clients/.test(error.message || '');
+
+const httpError = (message, statusCode, details = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, details);
+  return error;
+};
+
+class ClientService {
+  async listClients(tenantId, { includeArchived = false, limit = 20, offset = 0 } = {}) {
+    let query = supabase
+      .from('clients')
+      .select(CLIENT_COLUMNS, { count: 'exact' })
+      .eq('tenant_id', tenantId)
+      .order('client_name', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (!includeArchived) query = query.is('archived_at', null);
+
+    const { data: clients, error, count } = await query;
+    if (error) throw error;
+
+    return { clients: clients || [], total: count || 0 };
+  }
+
+  async getClient(tenantId, clientId) {
+    const { data: client, error } = await supabase
+      .from('clients')
+      .select(CLIENT_COLUMNS)
+      .eq('id', clientId)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (error || !client) {
+      throw httpError('Client not found or access denied', 404);
+    }
+
+    return client;
+  }
+
+  async createClient(tenantId, { client_name, contact_email }) {
+    await this.assertCanAddClient(tenantId);
+
+    const { data: client, error } = await supabase
+      .from('clients')
+      .insert({ tenant_id: tenantId, client_name, contact_email })
+      .select(CLIENT_COLUMNS)
+      .single();
+
+    if (error && error.code === '23505') {
+      throw httpError('A client with this name already exists', 409);
+    }
+    if (isClientLimitError(error)) throw await this.clientLimitError(tenantId);
+    if (error) throw error;
+
+    await this.syncClientCount(tenantId);
+
+    console.log(`👥 Created client ${client.id} for tenant: ${tenantId}`);
+    return client;
+  }
+
+  async updateClient(tenantId, clientId, updates) {
+    await this.getClient(tenantId, clientId);
+
+    const { data: client, error } = await supabase
+      .from('clients')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', clientId)
+      .eq('tenant_id', tenantId)
+      .select(CLIENT_COLUMNS)
+      .single();
+
+    if (error && error.code === '23505') {
+      throw httpError('A client with this name already exists', 409);
+    }
+    if (error) throw error;
+
+    return client;
+  }
+
+  // Archived clients keep their report history but stop receiving reports
+  // and no longer count towards max_clients
+  async archiveClient(tenantId, clientId) {
+    const existing = await this.getClient(tenantId, clientId);
+    if (existing.archived_at) return { client: existing, deactivatedConfigs: 0 };
+
+    const { data: client, error } = await supabase
+      .from('clients')
+      .update({ archived_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq('id', clientId)
+      .eq('tenant_id', tenantId)
+      .select(CLIENT_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    const { data: configs, error: configError } = await supabase
+      .from('report_configs')
+      .update({ is_active: false })
+      .eq('client_id', clientId)
+      .eq('tenant_id', tenantId)
+      .eq('is_active', true)
+      .select('id');
+
+    if (configError) console.error(`❌ Failed to deactivate reports for client ${clientId}:`, configError.message);
+
+    await this.syncClientCount(tenantId);
+
+    console.log(`📦 Archived client ${clientId} for tenant: ${tenantId}`);
+    return { client, deactivatedConfigs: (configs || []).length };
+  }
+
+  // Report configs stay inactive after a restore; they are re-enabled individually
+  async restoreClient(tenantId, clientId) {
+    const existing = await this.getClient(tenantId, clientId);
+    if (!existing.archived_at) return existing;
+
+    await this.assertCanAddClient(tenantId);
+
+    const { data: client, error } = await supabase
+      .from('clients')
+      .update({ archived_at: null, updated_at: new Date().toISOString() })
+      .eq('id', clientId)
+      .eq('tenant_id', tenantId)
+      .select(CLIENT_COLUMNS)
+      .single();
+
+    if (isClientLimitError(error)) throw await this.clientLimitError(tenantId);
+    if (error) throw error;
+
+    await this.syncClientCount(tenantId);
+    return client;
+  }
+
+  async uploadLogo(tenantId, clientId, buffer, contentType) {
+    const logoType = LOGO_TYPES[contentType];
+    if (!logoType) {
+      throw httpError(`Logo must be one of: ${Object.keys(LOGO_TYPES).join(', ')}`, 415);
+    }
+    if (!buffer || buffer.length === 0) {
+      throw httpError('Logo file is empty', 400);
+    }
+    if (!logoType.matches(buffer)) {
+      throw httpError(`Logo file is not a valid ${contentType} image`, 415);
+    }
+
+    const existing = await this.getClient(tenantId, clientId);
+
+    // Versioned file name so cached PDFs and emails never show a stale logo
+    const fileName = `${tenantId}/${clientId}-${Date.now()}.${logoType.extension}`;
+    const { error: uploadError } = await supabase.storage
+      .from(LOGO_BUCKET)
+      .upload(fileName, buffer, { contentType, upsert: false });
+
+    if (uploadError) throw uploadError;
+
+    const { data: { publicUrl } } = supabase.storage
+      .from(LOGO_BUCKET)
+      .getPublicUrl(fileName);
+
+    const client = await this.updateClient(tenantId, clientId, { logo_path: publicUrl });
+    await this.removeLogoFile(existing.logo_path);
+
+    console.log(`🖼️ Uploaded logo for client ${clientId}`);
+    return client;
+  }
+
+  async removeLogoFile(logoUrl) {
+    const marker = `/${LOGO_BUCKET}/`;
+    if (!logoUrl || !logoUrl.includes(marker)) return;
+
+    const { error } = await supabase.storage
+      .from(LOGO_BUCKET)
+      .remove([logoUrl.split(marker)[1]]);
+
+    if (error) console.error('❌ Failed to remove previous client logo:', error.message);
+  }
+
+  async countActiveClients(tenantId) {
+    const { count, error } = await supabase
+      .from('clients')
+      .select('id', { count: 'exact', head: true })
+      .eq('tenant_id', tenantId)
+      .is('archived_at', null);
+
+    if (error) throw error;
+    return count || 0;
+  }
+
+  // Same fail-open rule as checkUsage: no active subscription, no enforcement
+  async getClientLimit(tenantId) {
+    const { data: subscription } = await supabase
+      .from('tenant_subscriptions')
+      .select('plans!inner ( max_clients )')
+      .eq('tenant_id', tenantId)
+      .eq('status', 'active')
+      .gte('current_period_end', new Date().toISOString())
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .single();
+
+    return subscription?.plans?.max_clients ?? null;
+  }
+
+  // Early, friendly check; the clients_enforce_limit trigger is what actually
+  // holds the limit when requests race
+  async assertCanAddClient(tenantId) {
+    const maxClients = await this.getClientLimit(tenantId);
+    if (maxClients === null) return;
+
+    const current = await this.countActiveClients(tenantId);
+    if (current >= maxClients) throw this.limitExceeded(current, maxClients);
+  }
+
+  // For inserts and restores the trigger rejected
+  async clientLimitError(tenantId) {
+    const [maxClients, current] = await Promise.all([
+      this.getClientLimit(tenantId),
+      this.countActiveClients(tenantId)
+    ]);
+    return this.limitExceeded(current, maxClients ?? current);
+  }
+
+  limitExceeded(current, maxClients) {
+    return httpError('Plan limit exceeded', 429, {
+      limitDetails: {
+        message: `You have reached your plan limit of ${maxClients} clients. Archive a client or upgrade your plan.`,
+        limit: 'clients',
+        current,
+        max: maxClients
+      }
+    });
+  }
+
+  // Writes the live count instead of incrementing, so archive/restore and
+  // manual database edits can't make client_count drift
+  async syncClientCount(tenantId) {
+    try {
+      const count = await this.countActiveClients(tenantId);
+      const currentMonth = new Date().toISOString().slice(0, 7) + '-01';
+
+      const { error } = await supabase
+        .from('tenant_usage')
+        .upsert({
+          tenant_id: tenantId,
+          month: currentMonth,
+          client_count: count,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'tenant_id,month' });
+
+      if (error) throw error;
+      return count;
+    } catch (error) {
+      console.error(`❌ Failed to sync client_count for tenant ${tenantId}:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new ClientService();
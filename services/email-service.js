@@ -17,6 +17,9 @@ class EmailService {
   }
   // ✅ REMOVED THE EXTRA CLOSING BRACE THAT WAS HERE
 
+  // reportData.cc / reportData.bcc are optional address lists and
+  // reportData.recipient_type says how client_email is listed on the report
+  // (default 'to'); every address gets its own email_delivery_logs row per attempt
   async sendReport(tenant, reportData, pdfBuffer, reportId) {
     // Check if Resend is available for non-SMTP delivery
     if (!this.resend && tenant.email_provider !== 'smtp') {
@@ -32,9 +35,18 @@ class EmailService {
         content: pdfBuffer,
         contentType: 'application/pdf'
       }] : [],
+      cc: reportData.cc || [],
+      bcc: reportData.bcc || [],
       agency_name: tenant.company_name
     };
 
+    const recipients = [
+      { email: emailData.to, type: reportData.recipient_type || 'to' },
+      ...emailData.cc.map(email => ({ email, type: 'cc' })),
+      ...emailData.bcc.map(email => ({ email, type: 'bcc' }))
+    ];
+    const log = (attemptData) => this.logEmailDelivery(tenant.id, reportId, { ...attemptData, recipients });
+
     let attemptNumber = 1;
     let finalResult;
 
@@ -50,7 +62,7 @@ class EmailService {
         finalResult.attempt_number = attemptNumber;
         
         // Log successful SMTP attempt
-        await this.logEmailDelivery(tenant.id, reportId, {
+        await log({
           attempt_number: attemptNumber,
           delivery_method: 'smtp',
           provider_used: 'agency_smtp',
@@ -62,7 +74,7 @@ class EmailService {
         console.log(`❌ SMTP attempt ${attemptNumber} failed:`, smtpError.message);
         
         // Log failed SMTP attempt
-        await this.logEmailDelivery(tenant.id, reportId, {
+        await log({
           attempt_number: attemptNumber,
           delivery_method: 'smtp',
           provider_used: 'agency_smtp',
@@ -83,7 +95,7 @@ class EmailService {
             finalResult.attempt_number = attemptNumber;
             
             // Log successful fallback
-            await this.logEmailDelivery(tenant.id, reportId, {
+            await log({
               attempt_number: attemptNumber,
               delivery_method: 'resend',
               provider_used: 'resend',
@@ -93,7 +105,7 @@ class EmailService {
 
           } catch (resendError) {
             // Log failed fallback
-            await this.logEmailDelivery(tenant.id, reportId, {
+            await log({
               attempt_number: attemptNumber,
               delivery_method: 'resend',
               provider_used: 'resend',
@@ -121,7 +133,7 @@ class EmailService {
         finalResult.attempt_number = 1;
         
         // Log Resend attempt
-        await this.logEmailDelivery(tenant.id, reportId, {
+        await log({
           attempt_number: 1,
           delivery_method: 'resend',
           provider_used: 'resend',
@@ -131,7 +143,7 @@ class EmailService {
         });
       } catch (resendError) {
         // Log failed Resend attempt
-        await this.logEmailDelivery(tenant.id, reportId, {
+        await log({
           attempt_number: 1,
           delivery_method: 'resend',
           provider_used: 'resend',
@@ -177,6 +189,8 @@ class EmailService {
       const mailOptions = {
         from: `"${tenant.company_name}" <${fromEmail}>`,
         to: emailData.to,
+        cc: emailData.cc.length > 0 ? emailData.cc : undefined,
+        bcc: emailData.bcc.length > 0 ? emailData.bcc : undefined,
         subject: emailData.subject,
         html: emailData.html,
         attachments: emailData.attachments,
@@ -238,6 +252,8 @@ class EmailService {
       const { data, error } = await this.resend.emails.send({
         from: fromEmail,
         to: emailData.to,
+        ...(emailData.cc.length > 0 && { cc: emailData.cc }),
+        ...(emailData.bcc.length > 0 && { bcc: emailData.bcc }),
         subject: emailData.subject,
         html: emailData.html,
         attachments: resendAttachments
@@ -261,6 +277,66 @@ class EmailService {
     }
   }
 
+  // Sends each message on its own (any cc/bcc ride along on the message they're
+  // attached to). A failed recipient doesn't stop the others; delivery only
+  // fails if no message went out, so retries never re-send to recipients who
+  // already got the report.
+  async sendReportToRecipients(tenant, messages, pdfBuffer, reportId) {
+    if (messages.length === 0) {
+      throw new Error('Report has no recipients');
+    }
+
+    const deliveries = [];
+    let primaryResult = null;
+    let firstError = null;
+
+    for (const message of messages) {
+      const addresses = [
+        { email: message.client_email, type: message.recipient_type || 'to' },
+        ...(message.cc || []).map(email => ({ email, type: 'cc' })),
+        ...(message.bcc || []).map(email => ({ email, type: 'bcc' }))
+      ];
+
+      try {
+        const result = await this.sendReport(tenant, message, pdfBuffer, reportId);
+        primaryResult = primaryResult || result;
+        deliveries.push(...addresses.map(address => ({ ...address, success: true, message_id: result.messageId })));
+      } catch (error) {
+        console.error(`❌ Delivery to ${message.client_email} failed:`, error.message);
+        firstError = firstError || error;
+        deliveries.push(...addresses.map(address => ({ ...address, success: false, error: error.message })));
+      }
+    }
+
+    if (!primaryResult) throw firstError;
+
+    const failed = deliveries.filter(delivery => !delivery.success).length;
+    if (failed > 0) {
+      console.warn(`⚠️ Report ${reportId} reached ${deliveries.length - failed}/${deliveries.length} recipients`);
+    }
+
+    return {
+      ...primaryResult,
+      recipients: deliveries,
+      failed_recipients: failed
+    };
+  }
+
+  // Account emails (invitations etc.): the tenant's verified SMTP if set up,
+  // otherwise Resend. Not written to email_delivery_logs.
+  async sendSystemEmail(tenant, { to, subject, html }) {
+    const emailData = { to, subject, html, attachments: [], cc: [], bcc: [] };
+
+    if (tenant.email_provider === 'smtp' && tenant.smtp_config && tenant.smtp_verified) {
+      return this.sendViaSMTP(tenant, emailData);
+    }
+
+    if (!this.resend) {
+      throw new Error('No email provider available: configure SMTP or set RESEND_API_KEY');
+    }
+    return this.sendViaResend(tenant, emailData);
+  }
+
   async testSMTP(config) {
     try {
       console.log(`🧪 Testing SMTP configuration for: ${config.host}`);
@@ -310,18 +386,23 @@ class EmailService {
     try {
       console.log(`📝 Logging email delivery for tenant: ${tenantId}, report: ${reportId}`);
       
+      const row = {
+        tenant_id: tenantId,
+        report_id: reportId,
+        attempt_number: attemptData.attempt_number || 1,
+        delivery_method: attemptData.delivery_method,
+        provider_used: attemptData.provider_used,
+        success: attemptData.success,
+        error_message: attemptData.error_message,
+        message_id: attemptData.message_id
+      };
+      const recipients = attemptData.recipients || [];
+
       const { error } = await supabase
         .from('email_delivery_logs')
-        .insert({
-          tenant_id: tenantId,
-          report_id: reportId,
-          attempt_number: attemptData.attempt_number || 1,
-          delivery_method: attemptData.delivery_method,
-          provider_used: attemptData.provider_used,
-          success: attemptData.success,
-          error_message: attemptData.error_message,
-          message_id: attemptData.message_id
-        });
+        .insert(recipients.length > 0
+          ? recipients.map(recipient => ({ ...row, recipient_email: recipient.email, recipient_type: recipient.type }))
+          : row);
 
       if (error) {
         console.error('❌ Failed to log email delivery:', error);
@@ -1,6 +1,22 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 
+// Encrypted values are strings: enc:<keyId>:<iv>:<authTag>:<ciphertext> (base64url parts).
+// Keys come from ENCRYPTION_KEYS="v1:<base64 32 bytes>,v2:<base64 32 bytes>";
+// ENCRYPTION_ACTIVE_KEY_ID picks the key for new values (default: the last one).
+// Older keys stay listed until `npm run secrets:reencrypt` has moved rows off them.
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+// Secret fields inside stored OAuth token objects; the rest (expiry, scope) stays readable
+const SECRET_TOKEN_FIELDS = ['access_token', 'refresh_token'];
+
 class EncryptionService {
+  constructor() {
+    this.keys = null;
+  }
+
   async encryptSensitiveData(data) {
     const saltRounds = 12;
     return await bcrypt.hash(data, saltRounds);
@@ -10,19 +26,154 @@ class EncryptionService {
     return await bcrypt.compare(data, encrypted);
   }
 
-  // Simple encryption for SMTP config (for demo - use proper encryption in production)
+  // Parsed lazily so a missing key only fails code paths that need encryption
+  getKeys() {
+    if (this.keys) return this.keys;
+
+    if (!process.env.ENCRYPTION_KEYS) {
+      throw new Error('ENCRYPTION_KEYS environment variable is not configured');
+    }
+
+    const keys = new Map();
+    for (const entry of process.env.ENCRYPTION_KEYS.split(',').map(part => part.trim()).filter(Boolean)) {
+      const [id, encoded] = entry.split(':');
+      const key = Buffer.from(encoded || '', 'base64');
+      if (!id || key.length !== 32) {
+        throw new Error(`Invalid ENCRYPTION_KEYS entry "${id}": expected <id>:<base64 of 32 bytes>`);
+      }
+      keys.set(id, key);
+    }
+
+    const activeKeyId = process.env.ENCRYPTION_ACTIVE_KEY_ID || [...keys.keys()].pop();
+    if (!keys.has(activeKeyId)) {
+      throw new Error(`ENCRYPTION_ACTIVE_KEY_ID "${activeKeyId}" is not in ENCRYPTION_KEYS`);
+    }
+
+    this.keys = { keys, activeKeyId };
+    return this.keys;
+  }
+
+  getActiveKeyId() {
+    return this.getKeys().activeKeyId;
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${PREFIX}:`) && value.split(':').length === 5;
+  }
+
+  getKeyId(value) {
+    return this.isEncrypted(value) ? value.split(':')[1] : null;
+  }
+
+  encrypt(plaintext) {
+    const { keys, activeKeyId } = this.getKeys();
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, keys.get(activeKeyId), iv);
+
+    // The key id is authenticated too, so it can't be swapped to another key
+    cipher.setAAD(Buffer.from(`${PREFIX}:${activeKeyId}`));
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return [
+      PREFIX,
+      activeKeyId,
+      iv.toString('base64url'),
+      cipher.getAuthTag().toString('base64url'),
+      ciphertext.toString('base64url')
+    ].join(':');
+  }
+
+  decrypt(value) {
+    if (!this.isEncrypted(value)) {
+      throw new Error('Value is not encrypted');
+    }
+
+    const [, keyId, iv, authTag, ciphertext] = value.split(':');
+    const key = this.getKeys().keys.get(keyId);
+    if (!key) {
+      throw new Error(`Unknown encryption key id: ${keyId}`);
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+      decipher.setAAD(Buffer.from(`${PREFIX}:${keyId}`));
+      decipher.setAuthTag(Buffer.from(authTag, 'base64url'));
+      return Buffer.concat([
+        decipher.update(Buffer.from(ciphertext, 'base64url')),
+        decipher.final()
+      ]).toString('utf8');
+    } catch (error) {
+      throw new Error('Failed to decrypt value: data was tampered with or the key is wrong');
+    }
+  }
+
+  // True for plaintext/legacy values and values under a retired key
+  needsReEncryption(value) {
+    return !this.isEncrypted(value) || this.getKeyId(value) !== this.getActiveKeyId();
+  }
+
   encryptSMTPConfig(config) {
-    // In production, use proper encryption like crypto
-    return Buffer.from(JSON.stringify(config)).toString('base64');
+    return this.encrypt(JSON.stringify(config));
   }
 
   decryptSMTPConfig(encryptedConfig) {
     try {
+      if (this.isEncrypted(encryptedConfig)) {
+        return JSON.parse(this.decrypt(encryptedConfig));
+      }
+      // Rows written before AES-GCM were base64-encoded JSON
       return JSON.parse(Buffer.from(encryptedConfig, 'base64').toString());
     } catch (error) {
       throw new Error('Failed to decrypt SMTP config');
     }
   }
+
+  // Encrypts the secret fields of an OAuth token object. Already-encrypted
+  // fields are left alone, so this is safe to call on merged token objects.
+  encryptTokens(tokens) {
+    if (!tokens) return tokens;
+
+    const encrypted = { ...tokens };
+    for (const field of SECRET_TOKEN_FIELDS) {
+      if (encrypted[field] && !this.isEncrypted(encrypted[field])) {
+        encrypted[field] = this.encrypt(encrypted[field]);
+      }
+    }
+    return encrypted;
+  }
+
+  // Plaintext fields (stored before encryption) are returned as they are
+  decryptTokens(tokens) {
+    if (!tokens) return tokens;
+
+    const decrypted = { ...tokens };
+    for (const field of SECRET_TOKEN_FIELDS) {
+      if (this.isEncrypted(decrypted[field])) {
+        decrypted[field] = this.decrypt(decrypted[field]);
+      }
+    }
+    return decrypted;
+  }
+
+  // Re-encrypts token fields under the active key. Returns null when nothing changed.
+  reencryptTokens(tokens) {
+    if (!tokens) return null;
+
+    const stale = SECRET_TOKEN_FIELDS.filter(field => tokens[field] && this.needsReEncryption(tokens[field]));
+    if (stale.length === 0) return null;
+
+    const decrypted = this.decryptTokens(tokens);
+    const reencrypted = { ...tokens };
+    for (const field of stale) {
+      reencrypted[field] = this.encrypt(decrypted[field]);
+    }
+    return reencrypted;
+  }
+
+  reencryptSMTPConfig(encryptedConfig) {
+    if (!encryptedConfig || !this.needsReEncryption(encryptedConfig)) return null;
+    return this.encryptSMTPConfig(this.decryptSMTPConfig(encryptedConfig));
+  }
 }
 
-module.exports = new EncryptionService();
\ No newline at end of file
+module.exports = new EncryptionService();
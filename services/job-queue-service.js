@@ -0,0 +1,308 @@
+// services/job-queue-service.js - Durable report job queue (lease-based claiming, retries, dead-lettering)
+const os = require('os');
+const crypto = require('crypto');
+const supabase = require('../lib/supabase');
+const reporterService = require('./reporter-service');
+const unifiedReporterService = require('./unified-reporter-service');
+const { incrementUsage } = require('../middleware/usage-limits');
+
+const JOB_TYPES = ['report', 'unified_report'];
+
+class JobQueueService {
+  constructor() {
+    this.workerId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    this.leaseSeconds = Number(process.env.JOB_LEASE_SECONDS) || 300;
+    this.defaultMaxAttempts = Number(process.env.JOB_MAX_ATTEMPTS) || 5;
+    this.backoffBaseMs = Number(process.env.JOB_BACKOFF_BASE_MS) || 60 * 1000;
+    this.backoffMaxMs = 60 * 60 * 1000;
+    this.pollTimer = null;
+    this.draining = false;
+
+    this.handlers = {
+      report: (job) => this.runReportJob(job),
+      unified_report: (job) => this.runUnifiedReportJob(job)
+    };
+  }
+
+  // options.idempotencyKey makes enqueueing safe to repeat: a second call with the
+  // same key returns the existing job, flagged with duplicate: true
+  async enqueue(tenantId, jobType, payload = {}, options = {}) {
+    if (!JOB_TYPES.includes(jobType)) {
+      throw new Error(`Unknown job type: ${jobType}`);
+    }
+
+    const { data: job, error } = await supabase
+      .from('report_jobs')
+      .insert({
+        tenant_id: tenantId,
+        report_config_id: payload.report_config_id || null,
+        job_type: jobType,
+        payload,
+        status: 'queued',
+        max_attempts: options.maxAttempts || this.defaultMaxAttempts,
+        run_at: (options.runAt || new Date()).toISOString(),
+        idempotency_key: options.idempotencyKey || null
+      })
+      .select()
+      .single();
+
+    if (error && error.code === '23505' && options.idempotencyKey) {
+      const { data: existing, error: fetchError } = await supabase
+        .from('report_jobs')
+        .select('*')
+        .eq('idempotency_key', options.idempotencyKey)
+        .single();
+
+      if (fetchError) throw new Error(`Failed to load existing job: ${fetchError.message}`);
+
+      console.log(`♊ Job for ${options.idempotencyKey} already exists: ${existing.id}`);
+      return { ...existing, duplicate: true };
+    }
+
+    if (error) throw new Error(`Failed to enqueue job: ${error.message}`);
+
+    console.log(`📥 Enqueued ${jobType} job ${job.id} for tenant: ${tenantId}`);
+    return job;
+  }
+
+  async claimJobs(limit = 1) {
+    const { data: jobs, error } = await supabase.rpc('claim_report_jobs', {
+      p_worker_id: this.workerId,
+      p_limit: limit,
+      p_lease_seconds: this.leaseSeconds
+    });
+
+    if (error) throw new Error(`Failed to claim jobs: ${error.message}`);
+    return jobs || [];
+  }
+
+  // Claims and processes jobs until the queue is empty or the time budget runs out.
+  // The budget keeps serverless invocations inside their function timeout.
+  async runWorker({ maxJobs = 10, maxDurationMs = 20000 } = {}) {
+    const startTime = Date.now();
+    const processed = [];
+
+    while (processed.length < maxJobs && Date.now() - startTime < maxDurationMs) {
+      const [job] = await this.claimJobs(1);
+      if (!job) break;
+
+      processed.push(await this.processJob(job));
+    }
+
+    if (processed.length > 0) {
+      console.log(`⚙️ Worker ${this.workerId} processed ${processed.length} jobs in ${Date.now() - startTime}ms`);
+    }
+
+    return { worker_id: this.workerId, processed };
+  }
+
+  async processJob(job) {
+    // A lease that expired mid-run can hand back a job that has used up its attempts
+    if (job.attempts > job.max_attempts) {
+      await this.deadLetter(job, job.last_error || 'Lease expired after final attempt');
+      return { job_id: job.id, status: 'dead' };
+    }
+
+    const handler = this.handlers[job.job_type];
+    if (!handler) {
+      await this.deadLetter(job, `No handler for job type: ${job.job_type}`);
+      return { job_id: job.id, status: 'dead' };
+    }
+
+    try {
+      console.log(`▶️ Running ${job.job_type} job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+      const result = await handler(job);
+      await this.completeJob(job, result);
+      return { job_id: job.id, status: 'succeeded' };
+    } catch (error) {
+      console.error(`❌ Job ${job.id} failed:`, error.message);
+      return { job_id: job.id, ...(await this.failJob(job, error)) };
+    }
+  }
+
+  // Usage is counted by ReporterService.updateDatabase when the report is delivered
+  async runReportJob(job) {
+    const { report_config_id, period } = job.payload;
+    const result = await reporterService.generateAndSendReport(report_config_id, job.tenant_id, {
+      period,
+      idempotencyKey: job.idempotency_key
+    });
+
+    // Another attempt holds the delivery claim; retry after the backoff, by
+    // which time it has either finished or its claim has expired
+    if (result.inProgress) {
+      throw new Error(result.message);
+    }
+
+    return result;
+  }
+
+  async runUnifiedReportJob(job) {
+    const { report_config_id, options } = job.payload;
+    const report = await unifiedReporterService.generateUnifiedReport(
+      job.tenant_id,
+      report_config_id,
+      options || {}
+    );
+
+    // generateUnifiedReport reports failures in the result rather than throwing
+    if (!report.success) {
+      throw new Error(report.error || 'Unified report generation failed');
+    }
+
+    await incrementUsage(job.tenant_id, 'reports', 1);
+    await unifiedReporterService.storeUnifiedInsights(job.tenant_id, report_config_id, report);
+    return report;
+  }
+
+  async completeJob(job, result) {
+    const { error } = await supabase
+      .from('report_jobs')
+      .update({
+        status: 'succeeded',
+        result,
+        last_error: null,
+        locked_by: null,
+        locked_until: null,
+        completed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', job.id)
+      .eq('locked_by', this.workerId);
+
+    if (error) console.error(`❌ Failed to mark job ${job.id} succeeded:`, error);
+  }
+
+  async failJob(job, error) {
+    if (job.attempts >= job.max_attempts) {
+      await this.deadLetter(job, error.message);
+      return { status: 'dead', error: error.message };
+    }
+
+    const delayMs = this.getBackoffDelay(job.attempts);
+    const runAt = new Date(Date.now() + delayMs).toISOString();
+
+    const { error: updateError } = await supabase
+      .from('report_jobs')
+      .update({
+        status: 'queued',
+        run_at: runAt,
+        last_error: error.message,
+        locked_by: null,
+        locked_until: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', job.id)
+      .eq('locked_by', this.workerId);
+
+    if (updateError) console.error(`❌ Failed to reschedule job ${job.id}:`, updateError);
+
+    console.log(`🔁 Job ${job.id} will retry at ${runAt}`);
+    return { status: 'queued', retry_at: runAt, error: error.message };
+  }
+
+  async deadLetter(job, errorMessage) {
+    const { error } = await supabase
+      .from('report_jobs')
+      .update({
+        status: 'dead',
+        last_error: errorMessage,
+        locked_by: null,
+        locked_until: null,
+        completed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', job.id)
+      .eq('locked_by', this.workerId);
+
+    if (error) console.error(`❌ Failed to dead-letter job ${job.id}:`, error);
+
+    console.log(`💀 Job ${job.id} moved to dead-letter after ${job.attempts} attempts`);
+  }
+
+  // Exponential backoff: base, 2x base, 4x base ... capped at one hour, with up to 10% jitter
+  getBackoffDelay(attempts) {
+    const delay = Math.min(this.backoffBaseMs * 2 ** Math.max(attempts - 1, 0), this.backoffMaxMs);
+    return Math.round(delay + Math.random() * delay * 0.1);
+  }
+
+  async getJob(tenantId, jobId) {
+    const { data: job, error } = await supabase
+      .from('report_jobs')
+      .select('*')
+      .eq('id', jobId)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (error || !job) return null;
+    return job;
+  }
+
+  async listJobs(tenantId, { status, limit = 20, offset = 0 } = {}) {
+    let query = supabase
+      .from('report_jobs')
+      .select('id, job_type, report_config_id, status, attempts, max_attempts, run_at, last_error, created_at, completed_at', { count: 'exact' })
+      .eq('tenant_id', tenantId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) query = query.eq('status', status);
+
+    const { data: jobs, error, count } = await query;
+    if (error) throw error;
+
+    return { jobs: jobs || [], total: count || 0 };
+  }
+
+  // Moves a dead-lettered job back onto the queue with a fresh set of attempts
+  async requeueJob(tenantId, jobId) {
+    const { data: job, error } = await supabase
+      .from('report_jobs')
+      .update({
+        status: 'queued',
+        attempts: 0,
+        run_at: new Date().toISOString(),
+        last_error: null,
+        completed_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', jobId)
+      .eq('tenant_id', tenantId)
+      .eq('status', 'dead')
+      .select()
+      .single();
+
+    if (error || !job) return null;
+
+    console.log(`♻️ Requeued dead job ${jobId}`);
+    return job;
+  }
+
+  // Long-running servers poll the queue; serverless deployments call runWorker
+  // from the /api/jobs/worker/run endpoint instead.
+  startPolling(intervalMs = Number(process.env.JOB_WORKER_POLL_MS) || 5000) {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(async () => {
+      if (this.draining) return;
+      this.draining = true;
+      try {
+        await this.runWorker({ maxDurationMs: intervalMs * 10 });
+      } catch (error) {
+        console.error('❌ Job worker poll failed:', error.message);
+      } finally {
+        this.draining = false;
+      }
+    }, intervalMs);
+    this.pollTimer.unref();
+
+    console.log(`⚙️ Job worker ${this.workerId} polling every ${intervalMs}ms`);
+  }
+
+  stopPolling() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+}
+
+module.exports = new JobQueueService();
@@ -1,5 +1,6 @@
 const { google } = require('googleapis');
 const supabase = require('../lib/supabase');
+const encryptionService = require('./encryption-service');
 const crypto = require('crypto');
 
 class GAOAuthService {
@@ -306,14 +307,15 @@ class GAOAuthService {
       console.log('✅ Using discovered property ID:', propertyId);
     }
     
+    // access/refresh tokens are stored AES-GCM encrypted
     const gaConfig = {
-      oauth_tokens: {
+      oauth_tokens: encryptionService.encryptTokens({
         access_token: tokens.access_token,
         refresh_token: tokens.refresh_token,
         scope: tokens.scope,
         token_type: tokens.token_type,
         expiry_date: tokens.expiry_date
-      },
+      }),
       property_info: propertyInfo,
       connected_at: new Date().toISOString(),
       property_id: propertyId, // 🚨 This is the key line!
@@ -397,7 +399,7 @@ class GAOAuthService {
   });
 
   return {
-    tokens: gaConfig.oauth_tokens,
+    tokens: encryptionService.decryptTokens(gaConfig.oauth_tokens),
     propertyId: gaConfig.property_id, // 🚨 Make sure this is returned
     propertyInfo: gaConfig.property_info
   };
@@ -562,17 +564,32 @@ class GAOAuthService {
   }
 
   // UPDATE STORED TOKENS
+  // Google may omit refresh_token on refresh, so new values are merged over the stored ones
   async updateStoredTokens(tenantId, reportConfigId, newTokens) {
+    const { data: currentConfig, error: fetchError } = await supabase
+      .from('report_configs')
+      .select('sources')
+      .eq('id', reportConfigId)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (fetchError || !currentConfig?.sources?.google_analytics) {
+      throw new Error('Failed to update tokens: GA configuration not found');
+    }
+
+    const gaConfig = currentConfig.sources.google_analytics;
+    const mergedTokens = {
+      ...gaConfig.oauth_tokens,
+      ...Object.fromEntries(Object.entries(newTokens).filter(([, value]) => value != null))
+    };
+
     const { error } = await supabase
       .from('report_configs')
       .update({
-        sources: supabase.raw(`
-          jsonb_set(
-            COALESCE(sources, '{}'::jsonb),
-            '{google_analytics,oauth_tokens}',
-            $1::jsonb
-          )
-        `, [newTokens])
+        sources: {
+          ...currentConfig.sources,
+          google_analytics: { ...gaConfig, oauth_tokens: encryptionService.encryptTokens(mergedTokens) }
+        }
       })
       .eq('id', reportConfigId)
       .eq('tenant_id', tenantId);
@@ -1,5 +1,6 @@
 // services/oauth-meta-service.js - MANUAL TOKEN VERSION
 const supabase = require('../lib/supabase');
+const encryptionService = require('./encryption-service');
 
 class MetaOAuthService {
   constructor() {
@@ -19,15 +20,15 @@ class MetaOAuthService {
         throw new Error('Invalid access token or ad account ID. Please check your credentials.');
       }
 
-      // 2. Prepare the configuration object
+      // 2. Prepare the configuration object (the access token is stored AES-GCM encrypted)
       const metaConfig = {
-        oauth_tokens: {
+        oauth_tokens: encryptionService.encryptTokens({
           access_token: accessToken,
           token_type: 'manual_user_token',
           stored_at: new Date().toISOString(),
           // Calculate expiry ~60 days from now for tracking
           expires_at: new Date(Date.now() + 60 * 24 * 60 * 60 * 1000),
-        },
+        }),
         ad_account_id: adAccountId,
         connected_at: new Date().toISOString(),
         connection_type: 'manual_token'
@@ -130,7 +131,7 @@ class MetaOAuthService {
 
     const metaConfig = data.sources.meta_ads;
     return {
-      tokens: metaConfig.oauth_tokens,
+      tokens: encryptionService.decryptTokens(metaConfig.oauth_tokens),
       adAccountId: metaConfig.ad_account_id,
       connectionType: metaConfig.connection_type
     };
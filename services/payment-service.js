@@ -1,6 +1,8 @@
 // services/payment-service.js - ENHANCED VERSION
 const axios = require('axios');
 const axiosRetry = require('axios-retry').default;  // ← Access .default
+const supabase = require('../lib/supabase');
+const tenantService = require('./tenant-service');
 
 const DODO_BASE = (process.env.DODO_API_URL || 'https://test.dodopayments.com').replace(/\/+$/, '');
 const API_KEY = process.env.DODO_API_KEY;
@@ -676,6 +678,8 @@ class PaymentService {
           status: 'completed',
           processed_at: new Date().toISOString()
         });
+
+        await tenantService.reactivateAfterPayment(subscription.tenant_id);
       }
     } catch (err) {
       console.warn('⚠️ handlePaymentSuccess failed:', err.message);
@@ -708,6 +712,9 @@ class PaymentService {
             grace_period_until: gracePeriodUntil,
             payment_data: paymentData
           });
+
+          // Full access continues until grace_period_until (see tenant-service)
+          await tenantService.suspendForNonpayment(subscription.tenant_id);
         }
       }
     } catch (err) {
@@ -3,6 +3,35 @@ const puppeteer = require('puppeteer-core');
 const handlebars = require('handlebars');
 const fs = require('fs').promises;
 const path = require('path');
+const { BrowserPool } = require('../lib/browser-pool');
+const { registerChartHelpers } = require('../lib/charts');
+const { sanitizeTemplate, isAllowedAssetUrl } = require('../lib/template-sanitizer');
+const layouts = require('../lib/template-layouts');
+
+// Compatible with Netlify Functions, where warm instances keep the pool
+const launchChromium = async () => puppeteer.launch({
+    args: chromium.args,
+    defaultViewport: chromium.defaultViewport,
+    executablePath: await chromium.executablePath(),
+    headless: chromium.headless,
+    ignoreHTTPSErrors: true,
+});
+
+// Report pages run without JavaScript, and the only requests that leave the
+// page are for assets on allowed hosts (PDF_ALLOWED_ASSET_HOSTS, Supabase storage)
+const sandboxPage = async (page) => {
+    await page.setJavaScriptEnabled(false);
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+        if (request.isInterceptResolutionHandled()) return;
+        if (isAllowedAssetUrl(request.url())) {
+            request.continue();
+            return;
+        }
+        console.warn(`🚫 Blocked render request to ${request.url().slice(0, 200)}`);
+        request.abort('blockedbyclient');
+    });
+};
 
 // Register Handlebars helpers
 handlebars.registerHelper('formatNumber', function(number) {
@@ -34,20 +63,32 @@ handlebars.registerHelper('ifEquals', function(arg1, arg2, options) {
     return (arg1 === arg2) ? options.fn(this) : options.inverse(this);
 });
 
+// {{lineChart}}, {{barChart}}, {{pieChart}}, {{sparkline}}: inline SVG colored
+// by the template's --chart-color-* variables (see lib/charts.js)
+registerChartHelpers(handlebars);
+
 class PDFService {
     constructor() {
         this.templateCache = new Map();
+        // Sized with PDF_POOL_* env vars, see lib/browser-pool.js
+        this.browserPool = new BrowserPool({ launch: launchChromium, preparePage: sandboxPage });
     }
 
-    async generateProfessionalPDF(templateData) {
+    // renderContext = { partials, brand } of the tenant (branding-service getRenderContext)
+    async generateProfessionalPDF(templateData, renderContext = {}) {
         try {
             // Check if we have custom template content
             if (templateData.template_html) {
-                // Use custom template
+                // Use custom template, re-sanitized in case it predates save-time checks
+                const template = sanitizeTemplate({
+                    html_content: templateData.template_html,
+                    css_content: templateData.template_css
+                });
                 return await this.generatePDFFromHTML(
-                    templateData.template_html,
+                    template.html_content,
                     templateData,
-                    templateData.template_css
+                    template.css_content || null,
+                    renderContext
                 );
             } else {
                 // Use default template file
@@ -57,7 +98,9 @@ class PDFService {
                 );
                 return await this.generatePDFFromHTML(
                     defaultTemplate,
-                    templateData
+                    templateData,
+                    null,
+                    renderContext
                 );
             }
         } catch (error) {
@@ -85,65 +128,64 @@ class PDFService {
   }
 }
 
-    async generatePDFFromHTML(htmlContent, data, customCSS = null) {
-        let browser = null;
+    // Renders a template with its layout ({{!< base}}), partials and brand kit
+    renderTemplate(htmlContent, data, { partials = {}, brand = null } = {}) {
+        return layouts.renderTemplate(handlebars, htmlContent, data, { partials, brand });
+    }
+
+    async generatePDFFromHTML(htmlContent, data, customCSS = null, renderContext = {}) {
         try {
             // Compile HTML template with data
-            const template = handlebars.compile(htmlContent);
-            const finalHTML = template(data);
+            const finalHTML = this.renderTemplate(htmlContent, data, renderContext);
             
             // Combine with CSS
-            const fullHTML = this.wrapHTML(finalHTML, customCSS);
+            const fullHTML = this.wrapHTML(finalHTML, customCSS, layouts.brandStyles(renderContext.brand));
             
-            // Launch browser (compatible with Netlify Functions)
-            browser = await puppeteer.launch({
-            args: chromium.args,
-            defaultViewport: chromium.defaultViewport,
-            executablePath: await chromium.executablePath(), // Note: this is now a function call
-            headless: chromium.headless,
-            ignoreHTTPSErrors: true,
-        });
-
-            const page = await browser.newPage();
-            
-            // Set HTML content
-            await page.setContent(fullHTML, {
-                waitUntil: ['networkidle0', 'load', 'domcontentloaded']
-            });
+            // Render on a pooled page; the pool enforces the render timeout
+            return await this.browserPool.run(async (page) => {
+                await page.setContent(fullHTML, {
+                    waitUntil: ['networkidle0', 'load', 'domcontentloaded']
+                });
 
-            // Generate PDF
-            const pdfBuffer = await page.pdf({
-                format: 'A4',
-                printBackground: true,
-                margin: {
-                    top: '0.5in',
-                    right: '0.5in',
-                    bottom: '0.5in',
-                    left: '0.5in'
-                },
-                displayHeaderFooter: true,
-                headerTemplate: '<div style="font-size: 8px; color: #666; padding: 10px;">ReportFlow Analytics Report</div>',
-                footerTemplate: '<div style="font-size: 8px; color: #666; padding: 10px; width: 100%; text-align: center;">Page <span class="pageNumber"></span> of <span class="totalPages"></span> • Generated on ' + new Date().toLocaleDateString() + '</div>'
+                return page.pdf({
+                    format: 'A4',
+                    printBackground: true,
+                    margin: {
+                        top: '0.5in',
+                        right: '0.5in',
+                        bottom: '0.5in',
+                        left: '0.5in'
+                    },
+                    displayHeaderFooter: true,
+                    headerTemplate: '<div style="font-size: 8px; color: #666; padding: 10px;">ReportFlow Analytics Report</div>',
+                    footerTemplate: '<div style="font-size: 8px; color: #666; padding: 10px; width: 100%; text-align: center;">Page <span class="pageNumber"></span> of <span class="totalPages"></span> • Generated on ' + new Date().toLocaleDateString() + '</div>'
+                });
             });
 
-            await browser.close();
-            return pdfBuffer;
-
         } catch (error) {
-            if (browser) await browser.close();
             console.error('PDF generation error:', error);
             throw error;
         }
     }
 
-    wrapHTML(content, customCSS = null) {
+    getPoolMetrics() {
+        return this.browserPool.getMetrics();
+    }
+
+    // Closes the pooled browsers (shutdown, tests)
+    async shutdown() {
+        await this.browserPool.close();
+    }
+
+    // Brand styles come after the base styles and before the template's own CSS
+    wrapHTML(content, customCSS = null, brandCSS = null) {
         const baseCSS = `
-            body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+            body { font-family: var(--brand-body-font, 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif); line-height: 1.6; color: var(--brand-text, #333); margin: 0; padding: 0; }
             .container { max-width: 100%; padding: 20px; }
-            .header { background: linear-gradient(135deg, #2c5aa0 0%, #1e3a8a 100%); color: white; padding: 30px; border-radius: 8px; margin-bottom: 30px; }
-            .section { margin-bottom: 30px; padding: 20px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid #2c5aa0; }
+            .header { background: linear-gradient(135deg, var(--brand-primary, #2c5aa0) 0%, #1e3a8a 100%); color: white; padding: 30px; border-radius: 8px; margin-bottom: 30px; }
+            .section { margin-bottom: 30px; padding: 20px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid var(--brand-primary, #2c5aa0); }
             table { width: 100%; border-collapse: collapse; margin: 20px 0; }
-            th { background: #2c5aa0; color: white; padding: 12px; text-align: left; }
+            th { background: var(--brand-primary, #2c5aa0); color: white; padding: 12px; text-align: left; }
             td { padding: 10px 12px; border-bottom: 1px solid #ddd; }
             .metric-card { background: white; padding: 20px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); margin: 10px 0; }
             .positive { color: #10b981; }
@@ -152,6 +194,19 @@ class PDFService {
             @media print { .no-print { display: none; } }
         `;
 
+        const styles = [brandCSS, customCSS]
+            .filter(Boolean)
+            .map(css => `<style>${css}</style>`)
+            .join('\n    ');
+
+        // Layouts render a whole document; it keeps its own base styles
+        if (layouts.isFullDocument(content)) {
+            if (!styles) return content;
+            return /<\/head>/i.test(content)
+                ? content.replace(/<\/head>/i, () => `${styles}\n</head>`)
+                : content.replace(/<body\b/i, () => `<head>${styles}</head>\n<body`);
+        }
+
         return `
 <!DOCTYPE html>
 <html>
@@ -159,7 +214,7 @@ class PDFService {
     <meta charset="UTF-8">
     <title>Analytics Report</title>
     <style>${baseCSS}</style>
-    ${customCSS ? `<style>${customCSS}</style>` : ''}
+    ${styles}
 </head>
 <body>
     <div class="container">
@@ -194,6 +249,17 @@ class PDFService {
                 durationChange: { value: -3.1, positive: false },
                 bounceChange: { value: -5.2, positive: true }
             },
+            // Daily sessions for {{lineChart trafficTrend}} / {{sparkline trafficTrend}}
+            trafficTrend: [
+                { date: 'Mon', sessions: 2045 }, { date: 'Tue', sessions: 2310 }, { date: 'Wed', sessions: 2198 },
+                { date: 'Thu', sessions: 2402 }, { date: 'Fri', sessions: 2287 }, { date: 'Sat', sessions: 1876 },
+                { date: 'Sun', sessions: 1956 }
+            ],
+            deviceBreakdown: [
+                { device: 'Desktop', sessions: 8123 },
+                { device: 'Mobile', sessions: 6241 },
+                { device: 'Tablet', sessions: 1068 }
+            ],
             trafficSources: [
                 { source: 'Organic Search', sessions: 6543, percentage: 42.4, bounceRate: 38.2, pagesPerSession: 3.2 },
                 { source: 'Direct', sessions: 4321, percentage: 28.0, bounceRate: 45.1, pagesPerSession: 2.8 },
@@ -2,14 +2,59 @@ const supabase = require('../lib/supabase');
 const pdfService = require('./pdf-service');
 const emailService = require('./email-service');
 const unifiedReporterService = require('./unified-reporter-service');
+const templateVersionService = require('./template-version-service');
+const brandingService = require('./branding-service');
+const { getReportRecipients, personalizeReportUrl } = require('../lib/recipients');
+
+// Recipient names come from the API, so keep them from injecting markup into the email
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// How long a delivery claim holds before a retry may take it over; well past
+// the time a report takes to generate and send
+const DELIVERY_CLAIM_TTL_MS = (Number(process.env.REPORT_CLAIM_TTL_SECONDS) || 900) * 1000;
 
 class ReporterService {
-    async generateAndSendReport(reportConfigId, tenantId) {
+    // options.period = { start_date, end_date } (YYYY-MM-DD) reports on a specific
+    // period instead of the last 30 days, e.g. for scheduled runs and backfills.
+    // options.idempotencyKey makes delivery at-most-once for that key.
+    async generateAndSendReport(reportConfigId, tenantId, options = {}) {
         const startTime = Date.now();
         const MAX_DURATION = 55000; // 55 seconds for Netlify safety
+        let generatedReportId = null;
+        let templateVersion = null;
         
         try {
             console.log(`📊 Starting report generation for config: ${reportConfigId}`);
+
+            // 0. Claim the delivery so retries after a crash never email the client twice
+            if (options.idempotencyKey) {
+                const claim = await this.claimDelivery(reportConfigId, tenantId, options.idempotencyKey, options.period);
+                if (!claim.claimed && claim.existing.status === 'generating') {
+                    console.log(`⏳ Report ${options.idempotencyKey} is being delivered by another attempt`);
+                    return {
+                        success: false,
+                        inProgress: true,
+                        status: claim.existing.status,
+                        claimExpiresAt: claim.existing.claim_expires_at,
+                        message: 'Report for this period is still being delivered by another attempt'
+                    };
+                }
+                if (!claim.claimed) {
+                    console.log(`♊ Report ${options.idempotencyKey} already ${claim.existing.status}, not sending again`);
+                    return {
+                        success: true,
+                        duplicate: true,
+                        reportUrl: claim.existing.file_url,
+                        status: claim.existing.status,
+                        message: 'Report for this period was already delivered'
+                    };
+                }
+                generatedReportId = claim.id;
+            }
             
             // 1. Fetch report configuration and client details
             const reportConfig = await this.getReportConfig(reportConfigId, tenantId);
@@ -19,7 +64,8 @@ class ReporterService {
 
             // 2. Generate PDF report (NOW WITH TEMPLATE SUPPORT!)
             console.log('🔄 Generating PDF report...');
-            const { pdfBuffer, fileName } = await this.generatePDFReport(reportConfig);
+            const { pdfBuffer, fileName, template, unifiedReport } = await this.generatePDFReport(reportConfig, options.period);
+            templateVersion = template;
             
             // 3. Upload to Supabase Storage
             console.log('☁️ Uploading to storage...');
@@ -31,7 +77,16 @@ class ReporterService {
             
             // 5. Update database records WITH EMAIL RESULT
             console.log('💾 Updating database...');
-            await this.updateDatabase(reportConfigId, tenantId, fileUrl, 'delivered', null, emailResult);
+            await this.updateDatabase(reportConfigId, tenantId, fileUrl, 'delivered', null, emailResult, {
+                period: options.period,
+                generatedReportId,
+                template: templateVersion
+            });
+
+            // Only a delivered report's insights are kept
+            if (unifiedReport) {
+                await unifiedReporterService.storeUnifiedInsights(tenantId, reportConfigId, unifiedReport);
+            }
             
             // ✅ ADD: Check timeout during long operations
             if (Date.now() - startTime > MAX_DURATION) {
@@ -42,6 +97,7 @@ class ReporterService {
                 success: true,
                 reportUrl: fileUrl,
                 emailMessageId: emailResult.messageId,
+                recipients: emailResult.recipients,
                 clientName: reportConfig.clients.client_name,
                 processingTime: Date.now() - startTime,
                 message: 'Report generated and delivered successfully'
@@ -51,17 +107,24 @@ class ReporterService {
             console.error('❌ Reporter service error:', error);
             
             // Update database with error
-            await this.updateDatabase(reportConfigId, tenantId, null, 'failed', error.message);
+            await this.updateDatabase(reportConfigId, tenantId, null, 'failed', error.message, null, {
+                period: options.period,
+                generatedReportId,
+                template: templateVersion
+            });
             
             // Re-throw for route handler
             throw error;
         }
     }
 
-    async generatePDFReport(reportConfig) {
-        const periodStart = new Date();
-        periodStart.setDate(periodStart.getDate() - 30);
-        const periodEnd = new Date();
+    async generatePDFReport(reportConfig, period = null) {
+        const periodStart = period ? new Date(period.start_date) : new Date();
+        if (!period) periodStart.setDate(periodStart.getDate() - 30);
+        const periodEnd = period ? new Date(period.end_date) : new Date();
+        const dateRange = period
+            ? { startDate: period.start_date, endDate: period.end_date }
+            : { startDate: '30daysAgo', endDate: 'today' };
 
         console.log('🌐 Generating PDF with revolutionary AI features...');
 
@@ -73,7 +136,7 @@ class ReporterService {
             reportConfig.tenant_id,
             reportConfig.id,
             {
-                dateRange: { startDate: '30daysAgo', endDate: 'today' },
+                dateRange,
                 predictionPeriods: 3,
                 include_anomalies: aiEnabled,
                 include_benchmarks: aiEnabled,
@@ -139,20 +202,34 @@ class ReporterService {
             };
         }
 
+        // Tenant partials (header, footer, layouts...) and brand kit
+        const renderContext = await brandingService.getRenderContext(reportConfig.tenant_id);
+
         // ✅ CRITICAL: USE NEW PDF GENERATION METHOD WITH TEMPLATES
-        const pdfBuffer = await pdfService.generateProfessionalPDF(templateData);
+        const pdfBuffer = await pdfService.generateProfessionalPDF(templateData, renderContext);
 
         const fileName = `reports/${reportConfig.tenant_id}/${reportConfig.id}-${Date.now()}.pdf`;
 
-        return { pdfBuffer, fileName };
+        return {
+            pdfBuffer,
+            fileName,
+            unifiedReport,
+            template: {
+                id: template.id || null,
+                version_id: template.version_id || null,
+                version_number: template.version_number || null
+            }
+        };
     }
 
     // ✅ NEW METHOD: Get template for tenant
+    // Content comes from the version the template was activated with, so
+    // later edits don't reach reports until they are activated
     async getTemplateForTenant(tenantId, templateId = null) {
         try {
             let query = supabase
                 .from('tenant_templates')
-                .select('html_content, css_content, name')
+                .select('id, html_content, css_content, name, is_active, active_version_id, current_version_id')
                 .or(`tenant_id.eq.${tenantId},is_system_template.eq.true`)
                 .eq('is_active', true)
                 .order('is_system_template', { ascending: true }); // Prefer custom over system
@@ -175,7 +252,8 @@ class ReporterService {
                 };
             }
 
-            return template;
+            const content = await templateVersionService.getRenderableContent(template);
+            return { ...template, ...content };
         } catch (error) {
             console.error('Template fetch error:', error);
             throw new Error('Failed to load template');
@@ -237,19 +315,23 @@ class ReporterService {
 
             if (error) throw error;
 
-            const emailData = {
-                client_email: reportConfig.clients.contact_email,
+            // One personalized email per recipient. CC and BCC recipients get their
+            // own message too, so they don't depend on a "to" message going out
+            // (or existing) and BCC addresses are never exposed.
+            const messages = getReportRecipients(reportConfig).map(recipient => ({
+                client_email: recipient.email,
+                recipient_type: recipient.type,
                 subject: `Your ${reportConfig.tenants.company_name} Analytics Report is Ready`,
                 htmlContent: this.generateEmailTemplate(
-                    reportConfig.clients.client_name, 
-                    reportUrl, 
+                    escapeHtml(recipient.name || reportConfig.clients.client_name),
+                    personalizeReportUrl(reportUrl, reportConfig.id, recipient.email),
                     reportConfig.tenants.company_name
                 ),
                 report_id: reportConfig.id
-            };
+            }));
 
             // Pass the PDF buffer for email attachment
-            const emailResult = await emailService.sendReport(tenant, emailData, pdfBuffer, reportConfig.id);
+            const emailResult = await emailService.sendReportToRecipients(tenant, messages, pdfBuffer, reportConfig.id);
             
             return emailResult;
 
@@ -298,27 +380,87 @@ class ReporterService {
         `;
     }
 
-    async updateDatabase(reportConfigId, tenantId, fileUrl, status, errorMessage = null, deliveryResult = null) {
-        // Calculate delivery attempts
-        const deliveryAttempts = deliveryResult?.attempt_number || 1;
+    // Inserts a row per claimed idempotency key. A unique violation means another
+    // attempt got there first: a failed delivery, or one whose claim expired
+    // because its worker died mid-run, may be taken over; anything else is
+    // either delivered or still in progress.
+    async claimDelivery(reportConfigId, tenantId, idempotencyKey, period = null, now = new Date()) {
+        const claimExpiresAt = new Date(now.getTime() + DELIVERY_CLAIM_TTL_MS).toISOString();
 
-        // Record in generated_reports table with delivery info
-        const { data: reportData, error: reportError } = await supabase
+        const { data: claimed, error } = await supabase
             .from('generated_reports')
             .insert({
                 tenant_id: tenantId,
                 report_config_id: reportConfigId,
-                status: status,
-                file_url: fileUrl,
-                error_message: errorMessage,
-                delivery_method: deliveryResult?.delivery_method,
-                sent_via: deliveryResult?.provider,
-                delivery_error: deliveryResult?.fallback_reason,
-                delivery_attempts: deliveryAttempts
+                status: 'generating',
+                idempotency_key: idempotencyKey,
+                claim_expires_at: claimExpiresAt,
+                period_start: period?.start_date,
+                period_end: period?.end_date
             })
-            .select()
+            .select('id')
             .single();
 
+        if (!error) return { claimed: true, id: claimed.id };
+        if (error.code !== '23505') throw error;
+
+        const { data: retried } = await supabase
+            .from('generated_reports')
+            .update({ status: 'generating', error_message: null, claim_expires_at: claimExpiresAt })
+            .eq('idempotency_key', idempotencyKey)
+            .in('status', ['failed', 'generating'])
+            .or(`status.eq.failed,claim_expires_at.is.null,claim_expires_at.lt.${now.toISOString()}`)
+            .select('id')
+            .single();
+
+        if (retried) return { claimed: true, id: retried.id };
+
+        const { data: existing, error: fetchError } = await supabase
+            .from('generated_reports')
+            .select('id, status, file_url, claim_expires_at')
+            .eq('idempotency_key', idempotencyKey)
+            .single();
+
+        if (fetchError) throw fetchError;
+        return { claimed: false, existing };
+    }
+
+    async updateDatabase(reportConfigId, tenantId, fileUrl, status, errorMessage = null, deliveryResult = null, { period = null, generatedReportId = null, template = null } = {}) {
+        // Calculate delivery attempts
+        const deliveryAttempts = deliveryResult?.attempt_number || 1;
+
+        const reportRow = {
+            tenant_id: tenantId,
+            report_config_id: reportConfigId,
+            status: status,
+            file_url: fileUrl,
+            error_message: errorMessage,
+            delivery_method: deliveryResult?.delivery_method,
+            sent_via: deliveryResult?.provider,
+            delivery_error: deliveryResult?.fallback_reason,
+            delivery_attempts: deliveryAttempts,
+            period_start: period?.start_date,
+            period_end: period?.end_date,
+            template_id: template?.id,
+            template_version_id: template?.version_id,
+            template_version: template?.version_number
+        };
+
+        // Record in generated_reports table with delivery info, completing the
+        // claimed row for idempotent deliveries
+        const { data: reportData, error: reportError } = generatedReportId
+            ? await supabase
+                .from('generated_reports')
+                .update(reportRow)
+                .eq('id', generatedReportId)
+                .select()
+                .single()
+            : await supabase
+                .from('generated_reports')
+                .insert(reportRow)
+                .select()
+                .single();
+
         if (reportError) throw reportError;
 
         // Update usage metrics if successful
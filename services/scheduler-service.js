@@ -1,75 +1,156 @@
-// services/scheduler-service.js - SIMPLIFIED WORKING VERSION
+// services/scheduler-service.js - Master scheduler: finds due reports and delivers them
+const crypto = require('crypto');
 const supabase = require('../lib/supabase');
+const jobQueueService = require('./job-queue-service');
+const tenantService = require('./tenant-service');
+const {
+  getNextRun,
+  getPreviousRun,
+  getReportingPeriod,
+  getPresetPeriod,
+  getRunsBetween,
+  startOfLocalDay
+} = require('../lib/schedule');
+
+const SCHEDULE_COLUMNS = 'schedule, schedule_frequency, schedule_time, timezone, schedule_day_of_week, schedule_day_of_month, schedule_cron, date_range_preset';
+
+const BATCH_SIZE = 25;
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+const MAX_CATCH_UP_PERIODS = 12; // Per config per invocation; the rest are picked up on the next run
+const MAX_BACKFILL_PERIODS = 100;
+const CATCH_UP_POLICIES = ['skip', 'latest', 'all'];
+
+// Dashboard shape of a scheduler_run_outcome_statuses row: the job's fields
+// grouped under `job`
+const formatOutcome = ({ job_status, job_attempts, job_last_error, ...outcome }) => ({
+  ...outcome,
+  job: outcome.job_id && job_status
+    ? { id: outcome.job_id, status: job_status, attempts: job_attempts, last_error: job_last_error }
+    : null
+});
 
 class SchedulerService {
-  async executeScheduler() {
+  constructor() {
+    // 'skip' still delivers a run that is at most this late
+    this.catchUpGraceMs = (Number(process.env.SCHEDULER_CATCH_UP_GRACE_MINUTES) || 120) * 60 * 1000;
+  }
+
+  async executeScheduler({ maxDurationMs = 20000 } = {}) {
+    const invocationId = crypto.randomUUID();
+
     try {
-      console.log('🔍 Master Scheduler Test Started...');
-      
-      // STEP 1: Test basic database connection
-      const { data: tenants, error: tenantsError } = await supabase
-        .from('tenants')
-        .select('id, company_name')
-        .limit(5);
+      console.log('🔍 Master Scheduler Started...');
+      const startTime = Date.now();
+      const now = new Date();
+      await this.startRun(invocationId, now);
 
-      if (tenantsError) {
-        throw new Error(`Tenants query failed: ${tenantsError.message}`);
-      }
+      // STEP 1: Page through due report configs, queueing a job per period to deliver.
+      // Each pass handles one period per config, so a catch-up backlog can't crowd
+      // out other configs: every due config gets its next period before any gets
+      // another. Pages are keyed on (next_scheduled_run, id) rather than offsets,
+      // since handled configs move on in the schedule or stay due.
+      const results = [];
+      const seen = new Set();
+      const periodsByConfig = new Map();
+      const done = new Set(); // Claimed elsewhere, or at MAX_CATCH_UP_PERIODS for this invocation
+      let pass = new Set();
+      let dueAgain = 0;
+      let cursor = null;
 
-      // STEP 2: Get report configs (simple query first)
-      const { data: reports, error: reportsError } = await supabase
-        .from('report_configs')
-        .select('id, name, tenant_id, next_scheduled_run, is_active')
-        .lte('next_scheduled_run', new Date().toISOString())
-        .eq('is_active', true)
-        .limit(10);
+      while (Date.now() - startTime < maxDurationMs) {
+        let query = supabase
+          .from('report_configs')
+          .select(`id, name, tenant_id, next_scheduled_run, is_active, catch_up_policy, paused_until, skip_next_run, ${SCHEDULE_COLUMNS}`)
+          .lte('next_scheduled_run', now.toISOString())
+          .eq('is_active', true);
 
-      if (reportsError) {
-        throw new Error(`Reports query failed: ${reportsError.message}`);
-      }
+        if (cursor) {
+          const after = `"${new Date(cursor.next_scheduled_run).toISOString()}"`;
+          query = query.or(`next_scheduled_run.gt.${after},and(next_scheduled_run.eq.${after},id.gt.${cursor.id})`);
+        }
 
-      console.log(`📋 Found ${reports?.length || 0} due reports`);
-      
-      // STEP 3: For each report, check subscription status individually
-      const eligibleReports = [];
-      
-      if (reports && reports.length > 0) {
-        for (const report of reports) {
-          const isEligible = await this.checkReportEligibility(report);
-          if (isEligible) {
-            eligibleReports.push(report);
-          }
+        const { data: reports, error: reportsError } = await query
+          .order('next_scheduled_run', { ascending: true })
+          .order('id', { ascending: true })
+          .limit(BATCH_SIZE);
+
+        if (reportsError) {
+          throw new Error(`Reports query failed: ${reportsError.message}`);
         }
-      }
 
-      console.log(`🎯 ${eligibleReports.length} reports eligible for execution`);
+        if (!reports || reports.length === 0) {
+          // End of a pass: go round again for configs still working through a backlog
+          if (dueAgain === 0) break;
+          pass = new Set();
+          dueAgain = 0;
+          cursor = null;
+          continue;
+        }
+        cursor = reports[reports.length - 1];
 
-      // STEP 4: Update next scheduled runs
-      if (reports && reports.length > 0) {
         for (const report of reports) {
-          const nextRun = this.calculateNextRun(report);
-          await supabase
-            .from('report_configs')
-            .update({ next_scheduled_run: nextRun })
-            .eq('id', report.id);
+          // Configs handled earlier in this pass show up again further on once
+          // their schedule has advanced
+          if (pass.has(report.id) || done.has(report.id)) continue;
+          pass.add(report.id);
+          seen.add(report.id);
+
+          // Overlapping invocations race for the same rows; only the lease holder proceeds
+          if (!(await this.claimReportConfig(report, invocationId, now))) {
+            console.log(`🔒 ${report.id}: Claimed by another scheduler invocation`);
+            done.add(report.id);
+            continue;
+          }
+
+          const { outcomes, nextRun, skipConsumed } = await this.processReport(report, now);
+          results.push(...outcomes);
+
+          // STEP 2: Advance the schedule whatever the outcome, so a broken
+          // config doesn't get retried every scheduler tick, and release the lease
+          await this.releaseReportConfig(report, invocationId, nextRun, { clearSkip: skipConsumed });
+
+          const periods = (periodsByConfig.get(report.id) || 0) + 1;
+          periodsByConfig.set(report.id, periods);
+          if (periods >= MAX_CATCH_UP_PERIODS) {
+            done.add(report.id);
+          } else if (nextRun && new Date(nextRun) <= now) {
+            dueAgain++;
+          }
         }
-        console.log('✅ Updated next scheduled runs');
       }
 
+      const claimedCount = periodsByConfig.size;
+      console.log(`📋 Processed ${claimedCount} of ${seen.size} due reports`);
+
+      // STEP 3: Deliver queued reports with whatever time is left; anything
+      // unfinished stays queued for the job worker
+      await this.drainQueuedJobs(results, maxDurationMs - (Date.now() - startTime));
+
+      const countByStatus = (status) => results.filter(r => r.status === status).length;
+      const stats = {
+        due_reports: seen.size,
+        claimed_reports: claimedCount,
+        queued: countByStatus('queued'),
+        delivered: countByStatus('delivered'),
+        retrying: countByStatus('retrying'),
+        failed: countByStatus('failed'),
+        skipped: countByStatus('skipped')
+      };
+
+      console.log(`✅ Scheduler finished: ${stats.delivered} delivered, ${stats.failed} failed, ${stats.skipped} skipped, ${stats.queued} queued`);
+      await this.finishRun(invocationId, { status: 'completed', stats, results });
+
       return {
         success: true,
         message: 'Scheduler executed successfully!',
-        stats: {
-          total_tenants: tenants?.length || 0,
-          due_reports: reports?.length || 0,
-          eligible_reports: eligibleReports.length
-        },
-        sample_tenants: tenants?.slice(0, 3) || [],
-        sample_reports: reports?.slice(0, 3) || []
+        run_id: invocationId,
+        stats,
+        results
       };
       
     } catch (error) {
       console.error('💥 Scheduler failed:', error.message);
+      await this.finishRun(invocationId, { status: 'failed', error: error.message });
       return { 
         success: false, 
         error: error.message,
@@ -78,8 +159,491 @@ class SchedulerService {
     }
   }
 
+  // Run history is best-effort: failing to record it must never stop reports going out
+  async startRun(runId, now = new Date()) {
+    const { error } = await supabase
+      .from('scheduler_runs')
+      .insert({
+        id: runId,
+        status: 'running',
+        started_at: now.toISOString()
+      });
+
+    if (error) console.error(`❌ Failed to record scheduler run ${runId}:`, error.message);
+  }
+
+  async finishRun(runId, { status, stats = null, results = [], error: runError = null }) {
+    const { error } = await supabase
+      .from('scheduler_runs')
+      .update({
+        status,
+        stats,
+        error: runError,
+        finished_at: new Date().toISOString()
+      })
+      .eq('id', runId);
+
+    if (error) console.error(`❌ Failed to update scheduler run ${runId}:`, error.message);
+    if (results.length === 0) return;
+
+    const { error: outcomesError } = await supabase
+      .from('scheduler_run_outcomes')
+      .insert(results.map(result => ({
+        scheduler_run_id: runId,
+        tenant_id: result.tenant_id,
+        report_config_id: result.report_config_id,
+        report_name: result.name,
+        scheduled_for: result.scheduled_for,
+        status: result.status,
+        reason: result.reason || null,
+        message: result.message || null,
+        job_id: result.job_id || null,
+        period_start: result.period?.start_date || null,
+        period_end: result.period?.end_date || null
+      })));
+
+    if (outcomesError) console.error(`❌ Failed to record outcomes for scheduler run ${runId}:`, outcomesError.message);
+  }
+
+  // Tenant view of the scheduler: upcoming runs, recent per-report outcomes and
+  // failures. Outcomes come from scheduler_run_outcome_statuses, which joins
+  // each queued report's job: current_status is where the report ended up, so
+  // jobs the worker dead-lettered later count as failures.
+  async getTenantDashboard(tenantId, { limit = 20, offset = 0, upcomingLimit = 10 } = {}) {
+    const outcomeColumns = 'id, report_config_id, report_name, scheduled_for, status, current_status, reason, message, job_id, job_status, job_attempts, job_last_error, period_start, period_end, created_at, scheduler_runs ( id, started_at, finished_at, status )';
+
+    const [upcoming, recent, failures] = await Promise.all([
+      supabase
+        .from('report_configs')
+        .select(`id, name, next_scheduled_run, catch_up_policy, paused_until, skip_next_run, ${SCHEDULE_COLUMNS}`)
+        .eq('tenant_id', tenantId)
+        .eq('is_active', true)
+        .not('next_scheduled_run', 'is', null)
+        .order('next_scheduled_run', { ascending: true })
+        .limit(upcomingLimit),
+      supabase
+        .from('scheduler_run_outcome_statuses')
+        .select(outcomeColumns, { count: 'exact' })
+        .eq('tenant_id', tenantId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1),
+      supabase
+        .from('scheduler_run_outcome_statuses')
+        .select(outcomeColumns, { count: 'exact' })
+        .eq('tenant_id', tenantId)
+        .eq('current_status', 'failed')
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1)
+    ]);
+
+    const queryError = upcoming.error || recent.error || failures.error;
+    if (queryError) throw queryError;
+
+    return {
+      upcoming: (upcoming.data || []).map(config => ({
+        report_config_id: config.id,
+        name: config.name,
+        next_run: config.next_scheduled_run,
+        schedule_frequency: config.schedule_frequency || config.schedule,
+        timezone: config.timezone || 'UTC',
+        catch_up_policy: this.getCatchUpPolicy(config),
+        paused_until: config.paused_until,
+        skip_next_run: !!config.skip_next_run
+      })),
+      recent_runs: (recent.data || []).map(formatOutcome),
+      failures: (failures.data || []).map(formatOutcome),
+      pagination: {
+        limit,
+        offset,
+        recent_total: recent.count || 0,
+        failures_total: failures.count || 0
+      }
+    };
+  }
+
+  // Decides which due periods to deliver for one config according to its
+  // catch_up_policy, and queues a report job for each of them.
+  // Returns the per-period outcomes, the value for next_scheduled_run and
+  // whether a pending skip_next_run request was used up.
+  async processReport(report, now = new Date()) {
+    const baseOutcome = {
+      report_config_id: report.id,
+      tenant_id: report.tenant_id,
+      name: report.name
+    };
+
+    // Runs that fall inside a pause are dropped, not caught up afterwards
+    if (this.isPaused(report, now)) {
+      return {
+        outcomes: [{
+          ...baseOutcome,
+          status: 'skipped',
+          reason: 'paused',
+          scheduled_for: report.next_scheduled_run,
+          message: `Paused until ${new Date(report.paused_until).toISOString()}`
+        }],
+        nextRun: this.getRunAfterPause(report, now),
+        skipConsumed: false
+      };
+    }
+
+    const { runSlots, skippedFrom, skippedTo, nextRun } = this.planCatchUp(report, now);
+    const outcomes = [];
+    let skipConsumed = false;
+
+    if (skippedFrom) {
+      outcomes.push({
+        ...baseOutcome,
+        status: 'skipped',
+        reason: 'missed_runs_skipped',
+        scheduled_for: skippedFrom.toISOString(),
+        message: `Missed runs from ${skippedFrom.toISOString()} to ${skippedTo.toISOString()} skipped by catch-up policy "${this.getCatchUpPolicy(report)}"`
+      });
+    }
+
+    if (report.skip_next_run && runSlots.length > 0) {
+      const skippedSlot = runSlots.shift();
+      skipConsumed = true;
+      outcomes.push({
+        ...baseOutcome,
+        status: 'skipped',
+        reason: 'skip_requested',
+        scheduled_for: skippedSlot.toISOString(),
+        message: 'Skipped on request'
+      });
+    }
+
+    if (runSlots.length === 0) {
+      return { outcomes, nextRun, skipConsumed };
+    }
+
+    const eligibility = await this.checkReportEligibility(report);
+
+    for (const slot of runSlots) {
+      const outcome = { ...baseOutcome, scheduled_for: slot.toISOString() };
+
+      if (!eligibility.eligible) {
+        outcomes.push({ ...outcome, status: 'skipped', reason: eligibility.reason, message: eligibility.message });
+        continue;
+      }
+
+      try {
+        const period = this.getPeriodForSlot(report, slot);
+        const job = await jobQueueService.enqueue(report.tenant_id, 'report', {
+          report_config_id: report.id,
+          period,
+          scheduled_for: slot.toISOString()
+        }, { idempotencyKey: this.getIdempotencyKey(report.id, period, slot) });
+
+        if (job.duplicate) {
+          // Queued by an earlier invocation that crashed before advancing the schedule
+          outcomes.push({ ...outcome, status: 'skipped', reason: 'already_queued', period, job_id: job.id });
+        } else {
+          outcomes.push({ ...outcome, status: 'queued', period, job_id: job.id });
+        }
+      } catch (error) {
+        console.error(`❌ ${report.id}: Failed to queue scheduled report:`, error.message);
+        outcomes.push({ ...outcome, status: 'failed', reason: 'enqueue_failed', message: error.message });
+      }
+    }
+
+    return { outcomes, nextRun, skipConsumed };
+  }
+
+  isPaused(report, now = new Date()) {
+    return !!report.paused_until && new Date(report.paused_until) > now;
+  }
+
+  // First slot after the pause ends
+  getRunAfterPause(report, now = new Date()) {
+    const pausedUntil = new Date(report.paused_until);
+
+    try {
+      return getNextRun(report, pausedUntil > now ? pausedUntil : now).toISOString();
+    } catch (error) {
+      return this.calculateNextRun(report, now);
+    }
+  }
+
+  // Takes a short lease on a due config. The update only matches if the row is
+  // still at the next_scheduled_run we read and no live lease is held, so at most
+  // one invocation wins.
+  async claimReportConfig(report, invocationId, now = new Date()) {
+    const leaseUntil = new Date(now.getTime() + CLAIM_LEASE_MS).toISOString();
+
+    const { data, error } = await supabase
+      .from('report_configs')
+      .update({ scheduler_locked_by: invocationId, scheduler_locked_until: leaseUntil })
+      .eq('id', report.id)
+      .eq('next_scheduled_run', report.next_scheduled_run)
+      .or(`scheduler_locked_until.is.null,scheduler_locked_until.lt.${now.toISOString()}`)
+      .select('id');
+
+    if (error) {
+      console.error(`❌ ${report.id}: Failed to claim config:`, error.message);
+      return false;
+    }
+
+    return (data || []).length === 1;
+  }
+
+  // Only clears skip_next_run when this run used it. Pause and skip requests
+  // are refused while the lease is held (see updateScheduleControls), so these
+  // writes never overwrite one.
+  async releaseReportConfig(report, invocationId, nextRun, { clearSkip = false } = {}) {
+    const update = {
+      next_scheduled_run: nextRun,
+      scheduler_locked_by: null,
+      scheduler_locked_until: null
+    };
+    if (clearSkip) update.skip_next_run = false;
+
+    const { error } = await supabase
+      .from('report_configs')
+      .update(update)
+      .eq('id', report.id)
+      .eq('scheduler_locked_by', invocationId);
+
+    if (error) console.error(`❌ ${report.id}: Failed to advance schedule:`, error.message);
+  }
+
+  // One delivery per config and period, whichever path (schedule, catch-up, backfill) queues it
+  getIdempotencyKey(reportConfigId, period, slot) {
+    return period
+      ? `report:${reportConfigId}:${period.start_date}:${period.end_date}`
+      : `report:${reportConfigId}:${new Date(slot).toISOString()}`;
+  }
+
+  getCatchUpPolicy(report) {
+    return CATCH_UP_POLICIES.includes(report.catch_up_policy) ? report.catch_up_policy : 'latest';
+  }
+
+  // Works out which due slots to run:
+  //   skip   - only the latest slot, and only if it is within the grace window
+  //   latest - only the latest slot, however late
+  //   all    - every missed slot, oldest first: one per call, up to
+  //            MAX_CATCH_UP_PERIODS per config per invocation
+  planCatchUp(report, now = new Date()) {
+    const firstDue = new Date(report.next_scheduled_run || now);
+    const policy = this.getCatchUpPolicy(report);
+
+    try {
+      if (policy === 'all') {
+        // One period at a time; executeScheduler comes back for the rest of the
+        // backlog once the other due configs had their turn
+        const following = getNextRun(report, firstDue);
+        return {
+          runSlots: [firstDue],
+          nextRun: following <= now ? following.toISOString() : this.calculateNextRun(report, now)
+        };
+      }
+
+      const previous = getPreviousRun(report, new Date(now.getTime() + 1));
+      const latest = previous && previous > firstDue ? previous : firstDue;
+      const plan = { runSlots: [latest], nextRun: this.calculateNextRun(report, now) };
+
+      if (latest > firstDue) {
+        plan.skippedFrom = firstDue;
+        plan.skippedTo = getPreviousRun(report, latest);
+      }
+
+      if (policy === 'skip' && now - latest > this.catchUpGraceMs) {
+        plan.runSlots = [];
+        plan.skippedFrom = firstDue;
+        plan.skippedTo = latest;
+      }
+
+      return plan;
+    } catch (error) {
+      // Invalid schedules still deliver the due run; calculateNextRun falls back to weekly
+      console.error(`⚠️ ${report.id}: ${error.message}`);
+      return { runSlots: [firstDue], nextRun: this.calculateNextRun(report, now) };
+    }
+  }
+
+  getPeriodForSlot(report, slot) {
+    try {
+      return getPresetPeriod(report, slot);
+    } catch (error) {
+      return null; // Reporter falls back to the last 30 days
+    }
+  }
+
+  async drainQueuedJobs(results, remainingMs) {
+    const queued = results.filter(r => r.status === 'queued');
+    if (queued.length === 0 || remainingMs <= 0) return;
+
+    const { processed } = await jobQueueService.runWorker({
+      maxJobs: queued.length,
+      maxDurationMs: remainingMs
+    });
+
+    const statusByJob = { succeeded: 'delivered', queued: 'retrying', dead: 'failed' };
+    for (const job of processed) {
+      const outcome = queued.find(r => r.job_id === job.job_id);
+      if (!outcome) continue;
+
+      outcome.status = statusByJob[job.status] || outcome.status;
+      if (job.error) outcome.message = job.error;
+    }
+  }
+
+  // Queues one report per schedule period that lies entirely within
+  // [startDate, endDate] (YYYY-MM-DD, in the config's timezone)
+  async backfillReports(tenantId, reportConfigId, startDate, endDate) {
+    const report = await this.getTenantReportConfig(tenantId, reportConfigId);
+
+    // A period ends the day before its run, so runs up to two days past
+    // endDate can still cover periods inside the range
+    const from = startOfLocalDay(report, startDate);
+    const to = new Date(startOfLocalDay(report, endDate).getTime() + 2 * 24 * 60 * 60 * 1000);
+    const periods = getRunsBetween(report, from, to, MAX_BACKFILL_PERIODS * 2)
+      .map(slot => ({ slot, period: getReportingPeriod(report, slot) }))
+      .filter(({ period }) => period.start_date >= startDate && period.end_date <= endDate);
+
+    if (periods.length > MAX_BACKFILL_PERIODS) {
+      const tooMany = new Error(`Date range covers more than ${MAX_BACKFILL_PERIODS} report periods`);
+      tooMany.statusCode = 400;
+      throw tooMany;
+    }
+
+    const jobs = [];
+    for (const { slot, period } of periods) {
+      const job = await jobQueueService.enqueue(tenantId, 'report', {
+        report_config_id: reportConfigId,
+        period,
+        scheduled_for: slot.toISOString(),
+        backfill: true
+      }, { idempotencyKey: this.getIdempotencyKey(reportConfigId, period, slot) });
+
+      // Periods that were already queued or delivered are not sent again
+      jobs.push({ job_id: job.id, period, already_queued: !!job.duplicate });
+    }
+
+    console.log(`⏪ Queued ${jobs.length} backfill reports for config: ${reportConfigId}`);
+    return jobs;
+  }
+
+  async getTenantReportConfig(tenantId, reportConfigId) {
+    const { data: report, error } = await supabase
+      .from('report_configs')
+      .select(`id, name, tenant_id, is_active, next_scheduled_run, paused_until, skip_next_run, ${SCHEDULE_COLUMNS}`)
+      .eq('id', reportConfigId)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (error || !report) {
+      const notFound = new Error('Report configuration not found');
+      notFound.statusCode = 404;
+      throw notFound;
+    }
+
+    return report;
+  }
+
+  // Refused while a scheduler invocation holds the config's lease: releasing
+  // the lease writes next_scheduled_run (and may clear skip_next_run), which
+  // would undo a pause or skip made during the run
+  async updateScheduleControls(tenantId, reportConfigId, update, now = new Date()) {
+    const { data: reports, error } = await supabase
+      .from('report_configs')
+      .update(update)
+      .eq('id', reportConfigId)
+      .eq('tenant_id', tenantId)
+      .or(`scheduler_locked_until.is.null,scheduler_locked_until.lt.${now.toISOString()}`)
+      .select('id, name, is_active, next_scheduled_run, paused_until, skip_next_run');
+
+    if (error) throw new Error(`Failed to update report schedule: ${error.message}`);
+    if (!reports || reports.length === 0) {
+      const locked = new Error('The scheduler is processing this report right now; try again in a few minutes');
+      locked.statusCode = 409;
+      locked.reason = 'scheduler_run_in_progress';
+      throw locked;
+    }
+    return reports[0];
+  }
+
+  // Moves the next run past the pause so the config isn't picked up meanwhile;
+  // the scheduler also skips any config whose paused_until is in the future
+  async pauseReportConfig(tenantId, reportConfigId, pausedUntil) {
+    const report = await this.getTenantReportConfig(tenantId, reportConfigId);
+    const paused = { ...report, paused_until: pausedUntil.toISOString() };
+
+    console.log(`⏸️ Pausing report config ${reportConfigId} until ${paused.paused_until}`);
+    return this.updateScheduleControls(tenantId, reportConfigId, {
+      paused_until: paused.paused_until,
+      next_scheduled_run: this.getRunAfterPause(paused)
+    });
+  }
+
+  // Resumes from the next slot after now; runs missed during the pause are not caught up
+  async resumeReportConfig(tenantId, reportConfigId) {
+    const report = await this.getTenantReportConfig(tenantId, reportConfigId);
+
+    console.log(`▶️ Resuming report config ${reportConfigId}`);
+    return this.updateScheduleControls(tenantId, reportConfigId, {
+      paused_until: null,
+      next_scheduled_run: this.calculateNextRun({ ...report, next_scheduled_run: null })
+    });
+  }
+
+  async skipNextRun(tenantId, reportConfigId, skip = true) {
+    await this.getTenantReportConfig(tenantId, reportConfigId);
+
+    console.log(`⏭️ ${skip ? 'Skipping' : 'Un-skipping'} next run of report config ${reportConfigId}`);
+    return this.updateScheduleControls(tenantId, reportConfigId, { skip_next_run: skip });
+  }
+
+  // Out-of-band delivery of the most recent complete period. Leaves the schedule
+  // untouched and is not deduplicated against scheduled deliveries of that period.
+  async runNow(tenantId, reportConfigId) {
+    const report = await this.getTenantReportConfig(tenantId, reportConfigId);
+
+    const eligibility = await this.checkReportEligibility(report);
+    if (!eligibility.eligible) {
+      const notEligible = new Error(eligibility.message);
+      notEligible.statusCode = 403;
+      notEligible.reason = eligibility.reason;
+      throw notEligible;
+    }
+
+    const now = new Date();
+    let period = null;
+    try {
+      const previous = getPreviousRun(report, now);
+      period = previous ? getPresetPeriod(report, previous) : null;
+    } catch (error) {
+      // Reporter falls back to the last 30 days
+    }
+
+    const job = await jobQueueService.enqueue(tenantId, 'report', {
+      report_config_id: reportConfigId,
+      period,
+      manual: true
+    });
+
+    console.log(`🚀 Run-now queued job ${job.id} for report config ${reportConfigId}`);
+    return { job, period };
+  }
+
+  // Returns { eligible, reason, message } - reason is a stable code for skipped reports
   async checkReportEligibility(report) {
     try {
+      // Suspended tenants (past any non-payment grace period) and tenants
+      // pending deletion get no scheduled or manual runs
+      const { data: tenant } = await supabase
+        .from('tenants')
+        .select('id, status, deletion_scheduled_for')
+        .eq('id', report.tenant_id)
+        .single();
+
+      const access = await tenantService.getAccess(tenant || { id: report.tenant_id });
+      if (!access.allowed) {
+        const reason = access.status === 'pending_deletion' ? 'tenant_pending_deletion' : 'tenant_suspended';
+        console.log(`🚫 ${report.id}: Tenant is ${access.status}`);
+        return { eligible: false, reason, message: access.message };
+      }
+
       // Check tenant subscription status
       const { data: subscription, error } = await supabase
         .from('tenant_subscriptions')
@@ -99,13 +663,13 @@ class SchedulerService {
 
       if (error || !subscription) {
         console.log(`🚫 ${report.id}: No active subscription`);
-        return false;
+        return { eligible: false, reason: 'no_active_subscription', message: 'No active subscription' };
       }
 
       // Check if subscription period is valid
       if (new Date() > new Date(subscription.current_period_end)) {
         console.log(`🚫 ${report.id}: Subscription period ended`);
-        return false;
+        return { eligible: false, reason: 'subscription_expired', message: 'Subscription period ended' };
       }
 
       // Check usage for current month
@@ -121,23 +685,37 @@ class SchedulerService {
       const plan = subscription.plans;
 
       if (plan.max_reports_per_month && reportsSent >= plan.max_reports_per_month) {
-        console.log(`🚫 ${report.id}: Monthly limit exceeded (${reportsSent}/${plan.max_reports_per_month})`);
-        return false;
+        const message = `Monthly limit exceeded (${reportsSent}/${plan.max_reports_per_month})`;
+        console.log(`🚫 ${report.id}: ${message}`);
+        return { eligible: false, reason: 'monthly_limit_exceeded', message };
       }
 
       console.log(`✅ ${report.id}: Eligible - ${reportsSent}/${plan.max_reports_per_month} reports used`);
-      return true;
+      return { eligible: true };
 
     } catch (error) {
       console.error(`❌ Eligibility check failed for ${report.id}:`, error.message);
-      return false;
+      return { eligible: false, reason: 'eligibility_check_failed', message: error.message };
     }
   }
 
-  calculateNextRun(report) {
-    const next = new Date();
-    next.setDate(next.getDate() + 7); // Default: weekly
-    return next.toISOString();
+  // Advance from the previously scheduled slot (not from "now") so runs don't drift,
+  // skipping any slots that are already in the past.
+  calculateNextRun(report, now = new Date()) {
+    const anchor = report.next_scheduled_run ? new Date(report.next_scheduled_run) : now;
+
+    try {
+      let next = getNextRun(report, anchor);
+      while (next <= now) {
+        next = getNextRun(report, next);
+      }
+      return next.toISOString();
+    } catch (error) {
+      console.error(`⚠️ ${report.id}: ${error.message} - falling back to weekly`);
+      const next = new Date(now);
+      next.setDate(next.getDate() + 7);
+      return next.toISOString();
+    }
   }
 }
 
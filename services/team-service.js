@@ -0,0 +1,352 @@
+// services/team-service.js - Tenant team members, roles and emailed invitations
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const supabase = require('../lib/supabase');
+const emailService = require('./email-service');
+const tokenService = require('./token-service');
+const { SCOPES, FULL_ACCESS, hasScope } = require('./api-key-service');
+
+// Highest first
+const ROLES = ['owner', 'admin', 'editor', 'viewer'];
+
+// Roles are enforced through the same scopes as API keys, so requireScope()
+// covers users and keys alike. Billing changes and account deletion are
+// owner-only; API keys, the audit log and account status/exports are visible
+// to admins and owners only.
+const READ_SCOPES = SCOPES.filter(scope => scope.endsWith(':read') && !['keys:read', 'audit:read', 'account:read'].includes(scope));
+const ROLE_SCOPES = {
+  owner: [FULL_ACCESS],
+  admin: SCOPES.filter(scope => !['billing:write', 'account:write'].includes(scope)),
+  editor: [...READ_SCOPES, 'reports:write', 'templates:write', 'clients:write', 'scheduler:write'],
+  viewer: READ_SCOPES
+};
+
+const INVITATION_TTL_DAYS = 7;
+const MEMBER_COLUMNS = 'id, tenant_id, email, name, role, status, invited_by, email_verified_at, last_login_at, created_at, updated_at';
+const INVITATION_COLUMNS = 'id, tenant_id, email, role, invited_by, expires_at, accepted_at, revoked_at, created_at';
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const scopesForRole = (role) => ROLE_SCOPES[role] || [];
+
+// Highest role whose scopes are all covered by `scopes` (e.g. an API key's), or null
+const roleForScopes = (scopes = []) => ROLES.find(role => scopesForRole(role).every(scope => scope === FULL_ACCESS
+  ? scopes.includes(FULL_ACCESS)
+  : hasScope(scopes, scope))) || null;
+
+const outranks = (role, other) => ROLES.indexOf(role) < ROLES.indexOf(other);
+
+class TeamService {
+  async listMembers(tenantId) {
+    const { data: members, error } = await supabase
+      .from('tenant_users')
+      .select(MEMBER_COLUMNS)
+      .eq('tenant_id', tenantId)
+      .eq('status', 'active')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return members || [];
+  }
+
+  async listPendingInvitations(tenantId) {
+    const { data: invitations, error } = await supabase
+      .from('tenant_invitations')
+      .select(INVITATION_COLUMNS)
+      .eq('tenant_id', tenantId)
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return invitations || [];
+  }
+
+  async getMember(tenantId, userId) {
+    const { data: member, error } = await supabase
+      .from('tenant_users')
+      .select(MEMBER_COLUMNS)
+      .eq('id', userId)
+      .eq('tenant_id', tenantId)
+      .eq('status', 'active')
+      .single();
+
+    if (error || !member) throw httpError('Team member not found', 404);
+    return member;
+  }
+
+  // Active memberships for a login email, with their password hashes
+  async findLoginCandidates(email) {
+    const { data: users, error } = await supabase
+      .from('tenant_users')
+      .select('id, tenant_id, email, name, role, password_hash, email_verified_at, failed_login_count, locked_until')
+      .eq('email', email.toLowerCase())
+      .eq('status', 'active');
+
+    if (error) throw error;
+    return users || [];
+  }
+
+  async createOwner(tenant, passwordHash) {
+    const { data: owner, error } = await supabase
+      .from('tenant_users')
+      .insert({
+        tenant_id: tenant.id,
+        email: tenant.email.toLowerCase(),
+        name: tenant.name,
+        password_hash: passwordHash,
+        role: 'owner'
+      })
+      .select(MEMBER_COLUMNS)
+      .single();
+
+    if (error) throw new Error(`Failed to create tenant owner: ${error.message}`);
+    return owner;
+  }
+
+  // Only owners may grant, change or remove the owner role, and nobody may
+  // manage a role above their own
+  assertCanManage(actorRole, targetRole, newRole = null) {
+    if (!ROLES.includes(actorRole)) {
+      throw httpError('These credentials cannot manage team members', 403);
+    }
+    if ((targetRole === 'owner' || newRole === 'owner') && actorRole !== 'owner') {
+      throw httpError('Only owners can manage owners', 403);
+    }
+    const above = [targetRole, newRole].find(role => role && outranks(role, actorRole));
+    if (above) {
+      throw httpError(`The ${actorRole} role cannot manage the ${above} role`, 403);
+    }
+  }
+
+  async assertAnotherOwner(tenantId, userId) {
+    const { data: owners, error } = await supabase
+      .from('tenant_users')
+      .select('id')
+      .eq('tenant_id', tenantId)
+      .eq('role', 'owner')
+      .eq('status', 'active')
+      .neq('id', userId);
+
+    if (error) throw error;
+    if (!owners || owners.length === 0) {
+      throw httpError('A tenant must keep at least one owner', 400);
+    }
+  }
+
+  // Creates an invitation and emails its link. A previous pending invitation
+  // for the same email is revoked so only the newest link works.
+  async inviteMember(tenant, { email, role, invitedBy = null, actorRole }) {
+    this.assertCanManage(actorRole, null, role);
+    const normalizedEmail = email.toLowerCase();
+
+    const { data: existing } = await supabase
+      .from('tenant_users')
+      .select('id')
+      .eq('tenant_id', tenant.id)
+      .eq('email', normalizedEmail)
+      .eq('status', 'active')
+      .single();
+
+    if (existing) throw httpError('This email is already a member of the team', 409);
+
+    await supabase
+      .from('tenant_invitations')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('tenant_id', tenant.id)
+      .eq('email', normalizedEmail)
+      .is('accepted_at', null)
+      .is('revoked_at', null);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const { data: invitation, error } = await supabase
+      .from('tenant_invitations')
+      .insert({
+        tenant_id: tenant.id,
+        email: normalizedEmail,
+        role,
+        token_hash: hashToken(token),
+        invited_by: invitedBy,
+        expires_at: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+      })
+      .select(INVITATION_COLUMNS)
+      .single();
+
+    if (error) throw new Error(`Failed to create invitation: ${error.message}`);
+
+    const acceptUrl = this.getAcceptUrl(token);
+    let emailError = null;
+    try {
+      await emailService.sendSystemEmail(tenant, {
+        to: normalizedEmail,
+        subject: `You've been invited to join ${tenant.company_name || tenant.name} on ReportFlow`,
+        html: this.renderInvitationEmail(tenant, role, acceptUrl)
+      });
+    } catch (sendError) {
+      console.error(`❌ Failed to email invitation ${invitation.id}:`, sendError.message);
+      emailError = sendError.message;
+    }
+
+    console.log(`✉️ Invited ${normalizedEmail} as ${role} to tenant: ${tenant.id}`);
+
+    // If the email couldn't be sent the inviter gets the link to share manually
+    return {
+      invitation,
+      email_sent: !emailError,
+      ...(emailError && { email_error: emailError, accept_url: acceptUrl })
+    };
+  }
+
+  getAcceptUrl(token) {
+    const appUrl = process.env.APP_URL || 'http://localhost:3000';
+    return `${appUrl}/invitations/accept?token=${encodeURIComponent(token)}`;
+  }
+
+  renderInvitationEmail(tenant, role, acceptUrl) {
+    return `
+      <p>Hello,</p>
+      <p>You've been invited to join <strong>${tenant.company_name || tenant.name}</strong> on ReportFlow as ${role === 'admin' ? 'an' : 'a'} <strong>${role}</strong>.</p>
+      <p><a href="${acceptUrl}">Accept the invitation</a></p>
+      <p>This link expires in ${INVITATION_TTL_DAYS} days. If you weren't expecting it, you can ignore this email.</p>
+    `;
+  }
+
+  async revokeInvitation(tenantId, invitationId) {
+    const { data: revoked, error } = await supabase
+      .from('tenant_invitations')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', invitationId)
+      .eq('tenant_id', tenantId)
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .select(INVITATION_COLUMNS);
+
+    if (error) throw error;
+    if (!revoked || revoked.length === 0) throw httpError('Pending invitation not found', 404);
+    return revoked[0];
+  }
+
+  // Pending, unexpired invitation for an emailed token (with the tenant name)
+  async getInvitationByToken(token) {
+    const { data: invitation } = await supabase
+      .from('tenant_invitations')
+      .select(`${INVITATION_COLUMNS}, tenants(name)`)
+      .eq('token_hash', hashToken(token || ''))
+      .single();
+
+    if (!invitation || invitation.revoked_at) throw httpError('Invitation not found', 404);
+    if (invitation.accepted_at) throw httpError('Invitation has already been accepted', 410);
+    if (new Date(invitation.expires_at) <= new Date()) throw httpError('Invitation has expired', 410);
+
+    return invitation;
+  }
+
+  // Claims the invitation (so a token works once) and creates the membership.
+  // A previously removed member with the same email is reactivated.
+  async acceptInvitation(token, { name, password }) {
+    const invitation = await this.getInvitationByToken(token);
+
+    const { data: claimed } = await supabase
+      .from('tenant_invitations')
+      .update({ accepted_at: new Date().toISOString() })
+      .eq('id', invitation.id)
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (!claimed || claimed.length === 0) throw httpError('Invitation has already been accepted', 410);
+
+    const { data: existing } = await supabase
+      .from('tenant_users')
+      .select('id, status')
+      .eq('tenant_id', invitation.tenant_id)
+      .eq('email', invitation.email)
+      .single();
+
+    if (existing && existing.status === 'active') {
+      throw httpError('This email is already a member of the team', 409);
+    }
+
+    const membership = {
+      tenant_id: invitation.tenant_id,
+      email: invitation.email,
+      name,
+      password_hash: await bcrypt.hash(password, 10),
+      role: invitation.role,
+      status: 'active',
+      invited_by: invitation.invited_by,
+      // Receiving the invitation proves the address
+      email_verified_at: new Date().toISOString(),
+      failed_login_count: 0,
+      locked_until: null,
+      updated_at: new Date().toISOString()
+    };
+
+    const { data: user, error } = existing
+      ? await supabase.from('tenant_users').update(membership).eq('id', existing.id).select(MEMBER_COLUMNS).single()
+      : await supabase.from('tenant_users').insert(membership).select(MEMBER_COLUMNS).single();
+
+    if (error) throw new Error(`Failed to create team member: ${error.message}`);
+
+    console.log(`✅ ${user.email} joined tenant ${user.tenant_id} as ${user.role}`);
+    return user;
+  }
+
+  async updateMemberRole(tenantId, userId, role, actorRole) {
+    const member = await this.getMember(tenantId, userId);
+    this.assertCanManage(actorRole, member.role, role);
+
+    if (member.role === 'owner' && role !== 'owner') {
+      await this.assertAnotherOwner(tenantId, userId);
+    }
+
+    const { data: updated, error } = await supabase
+      .from('tenant_users')
+      .update({ role, updated_at: new Date().toISOString() })
+      .eq('id', userId)
+      .eq('tenant_id', tenantId)
+      .select(MEMBER_COLUMNS)
+      .single();
+
+    if (error) throw new Error(`Failed to update role: ${error.message}`);
+
+    console.log(`👥 Changed role of ${userId} from ${member.role} to ${role} in tenant: ${tenantId}`);
+    return updated;
+  }
+
+  // Removes the member and signs out all of their sessions
+  async removeMember(tenantId, userId, actorRole) {
+    const member = await this.getMember(tenantId, userId);
+    this.assertCanManage(actorRole, member.role);
+
+    if (member.role === 'owner') {
+      await this.assertAnotherOwner(tenantId, userId);
+    }
+
+    const { error } = await supabase
+      .from('tenant_users')
+      .update({ status: 'removed', updated_at: new Date().toISOString() })
+      .eq('id', userId)
+      .eq('tenant_id', tenantId);
+
+    if (error) throw new Error(`Failed to remove team member: ${error.message}`);
+
+    await tokenService.revokeAllForUser(tenantId, userId, 'member_removed');
+
+    console.log(`👋 Removed ${member.email} from tenant: ${tenantId}`);
+    return member;
+  }
+}
+
+module.exports = new TeamService();
+module.exports.ROLES = ROLES;
+module.exports.ROLE_SCOPES = ROLE_SCOPES;
+module.exports.scopesForRole = scopesForRole;
+module.exports.roleForScopes = roleForScopes;
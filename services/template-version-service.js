@@ -0,0 +1,207 @@
+// services/template-version-service.js - Immutable template versions, diffs, rollback and activation
+const supabase = require('../lib/supabase');
+const { diffLines } = require('../lib/text-diff');
+
+const VERSION_SUMMARY_COLUMNS = 'id, template_id, version_number, change_note, source_version_id, created_by, created_by_label, created_at';
+const VERSION_COLUMNS = `${VERSION_SUMMARY_COLUMNS}, html_content, css_content`;
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Saves never touch a version in place: each one appends a version
+// (create_template_version RPC), and reports render the version the template
+// was activated with (active_version_id) rather than its latest edit.
+class TemplateVersionService {
+  // The tenant's own template, or a system template it can read
+  async getTemplate(tenantId, templateId) {
+    const { data: template, error } = await supabase
+      .from('tenant_templates')
+      .select('*')
+      .eq('id', templateId)
+      .or(`tenant_id.eq.${tenantId},is_system_template.eq.true`)
+      .single();
+
+    if (error || !template) throw httpError('Template not found', 404);
+    return template;
+  }
+
+  // Only the tenant's own templates get new versions
+  async getEditableTemplate(tenantId, templateId) {
+    const template = await this.getTemplate(tenantId, templateId);
+    if (template.is_system_template || template.tenant_id !== tenantId) {
+      throw httpError('System templates cannot be modified. Create a copy instead.', 403);
+    }
+    return template;
+  }
+
+  /**
+   * Appends a version with this content and makes it the template's current
+   * content. `actor` is the audit actor ({ type, id, label }) of the change.
+   */
+  async createVersion(templateId, { html_content, css_content, changeNote = null, sourceVersionId = null, actor = null }) {
+    const { data, error } = await supabase.rpc('create_template_version', {
+      p_template_id: templateId,
+      p_html_content: html_content,
+      p_css_content: css_content || null,
+      p_change_note: changeNote,
+      p_source_version_id: sourceVersionId,
+      p_created_by: actor && actor.type === 'user' ? actor.id : null,
+      p_created_by_label: (actor && actor.label) || null
+    });
+
+    if (error) throw error;
+    return Array.isArray(data) ? data[0] : data;
+  }
+
+  async listVersions(tenantId, templateId) {
+    const template = await this.getTemplate(tenantId, templateId);
+
+    const { data: versions, error } = await supabase
+      .from('tenant_template_versions')
+      .select(VERSION_SUMMARY_COLUMNS)
+      .eq('template_id', templateId)
+      .order('version_number', { ascending: false });
+
+    if (error) throw error;
+
+    return {
+      template,
+      versions: (versions || []).map(version => ({
+        ...version,
+        is_current: version.id === template.current_version_id,
+        is_active: template.is_active === true && version.id === template.active_version_id
+      }))
+    };
+  }
+
+  async findVersion(templateId, versionNumber) {
+    const { data: version } = await supabase
+      .from('tenant_template_versions')
+      .select(VERSION_COLUMNS)
+      .eq('template_id', templateId)
+      .eq('version_number', versionNumber)
+      .single();
+
+    if (!version) throw httpError(`Version ${versionNumber} not found`, 404);
+    return version;
+  }
+
+  async getVersion(tenantId, templateId, versionNumber) {
+    await this.getTemplate(tenantId, templateId);
+    return this.findVersion(templateId, versionNumber);
+  }
+
+  // Line diff of two versions; `to` defaults to the template's current version
+  async diffVersions(tenantId, templateId, fromNumber, toNumber = null) {
+    const template = await this.getTemplate(tenantId, templateId);
+    const from = await this.findVersion(templateId, fromNumber);
+
+    let to;
+    if (toNumber) {
+      to = await this.findVersion(templateId, toNumber);
+    } else {
+      const { data: current } = await supabase
+        .from('tenant_template_versions')
+        .select(VERSION_COLUMNS)
+        .eq('id', template.current_version_id)
+        .single();
+      if (!current) throw httpError('Template has no versions yet', 404);
+      to = current;
+    }
+
+    const html = diffLines(from.html_content, to.html_content);
+    const css = diffLines(from.css_content, to.css_content);
+
+    return {
+      from: from.version_number,
+      to: to.version_number,
+      identical: html.unified === '' && css.unified === '',
+      html_content: html,
+      css_content: css
+    };
+  }
+
+  /**
+   * Restores an earlier version's content as a new version (history is never
+   * rewritten). If the template is active, reports switch to it right away.
+   */
+  async rollback(tenantId, templateId, versionNumber, { actor = null, changeNote = null } = {}) {
+    const template = await this.getEditableTemplate(tenantId, templateId);
+    const source = await this.findVersion(templateId, versionNumber);
+
+    const version = await this.createVersion(templateId, {
+      html_content: source.html_content,
+      css_content: source.css_content,
+      changeNote: changeNote || `Rolled back to version ${source.version_number}`,
+      sourceVersionId: source.id,
+      actor
+    });
+
+    if (template.is_active) {
+      await this.activate(tenantId, templateId, { versionId: version.id });
+    }
+
+    return { template, source, version, activated: template.is_active === true };
+  }
+
+  /**
+   * Makes the template the tenant's active one, pinned to `versionNumber` (or
+   * `versionId`), or to its current version when neither is given.
+   */
+  async activate(tenantId, templateId, { versionNumber = null, versionId = null } = {}) {
+    let pinnedVersion = null;
+    if (versionNumber) {
+      await this.getTemplate(tenantId, templateId);
+      pinnedVersion = await this.findVersion(templateId, versionNumber);
+    }
+
+    const { data: templates, error } = await supabase.rpc('activate_tenant_template', {
+      p_tenant_id: tenantId,
+      p_template_id: templateId,
+      p_version_id: pinnedVersion ? pinnedVersion.id : versionId
+    });
+
+    if (error) {
+      if (error.message && error.message.includes('not found')) throw httpError('Template not found', 404);
+      throw error;
+    }
+    return templates[0];
+  }
+
+  /**
+   * Content a report renders for `template`: its active version, or its
+   * current one. Templates from before versioning fall back to their own
+   * columns with no version.
+   */
+  async getRenderableContent(template) {
+    const versionId = template.active_version_id || template.current_version_id;
+    if (versionId) {
+      const { data: version } = await supabase
+        .from('tenant_template_versions')
+        .select('id, version_number, html_content, css_content')
+        .eq('id', versionId)
+        .single();
+
+      if (version) {
+        return {
+          html_content: version.html_content,
+          css_content: version.css_content,
+          version_id: version.id,
+          version_number: version.version_number
+        };
+      }
+    }
+
+    return {
+      html_content: template.html_content,
+      css_content: template.css_content,
+      version_id: null,
+      version_number: null
+    };
+  }
+}
+
+module.exports = new TemplateVersionService();
@@ -0,0 +1,432 @@
+// services/tenant-service.js - Tenant status lifecycle, data exports and deletion
+const supabase = require('../lib/supabase');
+const emailService = require('./email-service');
+const auditService = require('./audit-service');
+const { redact } = require('./audit-service');
+
+const TENANT_STATUSES = ['active', 'suspended_nonpayment', 'suspended_admin', 'pending_deletion'];
+// Statuses that keep billing and account routes (pay, export, cancel deletion)
+// and can still sign in
+const LIMITED_ACCESS_STATUSES = ['suspended_nonpayment', 'pending_deletion'];
+
+const DELETION_DELAY_DAYS = Number(process.env.TENANT_DELETION_DELAY_DAYS) || 14;
+const EXPORT_TTL_DAYS = 30;
+const EXPORT_PAGE_SIZE = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TENANT_EXPORT_COLUMNS = 'id, name, company_name, email, status, email_provider, smtp_verified, created_at';
+const EXPORT_COLUMNS = 'id, tenant_id, reason, size_bytes, requested_by, expires_at, downloaded_at, created_at';
+
+// Tenant-owned tables in the export. Secret-looking fields are redacted the
+// same way as in the audit log.
+const EXPORT_TABLES = {
+  team_members: { table: 'tenant_users', columns: 'id, email, name, role, status, email_verified_at, last_login_at, created_at' },
+  clients: { table: 'clients' },
+  report_configs: { table: 'report_configs' },
+  templates: { table: 'tenant_templates' },
+  template_versions: { table: 'tenant_template_versions' },
+  template_partials: { table: 'tenant_template_partials' },
+  brand_kit: { table: 'tenant_brand_kits' },
+  generated_reports: { table: 'generated_reports' },
+  report_jobs: { table: 'report_jobs' },
+  scheduler_outcomes: { table: 'scheduler_run_outcomes' },
+  email_delivery_logs: { table: 'email_delivery_logs' },
+  subscriptions: { table: 'tenant_subscriptions' },
+  subscription_events: { table: 'subscription_events' },
+  usage: { table: 'tenant_usage' },
+  audit_events: { table: 'audit_events' }
+};
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Lifecycle changes are audited here because payment webhooks trigger them
+// too; `context` carries { actor, ip, userAgent } for audit-service.record
+class TenantService {
+  // Rows created before statuses were enforced have none; they're active
+  getStatus(tenant) {
+    return (tenant && tenant.status) || 'active';
+  }
+
+  canSignIn(tenant) {
+    const status = this.getStatus(tenant);
+    return status === 'active' || LIMITED_ACCESS_STATUSES.includes(status);
+  }
+
+  // Latest subscription's grace_period_until, if it's still in the future
+  async getGracePeriodEnd(tenantId, now = new Date()) {
+    const { data: subscription } = await supabase
+      .from('tenant_subscriptions')
+      .select('grace_period_until')
+      .eq('tenant_id', tenantId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .single();
+
+    const graceUntil = subscription && subscription.grace_period_until;
+    return graceUntil && new Date(graceUntil) > now ? graceUntil : null;
+  }
+
+  /**
+   * What the tenant may do right now: { allowed, limited, status, statusCode,
+   * message, grace_period_until }. `allowed` is full API access; `limited`
+   * means billing and account routes only.
+   */
+  async getAccess(tenant, now = new Date()) {
+    const status = this.getStatus(tenant);
+
+    if (status === 'active') {
+      return { allowed: true, limited: false, status };
+    }
+
+    if (status === 'suspended_nonpayment') {
+      const graceUntil = await this.getGracePeriodEnd(tenant.id, now);
+      if (graceUntil) {
+        return { allowed: true, limited: false, status, grace_period_until: graceUntil };
+      }
+      return {
+        allowed: false,
+        limited: true,
+        status,
+        statusCode: 402,
+        message: 'This account is suspended for non-payment. Update your payment method to restore access.'
+      };
+    }
+
+    if (status === 'pending_deletion') {
+      return {
+        allowed: false,
+        limited: true,
+        status,
+        statusCode: 403,
+        message: `This account is scheduled for deletion on ${tenant.deletion_scheduled_for}. Cancel the deletion to restore access.`
+      };
+    }
+
+    return {
+      allowed: false,
+      limited: false,
+      status,
+      statusCode: 403,
+      message: 'This account has been suspended. Contact support.'
+    };
+  }
+
+  async getTenant(tenantId) {
+    const { data: tenant, error } = await supabase
+      .from('tenants')
+      .select('*')
+      .eq('id', tenantId)
+      .single();
+
+    if (error || !tenant) throw httpError('Tenant not found', 404);
+    return tenant;
+  }
+
+  async setStatus(tenantId, status, { reason = null, extra = {} } = {}) {
+    if (!TENANT_STATUSES.includes(status)) throw httpError(`Unknown tenant status: ${status}`, 400);
+
+    const { data: tenant, error } = await supabase
+      .from('tenants')
+      .update({
+        status,
+        status_reason: reason,
+        status_changed_at: new Date().toISOString(),
+        ...extra
+      })
+      .eq('id', tenantId)
+      .select('id, name, email, status, status_reason, status_changed_at, previous_status, deletion_requested_at, deletion_scheduled_for')
+      .single();
+
+    if (error) throw new Error(`Failed to update tenant status: ${error.message}`);
+
+    console.log(`🏷️ Tenant ${tenantId} is now ${status}${reason ? ` (${reason})` : ''}`);
+    return tenant;
+  }
+
+  // Platform admin suspension; overrides any other status except pending deletion
+  async suspend(tenantId, reason, context = {}) {
+    const tenant = await this.getTenant(tenantId);
+    if (this.getStatus(tenant) === 'pending_deletion') {
+      throw httpError('Tenant is pending deletion', 409);
+    }
+
+    const updated = await this.setStatus(tenantId, 'suspended_admin', { reason });
+    await auditService.record('tenant.suspended', {
+      tenantId,
+      ...context,
+      resourceType: 'tenant',
+      resourceId: tenantId,
+      before: { status: this.getStatus(tenant) },
+      after: { status: 'suspended_admin' },
+      metadata: { reason }
+    });
+    return updated;
+  }
+
+  async reactivate(tenantId, context = {}) {
+    const tenant = await this.getTenant(tenantId);
+    const status = this.getStatus(tenant);
+    if (status === 'active') return tenant;
+    if (status === 'pending_deletion') {
+      throw httpError('Tenant is pending deletion; cancel the deletion instead', 409);
+    }
+
+    const updated = await this.setStatus(tenantId, 'active');
+    await auditService.record('tenant.reactivated', {
+      tenantId,
+      ...context,
+      resourceType: 'tenant',
+      resourceId: tenantId,
+      before: { status },
+      after: { status: 'active' }
+    });
+    return updated;
+  }
+
+  // Called when a payment fails. Access continues until the subscription's
+  // grace_period_until; admin suspensions and deletions are left alone.
+  async suspendForNonpayment(tenantId) {
+    const tenant = await this.getTenant(tenantId);
+    if (this.getStatus(tenant) !== 'active') return tenant;
+
+    const updated = await this.setStatus(tenantId, 'suspended_nonpayment', { reason: 'payment_failed' });
+    await auditService.record('tenant.suspended', {
+      tenantId,
+      resourceType: 'tenant',
+      resourceId: tenantId,
+      before: { status: 'active' },
+      after: { status: 'suspended_nonpayment' },
+      metadata: { reason: 'payment_failed' }
+    });
+    return updated;
+  }
+
+  // Called when a payment succeeds
+  async reactivateAfterPayment(tenantId) {
+    const tenant = await this.getTenant(tenantId);
+    if (this.getStatus(tenant) !== 'suspended_nonpayment') return tenant;
+    return this.reactivate(tenantId);
+  }
+
+  async fetchAll(table, tenantId, columns = '*') {
+    const rows = [];
+    for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from(table)
+        .select(columns)
+        .eq('tenant_id', tenantId)
+        .order('created_at', { ascending: true })
+        .range(offset, offset + EXPORT_PAGE_SIZE - 1);
+
+      if (error) throw new Error(`Failed to export ${table}: ${error.message}`);
+      rows.push(...(data || []));
+      if (!data || data.length < EXPORT_PAGE_SIZE) return rows;
+    }
+  }
+
+  // Everything the tenant stored, with credentials and tokens redacted
+  async buildExport(tenantId) {
+    const { data: tenant, error } = await supabase
+      .from('tenants')
+      .select(TENANT_EXPORT_COLUMNS)
+      .eq('id', tenantId)
+      .single();
+
+    if (error || !tenant) throw httpError('Tenant not found', 404);
+
+    const data = { format: 'reportflow-export/v1', exported_at: new Date().toISOString(), tenant };
+    for (const [key, { table, columns }] of Object.entries(EXPORT_TABLES)) {
+      data[key] = redact(await this.fetchAll(table, tenantId, columns));
+    }
+    return data;
+  }
+
+  async createExport(tenantId, { reason = 'requested', requestedBy = null, expiresAt = null } = {}) {
+    const data = await this.buildExport(tenantId);
+
+    const { data: tenantExport, error } = await supabase
+      .from('tenant_exports')
+      .insert({
+        tenant_id: tenantId,
+        reason,
+        data,
+        size_bytes: Buffer.byteLength(JSON.stringify(data)),
+        requested_by: requestedBy,
+        expires_at: expiresAt || new Date(Date.now() + EXPORT_TTL_DAYS * DAY_MS).toISOString()
+      })
+      .select(EXPORT_COLUMNS)
+      .single();
+
+    if (error) throw new Error(`Failed to store export: ${error.message}`);
+
+    console.log(`📦 Created ${reason} export ${tenantExport.id} for tenant: ${tenantId}`);
+    return tenantExport;
+  }
+
+  async listExports(tenantId) {
+    const { data: exports, error } = await supabase
+      .from('tenant_exports')
+      .select(EXPORT_COLUMNS)
+      .eq('tenant_id', tenantId)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return exports || [];
+  }
+
+  async getExportData(tenantId, exportId) {
+    const { data: tenantExport } = await supabase
+      .from('tenant_exports')
+      .select(`${EXPORT_COLUMNS}, data`)
+      .eq('id', exportId)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (!tenantExport) throw httpError('Export not found', 404);
+    if (new Date(tenantExport.expires_at) <= new Date()) throw httpError('Export has expired', 410);
+
+    await supabase
+      .from('tenant_exports')
+      .update({ downloaded_at: new Date().toISOString() })
+      .eq('id', exportId);
+
+    return tenantExport;
+  }
+
+  getExportUrl(exportId) {
+    const appUrl = process.env.APP_URL || 'http://localhost:3000';
+    return `${appUrl}/settings/account/exports/${exportId}`;
+  }
+
+  // Exports the tenant's data first, then schedules the purge. Access is
+  // limited to billing and account routes until then, so the owner can still
+  // download the export or cancel.
+  async requestDeletion(tenant, { requestedBy = null, ...context } = {}) {
+    const status = this.getStatus(tenant);
+    if (status === 'pending_deletion') throw httpError('Deletion has already been requested', 409);
+    if (status === 'suspended_admin') throw httpError('Suspended accounts cannot be deleted; contact support', 403);
+
+    const scheduledFor = new Date(Date.now() + DELETION_DELAY_DAYS * DAY_MS).toISOString();
+    const tenantExport = await this.createExport(tenant.id, {
+      reason: 'deletion',
+      requestedBy,
+      expiresAt: scheduledFor
+    });
+
+    const updated = await this.setStatus(tenant.id, 'pending_deletion', {
+      reason: 'deletion_requested',
+      extra: {
+        previous_status: status,
+        deletion_requested_at: new Date().toISOString(),
+        deletion_scheduled_for: scheduledFor
+      }
+    });
+
+    await auditService.record('tenant.deletion_requested', {
+      tenantId: tenant.id,
+      ...context,
+      resourceType: 'tenant',
+      resourceId: tenant.id,
+      before: { status },
+      after: { status: 'pending_deletion', deletion_scheduled_for: scheduledFor },
+      metadata: { export_id: tenantExport.id }
+    });
+
+    try {
+      await emailService.sendSystemEmail(tenant, {
+        to: tenant.email,
+        subject: 'Your ReportFlow account is scheduled for deletion',
+        html: `
+      <p>Hello,</p>
+      <p>We received a request to delete the ${tenant.company_name || tenant.name} account on ReportFlow. It will be permanently deleted on ${scheduledFor.slice(0, 10)}.</p>
+      <p><a href="${this.getExportUrl(tenantExport.id)}">Download your data</a> before then. If you didn't request this, sign in and cancel the deletion.</p>
+    `
+      });
+    } catch (error) {
+      console.error(`❌ Failed to email deletion notice for tenant ${tenant.id}:`, error.message);
+    }
+
+    return { tenant: updated, export: tenantExport };
+  }
+
+  async cancelDeletion(tenant, context = {}) {
+    if (this.getStatus(tenant) !== 'pending_deletion') throw httpError('No deletion is pending', 409);
+
+    const restored = tenant.previous_status && tenant.previous_status !== 'pending_deletion'
+      ? tenant.previous_status
+      : 'active';
+    const updated = await this.setStatus(tenant.id, restored, {
+      extra: { previous_status: null, deletion_requested_at: null, deletion_scheduled_for: null }
+    });
+
+    await auditService.record('tenant.deletion_canceled', {
+      tenantId: tenant.id,
+      ...context,
+      resourceType: 'tenant',
+      resourceId: tenant.id,
+      before: { status: 'pending_deletion' },
+      after: { status: restored }
+    });
+
+    return updated;
+  }
+
+  // Stored PDFs aren't covered by the database purge
+  async removeReportFiles(tenantId) {
+    const reports = await this.fetchAll('generated_reports', tenantId, 'file_url, created_at');
+    const paths = reports
+      .map(report => report.file_url && report.file_url.split('/pdf-reports/')[1])
+      .filter(Boolean)
+      .map(path => decodeURIComponent(path.split('?')[0]));
+
+    for (let i = 0; i < paths.length; i += 100) {
+      const { error } = await supabase.storage.from('pdf-reports').remove(paths.slice(i, i + 100));
+      if (error) throw new Error(`Failed to remove report files: ${error.message}`);
+    }
+    return paths.length;
+  }
+
+  // Purges every tenant whose deletion date has passed
+  async purgeDueTenants(now = new Date()) {
+    const { data: tenants, error } = await supabase
+      .from('tenants')
+      .select('id, deletion_scheduled_for')
+      .eq('status', 'pending_deletion')
+      .lte('deletion_scheduled_for', now.toISOString());
+
+    if (error) throw new Error(`Failed to load tenants due for deletion: ${error.message}`);
+
+    const results = [];
+    for (const tenant of tenants || []) {
+      try {
+        const removedFiles = await this.removeReportFiles(tenant.id);
+        const { error: purgeError } = await supabase.rpc('purge_tenant', { p_tenant_id: tenant.id });
+        if (purgeError) throw new Error(purgeError.message);
+
+        // Recorded after the purge so it survives; it names no personal data
+        await auditService.record('tenant.purged', {
+          tenantId: tenant.id,
+          resourceType: 'tenant',
+          resourceId: tenant.id,
+          metadata: { scheduled_for: tenant.deletion_scheduled_for, removed_files: removedFiles }
+        });
+
+        console.log(`🗑️ Purged tenant ${tenant.id}`);
+        results.push({ tenant_id: tenant.id, status: 'purged' });
+      } catch (purgeError) {
+        console.error(`❌ Failed to purge tenant ${tenant.id}:`, purgeError.message);
+        results.push({ tenant_id: tenant.id, status: 'failed', error: purgeError.message });
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = new TenantService();
+module.exports.TENANT_STATUSES = TENANT_STATUSES;
@@ -0,0 +1,230 @@
+// services/token-service.js - JWT access tokens and rotating, revocable refresh tokens
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const supabase = require('../lib/supabase');
+
+const ISSUER = 'reportflow';
+
+const authError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+// Emailed links that are expired, tampered with or of the wrong kind
+const linkError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class TokenService {
+  constructor() {
+    this.accessTtlSeconds = Number(process.env.JWT_ACCESS_TTL_SECONDS) || 15 * 60;
+    this.refreshTtlSeconds = Number(process.env.JWT_REFRESH_TTL_SECONDS) || 30 * 24 * 60 * 60;
+  }
+
+  getSecret() {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET environment variable is not configured');
+    }
+    return process.env.JWT_SECRET;
+  }
+
+  signAccessToken(tenant, claims = {}) {
+    return jwt.sign(
+      { tenant_id: tenant.id, type: 'access', ...claims },
+      this.getSecret(),
+      {
+        subject: claims.user_id || tenant.id,
+        issuer: ISSUER,
+        expiresIn: this.accessTtlSeconds,
+        algorithm: 'HS256'
+      }
+    );
+  }
+
+  verifyAccessToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.getSecret(), { issuer: ISSUER, algorithms: ['HS256'] });
+    } catch (error) {
+      throw authError(error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token');
+    }
+
+    if (payload.type !== 'access' || !payload.tenant_id) {
+      throw authError('Invalid access token');
+    }
+    return payload;
+  }
+
+  // Signed, expiring tokens for emailed links ('password_reset', 'email_verification').
+  // The type claim keeps one kind of token from being used as another.
+  signPurposeToken(purpose, claims, ttlSeconds) {
+    return jwt.sign(
+      { ...claims, type: purpose },
+      this.getSecret(),
+      { issuer: ISSUER, expiresIn: ttlSeconds, algorithm: 'HS256' }
+    );
+  }
+
+  verifyPurposeToken(token, purpose) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.getSecret(), { issuer: ISSUER, algorithms: ['HS256'] });
+    } catch (error) {
+      throw linkError(error.name === 'TokenExpiredError' ? 'This link has expired' : 'This link is invalid');
+    }
+
+    if (payload.type !== purpose) throw linkError('This link is invalid');
+    return payload;
+  }
+
+  // Refresh tokens are opaque random strings; only their hash is stored. Every
+  // rotation of a login stays in the same family so a reused token can revoke
+  // the whole chain.
+  async createRefreshToken(tenantId, { userId = null, familyId = crypto.randomUUID(), userAgent = null, ip = null } = {}) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+    const { data: stored, error } = await supabase
+      .from('refresh_tokens')
+      .insert({
+        tenant_id: tenantId,
+        user_id: userId,
+        token_hash: hashToken(refreshToken),
+        family_id: familyId,
+        expires_at: new Date(Date.now() + this.refreshTtlSeconds * 1000).toISOString(),
+        user_agent: userAgent,
+        ip_address: ip
+      })
+      .select('id')
+      .single();
+
+    if (error) throw new Error(`Failed to store refresh token: ${error.message}`);
+    return { id: stored.id, token: refreshToken };
+  }
+
+  formatTokens(accessToken, refreshToken) {
+    return {
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      token_type: 'Bearer',
+      expires_in: this.accessTtlSeconds,
+      refresh_expires_in: this.refreshTtlSeconds
+    };
+  }
+
+  // Issues an access token plus a refresh token that starts a new family
+  async issueTokens(tenant, { claims = {}, userAgent = null, ip = null } = {}) {
+    const accessToken = this.signAccessToken(tenant, claims);
+    const refresh = await this.createRefreshToken(tenant.id, { userId: claims.user_id, userAgent, ip });
+    return this.formatTokens(accessToken, refresh.token);
+  }
+
+  // Exchanges a refresh token for a new pair. The old token is revoked in the
+  // same conditional update that checks it, so two concurrent refreshes can't
+  // both succeed; presenting a revoked token revokes its whole family.
+  async rotateRefreshToken(refreshToken, { loadTenant, userAgent = null, ip = null } = {}) {
+    const { data: stored, error } = await supabase
+      .from('refresh_tokens')
+      .select('id, tenant_id, user_id, family_id, expires_at, revoked_at')
+      .eq('token_hash', hashToken(refreshToken || ''))
+      .single();
+
+    if (error || !stored) throw authError('Invalid refresh token');
+
+    if (stored.revoked_at) {
+      console.warn(`🚨 Refresh token reuse detected for tenant ${stored.tenant_id}, revoking family ${stored.family_id}`);
+      await this.revokeFamily(stored.family_id, 'reuse_detected');
+      throw authError('Refresh token has been revoked');
+    }
+
+    if (new Date(stored.expires_at) <= new Date()) {
+      throw authError('Refresh token expired');
+    }
+
+    const { data: revoked } = await supabase
+      .from('refresh_tokens')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: 'rotated' })
+      .eq('id', stored.id)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (!revoked || revoked.length === 0) {
+      await this.revokeFamily(stored.family_id, 'reuse_detected');
+      throw authError('Refresh token has been revoked');
+    }
+
+    const tenant = await loadTenant(stored.tenant_id, stored.user_id);
+    if (!tenant) throw authError('Tenant or user is no longer active');
+
+    const claims = stored.user_id ? { user_id: stored.user_id } : {};
+    const refresh = await this.createRefreshToken(tenant.id, {
+      userId: stored.user_id,
+      familyId: stored.family_id,
+      userAgent,
+      ip
+    });
+
+    await supabase
+      .from('refresh_tokens')
+      .update({ replaced_by: refresh.id })
+      .eq('id', stored.id);
+
+    return { tenant, tokens: this.formatTokens(this.signAccessToken(tenant, claims), refresh.token) };
+  }
+
+  // Logout: revokes the presented token and every token rotated from the same login
+  // Returns the revoked session's tenant and user, or null if the token is unknown
+  async revokeRefreshToken(refreshToken) {
+    const { data: stored } = await supabase
+      .from('refresh_tokens')
+      .select('family_id, tenant_id, user_id')
+      .eq('token_hash', hashToken(refreshToken || ''))
+      .single();
+
+    if (!stored) return null;
+
+    await this.revokeFamily(stored.family_id, 'logout');
+    return { tenant_id: stored.tenant_id, user_id: stored.user_id };
+  }
+
+  async revokeFamily(familyId, reason) {
+    const { error } = await supabase
+      .from('refresh_tokens')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('family_id', familyId)
+      .is('revoked_at', null);
+
+    if (error) console.error(`❌ Failed to revoke refresh token family ${familyId}:`, error.message);
+  }
+
+  async revokeAllForTenant(tenantId, reason = 'logout_all') {
+    const { data, error } = await supabase
+      .from('refresh_tokens')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('tenant_id', tenantId)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (error) throw new Error(`Failed to revoke refresh tokens: ${error.message}`);
+    return (data || []).length;
+  }
+
+  async revokeAllForUser(tenantId, userId, reason = 'logout_all') {
+    const { data, error } = await supabase
+      .from('refresh_tokens')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('tenant_id', tenantId)
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (error) throw new Error(`Failed to revoke refresh tokens: ${error.message}`);
+    return (data || []).length;
+  }
+}
+
+module.exports = new TokenService();
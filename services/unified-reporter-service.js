@@ -436,7 +436,7 @@ async generateUnifiedReport(tenantId, reportConfigId, options = {}) {
         metaData = await metaOAuthService.fetchMetaAdsData(
           tenantId, 
           reportConfigId,
-          { since: '30 days ago', until: 'today' }
+          this.toMetaDateRange(options.dateRange)
         );
       }
     } catch (metaError) {
@@ -507,11 +507,7 @@ async generateUnifiedReport(tenantId, reportConfigId, options = {}) {
       executive_summary: this.generateExecutiveSummary(gaData, metaData, aiInsights)
     };
 
-    // 6. Store insights in database
-    if (aiInsights.success) {
-      await this.storeUnifiedInsights(tenantId, reportConfigId, unifiedReport);
-    }
-
+    // Callers store the insights once the report is used (see storeUnifiedInsights)
     console.log('✅ Unified report generated successfully with AI insights');
     return unifiedReport;
 
@@ -525,6 +521,16 @@ async generateUnifiedReport(tenantId, reportConfigId, options = {}) {
   }
 }
 
+// Meta's time_range only accepts YYYY-MM-DD, so explicit GA date ranges are passed
+// through and relative ones ('30daysAgo') keep the default window
+toMetaDateRange(dateRange) {
+  const isoDate = /^\d{4}-\d{2}-\d{2}$/;
+  if (dateRange && isoDate.test(dateRange.startDate) && isoDate.test(dateRange.endDate)) {
+    return { since: dateRange.startDate, until: dateRange.endDate };
+  }
+  return { since: '30 days ago', until: 'today' };
+}
+
 // 🆕 NEW METHOD: Get report configuration with AI settings
 async getReportConfig(tenantId, reportConfigId) {
   try {
@@ -544,8 +550,11 @@ async getReportConfig(tenantId, reportConfigId) {
   }
 }
 
-// 🆕 NEW METHOD: Store unified insights
+// Stores the AI insights of a generated report; best-effort, never throws.
+// Reports whose AI insights failed have nothing to store.
 async storeUnifiedInsights(tenantId, reportConfigId, reportData) {
+  if (!reportData.ai_insights?.success) return;
+
   try {
     const supabase = require('../lib/supabase');
     
@@ -0,0 +1,198 @@
+// tests/account.test.js - Login lockout, password reset and email verification
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const request = require('supertest');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+
+jest.mock('../lib/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(() => mockSupabase),
+    select: jest.fn(() => mockSupabase),
+    insert: jest.fn(() => mockSupabase),
+    update: jest.fn(() => mockSupabase),
+    eq: jest.fn(() => mockSupabase),
+    is: jest.fn(() => mockSupabase),
+    rpc: jest.fn(() => Promise.resolve({ data: null, error: null })),
+    single: jest.fn(() => Promise.resolve({ data: null, error: null })),
+    then: (resolve) => resolve({ data: [], error: null })
+  };
+  return mockSupabase;
+});
+
+jest.mock('../services/email-service', () => ({
+  sendSystemEmail: jest.fn(() => Promise.resolve({ success: true }))
+}));
+
+const supabase = require('../lib/supabase');
+const emailService = require('../services/email-service');
+const tokenService = require('../services/token-service');
+const teamService = require('../services/team-service');
+const accountService = require('../services/account-service');
+const authRoutes = require('../routes/auth');
+
+const tenantId = '3bce31b7-b045-4da0-981c-db138e866cfe';
+const userId = '9f1c7a52-6d0b-4c1e-8a43-2f6c1d0e5b77';
+const passwordHash = bcrypt.hashSync('correct-horse', 4);
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const member = (overrides = {}) => ({
+  id: userId,
+  tenant_id: tenantId,
+  email: 'editor@acme.test',
+  role: 'editor',
+  password_hash: passwordHash,
+  failed_login_count: 0,
+  locked_until: null,
+  ...overrides
+});
+
+const auditActions = () => supabase.insert.mock.calls
+  .map(([row]) => row)
+  .filter(row => row && row.action)
+  .map(row => row.action);
+
+describe('login lockout', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(teamService, 'findLoginCandidates');
+  });
+
+  afterEach(() => {
+    teamService.findLoginCandidates.mockRestore();
+  });
+
+  it('refuses locked accounts without checking the password', async () => {
+    const lockedUntil = new Date(Date.now() + 120 * 1000).toISOString();
+    teamService.findLoginCandidates.mockResolvedValue([member({ failed_login_count: 6, locked_until: lockedUntil })]);
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'editor@acme.test', password: 'correct-horse' });
+
+    expect(response.status).toBe(423);
+    expect(response.headers['retry-after']).toBeDefined();
+    expect(response.body.retry_after_seconds).toBeGreaterThan(100);
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+
+  it('counts failures and audits the lock once the threshold is reached', async () => {
+    teamService.findLoginCandidates.mockResolvedValue([member({ failed_login_count: 4 })]);
+    supabase.rpc.mockResolvedValueOnce({
+      data: [{ failed_login_count: 5, locked_until: new Date(Date.now() + 60 * 1000).toISOString() }],
+      error: null
+    });
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'editor@acme.test', password: 'wrong-password' });
+
+    expect(response.status).toBe(401);
+    expect(supabase.rpc).toHaveBeenCalledWith('record_failed_login', expect.objectContaining({ p_user_id: userId }));
+    expect(auditActions()).toEqual(['auth.login_failed', 'auth.account_locked']);
+  });
+});
+
+describe('login without an active membership', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(teamService, 'findLoginCandidates').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    teamService.findLoginCandidates.mockRestore();
+  });
+
+  it('does not fall back to the tenant password, which has no lockout', async () => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'owner@acme.test', password: 'correct-horse' });
+
+    expect(response.status).toBe(401);
+    expect(supabase.from).not.toHaveBeenCalledWith('tenants');
+  });
+});
+
+describe('password reset', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('emails a signed link and accepts it once', async () => {
+    supabase.single.mockResolvedValueOnce({ data: { id: tenantId, name: 'Acme Agency' }, error: null });
+    await accountService.sendPasswordReset(member());
+
+    const { html } = emailService.sendSystemEmail.mock.calls[0][1];
+    const token = decodeURIComponent(html.match(/token=([^"]+)/)[1]);
+
+    supabase.single.mockResolvedValueOnce({ data: { ...member(), status: 'active' }, error: null });
+    const response = await request(app)
+      .post('/api/auth/password/reset')
+      .send({ token, password: 'a-new-password' });
+
+    expect(response.status).toBe(200);
+    expect(supabase.update).toHaveBeenCalledWith(expect.objectContaining({ failed_login_count: 0, locked_until: null }));
+    expect(supabase.update).toHaveBeenCalledWith(expect.objectContaining({ revoked_reason: 'password_reset' }));
+    expect(auditActions()).toContain('auth.password_reset_completed');
+
+    // Once the password changed, the same link no longer matches
+    supabase.single.mockResolvedValueOnce({
+      data: { ...member({ password_hash: bcrypt.hashSync('a-new-password', 4) }), status: 'active' },
+      error: null
+    });
+    const reused = await request(app)
+      .post('/api/auth/password/reset')
+      .send({ token, password: 'another-password' });
+
+    expect(reused.status).toBe(400);
+  });
+
+  it('does not reveal whether an email has an account', async () => {
+    jest.spyOn(teamService, 'findLoginCandidates').mockResolvedValueOnce([]);
+
+    const response = await request(app)
+      .post('/api/auth/password/forgot')
+      .send({ email: 'nobody@acme.test' });
+
+    expect(response.status).toBe(200);
+    expect(emailService.sendSystemEmail).not.toHaveBeenCalled();
+    teamService.findLoginCandidates.mockRestore();
+  });
+});
+
+describe('email verification', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('rejects tokens issued for another purpose', async () => {
+    const resetToken = tokenService.signPurposeToken('password_reset', { user_id: userId, tenant_id: tenantId }, 60);
+
+    const response = await request(app)
+      .post('/api/auth/verify-email')
+      .send({ token: resetToken });
+
+    expect(response.status).toBe(400);
+    expect(supabase.update).not.toHaveBeenCalled();
+  });
+
+  it('marks the email verified', async () => {
+    const token = tokenService.signPurposeToken('email_verification', {
+      user_id: userId,
+      tenant_id: tenantId,
+      email: 'editor@acme.test'
+    }, 60);
+    supabase.single.mockResolvedValueOnce({ data: { ...member(), status: 'active', email_verified_at: null }, error: null });
+
+    const response = await request(app)
+      .post('/api/auth/verify-email')
+      .send({ token });
+
+    expect(response.status).toBe(200);
+    expect(supabase.update).toHaveBeenCalledWith(expect.objectContaining({ email_verified_at: expect.any(String) }));
+    expect(auditActions()).toContain('auth.email_verified');
+  });
+});
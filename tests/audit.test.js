@@ -0,0 +1,168 @@
+// tests/audit.test.js - Audit event redaction, actors, querying and CSV export
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../lib/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(() => mockSupabase),
+    select: jest.fn(() => mockSupabase),
+    insert: jest.fn(() => Promise.resolve({ error: null })),
+    eq: jest.fn(() => mockSupabase),
+    like: jest.fn(() => mockSupabase),
+    gte: jest.fn(() => mockSupabase),
+    lte: jest.fn(() => mockSupabase),
+    order: jest.fn(() => mockSupabase),
+    range: jest.fn(() => Promise.resolve({ data: [], error: null, count: 0 }))
+  };
+  return mockSupabase;
+});
+
+const supabase = require('../lib/supabase');
+const auditService = require('../services/audit-service');
+const { redact, diff } = require('../services/audit-service');
+const auditRoutes = require('../routes/audit');
+
+const tenantId = '3bce31b7-b045-4da0-981c-db138e866cfe';
+
+const app = express();
+app.use((req, res, next) => {
+  req.tenantId = tenantId;
+  next();
+});
+app.use('/api/audit-events', auditRoutes);
+
+describe('redaction and diffs', () => {
+  it('never keeps secret values, at any depth', () => {
+    expect(redact({
+      host: 'smtp.acme.test',
+      smtp: { user: 'mailer', pass: 'hunter2' },
+      oauth_tokens: { access_token: 'ya29.abc' },
+      api_key: 'rf_live_123',
+      stored: 'enc:v1:aaa:bbb:ccc'
+    })).toEqual({
+      host: 'smtp.acme.test',
+      smtp: { user: 'mailer', pass: '[REDACTED]' },
+      oauth_tokens: '[REDACTED]',
+      api_key: '[REDACTED]',
+      stored: '[REDACTED]'
+    });
+  });
+
+  it('keeps only the keys that changed', () => {
+    expect(diff(
+      { name: 'Monthly', category: 'seo', is_active: false },
+      { name: 'Monthly', category: 'seo', is_active: true }
+    )).toEqual({ before: { is_active: false }, after: { is_active: true } });
+
+    expect(diff({ name: 'Monthly' }, { name: 'Monthly' })).toBeNull();
+    expect(diff(null, { name: 'Monthly' })).toEqual({ before: null, after: { name: 'Monthly' } });
+  });
+
+  it('records a changed secret without its value', () => {
+    expect(diff({ smtp: { pass: 'old' } }, { smtp: { pass: 'new' } })).toEqual({
+      before: { smtp: { pass: '[REDACTED]' } },
+      after: { smtp: { pass: '[REDACTED]' } }
+    });
+  });
+});
+
+describe('recording events', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('attributes events to the member, named key or legacy key that made the request', () => {
+    expect(auditService.actorFromRequest({ authMethod: 'jwt', user: { user_id: 'u1', email: 'a@acme.test' } }))
+      .toEqual({ type: 'user', id: 'u1', label: 'a@acme.test' });
+    expect(auditService.actorFromRequest({ authMethod: 'api_key', apiKey: { id: 'k1', name: 'Zapier' } }))
+      .toEqual({ type: 'api_key', id: 'k1', label: 'Zapier' });
+    expect(auditService.actorFromRequest({ authMethod: 'api_key' }).label).toBe('legacy tenant API key');
+  });
+
+  it('stores the actor, IP and redacted diff of a request', async () => {
+    await auditService.recordRequest({
+      tenantId,
+      authMethod: 'api_key',
+      apiKey: { id: 'k1', name: 'Zapier' },
+      ip: '203.0.113.9',
+      headers: { 'user-agent': 'curl/8' }
+    }, 'email.config_updated', {
+      resourceType: 'email_settings',
+      before: { email_provider: 'sendgrid' },
+      after: { email_provider: 'smtp', smtp: { pass: 'hunter2' } }
+    });
+
+    const [row] = supabase.insert.mock.calls[0];
+    expect(row).toMatchObject({
+      tenant_id: tenantId,
+      action: 'email.config_updated',
+      actor_type: 'api_key',
+      actor_id: 'k1',
+      ip_address: '203.0.113.9',
+      user_agent: 'curl/8'
+    });
+    expect(row.changes.after.smtp.pass).toBe('[REDACTED]');
+    expect(JSON.stringify(row)).not.toContain('hunter2');
+  });
+
+  it('does not fail the caller when the insert fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    supabase.insert.mockResolvedValueOnce({ error: { message: 'connection reset' } });
+
+    await expect(auditService.record('template.deleted', { tenantId })).resolves.toBeUndefined();
+    console.error.mockRestore();
+  });
+});
+
+describe('GET /api/audit-events', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('lists the tenant\'s events with filters', async () => {
+    supabase.range.mockResolvedValueOnce({ data: [{ id: 'e1', action: 'template.activated' }], error: null, count: 1 });
+
+    const response = await request(app)
+      .get('/api/audit-events')
+      .query({ action: 'template.*', actor_type: 'user', from: '2026-10-01T00:00:00Z', limit: 10 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.events).toHaveLength(1);
+    expect(response.body.pagination).toEqual({ limit: 10, offset: 0, total: 1 });
+    expect(supabase.eq).toHaveBeenCalledWith('tenant_id', tenantId);
+    expect(supabase.like).toHaveBeenCalledWith('action', 'template.%');
+    expect(supabase.eq).toHaveBeenCalledWith('actor_type', 'user');
+    expect(supabase.gte).toHaveBeenCalledWith('created_at', '2026-10-01T00:00:00Z');
+    expect(supabase.range).toHaveBeenCalledWith(0, 9);
+  });
+
+  it('rejects invalid filters', async () => {
+    const response = await request(app).get('/api/audit-events').query({ actor_type: 'robot' });
+    expect(response.status).toBe(400);
+  });
+
+  it('exports CSV with quoting and without spreadsheet formulas', async () => {
+    supabase.range.mockResolvedValueOnce({
+      data: [{
+        created_at: '2026-10-18T10:00:00Z',
+        action: 'template.updated',
+        actor_type: 'user',
+        actor_label: '=HYPERLINK("x")',
+        changes: { after: { name: 'Q3, final' } }
+      }],
+      error: null,
+      count: 1
+    });
+
+    const response = await request(app).get('/api/audit-events/export');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/text\/csv/);
+    expect(response.headers['x-export-truncated']).toBe('false');
+
+    const [header, row] = response.text.split('\r\n');
+    expect(header).toBe('created_at,action,actor_type,actor_id,actor_label,resource_type,resource_id,ip_address,user_agent,changes,metadata');
+    expect(row).toContain('"\'=HYPERLINK(""x"")"');
+    expect(row).toContain('"{""after"":{""name"":""Q3, final""}}"');
+  });
+});
@@ -0,0 +1,210 @@
+// tests/auth.test.js - Bearer/API key authentication and refresh token rotation
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+jest.mock('../lib/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(() => mockSupabase),
+    select: jest.fn(() => mockSupabase),
+    insert: jest.fn(() => mockSupabase),
+    update: jest.fn(() => mockSupabase),
+    eq: jest.fn(() => mockSupabase),
+    is: jest.fn(() => mockSupabase),
+    single: jest.fn(() => Promise.resolve({ data: null, error: null })),
+    then: (resolve) => resolve({ data: [], error: null })
+  };
+  return mockSupabase;
+});
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const express = require('express');
+const supabase = require('../lib/supabase');
+const authMiddleware = require('../middleware/auth');
+const tokenService = require('../services/token-service');
+
+const tenant = { id: '3bce31b7-b045-4da0-981c-db138e866cfe', api_key_hash: crypto.createHash('sha256').update('key-123').digest('hex') };
+
+const runMiddleware = async (headers) => {
+  const req = { headers };
+  const res = {
+    status: jest.fn(function () { return this; }),
+    json: jest.fn(function () { return this; })
+  };
+  const next = jest.fn();
+  await authMiddleware.validateTenant(req, res, next);
+  return { req, res, next };
+};
+
+describe('authMiddleware.validateTenant', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('accepts a valid bearer token', async () => {
+    supabase.single.mockResolvedValueOnce({ data: tenant, error: null });
+
+    const { req, next } = await runMiddleware({ authorization: `Bearer ${authMiddleware.generateToken(tenant)}` });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.tenantId).toBe(tenant.id);
+    expect(req.authMethod).toBe('jwt');
+  });
+
+  it('rejects expired bearer tokens', async () => {
+    const expired = jwt.sign(
+      { tenant_id: tenant.id, type: 'access' },
+      process.env.JWT_SECRET,
+      { issuer: 'reportflow', expiresIn: -10 }
+    );
+
+    const { res, next } = await runMiddleware({ authorization: `Bearer ${expired}` });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Access token expired' }));
+  });
+
+  it('still accepts the x-tenant-id / x-api-key pair', async () => {
+    supabase.single.mockResolvedValueOnce({ data: tenant, error: null });
+
+    const { req, next } = await runMiddleware({ 'x-tenant-id': tenant.id, 'x-api-key': 'key-123' });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.authMethod).toBe('api_key');
+  });
+});
+
+describe('TokenService.rotateRefreshToken', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    supabase.then = (resolve) => resolve({ data: [], error: null });
+  });
+
+  it('revokes the whole family when a rotated token is reused', async () => {
+    supabase.single.mockResolvedValueOnce({
+      data: { id: 'rt-1', tenant_id: tenant.id, family_id: 'family-1', revoked_at: '2024-05-01T00:00:00Z', expires_at: '2999-01-01T00:00:00Z' },
+      error: null
+    });
+
+    await expect(tokenService.rotateRefreshToken('old-token', { loadTenant: jest.fn() }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Refresh token has been revoked' });
+
+    expect(supabase.update).toHaveBeenCalledWith(expect.objectContaining({ revoked_reason: 'reuse_detected' }));
+    expect(supabase.eq).toHaveBeenCalledWith('family_id', 'family-1');
+  });
+
+  it('issues a new pair in the same family and revokes the old token', async () => {
+    supabase.single
+      .mockResolvedValueOnce({
+        data: { id: 'rt-1', tenant_id: tenant.id, family_id: 'family-1', revoked_at: null, expires_at: '2999-01-01T00:00:00Z' },
+        error: null
+      })
+      .mockResolvedValueOnce({ data: { id: 'rt-2' }, error: null });
+    supabase.then = (resolve) => resolve({ data: [{ id: 'rt-1' }], error: null });
+
+    const { tokens } = await tokenService.rotateRefreshToken('current-token', { loadTenant: async () => tenant });
+
+    expect(tokenService.verifyAccessToken(tokens.access_token).tenant_id).toBe(tenant.id);
+    expect(tokens.refresh_token).not.toBe('current-token');
+    expect(supabase.insert).toHaveBeenCalledWith(expect.objectContaining({ family_id: 'family-1' }));
+    expect(supabase.update).toHaveBeenCalledWith(expect.objectContaining({ revoked_reason: 'rotated' }));
+  });
+});
+
+describe('API key scopes', () => {
+  const { hasScope } = require('../services/api-key-service');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('lets write scopes read the same resource', () => {
+    expect(hasScope(['templates:write'], 'templates:read')).toBe(true);
+    expect(hasScope(['templates:read'], 'templates:write')).toBe(false);
+    expect(hasScope(['reports:write'], 'billing:read')).toBe(false);
+    expect(hasScope(['*'], 'billing:write')).toBe(true);
+  });
+
+  it('attaches the scopes of a named key', async () => {
+    supabase.single
+      .mockResolvedValueOnce({ data: tenant, error: null })
+      .mockResolvedValueOnce({ data: { id: 'key-1', name: 'Zapier', scopes: ['reports:write'], expires_at: null, revoked_at: null }, error: null });
+
+    const { req, next } = await runMiddleware({ 'x-tenant-id': tenant.id, 'x-api-key': 'rf_named' });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.scopes).toEqual(['reports:write']);
+    expect(req.apiKey).toEqual({ id: 'key-1', name: 'Zapier' });
+  });
+
+  it('rejects keys past their rotation overlap window', async () => {
+    supabase.single
+      .mockResolvedValueOnce({ data: tenant, error: null })
+      .mockResolvedValueOnce({ data: { id: 'key-1', scopes: ['*'], expires_at: '2020-01-01T00:00:00Z', revoked_at: null }, error: null });
+
+    const { res, next } = await runMiddleware({ 'x-tenant-id': tenant.id, 'x-api-key': 'rf_old' });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'API key has expired' }));
+  });
+
+  it('requireScope picks read or write from the HTTP method', () => {
+    const res = { status: jest.fn(function () { return this; }), json: jest.fn() };
+    const next = jest.fn();
+
+    authMiddleware.requireScope('templates')({ method: 'GET', scopes: ['templates:read'] }, res, next);
+    authMiddleware.requireScope('templates')({ method: 'POST', scopes: ['templates:read'] }, res, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ required_scope: 'templates:write' }));
+  });
+});
+
+describe('API key rotation', () => {
+  const apiKeyRoutes = require('../routes/api-keys');
+  const keyId = '5d8e2f7a-1c3b-4a9e-8f6d-0b2c4e6a8d10';
+
+  // Stands in for validateTenant with a named key holding `scopes`
+  const buildApp = (scopes) => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.tenantId = tenant.id;
+      req.scopes = scopes;
+      req.apiKey = { id: 'caller-key', name: 'Key manager' };
+      next();
+    });
+    app.use('/api/api-keys', apiKeyRoutes);
+    return app;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('refuses to rotate a key with more access than the caller', async () => {
+    supabase.single.mockResolvedValueOnce({ data: { id: keyId, name: 'Admin', scopes: ['*'] }, error: null });
+
+    const response = await request(buildApp(['keys:write'])).post(`/api/api-keys/${keyId}/rotate`).send({});
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toMatch(/\*/);
+    expect(supabase.insert).not.toHaveBeenCalled();
+  });
+
+  it('rotates keys within the caller\'s scopes', async () => {
+    const existing = { id: keyId, name: 'Reader', scopes: ['keys:read'], expires_at: null, revoked_at: null };
+    supabase.single
+      .mockResolvedValueOnce({ data: existing, error: null })
+      .mockResolvedValueOnce({ data: existing, error: null })
+      .mockResolvedValueOnce({ data: { id: 'key-2', name: 'Reader', scopes: ['keys:read'] }, error: null });
+
+    const response = await request(buildApp(['keys:write'])).post(`/api/api-keys/${keyId}/rotate`).send({});
+
+    expect(response.status).toBe(201);
+    expect(response.body.secret).toMatch(/^rf_/);
+    expect(supabase.insert).toHaveBeenCalledWith(expect.objectContaining({ scopes: ['keys:read'], rotated_from: keyId }));
+  });
+});
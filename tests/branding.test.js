@@ -0,0 +1,243 @@
+// tests/branding.test.js - Template layouts, tenant partials and brand kit
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const handlebars = require('handlebars');
+
+jest.mock('../lib/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(() => mockSupabase),
+    select: jest.fn(() => mockSupabase),
+    upsert: jest.fn(() => mockSupabase),
+    delete: jest.fn(() => mockSupabase),
+    eq: jest.fn(() => mockSupabase),
+    single: jest.fn(() => Promise.resolve({ data: null, error: null })),
+    // Awaiting a list query resolves to the next queued result (no rows by default)
+    results: [],
+    then: (resolve, reject) => Promise.resolve(mockSupabase.results.shift() || { data: [], error: null }).then(resolve, reject)
+  };
+  return mockSupabase;
+});
+
+jest.mock('../middleware/usage-limits', () => ({
+  checkUsage: (req, res, next) => next()
+}));
+
+jest.mock('../services/audit-service', () => ({
+  recordRequest: jest.fn(() => Promise.resolve()),
+  actorFromRequest: jest.fn(() => ({ type: 'user', id: 'user-1', label: 'owner@acme.test' }))
+}));
+
+const supabase = require('../lib/supabase');
+const auditService = require('../services/audit-service');
+const { renderTemplate, brandStyles, layoutOf } = require('../lib/template-layouts');
+const { sanitizeHTML } = require('../lib/template-sanitizer');
+const brandingService = require('../services/branding-service');
+const pdfService = require('../services/pdf-service');
+const templateRoutes = require('../routes/templates');
+const templatePartialRoutes = require('../routes/template-partials');
+const brandKitRoutes = require('../routes/brand-kit');
+
+const tenantId = 'tenant-1';
+const sampleData = pdfService.generateMockAnalyticsData('Acme Corp', 'Jan 1', 'Jan 31');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.tenantId = tenantId;
+  next();
+});
+app.use('/api/templates/partials', templatePartialRoutes);
+app.use('/api/templates/brand-kit', brandKitRoutes);
+app.use('/api/templates', templateRoutes);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  supabase.results = [];
+});
+
+afterAll(async () => {
+  await pdfService.shutdown();
+});
+
+describe('layouts', () => {
+  it('render the bundled templates inside the base layout with the system partials', () => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'templates', 'analytics-report.html'), 'utf8');
+    const html = renderTemplate(handlebars, source, sampleData);
+
+    expect(layoutOf(source)).toBe('base');
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('alt="Acme Corp" class="client-logo"');
+    expect(html).toContain('Executive Summary');
+    expect(html).toContain('Confidential Report - Prepared exclusively for Acme Corp');
+    expect(html).not.toContain('class="cover-page"');
+  });
+
+  it('use tenant partials over the system ones and expose the brand kit', () => {
+    const html = renderTemplate(handlebars, '{{!< base}}{{#*inline "content"}}<p>Body</p>{{/inline}}', sampleData, {
+      partials: { header: '<div class="header">{{brand.company_name}} header</div>' },
+      brand: { company_name: 'Northwind', show_cover_page: true, contact: { email: 'hello@northwind.test' } }
+    });
+
+    expect(html).toContain('<div class="header">Northwind header</div>');
+    expect(html).not.toContain('class="agency-logo"');
+    expect(html).toContain('<p>Body</p>');
+    expect(html).toContain('class="cover-page"');
+    expect(html.match(/hello@northwind\.test/g)).toHaveLength(2);
+  });
+
+  it('turn the brand kit into CSS variables, including chart colors', () => {
+    const css = brandStyles({ primary_color: '#ff6600', accent_color: '#222', heading_font: 'Georgia, serif' });
+
+    expect(css).toContain('--brand-primary: #ff6600;');
+    expect(css).toContain('--chart-color-1: #ff6600;');
+    expect(css).toContain('--chart-color-3: #222;');
+    expect(css).toContain('--brand-heading-font: Georgia, serif;');
+    expect(css).not.toContain('--brand-secondary');
+    expect(brandStyles({})).toBe('');
+  });
+
+  it('inject brand styles into full documents instead of wrapping them again', () => {
+    const html = pdfService.wrapHTML('<!DOCTYPE html><html><head><title>x</title></head><body></body></html>', 'p { color: red; }', ':root { --brand-primary: #f60; }');
+
+    expect(html.match(/<html/g)).toHaveLength(1);
+    expect(html.indexOf('--brand-primary')).toBeLessThan(html.indexOf('color: red'));
+    expect(html.indexOf('color: red')).toBeLessThan(html.indexOf('</head>'));
+  });
+
+  it('pass the sanitizer as shipped', () => {
+    const base = fs.readFileSync(path.join(__dirname, '..', 'templates', 'base.html'), 'utf8');
+    expect(sanitizeHTML(base).warnings).toEqual([]);
+  });
+});
+
+describe('brand kit validation', () => {
+  it('rejects values that could escape the style sheet or load scripts', () => {
+    const errors = brandingService.validateBrandKit({
+      primary_color: 'red; } body { display: none',
+      secondary_color: 'rgb(10, 20, 30)',
+      body_font: 'Inter</style>',
+      logo_url: 'javascript:alert(1)',
+      contact: { email: 'not-an-email', website: 'https://northwind.test', fax: '123' },
+      show_cover_page: 'yes'
+    });
+
+    expect(errors.map(error => error.path)).toEqual([
+      'logo_url', 'primary_color', 'body_font', 'show_cover_page', 'contact.email', 'contact.fax'
+    ]);
+  });
+
+  it('is saved and audited through the API', async () => {
+    supabase.single
+      .mockResolvedValueOnce({ data: null, error: null })
+      .mockResolvedValueOnce({ data: { tenant_id: tenantId, primary_color: '#ff6600', logo_url: 'https://evil.test/logo.png' }, error: null });
+
+    const response = await request(app)
+      .put('/api/templates/brand-kit')
+      .send({ primary_color: ' #ff6600 ', logo_url: 'https://evil.test/logo.png' });
+
+    expect(response.status).toBe(200);
+    expect(supabase.upsert).toHaveBeenCalledWith(
+      expect.objectContaining({ tenant_id: tenantId, primary_color: '#ff6600' }),
+      { onConflict: 'tenant_id' }
+    );
+    expect(response.body.warnings).toEqual([expect.objectContaining({ field: 'logo_url', code: 'external_resource' })]);
+    expect(auditService.recordRequest).toHaveBeenCalledWith(expect.anything(), 'brand_kit.updated', expect.objectContaining({
+      resourceType: 'brand_kit'
+    }));
+  });
+
+  it('answers 400 with the field errors', async () => {
+    const response = await request(app).put('/api/templates/brand-kit').send({ text_color: 'url(x)' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([expect.objectContaining({ path: 'text_color' })]);
+    expect(supabase.upsert).not.toHaveBeenCalled();
+  });
+});
+
+describe('partial routes', () => {
+  it('list system partials with tenant overrides', async () => {
+    supabase.results.push({ data: [{ name: 'footer', kind: 'partial', description: 'Ours', updated_at: '2026-10-01' }, { name: 'disclaimer', kind: 'partial' }], error: null });
+
+    const response = await request(app).get('/api/templates/partials');
+
+    expect(response.status).toBe(200);
+    const byName = Object.fromEntries(response.body.partials.map(partial => [partial.name, partial]));
+    expect(byName.base).toEqual(expect.objectContaining({ kind: 'layout', source: 'system' }));
+    expect(byName.footer).toEqual(expect.objectContaining({ source: 'tenant', overridden: true, description: 'Ours' }));
+    expect(byName.disclaimer).toEqual(expect.objectContaining({ source: 'tenant', overridden: false }));
+    expect(byName.header.source).toBe('system');
+  });
+
+  it('save sanitized partials and report layouts without content', async () => {
+    supabase.single.mockResolvedValueOnce({ data: { id: 'partial-1', name: 'brand-layout', kind: 'layout' }, error: null });
+
+    const response = await request(app)
+      .put('/api/templates/partials/brand-layout')
+      .send({ kind: 'layout', content: '<div onclick="x()">{{> header}}</div>' });
+
+    expect(response.status).toBe(200);
+    expect(supabase.upsert).toHaveBeenCalledWith(
+      expect.objectContaining({ tenant_id: tenantId, name: 'brand-layout', kind: 'layout', content: '<div>{{> header}}</div>' }),
+      { onConflict: 'tenant_id,name' }
+    );
+    expect(response.body.warnings.map(warning => warning.code)).toEqual(['disallowed_attribute', 'missing_content']);
+    expect(auditService.recordRequest).toHaveBeenCalledWith(expect.anything(), 'template.partial_saved', expect.anything());
+  });
+
+  it('reject invalid names and Handlebars', async () => {
+    const reserved = await request(app).put('/api/templates/partials/content').send({ content: '<p>x</p>' });
+    const broken = await request(app).put('/api/templates/partials/disclaimer').send({ content: '{{#if x}}<p>x</p>' });
+
+    expect(reserved.status).toBe(400);
+    expect(broken.status).toBe(400);
+    expect(broken.body.error).toMatch(/^Invalid Handlebars/);
+    expect(supabase.upsert).not.toHaveBeenCalled();
+  });
+
+  it('restore the system default when an override is deleted', async () => {
+    supabase.results.push({ data: [{ id: 'partial-2', name: 'footer', kind: 'partial' }], error: null });
+
+    const response = await request(app).delete('/api/templates/partials/footer');
+
+    expect(response.status).toBe(200);
+    expect(response.body.restored_system_default).toBe(true);
+    expect(supabase.eq).toHaveBeenCalledWith('name', 'footer');
+  });
+});
+
+describe('preview', () => {
+  it('renders with saved partials, unsaved overrides and the brand kit', async () => {
+    supabase.results.push({ data: [{ name: 'footer', content: '<div class="footer">Saved footer</div>' }], error: null });
+    supabase.single.mockResolvedValueOnce({ data: { tenant_id: tenantId, primary_color: '#ff6600' }, error: null });
+
+    const response = await request(app)
+      .post('/api/templates/preview')
+      .send({
+        html_content: '{{!< base}}{{#*inline "content"}}<p>{{clientName}}</p>{{/inline}}',
+        partials: { header: '<div class="header" onmouseover="x()">Draft header</div>' },
+        brand_kit: { secondary_color: '#00aa88' }
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.html).toContain('<div class="header">Draft header</div>');
+    expect(response.body.html).toContain('Saved footer');
+    expect(response.body.html).toContain('--brand-primary: #ff6600;');
+    expect(response.body.html).toContain('--brand-secondary: #00aa88;');
+    expect(response.body.warnings).toEqual([
+      expect.objectContaining({ field: 'partials.header', code: 'disallowed_attribute' })
+    ]);
+    expect(supabase.upsert).not.toHaveBeenCalled();
+  });
+
+  it('rejects an invalid brand kit override', async () => {
+    const response = await request(app)
+      .post('/api/templates/preview')
+      .send({ html_content: '<p>x</p>', brand_kit: { heading_font: 'x; } *{' } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([expect.objectContaining({ path: 'heading_font' })]);
+  });
+});
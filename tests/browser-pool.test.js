@@ -0,0 +1,184 @@
+// tests/browser-pool.test.js - Pooled browsers: reuse, concurrency cap, timeouts and crash recovery
+const { EventEmitter } = require('events');
+const { BrowserPool } = require('../lib/browser-pool');
+
+// Stands in for a puppeteer Browser
+const createFakeBrowser = () => {
+  const browser = new EventEmitter();
+  browser.connected = true;
+  browser.pages = [];
+  browser.newPage = jest.fn(async () => {
+    if (!browser.connected) throw new Error('Protocol error: Target closed');
+    const page = {
+      setDefaultTimeout: jest.fn(),
+      goto: jest.fn(() => Promise.resolve()),
+      close: jest.fn(() => Promise.resolve())
+    };
+    browser.pages.push(page);
+    return page;
+  });
+  browser.close = jest.fn(async () => {
+    browser.connected = false;
+  });
+  browser.crash = () => {
+    browser.connected = false;
+    browser.emit('disconnected');
+  };
+  return browser;
+};
+
+const createPool = (options = {}) => {
+  const browsers = [];
+  const launch = jest.fn(async () => {
+    const browser = createFakeBrowser();
+    browsers.push(browser);
+    return browser;
+  });
+  return { pool: new BrowserPool({ launch, idleTimeoutMs: 60000, ...options }), launch, browsers };
+};
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((done) => { resolve = done; });
+  return { promise, resolve };
+};
+
+describe('BrowserPool', () => {
+  let current;
+
+  afterEach(async () => {
+    if (current) await current.close();
+    current = null;
+  });
+
+  it('keeps one warm browser and reuses its page across renders', async () => {
+    const { pool, launch, browsers } = createPool();
+    current = pool;
+
+    for (let i = 0; i < 3; i++) {
+      expect(await pool.run(async () => `pdf-${i}`)).toBe(`pdf-${i}`);
+    }
+
+    expect(launch).toHaveBeenCalledTimes(1);
+    expect(browsers[0].newPage).toHaveBeenCalledTimes(1);
+    expect(browsers[0].pages[0].goto).toHaveBeenCalledWith('about:blank');
+    expect(pool.getMetrics()).toEqual(expect.objectContaining({
+      browsers: 1,
+      idle_pages: 1,
+      renders_completed: 3,
+      pages_created: 1
+    }));
+  });
+
+  it('prepares each new page once, before its first render', async () => {
+    const preparePage = jest.fn(async (page) => { page.prepared = true; });
+    const { pool } = createPool({ preparePage });
+    current = pool;
+
+    await pool.run(async (page) => expect(page.prepared).toBe(true));
+    await pool.run(async () => {});
+
+    expect(preparePage).toHaveBeenCalledTimes(1);
+  });
+
+  it('shares a single launch between renders that start together', async () => {
+    const { pool, launch } = createPool({ maxConcurrentPages: 3 });
+    current = pool;
+
+    await Promise.all([1, 2, 3].map(n => pool.run(async () => n)));
+
+    expect(launch).toHaveBeenCalledTimes(1);
+  });
+
+  it('caps concurrent pages and queues the rest', async () => {
+    const { pool } = createPool({ maxConcurrentPages: 2 });
+    current = pool;
+    const gates = [deferred(), deferred(), deferred()];
+    let running = 0;
+    let maxRunning = 0;
+
+    const renders = gates.map(gate => pool.run(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await gate.promise;
+      running--;
+    }));
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(pool.getMetrics().queued_renders).toBe(1);
+
+    gates.forEach(gate => gate.resolve());
+    await Promise.all(renders);
+
+    expect(maxRunning).toBe(2);
+    expect(pool.getMetrics().max_queue_depth).toBe(1);
+  });
+
+  it('rejects renders once the queue is full', async () => {
+    const { pool } = createPool({ maxConcurrentPages: 1, maxQueue: 1 });
+    current = pool;
+    const gate = deferred();
+
+    const first = pool.run(() => gate.promise);
+    const second = pool.run(async () => 'queued');
+    await expect(pool.run(async () => 'rejected')).rejects.toMatchObject({ code: 'PDF_POOL_QUEUE_FULL', statusCode: 503 });
+
+    gate.resolve();
+    await first;
+    expect(await second).toBe('queued');
+  });
+
+  it('times out slow renders and closes their page', async () => {
+    const { pool, browsers } = createPool({ renderTimeoutMs: 20 });
+    current = pool;
+
+    await expect(pool.run(() => new Promise(() => {}))).rejects.toMatchObject({ code: 'PDF_RENDER_TIMEOUT' });
+
+    expect(browsers[0].pages[0].close).toHaveBeenCalled();
+    expect(pool.getMetrics()).toEqual(expect.objectContaining({ render_timeouts: 1, idle_pages: 0 }));
+    expect(await pool.run(async () => 'next')).toBe('next');
+  });
+
+  it('replaces a crashed browser and retries the render once', async () => {
+    const { pool, launch, browsers } = createPool();
+    current = pool;
+    let attempts = 0;
+
+    const result = await pool.run(async () => {
+      attempts++;
+      if (attempts === 1) {
+        browsers[0].crash();
+        throw new Error('Protocol error: Target closed');
+      }
+      return 'recovered';
+    });
+
+    expect(result).toBe('recovered');
+    expect(launch).toHaveBeenCalledTimes(2);
+    expect(pool.getMetrics()).toEqual(expect.objectContaining({ browsers: 1, browser_crashes: 1, crash_retries: 1 }));
+  });
+
+  it('does not retry ordinary render errors', async () => {
+    const { pool, launch } = createPool();
+    current = pool;
+
+    await expect(pool.run(async () => { throw new Error('bad template'); })).rejects.toThrow('bad template');
+
+    expect(launch).toHaveBeenCalledTimes(1);
+    expect(pool.getMetrics().renders_failed).toBe(1);
+  });
+
+  it('recycles pages and browsers after their render limits', async () => {
+    const { pool, launch, browsers } = createPool({ maxRendersPerPage: 2, maxRendersPerBrowser: 3 });
+    current = pool;
+
+    for (let i = 0; i < 4; i++) {
+      await pool.run(async () => i);
+    }
+
+    expect(browsers[0].newPage).toHaveBeenCalledTimes(2);
+    expect(browsers[0].close).toHaveBeenCalled();
+    expect(launch).toHaveBeenCalledTimes(2);
+    expect(pool.getMetrics().browsers_recycled).toBe(1);
+  });
+});
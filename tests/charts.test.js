@@ -0,0 +1,81 @@
+// tests/charts.test.js - Inline SVG chart helpers for report templates
+const Handlebars = require('handlebars');
+const { lineChart, barChart, pieChart, sparkline, toPoints, registerChartHelpers } = require('../lib/charts');
+
+const handlebars = Handlebars.create();
+registerChartHelpers(handlebars);
+const render = (source, data) => handlebars.compile(source)(data);
+
+describe('chart data', () => {
+  it('accepts numbers, objects, maps and GA / Meta responses', () => {
+    expect(toPoints([3, '4', 'n/a'])).toEqual([{ label: '1', value: 3 }, { label: '2', value: 4 }]);
+    expect(toPoints([{ source: 'Organic', sessions: 10, percentage: 40 }])).toEqual([{ label: 'Organic', value: 10 }]);
+    expect(toPoints({ desktop: 60, mobile: 40 })).toEqual([{ label: 'desktop', value: 60 }, { label: 'mobile', value: 40 }]);
+
+    expect(toPoints({
+      rows: [{ dimensionValues: [{ value: '20261001' }], metricValues: [{ value: '125' }] }]
+    })).toEqual([{ label: '20261001', value: 125 }]);
+
+    expect(toPoints({ data: [{ date_start: '2026-10-01', impressions: '900', spend: '12.50' }] }, { value: 'spend' }))
+      .toEqual([{ label: '2026-10-01', value: 12.5 }]);
+  });
+});
+
+describe('chart helpers', () => {
+  it('render inline SVG without scripts', () => {
+    const html = render('{{lineChart trend value="sessions"}}', {
+      trend: [{ date: 'Mon', sessions: 10 }, { date: 'Tue', sessions: 25 }]
+    });
+
+    expect(html).toMatch(/^<svg [^>]*class="rf-chart"/);
+    expect(html).toContain('<polyline');
+    expect(html).toContain('>Mon<');
+    expect(html).not.toMatch(/<script/i);
+  });
+
+  it('color series from the style sheet\'s chart variables', () => {
+    const svg = barChart([{ channel: 'Email', value: 5 }, { channel: 'Social', value: 3 }]);
+
+    expect(svg).toContain('fill:var(--chart-color-1, #2c5aa0)');
+    expect(svg).toContain('fill:var(--chart-color-2, #10b981)');
+    expect(svg).toContain('fill:var(--chart-text, #4b5563)');
+  });
+
+  it('escape labels', () => {
+    const svg = barChart([{ label: '<img src=x onerror=alert(1)>', value: 1 }]);
+
+    expect(svg).not.toContain('<img');
+    expect(svg).toContain('&lt;img');
+  });
+
+  it('draw one slice per positive value, with shares in the legend', () => {
+    const svg = pieChart({ Desktop: 75, Mobile: 25, Tablet: 0 }, { donut: true });
+
+    expect(svg.match(/<circle/g)).toHaveLength(2);
+    expect(svg).toContain('Desktop (75%)');
+    expect(svg).toContain('Mobile (25%)');
+  });
+
+  it('draw a line per series with a legend', () => {
+    const svg = lineChart([
+      { name: 'Google', data: [1, 2, 3] },
+      { name: 'Meta', data: [2, 1, 4] }
+    ]);
+
+    expect(svg.match(/<polyline/g)).toHaveLength(2);
+    expect(svg).toContain('>Meta<');
+    expect(svg).toContain('stroke:var(--chart-color-2');
+  });
+
+  it('show a placeholder instead of failing on empty data', () => {
+    expect(render('{{barChart missing}}', {})).toContain('No data');
+    expect(pieChart([])).toContain('No data');
+  });
+
+  it('use the current context when called without data', () => {
+    const html = render('{{#each metrics}}{{sparkline color=3}}{{/each}}', { metrics: [[1, 4, 2, 6]] });
+
+    expect(html).toContain('stroke:var(--chart-color-3, #f59e0b)');
+    expect(sparkline([5])).not.toContain('<polyline');
+  });
+});
@@ -0,0 +1,87 @@
+// tests/clients.test.js - Client plan limits and client_count usage tracking
+jest.mock('../lib/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(() => mockSupabase),
+    select: jest.fn(() => mockSupabase),
+    insert: jest.fn(() => mockSupabase),
+    update: jest.fn(() => mockSupabase),
+    upsert: jest.fn(() => Promise.resolve({ error: null })),
+    eq: jest.fn(() => mockSupabase),
+    is: jest.fn(() => mockSupabase),
+    gte: jest.fn(() => mockSupabase),
+    order: jest.fn(() => mockSupabase),
+    limit: jest.fn(() => mockSupabase),
+    single: jest.fn(),
+    count: 0,
+    then: (resolve) => resolve({ count: mockSupabase.count, error: null })
+  };
+  return mockSupabase;
+});
+
+const supabase = require('../lib/supabase');
+const clientService = require('../services/client-service');
+
+describe('ClientService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('refuses to create clients beyond the plan limit', async () => {
+    supabase.single.mockResolvedValueOnce({ data: { plans: { max_clients: 3 } }, error: null });
+    supabase.count = 3;
+
+    await expect(clientService.createClient('tenant-1', { client_name: 'Acme', contact_email: 'a@acme.test' }))
+      .rejects.toMatchObject({ statusCode: 429, limitDetails: { limit: 'clients', current: 3, max: 3 } });
+    expect(supabase.insert).not.toHaveBeenCalled();
+  });
+
+  it('writes the live client count to tenant_usage after creating a client', async () => {
+    supabase.single
+      .mockResolvedValueOnce({ data: { plans: { max_clients: 5 } }, error: null })
+      .mockResolvedValueOnce({ data: { id: 'client-1' }, error: null });
+    supabase.count = 2;
+
+    await clientService.createClient('tenant-1', { client_name: 'Acme', contact_email: 'a@acme.test' });
+
+    expect(supabase.upsert).toHaveBeenCalledWith(
+      expect.objectContaining({ tenant_id: 'tenant-1', client_count: 2 }),
+      { onConflict: 'tenant_id,month' }
+    );
+  });
+
+  it('answers 429 when the database rejects a client that raced past the check', async () => {
+    supabase.single
+      .mockResolvedValueOnce({ data: { plans: { max_clients: 3 } }, error: null })
+      .mockResolvedValueOnce({ data: null, error: { code: '23514', message: 'max_clients exceeded: 3 of 3' } })
+      .mockResolvedValueOnce({ data: { plans: { max_clients: 3 } }, error: null });
+    supabase.count = 2;
+
+    await expect(clientService.createClient('tenant-1', { client_name: 'Acme', contact_email: 'a@acme.test' })).rejects.toMatchObject({ statusCode: 429, limitDetails: { limit: 'clients', max: 3 } });
+    expect(supabase.upsert).not.toHaveBeenCalled();
+  });
+
+  it('does not enforce a limit without an active subscription', async () => {
+    supabase.single
+      .mockResolvedValueOnce({ data: null, error: { message: 'No rows' } })
+      .mockResolvedValueOnce({ data: { id: 'client-1' }, error: null });
+    supabase.count = 100;
+
+    await expect(clientService.createClient('tenant-1', { client_name: 'Acme', contact_email: 'a@acme.test' }))
+      .resolves.toMatchObject({ id: 'client-1' });
+  });
+
+  it('rejects unsupported logo types', async () => {
+    await expect(clientService.uploadLogo('tenant-1', 'client-1', Buffer.from('x'), 'image/gif'))
+      .rejects.toMatchObject({ statusCode: 415 });
+  });
+
+  it('rejects SVG logos and files whose content is not the declared image type', async () => {
+    const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>');
+
+    await expect(clientService.uploadLogo('tenant-1', 'client-1', svg, 'image/svg+xml'))
+      .rejects.toMatchObject({ statusCode: 415 });
+    await expect(clientService.uploadLogo('tenant-1', 'client-1', svg, 'image/png'))
+      .rejects.toMatchObject({ statusCode: 415, message: 'Logo file is not a valid image/png image' });
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,81 @@
+// tests/dev-mode.test.js - Diagnostic routes are only mounted in dev mode
+const request = require('supertest');
+const express = require('express');
+jest.mock('../lib/supabase', () => ({}));
+
+const { mountDevRoutes, isDevModeEnabled } = require('../lib/dev-mode');
+
+const buildRoutes = () => {
+  const router = express.Router();
+  const devRouter = express.Router();
+  router.get('/status', (req, res) => res.json({ ok: true }));
+  devRouter.post('/test', (req, res) => res.json({ test: true }));
+  devRouter.get('/debug-state', (req, res) => res.json({ debug: true }));
+  router.devRouter = devRouter;
+  return router;
+};
+
+const buildApp = () => {
+  const app = express();
+  const routes = buildRoutes();
+  const active = mountDevRoutes(app, [['/api/oauth/ga', routes]]);
+  app.use('/api/oauth/ga', routes);
+  return { app, active };
+};
+
+describe('dev mode gate', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('leaves diagnostic routes unmounted by default', async () => {
+    delete process.env.ENABLE_DEV_ROUTES;
+    const { app, active } = buildApp();
+
+    expect(isDevModeEnabled()).toBe(false);
+    expect(active).toEqual([]);
+    expect((await request(app).post('/api/oauth/ga/test')).status).toBe(404);
+    expect((await request(app).get('/api/oauth/ga/status')).status).toBe(200);
+  });
+
+  it('mounts and logs them when explicitly enabled', async () => {
+    process.env.ENABLE_DEV_ROUTES = 'true';
+    process.env.NODE_ENV = 'development';
+    const { app, active } = buildApp();
+
+    expect(active).toEqual(['POST /api/oauth/ga/test', 'GET /api/oauth/ga/debug-state']);
+    expect(console.warn).toHaveBeenCalledWith('   POST /api/oauth/ga/test');
+    expect((await request(app).post('/api/oauth/ga/test')).body).toEqual({ test: true });
+  });
+
+  it('never mounts them in production', async () => {
+    process.env.ENABLE_DEV_ROUTES = 'true';
+    process.env.NODE_ENV = 'production';
+    const { app, active } = buildApp();
+
+    expect(active).toEqual([]);
+    expect((await request(app).get('/api/oauth/ga/debug-state')).status).toBe(404);
+  });
+});
+
+describe('route modules', () => {
+  it('keep test and debug endpoints off their main routers', () => {
+    const modules = ['scheduler', 'reporter', 'oauth-ga', 'ai-insights', 'oauth-meta', 'unified-reporter', 'payment'];
+
+    for (const name of modules) {
+      const routes = require(`../routes/${name}`);
+      const mainPaths = routes.stack.filter(layer => layer.route).map(layer => layer.route.path);
+
+      expect(mainPaths.filter(path => /test|debug/.test(path))).toEqual([]);
+      expect(routes.devRouter.stack.length).toBeGreaterThan(0);
+    }
+  });
+});
@@ -0,0 +1,121 @@
+// tests/encryption.test.js - AES-256-GCM secrets, key rotation and re-encryption
+const crypto = require('crypto');
+
+jest.mock('../lib/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(() => mockSupabase),
+    select: jest.fn(() => mockSupabase),
+    update: jest.fn(() => mockSupabase),
+    not: jest.fn(() => mockSupabase),
+    order: jest.fn(() => mockSupabase),
+    eq: jest.fn(() => Promise.resolve({ error: null })),
+    range: jest.fn(() => Promise.resolve({ data: [], error: null }))
+  };
+  return mockSupabase;
+});
+
+const supabase = require('../lib/supabase');
+const encryptionService = require('../services/encryption-service');
+const { run } = require('../scripts/reencrypt-secrets');
+
+const keyV1 = crypto.randomBytes(32).toString('base64');
+const keyV2 = crypto.randomBytes(32).toString('base64');
+
+const useKeys = (keys, activeKeyId) => {
+  process.env.ENCRYPTION_KEYS = keys;
+  if (activeKeyId) process.env.ENCRYPTION_ACTIVE_KEY_ID = activeKeyId;
+  else delete process.env.ENCRYPTION_ACTIVE_KEY_ID;
+  encryptionService.keys = null;
+};
+
+describe('EncryptionService', () => {
+  beforeEach(() => {
+    useKeys(`v1:${keyV1}`);
+  });
+
+  it('round-trips values and tags them with the key id', () => {
+    const encrypted = encryptionService.encrypt('smtp-password');
+
+    expect(encrypted).toMatch(/^enc:v1:/);
+    expect(encrypted).not.toContain('smtp-password');
+    expect(encryptionService.decrypt(encrypted)).toBe('smtp-password');
+  });
+
+  it('rejects tampered ciphertext and swapped key ids', () => {
+    const parts = encryptionService.encrypt('secret').split(':');
+    const tampered = [...parts.slice(0, 4), Buffer.from('other').toString('base64url')].join(':');
+
+    expect(() => encryptionService.decrypt(tampered)).toThrow('Failed to decrypt value');
+
+    useKeys(`v1:${keyV1},v2:${keyV1}`, 'v1');
+    const relabelled = ['enc', 'v2', ...parts.slice(2)].join(':');
+    expect(() => encryptionService.decrypt(relabelled)).toThrow('Failed to decrypt value');
+  });
+
+  it('still reads legacy base64 SMTP configs', () => {
+    const legacy = Buffer.from(JSON.stringify({ host: 'smtp.acme.test' })).toString('base64');
+
+    expect(encryptionService.decryptSMTPConfig(legacy)).toEqual({ host: 'smtp.acme.test' });
+    expect(encryptionService.needsReEncryption(legacy)).toBe(true);
+  });
+
+  it('encrypts only the secret fields of OAuth tokens', () => {
+    const tokens = encryptionService.encryptTokens({ access_token: 'ya29.abc', refresh_token: '1//xyz', expiry_date: 123 });
+
+    expect(tokens.expiry_date).toBe(123);
+    expect(encryptionService.isEncrypted(tokens.access_token)).toBe(true);
+    expect(encryptionService.encryptTokens(tokens)).toEqual(tokens);
+    expect(encryptionService.decryptTokens(tokens)).toEqual({ access_token: 'ya29.abc', refresh_token: '1//xyz', expiry_date: 123 });
+  });
+
+  it('moves values under a retired key onto the active key', () => {
+    const oldValue = encryptionService.encrypt('secret');
+
+    useKeys(`v1:${keyV1},v2:${keyV2}`);
+    expect(encryptionService.getActiveKeyId()).toBe('v2');
+    expect(encryptionService.decrypt(oldValue)).toBe('secret');
+    expect(encryptionService.needsReEncryption(oldValue)).toBe(true);
+
+    const rotated = encryptionService.reencryptTokens({ access_token: oldValue });
+    expect(encryptionService.getKeyId(rotated.access_token)).toBe('v2');
+    expect(encryptionService.reencryptTokens(rotated)).toBeNull();
+  });
+});
+
+describe('secrets:reencrypt', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useKeys(`v1:${keyV1}`);
+  });
+
+  it('re-encrypts legacy SMTP configs and plaintext OAuth tokens', async () => {
+    const legacySmtp = Buffer.from(JSON.stringify({ host: 'smtp.acme.test' })).toString('base64');
+    const upToDate = encryptionService.encryptSMTPConfig({ host: 'smtp.other.test' });
+
+    supabase.range
+      .mockResolvedValueOnce({ data: [{ id: 't1', smtp_config: legacySmtp }, { id: 't2', smtp_config: upToDate }], error: null })
+      .mockResolvedValueOnce({
+        data: [{ id: 'rc1', sources: { meta_ads: { ad_account_id: 'act_1', oauth_tokens: { access_token: 'EAAB' } } } }],
+        error: null
+      });
+
+    const result = await run();
+
+    expect(result.tenants).toEqual({ checked: 2, updated: 1, failed: 0 });
+    expect(result.reportConfigs).toEqual({ checked: 1, updated: 1, failed: 0 });
+
+    const [smtpUpdate, sourcesUpdate] = supabase.update.mock.calls.map(([row]) => row);
+    expect(encryptionService.decryptSMTPConfig(smtpUpdate.smtp_config)).toEqual({ host: 'smtp.acme.test' });
+    expect(encryptionService.isEncrypted(sourcesUpdate.sources.meta_ads.oauth_tokens.access_token)).toBe(true);
+    expect(sourcesUpdate.sources.meta_ads.ad_account_id).toBe('act_1');
+  });
+
+  it('changes nothing on a dry run', async () => {
+    supabase.range.mockResolvedValueOnce({ data: [{ id: 't1', smtp_config: 'e30=' }], error: null });
+
+    const result = await run({ dryRun: true });
+
+    expect(result.tenants.updated).toBe(1);
+    expect(supabase.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,196 @@
+// tests/job-queue.test.js - Job retry, backoff and dead-lettering, and the routes that queue report jobs
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../lib/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(() => mockSupabase),
+    insert: jest.fn(() => mockSupabase),
+    update: jest.fn(() => mockSupabase),
+    select: jest.fn(() => mockSupabase),
+    eq: jest.fn(() => mockSupabase),
+    single: jest.fn(),
+    then: (resolve) => resolve({ error: null }),
+    rpc: jest.fn(() => Promise.resolve({ data: [], error: null }))
+  };
+  return mockSupabase;
+});
+
+jest.mock('../services/reporter-service', () => ({
+  generateAndSendReport: jest.fn()
+}));
+
+jest.mock('../services/unified-reporter-service', () => ({
+  generateUnifiedReport: jest.fn(),
+  storeUnifiedInsights: jest.fn()
+}));
+
+jest.mock('../middleware/usage-limits', () => ({
+  incrementUsage: jest.fn(),
+  checkUsage: (req, res, next) => next()
+}));
+
+jest.mock('../middleware/request-signing', () => ({
+  verifySignature: (req, res, next) => next()
+}));
+
+const supabase = require('../lib/supabase');
+const reporterService = require('../services/reporter-service');
+const unifiedReporterService = require('../services/unified-reporter-service');
+const { incrementUsage } = require('../middleware/usage-limits');
+const jobQueueService = require('../services/job-queue-service');
+
+const makeJob = (overrides = {}) => ({
+  id: 'job-1',
+  tenant_id: 'tenant-1',
+  job_type: 'report',
+  payload: { report_config_id: 'cfg-1' },
+  attempts: 1,
+  max_attempts: 3,
+  ...overrides
+});
+
+const lastUpdate = () => supabase.update.mock.calls[supabase.update.mock.calls.length - 1][0];
+
+describe('JobQueueService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('marks successful jobs as succeeded', async () => {
+    reporterService.generateAndSendReport.mockResolvedValue({ success: true, reportUrl: 'https://x/report.pdf' });
+    const period = { start_date: '2024-05-01', end_date: '2024-05-31' };
+
+    const outcome = await jobQueueService.processJob(makeJob({
+      payload: { report_config_id: 'cfg-1', period },
+      idempotency_key: 'report:cfg-1:2024-05-01:2024-05-31'
+    }));
+
+    expect(outcome.status).toBe('succeeded');
+    expect(lastUpdate().status).toBe('succeeded');
+    expect(reporterService.generateAndSendReport).toHaveBeenCalledWith('cfg-1', 'tenant-1', {
+      period,
+      idempotencyKey: 'report:cfg-1:2024-05-01:2024-05-31'
+    });
+  });
+
+  it('requeues failed jobs with a backoff delay', async () => {
+    reporterService.generateAndSendReport.mockRejectedValue(new Error('SMTP down'));
+    const before = Date.now();
+
+    const outcome = await jobQueueService.processJob(makeJob({ attempts: 2 }));
+
+    expect(outcome.status).toBe('queued');
+    expect(lastUpdate()).toMatchObject({ status: 'queued', last_error: 'SMTP down' });
+    expect(new Date(outcome.retry_at).getTime()).toBeGreaterThanOrEqual(before + 2 * jobQueueService.backoffBaseMs);
+  });
+
+  it('retries report jobs whose delivery another attempt is still running', async () => {
+    reporterService.generateAndSendReport.mockResolvedValue({
+      success: false,
+      inProgress: true,
+      message: 'Report for this period is still being delivered by another attempt'
+    });
+
+    const outcome = await jobQueueService.processJob(makeJob());
+
+    expect(outcome.status).toBe('queued');
+    expect(lastUpdate()).toMatchObject({ status: 'queued', last_error: expect.stringMatching(/still being delivered/) });
+  });
+
+  it('dead-letters jobs that have used all attempts', async () => {
+    reporterService.generateAndSendReport.mockRejectedValue(new Error('Report configuration not found'));
+
+    const outcome = await jobQueueService.processJob(makeJob({ attempts: 3 }));
+
+    expect(outcome.status).toBe('dead');
+    expect(lastUpdate()).toMatchObject({ status: 'dead', last_error: 'Report configuration not found' });
+  });
+
+  it('counts usage and stores the insights of successful unified reports', async () => {
+    const report = { success: true, ai_insights: { success: true } };
+    unifiedReporterService.generateUnifiedReport.mockResolvedValue(report);
+
+    const outcome = await jobQueueService.processJob(makeJob({ job_type: 'unified_report' }));
+
+    expect(outcome.status).toBe('succeeded');
+    expect(incrementUsage).toHaveBeenCalledWith('tenant-1', 'reports', 1);
+    expect(unifiedReporterService.storeUnifiedInsights).toHaveBeenCalledWith('tenant-1', 'cfg-1', report);
+  });
+
+  it('treats unsuccessful unified reports as failures', async () => {
+    unifiedReporterService.generateUnifiedReport.mockResolvedValue({ success: false, error: 'GA not connected' });
+
+    const outcome = await jobQueueService.processJob(makeJob({ job_type: 'unified_report' }));
+
+    expect(outcome).toMatchObject({ status: 'queued', error: 'GA not connected' });
+    expect(incrementUsage).not.toHaveBeenCalled();
+    expect(unifiedReporterService.storeUnifiedInsights).not.toHaveBeenCalled();
+  });
+
+  it('returns the existing job when the idempotency key was already enqueued', async () => {
+    supabase.single
+      .mockResolvedValueOnce({ data: null, error: { code: '23505', message: 'duplicate key value' } })
+      .mockResolvedValueOnce({ data: { id: 'job-1', status: 'succeeded' }, error: null });
+
+    const job = await jobQueueService.enqueue('tenant-1', 'report', { report_config_id: 'cfg-1' }, {
+      idempotencyKey: 'report:cfg-1:2024-05-01:2024-05-31'
+    });
+
+    expect(job).toMatchObject({ id: 'job-1', duplicate: true });
+    expect(supabase.eq).toHaveBeenCalledWith('idempotency_key', 'report:cfg-1:2024-05-01:2024-05-31');
+  });
+
+  it('caps the backoff delay at one hour', () => {
+    expect(jobQueueService.getBackoffDelay(20)).toBeLessThanOrEqual(jobQueueService.backoffMaxMs * 1.1);
+  });
+});
+
+describe('report generation routes', () => {
+  const reporterRoutes = require('../routes/reporter');
+  const unifiedReporterRoutes = require('../routes/unified-reporter');
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.tenantId = 'tenant-1';
+    next();
+  });
+  app.use('/api/reporter', reporterRoutes);
+  app.use('/api/unified-reporter', unifiedReporterRoutes);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(jobQueueService, 'enqueue').mockResolvedValue({ id: 'job-1', status: 'queued' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each(['/api/reporter/generate', '/api/unified-reporter/generate'])('%s queues the job for the authenticated tenant', async (path) => {
+    supabase.single.mockResolvedValueOnce({ data: { id: 'cfg-1' }, error: null });
+
+    const response = await request(app).post(path).send({ report_config_id: 'cfg-1' });
+
+    expect(response.status).toBe(202);
+    expect(supabase.eq).toHaveBeenCalledWith('tenant_id', 'tenant-1');
+    expect(jobQueueService.enqueue).toHaveBeenCalledWith('tenant-1', expect.any(String), expect.objectContaining({ report_config_id: 'cfg-1' }));
+  });
+
+  it.each(['/api/reporter/generate', '/api/unified-reporter/generate'])('%s refuses another tenant\'s id', async (path) => {
+    const response = await request(app).post(path).send({ tenant_id: 'tenant-2', report_config_id: 'cfg-1' });
+
+    expect(response.status).toBe(403);
+    expect(jobQueueService.enqueue).not.toHaveBeenCalled();
+  });
+
+  it.each(['/api/reporter/generate', '/api/unified-reporter/generate'])('%s refuses configs of other tenants', async (path) => {
+    supabase.single.mockResolvedValueOnce({ data: null, error: { code: 'PGRST116' } });
+
+    const response = await request(app).post(path).send({ tenant_id: 'tenant-1', report_config_id: 'cfg-of-tenant-2' });
+
+    expect(response.status).toBe(404);
+    expect(jobQueueService.enqueue).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,122 @@
+// tests/rate-limit.test.js - Per-tenant, plan-aware API rate limits
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../lib/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(() => mockSupabase),
+    select: jest.fn(() => mockSupabase),
+    eq: jest.fn(() => mockSupabase),
+    gte: jest.fn(() => mockSupabase),
+    order: jest.fn(() => mockSupabase),
+    limit: jest.fn(() => mockSupabase),
+    rpc: jest.fn(() => Promise.resolve({ data: null, error: null })),
+    single: jest.fn(() => Promise.resolve({ data: null, error: null }))
+  };
+  return mockSupabase;
+});
+
+const supabase = require('../lib/supabase');
+const { createTenantRateLimit, createStore, getTenantLimit, SupabaseStore } = require('../middleware/rate-limit');
+
+// Stands in for validateTenant: tenant from a header, optional named API key
+const buildApp = (limiter) => {
+  const app = express();
+  app.use((req, res, next) => {
+    req.tenantId = req.headers['x-tenant-id'];
+    if (req.headers['x-key-id']) req.apiKey = { id: req.headers['x-key-id'], name: 'CI' };
+    next();
+  });
+  app.use(limiter);
+  app.get('/api/reports', (req, res) => res.json({ success: true }));
+  return app;
+};
+
+describe('tenant rate limit', () => {
+  const limits = { starter: 2, enterprise: 5 };
+  let app;
+
+  beforeEach(() => {
+    app = buildApp(createTenantRateLimit({
+      store: createStore('memory'),
+      getLimit: async (tenantId) => limits[tenantId]
+    }));
+  });
+
+  it('sends the standard RateLimit headers', async () => {
+    const response = await request(app).get('/api/reports').set('x-tenant-id', 'starter');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['ratelimit-limit']).toBe('2');
+    expect(response.headers['ratelimit-remaining']).toBe('1');
+    expect(response.headers['ratelimit-reset']).toBeDefined();
+  });
+
+  it('limits each tenant to its own plan quota', async () => {
+    for (let i = 0; i < 2; i++) {
+      await request(app).get('/api/reports').set('x-tenant-id', 'starter');
+    }
+    const blocked = await request(app).get('/api/reports').set('x-tenant-id', 'starter');
+    const other = await request(app).get('/api/reports').set('x-tenant-id', 'enterprise');
+
+    expect(blocked.status).toBe(429);
+    expect(blocked.body.error).toBe('Rate limit exceeded');
+    expect(blocked.headers['retry-after']).toBeDefined();
+    expect(other.status).toBe(200);
+    expect(other.headers['ratelimit-limit']).toBe('5');
+  });
+
+  it('gives named API keys their own bucket', async () => {
+    for (let i = 0; i < 2; i++) {
+      await request(app).get('/api/reports').set('x-tenant-id', 'starter');
+    }
+    const withKey = await request(app).get('/api/reports').set('x-tenant-id', 'starter').set('x-key-id', 'key-1');
+
+    expect(withKey.status).toBe(200);
+  });
+});
+
+describe('plan quotas', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('reads the quota from the active plan and caches it', async () => {
+    supabase.single.mockResolvedValueOnce({ data: { plans: { api_requests_per_minute: 600 } }, error: null });
+
+    expect(await getTenantLimit('tenant-enterprise')).toBe(600);
+    expect(await getTenantLimit('tenant-enterprise')).toBe(600);
+    expect(supabase.single).toHaveBeenCalledTimes(1);
+  });
+
+  it('falls back to the default without an active subscription', async () => {
+    expect(await getTenantLimit('tenant-free')).toBe(120);
+  });
+});
+
+describe('SupabaseStore', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('counts hits through the rate_limit_hit function', async () => {
+    const store = new SupabaseStore();
+    store.init({ windowMs: 60000 });
+    supabase.rpc.mockResolvedValueOnce({ data: [{ hits: 3, reset_at: '2026-10-18T12:01:00Z' }], error: null });
+
+    const result = await store.increment('tenant:t1');
+
+    expect(supabase.rpc).toHaveBeenCalledWith('rate_limit_hit', { p_key: 'tenant:t1', p_window_ms: 60000 });
+    expect(result).toEqual({ totalHits: 3, resetTime: new Date('2026-10-18T12:01:00Z') });
+  });
+
+  it('lets requests through when the database is unavailable', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const store = new SupabaseStore();
+    store.init({ windowMs: 60000 });
+    supabase.rpc.mockResolvedValueOnce({ data: null, error: { message: 'timeout' } });
+
+    expect((await store.increment('tenant:t1')).totalHits).toBe(1);
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,151 @@
+// tests/recipients.test.js - Report recipient lists and per-recipient delivery
+jest.mock('../lib/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(() => mockSupabase),
+    select: jest.fn(() => mockSupabase),
+    eq: jest.fn(() => mockSupabase),
+    single: jest.fn(),
+    insert: jest.fn(() => Promise.resolve({ error: null }))
+  };
+  return mockSupabase;
+});
+
+jest.mock('../services/pdf-service', () => ({}));
+jest.mock('../services/unified-reporter-service', () => ({}));
+jest.mock('../services/template-version-service', () => ({}));
+jest.mock('../services/branding-service', () => ({}));
+
+const supabase = require('../lib/supabase');
+const { getReportRecipients, validateRecipients, personalizeReportUrl } = require('../lib/recipients');
+const emailService = require('../services/email-service');
+const reporterService = require('../services/reporter-service');
+
+describe('getReportRecipients', () => {
+  it('puts the client contact first and drops duplicate addresses', () => {
+    const recipients = getReportRecipients({
+      clients: { client_name: 'Acme', contact_email: 'Owner@acme.test' },
+      recipients: [
+        'cmo@acme.test',
+        { email: 'owner@acme.test', type: 'cc' },
+        { email: 'account-manager@agency.test', name: 'Sam', type: 'bcc' }
+      ]
+    });
+
+    expect(recipients).toEqual([
+      { email: 'owner@acme.test', name: 'Acme', type: 'to' },
+      { email: 'cmo@acme.test', name: null, type: 'to' },
+      { email: 'account-manager@agency.test', name: 'Sam', type: 'bcc' }
+    ]);
+  });
+
+  it('validates addresses and recipient types', () => {
+    expect(validateRecipients(['a@b.test', { email: 'c@d.test', type: 'cc' }])).toEqual([]);
+    expect(validateRecipients([{ email: 'nope', type: 'reply-to' }])).toHaveLength(2);
+  });
+
+  it('gives each recipient a different report link', () => {
+    const url = 'https://storage.test/report.pdf';
+
+    expect(personalizeReportUrl(url, 'cfg-1', 'a@b.test')).toMatch(/\?recipient=[0-9a-f]{16}$/);
+    expect(personalizeReportUrl(url, 'cfg-1', 'a@b.test')).not.toBe(personalizeReportUrl(url, 'cfg-1', 'c@d.test'));
+  });
+});
+
+describe('EmailService.sendReportToRecipients', () => {
+  const tenant = { id: 'tenant-1', company_name: 'Agency', email_provider: 'resend' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    emailService.resend = { emails: { send: jest.fn() } };
+  });
+
+  it('keeps delivering after one recipient fails and logs every recipient', async () => {
+    emailService.resend.emails.send
+      .mockResolvedValueOnce({ data: { id: 'msg-1' }, error: null })
+      .mockResolvedValueOnce({ data: null, error: { message: 'Mailbox unavailable' } });
+
+    const result = await emailService.sendReportToRecipients(tenant, [
+      { client_email: 'owner@acme.test', cc: ['cfo@acme.test'], bcc: [], subject: 'Report', htmlContent: '<p>Hi</p>' },
+      { client_email: 'cmo@acme.test', cc: [], bcc: [], subject: 'Report', htmlContent: '<p>Hi</p>' }
+    ], null, 'cfg-1');
+
+    expect(emailService.resend.emails.send).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'owner@acme.test',
+      cc: ['cfo@acme.test']
+    }));
+    expect(result.failed_recipients).toBe(1);
+    expect(result.recipients).toEqual([
+      expect.objectContaining({ email: 'owner@acme.test', type: 'to', success: true }),
+      expect.objectContaining({ email: 'cfo@acme.test', type: 'cc', success: true }),
+      expect.objectContaining({ email: 'cmo@acme.test', type: 'to', success: false })
+    ]);
+    expect(supabase.insert).toHaveBeenCalledWith([
+      expect.objectContaining({ recipient_email: 'owner@acme.test', recipient_type: 'to', success: true }),
+      expect.objectContaining({ recipient_email: 'cfo@acme.test', recipient_type: 'cc', success: true })
+    ]);
+  });
+
+  it('fails when no message could be delivered', async () => {
+    emailService.resend.emails.send.mockResolvedValue({ data: null, error: { message: 'Invalid API key' } });
+
+    await expect(emailService.sendReportToRecipients(tenant, [
+      { client_email: 'owner@acme.test', subject: 'Report', htmlContent: '<p>Hi</p>' }
+    ], null, 'cfg-1')).rejects.toThrow('Invalid API key');
+  });
+});
+
+describe('ReporterService.sendClientEmail', () => {
+  const tenant = { id: 'tenant-1', company_name: 'Agency', email_provider: 'resend' };
+  const reportConfig = (clients, recipients) => ({
+    id: 'cfg-1',
+    tenant_id: 'tenant-1',
+    tenants: { company_name: 'Agency' },
+    clients,
+    recipients
+  });
+  const sentTo = () => emailService.resend.emails.send.mock.calls.map(([email]) => email.to);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    emailService.resend = { emails: { send: jest.fn() } };
+    supabase.single.mockResolvedValue({ data: tenant, error: null });
+  });
+
+  it('still reaches cc and bcc recipients when the "to" message fails', async () => {
+    emailService.resend.emails.send
+      .mockResolvedValueOnce({ data: null, error: { message: 'Mailbox unavailable' } })
+      .mockResolvedValue({ data: { id: 'msg-2' }, error: null });
+
+    const result = await reporterService.sendClientEmail(reportConfig(
+      { client_name: 'Acme', contact_email: 'owner@acme.test' },
+      [{ email: 'cfo@acme.test', type: 'cc' }, { email: 'am@agency.test', type: 'bcc' }]
+    ), 'https://storage.test/report.pdf', null);
+
+    expect(sentTo()).toEqual(['owner@acme.test', 'cfo@acme.test', 'am@agency.test']);
+    emailService.resend.emails.send.mock.calls.forEach(([email]) => {
+      expect(email.cc).toBeUndefined();
+      expect(email.bcc).toBeUndefined();
+    });
+    expect(result.failed_recipients).toBe(1);
+    expect(result.recipients).toEqual([
+      expect.objectContaining({ email: 'owner@acme.test', type: 'to', success: false }),
+      expect.objectContaining({ email: 'cfo@acme.test', type: 'cc', success: true }),
+      expect.objectContaining({ email: 'am@agency.test', type: 'bcc', success: true })
+    ]);
+  });
+
+  it('delivers to lists without a "to" recipient', async () => {
+    emailService.resend.emails.send.mockResolvedValue({ data: { id: 'msg-1' }, error: null });
+
+    const result = await reporterService.sendClientEmail(reportConfig(
+      { client_name: 'Acme', contact_email: null },
+      [{ email: 'cfo@acme.test', type: 'cc' }]
+    ), 'https://storage.test/report.pdf', null);
+
+    expect(sentTo()).toEqual(['cfo@acme.test']);
+    expect(result.recipients).toEqual([expect.objectContaining({ email: 'cfo@acme.test', type: 'cc', success: true })]);
+    expect(supabase.insert).toHaveBeenCalledWith([
+      expect.objectContaining({ recipient_email: 'cfo@acme.test', recipient_type: 'cc', success: true })
+    ]);
+  });
+});
@@ -0,0 +1,168 @@
+// tests/report-configs.test.js - Report config CRUD validation and tenant ownership
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../lib/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(() => mockSupabase),
+    select: jest.fn(() => mockSupabase),
+    insert: jest.fn(() => mockSupabase),
+    update: jest.fn(() => mockSupabase),
+    delete: jest.fn(() => mockSupabase),
+    eq: jest.fn(() => mockSupabase),
+    or: jest.fn(() => mockSupabase),
+    is: jest.fn(() => mockSupabase),
+    single: jest.fn(() => Promise.resolve({ data: null, error: null }))
+  };
+  return mockSupabase;
+});
+
+// The monthly report quota is used up: it limits generation, not editing configs
+jest.mock('../middleware/usage-limits', () => ({
+  checkUsage: (req, res) => res.status(429).json({ success: false, error: 'Monthly report limit exceeded' })
+}));
+
+const supabase = require('../lib/supabase');
+const reportConfigRoutes = require('../routes/report-configs');
+
+const tenantId = '3bce31b7-b045-4da0-981c-db138e866cfe';
+const clientId = '6f1c7a52-3d0e-4a4b-9a57-1d2b1c8e9f10';
+const configId = '0b8e4c9a-2f6d-4e1a-8c3b-5d7f9e1a2b3c';
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.tenantId = tenantId;
+  next();
+});
+app.use('/api/report-configs', reportConfigRoutes);
+
+describe('Report config API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('rejects invalid schedules and recipients', async () => {
+    const response = await request(app)
+      .post('/api/report-configs')
+      .send({
+        name: 'Weekly summary',
+        client_id: clientId,
+        schedule_frequency: 'hourly',
+        recipients: ['not-an-email']
+      });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors.map(e => e.path)).toEqual(
+      expect.arrayContaining(['schedule_frequency', 'recipients'])
+    );
+    expect(supabase.insert).not.toHaveBeenCalled();
+  });
+
+  it('rejects a client owned by another tenant', async () => {
+    supabase.single.mockResolvedValueOnce({ data: null, error: { message: 'No rows' } });
+
+    const response = await request(app)
+      .post('/api/report-configs')
+      .send({ name: 'Weekly summary', client_id: clientId, timezone: 'Europe/Berlin' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Client not found, archived or access denied');
+    expect(supabase.eq).toHaveBeenCalledWith('tenant_id', tenantId);
+  });
+
+  it('creates a config with its first scheduled run', async () => {
+    supabase.single
+      .mockResolvedValueOnce({ data: { id: clientId }, error: null })
+      .mockImplementationOnce(() => Promise.resolve({
+        data: { id: configId, ...supabase.insert.mock.calls[0][0] },
+        error: null
+      }));
+
+    const response = await request(app)
+      .post('/api/report-configs')
+      .send({
+        name: 'Weekly summary',
+        client_id: clientId,
+        schedule_frequency: 'daily',
+        schedule_time: '08:30',
+        sources: { google_analytics: { property_id: '123456' } }
+      });
+
+    expect(response.status).toBe(201);
+    expect(supabase.insert).toHaveBeenCalledWith(expect.objectContaining({
+      tenant_id: tenantId,
+      schedule_frequency: 'daily',
+      next_scheduled_run: expect.any(String)
+    }));
+  });
+
+  it('returns 404 when updating a config outside the tenant', async () => {
+    const response = await request(app)
+      .put(`/api/report-configs/${configId}`)
+      .send({ name: 'Renamed' });
+
+    expect(response.status).toBe(404);
+    expect(supabase.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses schedule changes while a scheduler run holds the lease', async () => {
+    supabase.single.mockResolvedValueOnce({
+      data: { id: configId, tenant_id: tenantId, schedule_frequency: 'daily', schedule_time: '09:00', timezone: 'UTC' },
+      error: null
+    });
+    supabase.select
+      .mockReturnValueOnce(supabase)
+      .mockResolvedValueOnce({ data: [], error: null });
+
+    const response = await request(app)
+      .put(`/api/report-configs/${configId}`)
+      .send({ schedule_time: '10:00' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.reason).toBe('scheduler_run_in_progress');
+    expect(supabase.or).toHaveBeenCalledWith(expect.stringMatching(/^scheduler_locked_until\.is\.null,scheduler_locked_until\.lt\./));
+  });
+
+  it('renames a config without waiting for the scheduler lease', async () => {
+    const existing = { id: configId, tenant_id: tenantId, name: 'Weekly summary', schedule_frequency: 'daily', schedule_time: '09:00', timezone: 'UTC' };
+    supabase.single.mockResolvedValueOnce({ data: existing, error: null });
+    supabase.select
+      .mockReturnValueOnce(supabase)
+      .mockResolvedValueOnce({ data: [{ ...existing, name: 'Renamed' }], error: null });
+
+    const response = await request(app)
+      .put(`/api/report-configs/${configId}`)
+      .send({ name: 'Renamed' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.report_config.name).toBe('Renamed');
+    expect(supabase.or).not.toHaveBeenCalled();
+  });
+
+  it('rejects out-of-range pagination when listing configs', async () => {
+    const negative = await request(app).get('/api/report-configs?offset=-5');
+    const tooMany = await request(app).get('/api/report-configs?limit=500');
+
+    expect(negative.status).toBe(400);
+    expect(negative.body.errors.map(e => e.path)).toEqual(['offset']);
+    expect(tooMany.status).toBe(400);
+    expect(tooMany.body.errors.map(e => e.path)).toEqual(['limit']);
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  it('keeps stored OAuth tokens out of responses', async () => {
+    supabase.single.mockResolvedValueOnce({
+      data: {
+        id: configId,
+        sources: { google_analytics: { property_id: '123456', oauth_tokens: { access_token: 'secret' } } }
+      },
+      error: null
+    });
+
+    const response = await request(app).get(`/api/report-configs/${configId}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.report_config.sources.google_analytics).toEqual({ property_id: '123456' });
+  });
+});
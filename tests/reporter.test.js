@@ -0,0 +1,162 @@
+// tests/reporter.test.js - At-most-once report delivery claims, and what a delivery stores
+jest.mock('../lib/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(() => mockSupabase),
+    insert: jest.fn(() => mockSupabase),
+    update: jest.fn(() => mockSupabase),
+    select: jest.fn(() => mockSupabase),
+    eq: jest.fn(() => mockSupabase),
+    in: jest.fn(() => mockSupabase),
+    or: jest.fn(() => mockSupabase),
+    single: jest.fn()
+  };
+  return mockSupabase;
+});
+
+jest.mock('../services/pdf-service', () => ({}));
+jest.mock('../services/email-service', () => ({}));
+jest.mock('../services/unified-reporter-service', () => ({
+  storeUnifiedInsights: jest.fn()
+}));
+jest.mock('../services/template-version-service', () => ({}));
+jest.mock('../services/branding-service', () => ({}));
+
+const supabase = require('../lib/supabase');
+const unifiedReporterService = require('../services/unified-reporter-service');
+const reporterService = require('../services/reporter-service');
+
+const key = 'report:cfg-1:2024-05-01:2024-05-31';
+const period = { start_date: '2024-05-01', end_date: '2024-05-31' };
+const now = new Date('2024-06-01T09:00:00Z');
+const duplicateKey = { data: null, error: { code: '23505', message: 'duplicate key value' } };
+
+describe('ReporterService.claimDelivery', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('claims a new key with an expiring lease', async () => {
+    supabase.single.mockResolvedValueOnce({ data: { id: 'report-1' }, error: null });
+
+    const claim = await reporterService.claimDelivery('cfg-1', 'tenant-1', key, period, now);
+
+    expect(claim).toEqual({ claimed: true, id: 'report-1' });
+    expect(supabase.insert).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'generating',
+      idempotency_key: key,
+      claim_expires_at: '2024-06-01T09:15:00.000Z',
+      period_start: '2024-05-01'
+    }));
+  });
+
+  it('takes over failed deliveries and claims that expired', async () => {
+    supabase.single
+      .mockResolvedValueOnce(duplicateKey)
+      .mockResolvedValueOnce({ data: { id: 'report-1' }, error: null });
+
+    const claim = await reporterService.claimDelivery('cfg-1', 'tenant-1', key, period, now);
+
+    expect(claim).toEqual({ claimed: true, id: 'report-1' });
+    expect(supabase.update).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'generating',
+      claim_expires_at: '2024-06-01T09:15:00.000Z'
+    }));
+    expect(supabase.in).toHaveBeenCalledWith('status', ['failed', 'generating']);
+    expect(supabase.or).toHaveBeenCalledWith(
+      'status.eq.failed,claim_expires_at.is.null,claim_expires_at.lt.2024-06-01T09:00:00.000Z'
+    );
+  });
+
+  it('reports the existing row when the key is delivered or still claimed', async () => {
+    supabase.single
+      .mockResolvedValueOnce(duplicateKey)
+      .mockResolvedValueOnce({ data: null, error: { code: 'PGRST116' } })
+      .mockResolvedValueOnce({ data: { id: 'report-1', status: 'generating', claim_expires_at: '2024-06-01T09:10:00Z' }, error: null });
+
+    const claim = await reporterService.claimDelivery('cfg-1', 'tenant-1', key, period, now);
+
+    expect(claim).toEqual({ claimed: false, existing: expect.objectContaining({ status: 'generating' }) });
+  });
+
+  it('rethrows other insert errors', async () => {
+    supabase.single.mockResolvedValueOnce({ data: null, error: { code: '42P01', message: 'relation does not exist' } });
+
+    await expect(reporterService.claimDelivery('cfg-1', 'tenant-1', key, period, now))
+      .rejects.toMatchObject({ code: '42P01' });
+    expect(supabase.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('ReporterService.generateAndSendReport with an idempotency key', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns a non-success in-progress result while another attempt holds the claim', async () => {
+    jest.spyOn(reporterService, 'claimDelivery').mockResolvedValue({
+      claimed: false,
+      existing: { id: 'report-1', status: 'generating', claim_expires_at: '2024-06-01T09:10:00Z' }
+    });
+    const getReportConfig = jest.spyOn(reporterService, 'getReportConfig');
+    const updateDatabase = jest.spyOn(reporterService, 'updateDatabase');
+
+    const result = await reporterService.generateAndSendReport('cfg-1', 'tenant-1', { period, idempotencyKey: key });
+
+    expect(result).toMatchObject({ success: false, inProgress: true, status: 'generating' });
+    expect(result.duplicate).toBeUndefined();
+    expect(getReportConfig).not.toHaveBeenCalled();
+    expect(updateDatabase).not.toHaveBeenCalled();
+  });
+
+  it('does not send again once the period was delivered', async () => {
+    jest.spyOn(reporterService, 'claimDelivery').mockResolvedValue({
+      claimed: false,
+      existing: { id: 'report-1', status: 'delivered', file_url: 'https://x/report.pdf' }
+    });
+
+    const result = await reporterService.generateAndSendReport('cfg-1', 'tenant-1', { period, idempotencyKey: key });
+
+    expect(result).toMatchObject({ success: true, duplicate: true, reportUrl: 'https://x/report.pdf' });
+  });
+});
+
+describe('ReporterService.generateAndSendReport AI insights', () => {
+  const unifiedReport = { ai_insights: { success: true } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(reporterService, 'getReportConfig').mockResolvedValue({ clients: { client_name: 'Acme' } });
+    jest.spyOn(reporterService, 'generatePDFReport').mockResolvedValue({
+      pdfBuffer: Buffer.from('pdf'),
+      fileName: 'reports/tenant-1/cfg-1.pdf',
+      template: null,
+      unifiedReport
+    });
+    jest.spyOn(reporterService, 'uploadToStorage').mockResolvedValue('https://x/report.pdf');
+    jest.spyOn(reporterService, 'updateDatabase').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores the insights once the report was delivered', async () => {
+    jest.spyOn(reporterService, 'sendClientEmail').mockResolvedValue({ messageId: 'msg-1', recipients: [] });
+
+    await reporterService.generateAndSendReport('cfg-1', 'tenant-1');
+
+    expect(unifiedReporterService.storeUnifiedInsights).toHaveBeenCalledWith('tenant-1', 'cfg-1', unifiedReport);
+    expect(reporterService.updateDatabase.mock.invocationCallOrder[0])
+      .toBeLessThan(unifiedReporterService.storeUnifiedInsights.mock.invocationCallOrder[0]);
+  });
+
+  it('stores nothing when the delivery fails', async () => {
+    jest.spyOn(reporterService, 'sendClientEmail').mockRejectedValue(new Error('SMTP down'));
+
+    await expect(reporterService.generateAndSendReport('cfg-1', 'tenant-1')).rejects.toThrow('SMTP down');
+
+    expect(unifiedReporterService.storeUnifiedInsights).not.toHaveBeenCalled();
+    expect(reporterService.updateDatabase).toHaveBeenCalledWith('cfg-1', 'tenant-1', null, 'failed', 'SMTP down', null, expect.any(Object));
+  });
+});
@@ -0,0 +1,299 @@
+// tests/request-signing.test.js - Timestamped HMAC request signatures with replay protection
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../lib/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(() => mockSupabase),
+    insert: jest.fn(() => Promise.resolve({ error: null })),
+    delete: jest.fn(() => mockSupabase),
+    lt: jest.fn(() => Promise.resolve({ error: null }))
+  };
+  return mockSupabase;
+});
+
+jest.mock('../services/scheduler-service', () => ({
+  executeScheduler: jest.fn(() => Promise.resolve({ success: true, processed: 0 }))
+}));
+
+jest.mock('../services/job-queue-service', () => ({
+  runWorker: jest.fn(() => Promise.resolve({ processed: 0 }))
+}));
+
+const supabase = require('../lib/supabase');
+const schedulerService = require('../services/scheduler-service');
+const jobQueueService = require('../services/job-queue-service');
+const schedulerRoutes = require('../routes/scheduler');
+const jobRoutes = require('../routes/jobs');
+const encryptionService = require('../services/encryption-service');
+const apiKeyService = require('../services/api-key-service');
+const {
+  createSignatureVerifier,
+  captureRawBody,
+  signRequest,
+  verifySignature,
+  verifyPlatformSignature,
+  MemoryNonceStore,
+  SupabaseNonceStore
+} = require('../middleware/request-signing');
+
+const SHARED_SECRET = 'shared-webhook-secret';
+const PLATFORM_SECRET = 'platform-signing-secret';
+const tenantId = '3bce31b7-b045-4da0-981c-db138e866cfe';
+
+// Stands in for validateTenant; x-test-tenant picks the tenant row
+const buildApp = (tenants = {}) => {
+  const app = express();
+  app.use(express.json({ verify: captureRawBody }));
+  app.use((req, res, next) => {
+    req.tenant = tenants[req.headers['x-test-tenant']] || { id: tenantId };
+    req.tenantId = req.tenant.id;
+    next();
+  });
+  app.post('/api/reporter/generate', createSignatureVerifier({ nonceStore: new MemoryNonceStore() }), (req, res) => {
+    res.json({ success: true, body: req.body });
+  });
+  return app;
+};
+
+describe('signed requests', () => {
+  const body = '{"tenant_id":"t1","report_config_id":"rc1"}';
+  let app;
+
+  beforeEach(() => {
+    process.env.WEBHOOK_SECRET = SHARED_SECRET;
+    app = buildApp();
+  });
+
+  const send = (headers, payload = body) => request(app)
+    .post('/api/reporter/generate')
+    .set('Content-Type', 'application/json')
+    .set(headers)
+    .send(payload);
+
+  it('accepts a request signed over the raw body', async () => {
+    const response = await send(signRequest(SHARED_SECRET, body));
+
+    expect(response.status).toBe(200);
+    expect(response.body.body.report_config_id).toBe('rc1');
+  });
+
+  it('verifies the exact bytes sent, not a re-serialized body', async () => {
+    const reordered = '{ "report_config_id": "rc1", "tenant_id": "t1" }';
+
+    expect((await send(signRequest(SHARED_SECRET, reordered), reordered)).status).toBe(200);
+    expect((await send(signRequest(SHARED_SECRET, body), reordered)).status).toBe(401);
+  });
+
+  it('requires the timestamp and nonce headers', async () => {
+    const { 'x-reportflow-signature': signature } = signRequest(SHARED_SECRET, body);
+    const response = await send({ 'x-reportflow-signature': signature });
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Missing signature');
+  });
+
+  it('rejects requests outside the tolerance window', async () => {
+    const timestamp = Math.floor(Date.now() / 1000) - 301;
+    const response = await send(signRequest(SHARED_SECRET, body, { timestamp }));
+
+    expect(response.status).toBe(401);
+    expect(response.body.message).toMatch(/tolerance window/);
+  });
+
+  it('rejects a replayed nonce', async () => {
+    const headers = signRequest(SHARED_SECRET, body);
+
+    expect((await send(headers)).status).toBe(200);
+    const replay = await send(headers);
+    expect(replay.status).toBe(401);
+    expect(replay.body.message).toBe('Nonce has already been used');
+  });
+
+  it('uses the tenant\'s own secret, and its previous one during a rotation', async () => {
+    process.env.ENCRYPTION_KEYS = `v1:${crypto.randomBytes(32).toString('base64')}`;
+    encryptionService.keys = null;
+
+    app = buildApp({
+      own: { id: tenantId, signing_secret: encryptionService.encrypt('tenant-secret') },
+      rotating: {
+        id: tenantId,
+        signing_secret: encryptionService.encrypt('new-secret'),
+        signing_secret_previous: encryptionService.encrypt('old-secret'),
+        signing_secret_previous_expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+      }
+    });
+
+    expect((await send({ ...signRequest('tenant-secret', body), 'x-test-tenant': 'own' })).status).toBe(200);
+    expect((await send({ ...signRequest(SHARED_SECRET, body), 'x-test-tenant': 'own' })).status).toBe(401);
+    expect((await send({ ...signRequest('old-secret', body), 'x-test-tenant': 'rotating' })).status).toBe(200);
+  });
+});
+
+describe('platform cron endpoints', () => {
+  const body = '{"triggered_by":"github_actions"}';
+
+  // Mounted like server.js: no tenant auth in front of them
+  const buildPlatformApp = () => {
+    const app = express();
+    app.use(express.json({ verify: captureRawBody }));
+    app.use('/api/scheduler', schedulerRoutes.platformRouter);
+    app.use('/api/jobs', jobRoutes.platformRouter);
+    return app;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.WEBHOOK_SECRET = SHARED_SECRET;
+    process.env.PLATFORM_SIGNING_SECRET = PLATFORM_SECRET;
+  });
+
+  afterAll(() => {
+    delete process.env.PLATFORM_SIGNING_SECRET;
+  });
+
+  it('run the scheduler and the job worker when signed with PLATFORM_SIGNING_SECRET', async () => {
+    const app = buildPlatformApp();
+
+    const scheduler = await request(app)
+      .post('/api/scheduler/run')
+      .set('Content-Type', 'application/json')
+      .set(signRequest(PLATFORM_SECRET, body))
+      .send(body);
+    const worker = await request(app)
+      .post('/api/jobs/worker/run')
+      .set('Content-Type', 'application/json')
+      .set(signRequest(PLATFORM_SECRET, body))
+      .send(body);
+
+    expect(scheduler.status).toBe(200);
+    expect(worker.status).toBe(200);
+    expect(schedulerService.executeScheduler).toHaveBeenCalledTimes(1);
+    expect(jobQueueService.runWorker).toHaveBeenCalledTimes(1);
+  });
+
+  it('reject the shared WEBHOOK_SECRET that tenants without their own secret sign with', async () => {
+    const response = await request(buildPlatformApp())
+      .post('/api/scheduler/run')
+      .set('Content-Type', 'application/json')
+      .set(signRequest(SHARED_SECRET, body))
+      .send(body);
+
+    expect(response.status).toBe(401);
+    expect(schedulerService.executeScheduler).not.toHaveBeenCalled();
+  });
+
+  it('refuse everything while PLATFORM_SIGNING_SECRET equals WEBHOOK_SECRET', async () => {
+    process.env.PLATFORM_SIGNING_SECRET = SHARED_SECRET;
+
+    const response = await request(buildPlatformApp())
+      .post('/api/scheduler/run')
+      .set('Content-Type', 'application/json')
+      .set(signRequest(SHARED_SECRET, body))
+      .send(body);
+
+    expect(response.status).toBe(500);
+    expect(schedulerService.executeScheduler).not.toHaveBeenCalled();
+  });
+
+  it('reject a tenant\'s own signing secret', async () => {
+    process.env.ENCRYPTION_KEYS = `v1:${crypto.randomBytes(32).toString('base64')}`;
+    encryptionService.keys = null;
+
+    const app = express();
+    app.use(express.json({ verify: captureRawBody }));
+    // Even with a tenant resolved in front, only the platform secret counts
+    app.use((req, res, next) => {
+      req.tenant = { id: tenantId, signing_secret: encryptionService.encrypt('tenant-secret') };
+      req.tenantId = tenantId;
+      next();
+    });
+    app.use('/api/scheduler', schedulerRoutes.platformRouter);
+
+    const response = await request(app)
+      .post('/api/scheduler/run')
+      .set('Content-Type', 'application/json')
+      .set(signRequest('tenant-secret', body))
+      .send(body);
+
+    expect(response.status).toBe(401);
+    expect(schedulerService.executeScheduler).not.toHaveBeenCalled();
+  });
+});
+
+describe('signRequest', () => {
+  const buildVerifiedApp = verifier => {
+    const app = express();
+    app.use(express.json({ verify: captureRawBody }));
+    app.post('/signed', verifier, (req, res) => res.json({ success: true, body: req.body }));
+    return app;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.WEBHOOK_SECRET = SHARED_SECRET;
+    process.env.PLATFORM_SIGNING_SECRET = PLATFORM_SECRET;
+  });
+
+  afterAll(() => {
+    delete process.env.PLATFORM_SIGNING_SECRET;
+  });
+
+  it('produces headers verifySignature accepts', async () => {
+    const payload = JSON.stringify({ triggered_by: 'github_actions', timestamp: '2024-06-01T09:00:00Z' });
+
+    const response = await request(buildVerifiedApp(verifySignature))
+      .post('/signed')
+      .set('Content-Type', 'application/json')
+      .set(signRequest(SHARED_SECRET, payload))
+      .send(payload);
+
+    expect(response.status).toBe(200);
+    expect(response.body.body).toEqual(JSON.parse(payload));
+  });
+
+  it('produces headers verifyPlatformSignature accepts with the platform secret', async () => {
+    const payload = JSON.stringify({ triggered_by: 'github_actions' });
+
+    const response = await request(buildVerifiedApp(verifyPlatformSignature))
+      .post('/signed')
+      .set('Content-Type', 'application/json')
+      .set(signRequest(PLATFORM_SECRET, payload))
+      .send(payload);
+
+    expect(response.status).toBe(200);
+  });
+});
+
+describe('SupabaseNonceStore', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('treats a unique violation as a replay', async () => {
+    const store = new SupabaseNonceStore();
+    const expiresAt = new Date(Date.now() + 300 * 1000);
+
+    expect(await store.claim('t1:nonce-0123456789abcdef', expiresAt)).toBe(true);
+    supabase.insert.mockResolvedValueOnce({ error: { code: '23505', message: 'duplicate key' } });
+    expect(await store.claim('t1:nonce-0123456789abcdef', expiresAt)).toBe(false);
+    expect(supabase.from).toHaveBeenCalledWith('request_nonces');
+  });
+});
+
+describe('signing secret rotation', () => {
+  it('keeps the previous secret valid only until the overlap ends', () => {
+    process.env.ENCRYPTION_KEYS = `v1:${crypto.randomBytes(32).toString('base64')}`;
+    encryptionService.keys = null;
+
+    const tenant = {
+      signing_secret: encryptionService.encrypt('new-secret'),
+      signing_secret_previous: encryptionService.encrypt('old-secret'),
+      signing_secret_previous_expires_at: new Date(Date.now() - 1000).toISOString()
+    };
+
+    expect(apiKeyService.getSigningSecrets(tenant)).toEqual(['new-secret']);
+    expect(apiKeyService.getSigningSecrets({ id: tenantId })).toEqual([]);
+  });
+});
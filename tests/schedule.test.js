@@ -0,0 +1,555 @@
+// tests/schedule.test.js - Schedule calculation (timezones, DST, month edges) and the scheduler
+jest.mock('../lib/supabase', () => ({}));
+
+const { getNextRun, getReportingPeriod, getPresetPeriod, validateSchedule } = require('../lib/schedule');
+const schedulerService = require('../services/scheduler-service');
+
+describe('getNextRun', () => {
+  it('keeps daily runs at local wall-clock time across DST', () => {
+    const config = { schedule_frequency: 'daily', schedule_time: '09:00', timezone: 'America/New_York' };
+
+    // 09:00 EST on the day before the spring-forward switch
+    const next = getNextRun(config, new Date('2024-03-09T14:00:00Z'));
+
+    expect(next.toISOString()).toBe('2024-03-10T13:00:00.000Z');
+  });
+
+  it('shifts slots that fall into a DST gap forward', () => {
+    const config = { schedule_frequency: 'daily', schedule_time: '02:30', timezone: 'America/New_York' };
+
+    const next = getNextRun(config, new Date('2024-03-10T05:00:00Z'));
+
+    expect(next.toISOString()).toBe('2024-03-10T07:30:00.000Z');
+  });
+
+  it('runs weekly on the configured weekday', () => {
+    const config = { schedule_frequency: 'weekly', schedule_day_of_week: 1, schedule_time: '09:00', timezone: 'UTC' };
+
+    const next = getNextRun(config, new Date('2024-05-22T12:00:00Z'));
+
+    expect(next.toISOString()).toBe('2024-05-27T09:00:00.000Z');
+  });
+
+  it('clamps monthly runs to the last day of short months', () => {
+    const config = { schedule_frequency: 'monthly', schedule_day_of_month: 31, schedule_time: '09:00', timezone: 'UTC' };
+
+    const next = getNextRun(config, new Date('2024-02-01T00:00:00Z'));
+
+    expect(next.toISOString()).toBe('2024-02-29T09:00:00.000Z');
+  });
+
+  it('skips weekends for the last business day of the month', () => {
+    const config = { schedule_frequency: 'last_business_day', schedule_time: '09:00', timezone: 'UTC' };
+
+    const next = getNextRun(config, new Date('2024-06-01T00:00:00Z'));
+
+    expect(next.toISOString()).toBe('2024-06-28T09:00:00.000Z');
+  });
+
+  it('evaluates cron expressions in the configured timezone', () => {
+    const config = { schedule_frequency: 'cron', schedule_cron: '0 8 * * 1-5', timezone: 'Europe/London' };
+
+    const next = getNextRun(config, new Date('2024-03-29T08:00:00Z'));
+
+    expect(next.toISOString()).toBe('2024-04-01T07:00:00.000Z');
+  });
+
+  it('rejects invalid schedules', () => {
+    expect(validateSchedule({ schedule_frequency: 'hourly' })).toHaveLength(1);
+    expect(validateSchedule({ schedule_frequency: 'daily', timezone: 'Mars/Olympus' })).toHaveLength(1);
+    expect(validateSchedule({ schedule_frequency: 'cron', schedule_cron: 'not a cron' })).toHaveLength(1);
+    expect(() => getNextRun({ schedule_frequency: 'daily', schedule_time: '25:00' })).toThrow('Invalid schedule');
+  });
+});
+
+describe('getReportingPeriod', () => {
+  it('covers the previous week for a weekly Monday run', () => {
+    const config = { schedule_frequency: 'weekly', schedule_day_of_week: 1, schedule_time: '09:00', timezone: 'Australia/Sydney' };
+
+    // Monday 2024-05-27 09:00 in Sydney
+    const period = getReportingPeriod(config, new Date('2024-05-26T23:00:00Z'));
+
+    expect(period).toEqual({ start_date: '2024-05-20', end_date: '2024-05-26' });
+  });
+
+  it('covers the previous calendar month for a run on the 1st', () => {
+    const config = { schedule_frequency: 'monthly', schedule_day_of_month: 1, schedule_time: '06:00', timezone: 'UTC' };
+
+    const period = getReportingPeriod(config, new Date('2024-03-01T06:00:00Z'));
+
+    expect(period).toEqual({ start_date: '2024-02-01', end_date: '2024-02-29' });
+  });
+});
+
+describe('getPresetPeriod', () => {
+  const weekly = { schedule_frequency: 'weekly', schedule_day_of_week: 1, schedule_time: '09:00', timezone: 'UTC' };
+  const slot = new Date('2024-03-04T09:00:00Z');
+
+  it('uses the schedule period by default', () => {
+    expect(getPresetPeriod(weekly, slot)).toEqual({ start_date: '2024-02-26', end_date: '2024-03-03' });
+  });
+
+  it('reports on fixed windows ending the day before the run', () => {
+    expect(getPresetPeriod({ ...weekly, date_range_preset: 'last_30_days' }, slot))
+      .toEqual({ start_date: '2024-02-03', end_date: '2024-03-03' });
+    expect(getPresetPeriod({ ...weekly, date_range_preset: 'previous_month' }, slot))
+      .toEqual({ start_date: '2024-02-01', end_date: '2024-02-29' });
+  });
+});
+
+describe('SchedulerService.calculateNextRun', () => {
+  const weekly = { id: 'cfg-1', schedule_frequency: 'weekly', schedule_day_of_week: 1, schedule_time: '09:00', timezone: 'UTC' };
+
+  it('advances from the previous slot rather than from now', () => {
+    const report = { ...weekly, next_scheduled_run: '2024-05-20T09:00:00Z' };
+
+    const next = schedulerService.calculateNextRun(report, new Date('2024-05-20T09:07:00Z'));
+
+    expect(next).toBe('2024-05-27T09:00:00.000Z');
+  });
+
+  it('skips past slots when the previous run is far behind', () => {
+    const report = { ...weekly, next_scheduled_run: '2024-04-01T09:00:00Z' };
+
+    const next = schedulerService.calculateNextRun(report, new Date('2024-05-22T12:00:00Z'));
+
+    expect(next).toBe('2024-05-27T09:00:00.000Z');
+  });
+});
+
+describe('SchedulerService.planCatchUp', () => {
+  const daily = { id: 'cfg-2', schedule_frequency: 'daily', schedule_time: '09:00', timezone: 'UTC' };
+  const now = new Date('2024-05-04T09:30:00Z');
+  const iso = (dates) => dates.map(d => d.toISOString());
+
+  it('runs only the latest missed period by default', () => {
+    const plan = schedulerService.planCatchUp({ ...daily, next_scheduled_run: '2024-05-01T09:00:00Z' }, now);
+
+    expect(iso(plan.runSlots)).toEqual(['2024-05-04T09:00:00.000Z']);
+    expect(plan.skippedFrom.toISOString()).toBe('2024-05-01T09:00:00.000Z');
+    expect(plan.nextRun).toBe('2024-05-05T09:00:00.000Z');
+  });
+
+  it('runs every missed period, one at a time, with the "all" policy', () => {
+    const plan = schedulerService.planCatchUp({ ...daily, catch_up_policy: 'all', next_scheduled_run: '2024-05-01T09:00:00Z' }, now);
+
+    expect(iso(plan.runSlots)).toEqual(['2024-05-01T09:00:00.000Z']);
+    expect(plan.nextRun).toBe('2024-05-02T09:00:00.000Z');
+    expect(plan.skippedFrom).toBeUndefined();
+
+    const last = schedulerService.planCatchUp({ ...daily, catch_up_policy: 'all', next_scheduled_run: '2024-05-04T09:00:00Z' }, now);
+    expect(iso(last.runSlots)).toEqual(['2024-05-04T09:00:00.000Z']);
+    expect(last.nextRun).toBe('2024-05-05T09:00:00.000Z');
+  });
+
+  it('drops stale runs with the "skip" policy', () => {
+    const report = { ...daily, catch_up_policy: 'skip', next_scheduled_run: '2024-05-01T09:00:00Z' };
+
+    expect(schedulerService.planCatchUp(report, now).runSlots).toHaveLength(1);
+    expect(schedulerService.planCatchUp(report, new Date('2024-05-04T15:00:00Z')).runSlots).toHaveLength(0);
+  });
+});
+
+describe('SchedulerService.finishRun', () => {
+  const supabase = require('../lib/supabase');
+
+  it('records per-report outcomes with their skip reasons', async () => {
+    const query = {
+      update: jest.fn(() => query),
+      eq: jest.fn(() => Promise.resolve({ error: null })),
+      insert: jest.fn(() => Promise.resolve({ error: null }))
+    };
+    supabase.from = jest.fn(() => query);
+
+    await schedulerService.finishRun('run-1', {
+      status: 'completed',
+      stats: { skipped: 1 },
+      results: [{
+        report_config_id: 'cfg-1',
+        tenant_id: 'tenant-1',
+        name: 'Weekly',
+        scheduled_for: '2024-05-20T09:00:00.000Z',
+        status: 'skipped',
+        reason: 'monthly_limit_exceeded',
+        message: 'Monthly limit exceeded (10/10)'
+      }]
+    });
+
+    expect(supabase.from).toHaveBeenCalledWith('scheduler_run_outcomes');
+    expect(query.insert).toHaveBeenCalledWith([expect.objectContaining({
+      scheduler_run_id: 'run-1',
+      tenant_id: 'tenant-1',
+      status: 'skipped',
+      reason: 'monthly_limit_exceeded',
+      job_id: null
+    })]);
+  });
+});
+
+describe('SchedulerService.processReport controls', () => {
+  const daily = {
+    id: 'cfg-3',
+    tenant_id: 'tenant-1',
+    schedule_frequency: 'daily',
+    schedule_time: '09:00',
+    timezone: 'UTC',
+    next_scheduled_run: '2024-05-04T09:00:00Z'
+  };
+  const now = new Date('2024-05-04T09:05:00Z');
+
+  it('skips paused configs and resumes after the pause', async () => {
+    const report = { ...daily, paused_until: '2024-05-10T00:00:00Z' };
+
+    const { outcomes, nextRun } = await schedulerService.processReport(report, now);
+
+    expect(outcomes).toEqual([expect.objectContaining({ status: 'skipped', reason: 'paused' })]);
+    expect(nextRun).toBe('2024-05-10T09:00:00.000Z');
+  });
+
+  it('skips a single occurrence when skip_next_run is set', async () => {
+    const { outcomes, nextRun, skipConsumed } = await schedulerService.processReport({ ...daily, skip_next_run: true }, now);
+
+    expect(outcomes).toEqual([expect.objectContaining({
+      status: 'skipped',
+      reason: 'skip_requested',
+      scheduled_for: '2024-05-04T09:00:00.000Z'
+    })]);
+    expect(skipConsumed).toBe(true);
+    expect(nextRun).toBe('2024-05-05T09:00:00.000Z');
+  });
+});
+
+describe('SchedulerService.claimReportConfig', () => {
+  const supabase = require('../lib/supabase');
+  const report = { id: 'cfg-1', next_scheduled_run: '2024-05-04T09:00:00Z' };
+  const now = new Date('2024-05-04T09:05:00Z');
+  let query;
+
+  beforeEach(() => {
+    query = {
+      update: jest.fn(() => query),
+      eq: jest.fn(() => query),
+      or: jest.fn(() => query),
+      select: jest.fn(() => Promise.resolve({ data: [{ id: 'cfg-1' }], error: null }))
+    };
+    supabase.from = jest.fn(() => query);
+  });
+
+  it('takes a lease only on the run it read and when no live lease is held', async () => {
+    await expect(schedulerService.claimReportConfig(report, 'run-1', now)).resolves.toBe(true);
+
+    expect(query.update).toHaveBeenCalledWith({
+      scheduler_locked_by: 'run-1',
+      scheduler_locked_until: '2024-05-04T09:10:00.000Z'
+    });
+    expect(query.eq).toHaveBeenCalledWith('next_scheduled_run', '2024-05-04T09:00:00Z');
+    expect(query.or).toHaveBeenCalledWith('scheduler_locked_until.is.null,scheduler_locked_until.lt.2024-05-04T09:05:00.000Z');
+  });
+
+  it('loses when another invocation holds the config or the update fails', async () => {
+    query.select.mockResolvedValueOnce({ data: [], error: null });
+    await expect(schedulerService.claimReportConfig(report, 'run-1', now)).resolves.toBe(false);
+
+    query.select.mockResolvedValueOnce({ data: null, error: { message: 'timeout' } });
+    await expect(schedulerService.claimReportConfig(report, 'run-1', now)).resolves.toBe(false);
+  });
+});
+
+describe('SchedulerService.getTenantDashboard', () => {
+  const supabase = require('../lib/supabase');
+  const deadLettered = {
+    id: 'outcome-1',
+    report_config_id: 'cfg-1',
+    status: 'queued',
+    current_status: 'failed',
+    job_id: 'job-1',
+    job_status: 'dead',
+    job_attempts: 5,
+    job_last_error: 'SMTP down'
+  };
+  let queries;
+
+  beforeEach(() => {
+    queries = [];
+    supabase.from = jest.fn((table) => {
+      const query = { table, filters: [] };
+      ['select', 'not', 'order', 'limit', 'range'].forEach(method => {
+        query[method] = jest.fn(() => query);
+      });
+      query.eq = jest.fn((column, value) => {
+        query.filters.push([column, value]);
+        return query;
+      });
+      query.then = (resolve) => resolve(table === 'report_configs'
+        ? { data: [], error: null }
+        : { data: [deadLettered], count: 1, error: null });
+      queries.push(query);
+      return query;
+    });
+  });
+
+  it('lists reports whose job was dead-lettered after the run as failures', async () => {
+    const dashboard = await schedulerService.getTenantDashboard('tenant-1');
+
+    const failuresQuery = queries.find(query => query.filters.some(([column]) => column === 'current_status'));
+    expect(failuresQuery.table).toBe('scheduler_run_outcome_statuses');
+    expect(failuresQuery.filters).toEqual([['tenant_id', 'tenant-1'], ['current_status', 'failed']]);
+
+    const expected = expect.objectContaining({
+      status: 'queued',
+      current_status: 'failed',
+      job: { id: 'job-1', status: 'dead', attempts: 5, last_error: 'SMTP down' }
+    });
+    expect(dashboard.failures).toEqual([expected]);
+    expect(dashboard.recent_runs).toEqual([expected]);
+    expect(dashboard.failures[0].job_status).toBeUndefined();
+  });
+});
+
+describe('SchedulerService.executeScheduler', () => {
+  const supabase = require('../lib/supabase');
+  const jobQueueService = require('../services/job-queue-service');
+  const daily = {
+    tenant_id: 'tenant-1',
+    is_active: true,
+    schedule_frequency: 'daily',
+    schedule_time: '09:00',
+    timezone: 'UTC',
+    catch_up_policy: 'latest',
+    next_scheduled_run: '2024-05-04T09:00:00Z'
+  };
+  const due = [
+    { ...daily, id: 'cfg-1', name: 'Delivered' },
+    { ...daily, id: 'cfg-2', name: 'Claimed elsewhere' },
+    { ...daily, id: 'cfg-3', name: 'Over quota' }
+  ];
+  let queries;
+  let dueReports;
+
+  // Every query records its calls and resolves to what `respond` returns for it
+  const respond = (query) => {
+    const calls = Object.fromEntries(query.calls.map(([method, ...args]) => [method, args]));
+    // A second page (keyed on the last row of the first) is empty
+    if (query.table === 'report_configs' && calls.select && !calls.update) return calls.or ? { data: [], error: null } : dueReports;
+    if (query.table === 'report_configs' && calls.or) {
+      const claimed = query.calls.some(([method, column, value]) => method === 'eq' && column === 'id' && value !== 'cfg-2');
+      return { data: claimed ? [{ id: 'claimed' }] : [], error: null };
+    }
+    return { error: null };
+  };
+
+  const outcomesInsert = () => queries.find(query => query.table === 'scheduler_run_outcomes').calls.find(([method]) => method === 'insert')[1];
+  const runUpdate = () => queries.find(query => query.table === 'scheduler_runs' && query.calls.some(([method]) => method === 'update'))
+    .calls.find(([method]) => method === 'update')[1];
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-05-04T09:05:00Z') });
+    queries = [];
+    dueReports = { data: due, error: null };
+    supabase.from = jest.fn((table) => {
+      const query = { table, calls: [] };
+      ['select', 'insert', 'update', 'eq', 'lte', 'or', 'order', 'limit'].forEach(method => {
+        query[method] = jest.fn((...args) => {
+          query.calls.push([method, ...args]);
+          return query;
+        });
+      });
+      query.then = (resolve, reject) => Promise.resolve(respond(query)).then(resolve, reject);
+      queries.push(query);
+      return query;
+    });
+
+    jest.spyOn(schedulerService, 'checkReportEligibility').mockImplementation(async (report) => (
+      report.id === 'cfg-3'
+        ? { eligible: false, reason: 'monthly_limit_exceeded', message: 'Monthly limit exceeded (10/10)' }
+        : { eligible: true }
+    ));
+    jest.spyOn(jobQueueService, 'enqueue').mockResolvedValue({ id: 'job-1', status: 'queued' });
+    jest.spyOn(jobQueueService, 'runWorker').mockResolvedValue({ processed: [{ job_id: 'job-1', status: 'succeeded' }] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('selects active configs that are due, oldest first', async () => {
+    await schedulerService.executeScheduler();
+
+    const selection = queries.find(query => query.table === 'report_configs').calls;
+    expect(selection).toEqual(expect.arrayContaining([
+      ['lte', 'next_scheduled_run', '2024-05-04T09:05:00.000Z'],
+      ['eq', 'is_active', true],
+      ['order', 'next_scheduled_run', { ascending: true }]
+    ]));
+  });
+
+  it('queues, delivers and records an outcome per claimed report, and advances its schedule', async () => {
+    const result = await schedulerService.executeScheduler();
+
+    expect(result.success).toBe(true);
+    expect(result.stats).toMatchObject({ due_reports: 3, claimed_reports: 2, delivered: 1, skipped: 1, failed: 0 });
+    expect(jobQueueService.enqueue).toHaveBeenCalledTimes(1);
+    expect(jobQueueService.enqueue).toHaveBeenCalledWith('tenant-1', 'report', expect.objectContaining({
+      report_config_id: 'cfg-1',
+      scheduled_for: '2024-05-04T09:00:00.000Z'
+    }), expect.objectContaining({ idempotencyKey: expect.stringMatching(/^report:cfg-1:/) }));
+
+    expect(outcomesInsert()).toEqual([
+      expect.objectContaining({ report_config_id: 'cfg-1', status: 'delivered', job_id: 'job-1' }),
+      expect.objectContaining({ report_config_id: 'cfg-3', status: 'skipped', reason: 'monthly_limit_exceeded' })
+    ]);
+    expect(runUpdate()).toMatchObject({ status: 'completed', stats: result.stats });
+
+    const releases = queries.filter(query => query.table === 'report_configs' && query.calls.some(([method, update]) => method === 'update' && 'next_scheduled_run' in update));
+    expect(releases.map(query => query.calls[0][1].next_scheduled_run)).toEqual(['2024-05-05T09:00:00.000Z', '2024-05-05T09:00:00.000Z']);
+  });
+
+  it('records a failed outcome when a report cannot be queued and carries on', async () => {
+    jobQueueService.enqueue
+      .mockRejectedValueOnce(new Error('connection reset'));
+
+    const result = await schedulerService.executeScheduler();
+
+    expect(result.stats).toMatchObject({ failed: 1, delivered: 0 });
+    expect(outcomesInsert()).toEqual(expect.arrayContaining([
+      expect.objectContaining({ report_config_id: 'cfg-1', status: 'failed', reason: 'enqueue_failed', message: 'connection reset' })
+    ]));
+    expect(jobQueueService.runWorker).not.toHaveBeenCalled();
+  });
+
+  it('marks the run failed when due configs cannot be loaded', async () => {
+    dueReports = { data: null, error: { message: 'permission denied' } };
+
+    const result = await schedulerService.executeScheduler();
+
+    expect(result).toMatchObject({ success: false, error: 'Reports query failed: permission denied' });
+    expect(runUpdate()).toMatchObject({ status: 'failed', error: 'Reports query failed: permission denied' });
+    expect(jobQueueService.enqueue).not.toHaveBeenCalled();
+  });
+});
+
+describe('SchedulerService schedule controls during a scheduler run', () => {
+  const supabase = require('../lib/supabase');
+  const config = {
+    id: 'cfg-1',
+    tenant_id: 'tenant-1',
+    schedule_frequency: 'daily',
+    schedule_time: '09:00',
+    timezone: 'UTC',
+    next_scheduled_run: '2024-05-04T09:00:00Z'
+  };
+  let query;
+
+  beforeEach(() => {
+    query = {
+      select: jest.fn(() => query),
+      update: jest.fn(() => query),
+      eq: jest.fn(() => query),
+      or: jest.fn(() => query),
+      single: jest.fn(() => Promise.resolve({ data: config, error: null })),
+      then: (resolve) => resolve(query.result)
+    };
+    supabase.from = jest.fn(() => query);
+  });
+
+  it('refuses to pause, resume or skip while the lease is held', async () => {
+    query.result = { data: [], error: null };
+
+    await expect(schedulerService.pauseReportConfig('tenant-1', 'cfg-1', new Date('2024-06-01T00:00:00Z')))
+      .rejects.toMatchObject({ statusCode: 409, reason: 'scheduler_run_in_progress' });
+    await expect(schedulerService.resumeReportConfig('tenant-1', 'cfg-1')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(schedulerService.skipNextRun('tenant-1', 'cfg-1')).rejects.toMatchObject({ statusCode: 409 });
+    expect(query.or).toHaveBeenCalledWith(expect.stringMatching(/^scheduler_locked_until\.is\.null,scheduler_locked_until\.lt\./));
+  });
+
+  it('applies the change once no lease is held', async () => {
+    query.result = { data: [{ id: 'cfg-1', skip_next_run: true }], error: null };
+
+    await expect(schedulerService.skipNextRun('tenant-1', 'cfg-1')).resolves.toEqual({ id: 'cfg-1', skip_next_run: true });
+    expect(query.update).toHaveBeenCalledWith({ skip_next_run: true });
+  });
+});
+
+describe('SchedulerService.executeScheduler with a catch-up backlog', () => {
+  const supabase = require('../lib/supabase');
+  const jobQueueService = require('../services/job-queue-service');
+  const now = new Date('2024-05-31T09:05:00Z');
+  let configs;
+
+  // In-memory report_configs answering the scheduler's page, claim and release queries
+  const runQuery = (query) => {
+    const calls = query.calls;
+    const arg = (method) => (calls.find(([name]) => name === method) || [])[1];
+    const eqs = Object.fromEntries(calls.filter(([name]) => name === 'eq').map(([, column, value]) => [column, value]));
+
+    if (query.table !== 'report_configs') return { error: null };
+
+    const update = arg('update');
+    if (update && 'scheduler_locked_by' in update && update.scheduler_locked_by) {
+      return { data: [{ id: eqs.id }], error: null };
+    }
+    if (update) {
+      Object.assign(configs.find(config => config.id === eqs.id), { next_scheduled_run: update.next_scheduled_run });
+      return { error: null };
+    }
+
+    const key = (config) => `${new Date(config.next_scheduled_run).toISOString()} ${config.id}`;
+    const cursor = (arg('or') || '').match(/^next_scheduled_run\.gt\."([^"]+)",and\(next_scheduled_run\.eq\."[^"]+",id\.gt\.(.+)\)$/);
+    const rows = configs
+      .filter(config => new Date(config.next_scheduled_run) <= new Date(calls.find(([name]) => name === 'lte')[2]))
+      .filter(config => !cursor || key(config) > `${cursor[1]} ${cursor[2]}`)
+      .sort((a, b) => (key(a) < key(b) ? -1 : 1))
+      .slice(0, arg('limit'));
+    return { data: rows.map(config => ({ ...config })), error: null };
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now });
+    const daily = { tenant_id: 'tenant-1', is_active: true, schedule_frequency: 'daily', schedule_time: '09:00', timezone: 'UTC' };
+    configs = [
+      // Thirty days behind, due before everything else
+      { ...daily, id: 'backlog', catch_up_policy: 'all', next_scheduled_run: '2024-05-01T09:00:00Z' },
+      ...Array.from({ length: 30 }, (_, index) => ({
+        ...daily,
+        id: `cfg-${String(index).padStart(2, '0')}`,
+        tenant_id: `tenant-${index}`,
+        next_scheduled_run: '2024-05-31T09:00:00Z'
+      }))
+    ];
+
+    supabase.from = jest.fn((table) => {
+      const query = { table, calls: [] };
+      ['select', 'insert', 'update', 'eq', 'lte', 'or', 'order', 'limit'].forEach(method => {
+        query[method] = jest.fn((...args) => {
+          query.calls.push([method, ...args]);
+          return query;
+        });
+      });
+      query.then = (resolve, reject) => Promise.resolve(runQuery(query)).then(resolve, reject);
+      return query;
+    });
+
+    jest.spyOn(schedulerService, 'checkReportEligibility').mockResolvedValue({ eligible: true });
+    jest.spyOn(jobQueueService, 'enqueue').mockImplementation(async (tenantId, type, payload) => ({ id: `job-${payload.report_config_id}-${payload.scheduled_for}` }));
+    jest.spyOn(jobQueueService, 'runWorker').mockResolvedValue({ processed: [] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('gives every due config its period before the backlog gets another', async () => {
+    const result = await schedulerService.executeScheduler();
+
+    const queued = jobQueueService.enqueue.mock.calls.map(([, , payload]) => payload.report_config_id);
+    expect(result.stats).toMatchObject({ due_reports: 31, claimed_reports: 31, queued: 30 + 12 });
+    expect(queued.slice(0, 31).sort()).toEqual(configs.map(config => config.id).sort());
+    expect(queued.filter(id => id === 'backlog')).toHaveLength(12);
+
+    // The rest of the backlog stays due for the next invocation
+    expect(configs.find(config => config.id === 'backlog').next_scheduled_run).toBe('2024-05-13T09:00:00.000Z');
+    expect(configs.filter(config => config.id !== 'backlog').every(config => config.next_scheduled_run === '2024-06-01T09:00:00.000Z')).toBe(true);
+  });
+});
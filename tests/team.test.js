@@ -0,0 +1,184 @@
+// tests/team.test.js - Team roles, role enforcement and invitation rules
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+jest.mock('../lib/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(() => mockSupabase),
+    select: jest.fn(() => mockSupabase),
+    insert: jest.fn(() => mockSupabase),
+    update: jest.fn(() => mockSupabase),
+    eq: jest.fn(() => mockSupabase),
+    neq: jest.fn(() => mockSupabase),
+    is: jest.fn(() => mockSupabase),
+    single: jest.fn(() => Promise.resolve({ data: null, error: null })),
+    then: (resolve) => resolve({ data: [], error: null })
+  };
+  return mockSupabase;
+});
+
+jest.mock('../services/email-service', () => ({
+  sendSystemEmail: jest.fn(() => Promise.resolve({ success: true }))
+}));
+
+const supabase = require('../lib/supabase');
+const emailService = require('../services/email-service');
+const authMiddleware = require('../middleware/auth');
+const teamService = require('../services/team-service');
+const { scopesForRole } = require('../services/team-service');
+const { hasScope } = require('../services/api-key-service');
+const request = require('supertest');
+const express = require('express');
+const teamRoutes = require('../routes/team');
+
+const tenant = { id: '3bce31b7-b045-4da0-981c-db138e866cfe', name: 'Acme Agency', email: 'owner@acme.test' };
+const userId = '9f1c7a52-6d0b-4c1e-8a43-2f6c1d0e5b77';
+
+const mockResponse = () => ({
+  status: jest.fn(function () { return this; }),
+  json: jest.fn(function () { return this; })
+});
+
+describe('role scopes', () => {
+  it('keeps viewers read-only', () => {
+    const viewer = scopesForRole('viewer');
+    expect(hasScope(viewer, 'reports:read')).toBe(true);
+    expect(hasScope(viewer, 'reports:write')).toBe(false);
+    expect(hasScope(viewer, 'email:write')).toBe(false);
+    expect(hasScope(viewer, 'billing:write')).toBe(false);
+  });
+
+  it('lets editors generate reports but not change SMTP or billing', () => {
+    const editor = scopesForRole('editor');
+    expect(hasScope(editor, 'reports:write')).toBe(true);
+    expect(hasScope(editor, 'templates:write')).toBe(true);
+    expect(hasScope(editor, 'email:write')).toBe(false);
+    expect(hasScope(editor, 'billing:write')).toBe(false);
+  });
+
+  it('leaves billing changes to owners', () => {
+    expect(hasScope(scopesForRole('admin'), 'email:write')).toBe(true);
+    expect(hasScope(scopesForRole('admin'), 'billing:write')).toBe(false);
+    expect(hasScope(scopesForRole('owner'), 'billing:write')).toBe(true);
+  });
+});
+
+describe('bearer tokens for team members', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const authenticate = async (member) => {
+    supabase.single
+      .mockResolvedValueOnce({ data: tenant, error: null })
+      .mockResolvedValueOnce({ data: member, error: null });
+
+    const token = authMiddleware.generateToken(tenant, { user_id: userId });
+    const req = { method: 'POST', headers: { authorization: `Bearer ${token}` } };
+    const res = mockResponse();
+    const next = jest.fn();
+    await authMiddleware.validateTenant(req, res, next);
+    return { req, res, next };
+  };
+
+  it('applies the member\'s current role', async () => {
+    const { req, next } = await authenticate({ id: userId, email: 'viewer@acme.test', role: 'viewer', status: 'active' });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toMatchObject({ user_id: userId, role: 'viewer' });
+
+    const res = mockResponse();
+    const scopeNext = jest.fn();
+    authMiddleware.requireScope('email')(req, res, scopeNext);
+
+    expect(scopeNext).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ role: 'viewer', required_scope: 'email:write' }));
+  });
+
+  it('rejects removed members even with an unexpired token', async () => {
+    const { res, next } = await authenticate({ id: userId, role: 'editor', status: 'removed' });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
+
+describe('TeamService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    supabase.then = (resolve) => resolve({ data: [], error: null });
+  });
+
+  it('does not let admins invite owners', async () => {
+    await expect(teamService.inviteMember(tenant, { email: 'new@acme.test', role: 'owner', actorRole: 'admin' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(supabase.insert).not.toHaveBeenCalled();
+  });
+
+  it('stores a hashed token and emails the invitation link', async () => {
+    supabase.single
+      .mockResolvedValueOnce({ data: null, error: null })
+      .mockResolvedValueOnce({ data: { id: 'inv-1', email: 'new@acme.test', role: 'editor' }, error: null });
+
+    const result = await teamService.inviteMember(tenant, { email: 'New@Acme.test', role: 'editor', actorRole: 'admin' });
+
+    const inserted = supabase.insert.mock.calls[0][0];
+    expect(inserted).toMatchObject({ email: 'new@acme.test', role: 'editor' });
+    expect(inserted.token_hash).toHaveLength(64);
+    expect(emailService.sendSystemEmail).toHaveBeenCalledWith(tenant, expect.objectContaining({ to: 'new@acme.test' }));
+    expect(result).toEqual({ invitation: expect.objectContaining({ id: 'inv-1' }), email_sent: true });
+  });
+
+  it('refuses to demote the last owner', async () => {
+    supabase.single.mockResolvedValueOnce({ data: { id: userId, role: 'owner', email: 'owner@acme.test' }, error: null });
+
+    await expect(teamService.updateMemberRole(tenant.id, userId, 'admin', 'owner'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'A tenant must keep at least one owner' });
+    expect(supabase.update).not.toHaveBeenCalled();
+  });
+
+  it('lets API keys manage only roles their scopes cover', async () => {
+    const { roleForScopes, scopesForRole } = require('../services/team-service');
+
+    expect(roleForScopes(['*'])).toBe('owner');
+    expect(roleForScopes(scopesForRole('editor'))).toBe('editor');
+    expect(roleForScopes(['team:write'])).toBeNull();
+
+    await expect(teamService.inviteMember(tenant, { email: 'new@acme.test', role: 'admin', actorRole: 'editor' }))
+      .rejects.toMatchObject({ statusCode: 403, message: 'The editor role cannot manage the admin role' });
+    await expect(teamService.inviteMember(tenant, { email: 'new@acme.test', role: 'viewer', actorRole: null }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(supabase.insert).not.toHaveBeenCalled();
+  });
+});
+
+describe('team routes with API keys', () => {
+  // Stands in for validateTenant with a named key holding `scopes`
+  const buildApp = (scopes) => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.tenant = tenant;
+      req.tenantId = tenant.id;
+      req.scopes = scopes;
+      req.apiKey = { id: 'key-1', name: 'Onboarding' };
+      next();
+    });
+    app.use('/api/team', teamRoutes);
+    return app;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('does not let a team:write key invite an admin', async () => {
+    const response = await request(buildApp(['team:write']))
+      .post('/api/team/invitations')
+      .send({ email: 'new@acme.test', role: 'admin' });
+
+    expect(response.status).toBe(403);
+    expect(supabase.insert).not.toHaveBeenCalled();
+    expect(emailService.sendSystemEmail).not.toHaveBeenCalled();
+  });
+});
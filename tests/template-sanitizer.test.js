@@ -0,0 +1,189 @@
+// tests/template-sanitizer.test.js - Allowlist sanitizing of tenant templates and the template routes
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../lib/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(() => mockSupabase),
+    select: jest.fn(() => mockSupabase),
+    insert: jest.fn(() => mockSupabase),
+    update: jest.fn(() => mockSupabase),
+    eq: jest.fn(() => mockSupabase),
+    or: jest.fn(() => mockSupabase),
+    single: jest.fn(() => Promise.resolve({ data: null, error: null })),
+    // create_template_version echoes the content it was given
+    rpc: jest.fn((name, args) => Promise.resolve({
+      data: [{ id: 'ver-1', version_number: 1, html_content: args.p_html_content, css_content: args.p_css_content }],
+      error: null
+    }))
+  };
+  return mockSupabase;
+});
+
+jest.mock('../middleware/usage-limits', () => ({
+  checkUsage: (req, res, next) => next()
+}));
+
+jest.mock('../services/audit-service', () => ({
+  recordRequest: jest.fn(() => Promise.resolve()),
+  actorFromRequest: jest.fn(() => ({ type: 'user', id: 'user-1', label: 'owner@acme.test' }))
+}));
+
+const supabase = require('../lib/supabase');
+const { sanitizeHTML, sanitizeCSS, isAllowedAssetUrl } = require('../lib/template-sanitizer');
+const { barChart } = require('../lib/charts');
+const templateRoutes = require('../routes/templates');
+
+const codes = (result) => result.warnings.map(warning => warning.code);
+
+describe('sanitizeHTML', () => {
+  it('removes scripts and event handlers however they are spelled', () => {
+    const result = sanitizeHTML('<SCRIPT>alert(1)</SCRIPT><img src=x onerror=alert(1)><p OnClick="x()">ok</p>');
+
+    expect(result.html).toBe('<img src="x"><p>ok</p>');
+    expect(result.warnings).toEqual([
+      expect.objectContaining({ code: 'disallowed_tag', tag: 'script', line: 1 }),
+      expect.objectContaining({ code: 'disallowed_attribute', tag: 'img', attribute: 'onerror' }),
+      expect.objectContaining({ code: 'disallowed_attribute', tag: 'p', attribute: 'onclick' })
+    ]);
+  });
+
+  it('rejects script URLs hidden behind entities and whitespace', () => {
+    const result = sanitizeHTML('<a href="jav&#x61;script:alert(1)">a</a><a href=" javascript:x">b</a><a href="https://acme.test">c</a>');
+
+    expect(result.html).toBe('<a>a</a><a>b</a><a href="https://acme.test">c</a>');
+    expect(codes(result)).toEqual(['unsafe_url', 'unsafe_url']);
+  });
+
+  it('drops external resources unless their host is allowed', () => {
+    process.env.PDF_ALLOWED_ASSET_HOSTS = 'cdn.agency.test';
+
+    const result = sanitizeHTML([
+      '<link rel="stylesheet" href="https://evil.test/a.css">',
+      '<iframe src="https://evil.test"></iframe>',
+      '<img src="https://evil.test/pixel.png">',
+      '<img src="https://cdn.agency.test/logo.png">',
+      '<img src="{{agencyLogo}}">'
+    ].join(''));
+
+    expect(result.html).toBe('<img><img src="https://cdn.agency.test/logo.png"><img src="{{agencyLogo}}">');
+    expect(codes(result)).toEqual(['disallowed_tag', 'disallowed_tag', 'external_resource']);
+    expect(isAllowedAssetUrl('https://evil.test/x.png')).toBe(false);
+    expect(isAllowedAssetUrl('data:image/png;base64,AAAA')).toBe(true);
+  });
+
+  it('keeps Handlebars expressions intact, in text and attributes', () => {
+    const source = '<p class="{{#if up}}positive{{/if}}" {{#if hidden}}data-hidden="1"{{/if}} style="width: {{percent "share"}}%">{{formatNumber value}}</p>';
+    const result = sanitizeHTML(source);
+
+    expect(result.html).toBe('<p class="{{#if up}}positive{{/if}}" {{#if hidden}} data-hidden="1" {{/if}} style="width: {{percent "share"}}%;">{{formatNumber value}}</p>');
+    expect(sanitizeHTML('<div>{{{content}}}</div>').warnings).toEqual([
+      expect.objectContaining({ code: 'unescaped_output', line: 1 })
+    ]);
+  });
+
+  it('accepts the bundled templates and chart output without warnings', () => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'templates', 'analytics-report.html'), 'utf8');
+    expect(sanitizeHTML(source).warnings).toEqual([]);
+
+    const chart = barChart([{ label: 'Email', value: 3 }]).toString();
+    expect(sanitizeHTML(chart).warnings).toEqual([]);
+  });
+});
+
+describe('sanitizeCSS', () => {
+  it('keeps allowed properties, at-rules and chart variables', () => {
+    const result = sanitizeCSS('@page { size: A4; } @media print { .card { color: red; --chart-color-1: #123456; } }');
+
+    expect(result.warnings).toEqual([]);
+    expect(result.css).toContain('size: A4;');
+    expect(result.css).toContain('--chart-color-1: #123456;');
+  });
+
+  it('removes imports, unknown properties, script values and external URLs', () => {
+    const result = sanitizeCSS([
+      '@import url("https://evil.test/a.css");',
+      'p { behavior: url(x.htc); width: \\65 xpression(alert(1)); background: url(https://evil.test/x.png); color: red; }'
+    ].join('\n'));
+
+    expect(result.css).toBe('p {\ncolor: red;\n}');
+    expect(codes(result)).toEqual(['disallowed_css_rule', 'disallowed_css_property', 'unsafe_css', 'external_resource']);
+  });
+
+  it('cannot close the style element it is inserted into', () => {
+    const result = sanitizeHTML('<style>p { color: red; } </style><script>alert(1)</script><style>a{}</style>');
+
+    expect(result.html).not.toMatch(/<script/i);
+    expect(sanitizeCSS('p { content: "</style><script>"; }').css).toBe('p {\n\n}');
+  });
+});
+
+describe('template routes', () => {
+  const tenantId = 'tenant-1';
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.tenantId = tenantId;
+    next();
+  });
+  app.use('/api/templates', templateRoutes);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('stores the sanitized template and returns the warnings on create', async () => {
+    supabase.single.mockResolvedValueOnce({ data: { id: 'tpl-1', name: 'Brand' }, error: null });
+
+    const response = await request(app)
+      .post('/api/templates')
+      .send({ name: 'Brand', html_content: '<h1 onmouseover="steal()">{{client_name}}</h1><script>x</script>' });
+
+    expect(response.status).toBe(201);
+    expect(supabase.insert).toHaveBeenCalledWith(expect.objectContaining({ html_content: '<h1>{{client_name}}</h1>' }));
+    expect(supabase.rpc).toHaveBeenCalledWith('create_template_version', expect.objectContaining({
+      p_html_content: '<h1>{{client_name}}</h1>'
+    }));
+    expect(response.body.warnings.map(warning => warning.code)).toEqual(['disallowed_attribute', 'disallowed_tag']);
+  });
+
+  it('sanitizes updates and ignores fields tenants cannot set', async () => {
+    supabase.single
+      .mockResolvedValueOnce({ data: { id: 'tpl-1', tenant_id: tenantId, is_system_template: false }, error: null })
+      .mockResolvedValueOnce({ data: { id: 'tpl-1', name: 'Renamed' }, error: null });
+
+    const response = await request(app)
+      .put('/api/templates/tpl-1')
+      .send({ name: 'Renamed', html_content: '<img src=x onerror=alert(1)>', tenant_id: 'other-tenant', is_system_template: true });
+
+    expect(response.status).toBe(200);
+    const updates = supabase.update.mock.calls[0][0];
+    expect(updates.name).toBe('Renamed');
+    expect(updates).not.toHaveProperty('tenant_id');
+    expect(updates).not.toHaveProperty('is_system_template');
+    expect(supabase.rpc).toHaveBeenCalledWith('create_template_version', expect.objectContaining({
+      p_html_content: '<img src="x">'
+    }));
+    expect(response.body.warnings).toHaveLength(1);
+  });
+
+  it('previews the sanitized template with structured warnings', async () => {
+    const response = await request(app)
+      .post('/api/templates/preview')
+      .send({
+        html_content: '<p>{{client_name}}</p><iframe src="https://evil.test"></iframe>',
+        css_content: 'p { color: red; position: fixed; -moz-binding: url(x.xml); }',
+        data: { client_name: 'Acme' }
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.html).toContain('<p>Acme</p>');
+    expect(response.body.html).not.toContain('iframe');
+    expect(response.body.warnings).toEqual([
+      expect.objectContaining({ field: 'html_content', code: 'disallowed_tag', tag: 'iframe', line: 1 }),
+      expect.objectContaining({ field: 'css_content', code: 'disallowed_css_property', property: '-moz-binding' })
+    ]);
+  });
+});
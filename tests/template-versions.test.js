@@ -0,0 +1,244 @@
+// tests/template-versions.test.js - Immutable template versions, diff, rollback and version-pinned activation
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../lib/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(() => mockSupabase),
+    select: jest.fn(() => mockSupabase),
+    insert: jest.fn(() => mockSupabase),
+    update: jest.fn(() => mockSupabase),
+    eq: jest.fn(() => mockSupabase),
+    or: jest.fn(() => mockSupabase),
+    order: jest.fn(() => mockSupabase),
+    limit: jest.fn(() => mockSupabase),
+    single: jest.fn(() => Promise.resolve({ data: null, error: null })),
+    rpc: jest.fn(() => Promise.resolve({ data: [], error: null }))
+  };
+  return mockSupabase;
+});
+
+jest.mock('../middleware/usage-limits', () => ({
+  checkUsage: (req, res, next) => next()
+}));
+
+jest.mock('../services/audit-service', () => ({
+  recordRequest: jest.fn(() => Promise.resolve()),
+  actorFromRequest: jest.fn(() => ({ type: 'user', id: 'user-1', label: 'owner@acme.test' }))
+}));
+
+jest.mock('../services/unified-reporter-service', () => ({
+  generateUnifiedReport: jest.fn()
+}));
+
+const supabase = require('../lib/supabase');
+const auditService = require('../services/audit-service');
+const { diffLines } = require('../lib/text-diff');
+const templateRoutes = require('../routes/templates');
+const reporterService = require('../services/reporter-service');
+
+const tenantId = '3bce31b7-b045-4da0-981c-db138e866cfe';
+const templateId = '6f1c1a53-5f0e-4a43-9d4e-2b8f3f0b7c11';
+
+const template = (fields = {}) => ({
+  id: templateId,
+  tenant_id: tenantId,
+  name: 'Brand',
+  html_content: '<h1>{{client_name}}</h1>',
+  css_content: null,
+  is_system_template: false,
+  is_active: true,
+  current_version_id: 'ver-3',
+  active_version_id: 'ver-3',
+  ...fields
+});
+
+const version = (number, fields = {}) => ({
+  id: `ver-${number}`,
+  template_id: templateId,
+  version_number: number,
+  html_content: `<h1>v${number}</h1>`,
+  css_content: null,
+  ...fields
+});
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.tenantId = tenantId;
+  next();
+});
+app.use('/api/templates', templateRoutes);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('diffLines', () => {
+  it('reports changed lines as unified hunks with context', () => {
+    const lines = ['<h1>', '{{client_name}}', '</h1>', ...'abcdefgh'.split('').map(letter => `<p>${letter}</p>`)];
+    const before = lines.join('\n');
+    const after = before.replace('{{client_name}}', '{{clientName}}').replace('<p>h</p>', '<p>h</p>\n<footer></footer>');
+
+    const diff = diffLines(before, after);
+
+    expect(diff).toEqual(expect.objectContaining({ additions: 2, deletions: 1 }));
+    expect(diff.unified).toBe([
+      '@@ -1,5 +1,5 @@',
+      ' <h1>',
+      '-{{client_name}}',
+      '+{{clientName}}',
+      ' </h1>',
+      ' <p>a</p>',
+      ' <p>b</p>',
+      '@@ -9,3 +9,4 @@',
+      ' <p>f</p>',
+      ' <p>g</p>',
+      ' <p>h</p>',
+      '+<footer></footer>'
+    ].join('\n'));
+    expect(diffLines('same', 'same').unified).toBe('');
+  });
+});
+
+describe('saving templates', () => {
+  it('stores edits to an active template as a new version without activating it', async () => {
+    supabase.single.mockResolvedValueOnce({ data: template(), error: null });
+    supabase.rpc.mockResolvedValueOnce({ data: [version(4, { html_content: '<h1>New</h1>' })], error: null });
+
+    const response = await request(app)
+      .put(`/api/templates/${templateId}`)
+      .send({ html_content: '<h1>New</h1>', change_note: 'New heading' });
+
+    expect(response.status).toBe(200);
+    expect(supabase.update).not.toHaveBeenCalled();
+    expect(supabase.rpc).toHaveBeenCalledTimes(1);
+    expect(supabase.rpc).toHaveBeenCalledWith('create_template_version', expect.objectContaining({
+      p_template_id: templateId,
+      p_html_content: '<h1>New</h1>',
+      p_change_note: 'New heading',
+      p_created_by: 'user-1',
+      p_created_by_label: 'owner@acme.test'
+    }));
+    expect(response.body.version.version_number).toBe(4);
+    expect(response.body.template.current_version_id).toBe('ver-4');
+    expect(response.body.message).toMatch(/Activate it/);
+  });
+
+  it('does not create a version when the content is unchanged', async () => {
+    supabase.single
+      .mockResolvedValueOnce({ data: template(), error: null })
+      .mockResolvedValueOnce({ data: template({ description: 'Monthly' }), error: null });
+
+    const response = await request(app)
+      .put(`/api/templates/${templateId}`)
+      .send({ description: 'Monthly', html_content: '<h1>{{client_name}}</h1>' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.version).toBeNull();
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+});
+
+describe('version routes', () => {
+  it('activates a template pinned to a specific version', async () => {
+    supabase.single
+      .mockResolvedValueOnce({ data: template(), error: null })
+      .mockResolvedValueOnce({ data: version(2), error: null });
+    supabase.rpc.mockResolvedValueOnce({ data: [template({ active_version_id: 'ver-2' })], error: null });
+
+    const response = await request(app)
+      .post(`/api/templates/${templateId}/activate`)
+      .send({ version: 2 });
+
+    expect(response.status).toBe(200);
+    expect(supabase.rpc).toHaveBeenCalledWith('activate_tenant_template', {
+      p_tenant_id: tenantId,
+      p_template_id: templateId,
+      p_version_id: 'ver-2'
+    });
+    expect(response.body.active_template.active_version_id).toBe('ver-2');
+  });
+
+  it('answers 404 for a version the template does not have', async () => {
+    supabase.single.mockResolvedValueOnce({ data: template(), error: null });
+
+    const response = await request(app).get(`/api/templates/${templateId}/versions/9`);
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe('Version 9 not found');
+  });
+
+  it('diffs two versions', async () => {
+    supabase.single
+      .mockResolvedValueOnce({ data: template(), error: null })
+      .mockResolvedValueOnce({ data: version(1), error: null })
+      .mockResolvedValueOnce({ data: version(3, { css_content: 'h1 { color: red; }' }), error: null });
+
+    const response = await request(app).get(`/api/templates/${templateId}/diff?from=1&to=3`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.diff).toEqual(expect.objectContaining({ from: 1, to: 3, identical: false }));
+    expect(response.body.diff.html_content.unified).toBe('@@ -1,1 +1,1 @@\n-<h1>v1</h1>\n+<h1>v3</h1>');
+    expect(response.body.diff.css_content.additions).toBe(1);
+  });
+
+  it('rolls back by copying the old version forward and re-pinning an active template', async () => {
+    supabase.single
+      .mockResolvedValueOnce({ data: template(), error: null })
+      .mockResolvedValueOnce({ data: version(1), error: null });
+    supabase.rpc
+      .mockResolvedValueOnce({ data: [version(4, { html_content: '<h1>v1</h1>', source_version_id: 'ver-1' })], error: null })
+      .mockResolvedValueOnce({ data: [template({ active_version_id: 'ver-4' })], error: null });
+
+    const response = await request(app).post(`/api/templates/${templateId}/versions/1/rollback`);
+
+    expect(response.status).toBe(201);
+    expect(supabase.rpc).toHaveBeenNthCalledWith(1, 'create_template_version', expect.objectContaining({
+      p_html_content: '<h1>v1</h1>',
+      p_source_version_id: 'ver-1',
+      p_change_note: 'Rolled back to version 1'
+    }));
+    expect(supabase.rpc).toHaveBeenNthCalledWith(2, 'activate_tenant_template', expect.objectContaining({ p_version_id: 'ver-4' }));
+    expect(response.body.activated).toBe(true);
+    expect(auditService.recordRequest).toHaveBeenCalledWith(expect.anything(), 'template.rolled_back', expect.objectContaining({
+      metadata: { restored_version: 1, new_version: 4, activated: true }
+    }));
+  });
+
+  it('refuses to roll back system templates', async () => {
+    supabase.single.mockResolvedValueOnce({ data: template({ is_system_template: true, tenant_id: null }), error: null });
+
+    const response = await request(app).post(`/api/templates/${templateId}/versions/1/rollback`);
+
+    expect(response.status).toBe(403);
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+});
+
+describe('reports', () => {
+  it('render the activated version rather than later edits', async () => {
+    supabase.single
+      .mockResolvedValueOnce({ data: template({ html_content: '<h1>Unreleased edit</h1>', current_version_id: 'ver-4' }), error: null })
+      .mockResolvedValueOnce({ data: version(3), error: null });
+
+    const rendered = await reporterService.getTemplateForTenant(tenantId);
+
+    expect(supabase.eq).toHaveBeenCalledWith('id', 'ver-3');
+    expect(rendered).toEqual(expect.objectContaining({ html_content: '<h1>v3</h1>', version_id: 'ver-3', version_number: 3 }));
+  });
+
+  it('record the template version on the generated report', async () => {
+    supabase.single.mockResolvedValueOnce({ data: { id: 'report-1' }, error: null });
+
+    await reporterService.updateDatabase('config-1', tenantId, null, 'failed', 'boom', null, {
+      template: { id: templateId, version_id: 'ver-3', version_number: 3 }
+    });
+
+    expect(supabase.insert).toHaveBeenCalledWith(expect.objectContaining({
+      template_id: templateId,
+      template_version_id: 'ver-3',
+      template_version: 3
+    }));
+  });
+});
@@ -0,0 +1,258 @@
+// tests/tenant-lifecycle.test.js - Tenant status enforcement, data export and deletion
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../lib/supabase', () => {
+  // range() answers per table from mockSupabase.rows, for exports
+  const mockSupabase = {
+    rows: {},
+    from: jest.fn((table) => {
+      mockSupabase.table = table;
+      return mockSupabase;
+    }),
+    select: jest.fn(() => mockSupabase),
+    insert: jest.fn(() => mockSupabase),
+    update: jest.fn(() => mockSupabase),
+    eq: jest.fn(() => mockSupabase),
+    gt: jest.fn(() => mockSupabase),
+    lte: jest.fn(() => mockSupabase),
+    order: jest.fn(() => mockSupabase),
+    limit: jest.fn(() => mockSupabase),
+    range: jest.fn(() => Promise.resolve({ data: mockSupabase.rows[mockSupabase.table] || [], error: null })),
+    single: jest.fn(() => Promise.resolve({ data: null, error: null })),
+    rpc: jest.fn(() => Promise.resolve({ error: null }))
+  };
+  return mockSupabase;
+});
+
+jest.mock('../services/email-service', () => ({
+  sendSystemEmail: jest.fn(() => Promise.resolve())
+}));
+
+const supabase = require('../lib/supabase');
+const emailService = require('../services/email-service');
+const tenantService = require('../services/tenant-service');
+const authMiddleware = require('../middleware/auth');
+const schedulerService = require('../services/scheduler-service');
+const tenantRoutes = require('../routes/tenant');
+
+const tenantId = '3bce31b7-b045-4da0-981c-db138e866cfe';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const inDays = (days) => new Date(Date.now() + days * DAY_MS).toISOString();
+
+const apiKeyTenant = (fields = {}) => ({
+  id: tenantId,
+  name: 'Acme',
+  email: 'owner@acme.test',
+  api_key_hash: crypto.createHash('sha256').update('key-123').digest('hex'),
+  ...fields
+});
+
+// `subscription` answers the grace period lookup for non-payment suspensions
+const runMiddleware = async (middleware, tenant, subscription = null) => {
+  supabase.single.mockResolvedValueOnce({ data: tenant, error: null });
+  // Named key lookup finds nothing, so the legacy tenant key is used
+  supabase.single.mockResolvedValueOnce({ data: null, error: null });
+  if (subscription) supabase.single.mockResolvedValueOnce({ data: subscription, error: null });
+
+  const req = { headers: { 'x-tenant-id': tenantId, 'x-api-key': 'key-123' } };
+  const res = {
+    set: jest.fn(),
+    status: jest.fn(function () { return this; }),
+    json: jest.fn(function () { return this; })
+  };
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { req, res, next };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  supabase.rows = {};
+});
+
+describe('tenantService.getAccess', () => {
+  it('treats tenants without a status as active, without querying', async () => {
+    expect(await tenantService.getAccess({ id: tenantId })).toEqual({ allowed: true, limited: false, status: 'active' });
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  it('keeps full access for non-payment suspensions until the grace period ends', async () => {
+    const tenant = { id: tenantId, status: 'suspended_nonpayment' };
+
+    supabase.single.mockResolvedValueOnce({ data: { grace_period_until: inDays(3) }, error: null });
+    const inGrace = await tenantService.getAccess(tenant);
+    expect(inGrace.allowed).toBe(true);
+    expect(inGrace.grace_period_until).toBeDefined();
+
+    supabase.single.mockResolvedValueOnce({ data: { grace_period_until: inDays(-1) }, error: null });
+    expect(await tenantService.getAccess(tenant)).toEqual(expect.objectContaining({
+      allowed: false,
+      limited: true,
+      statusCode: 402
+    }));
+  });
+
+  it('limits pending deletions and blocks admin suspensions entirely', async () => {
+    expect(await tenantService.getAccess({ id: tenantId, status: 'pending_deletion', deletion_scheduled_for: inDays(14) }))
+      .toEqual(expect.objectContaining({ allowed: false, limited: true, statusCode: 403 }));
+    expect(await tenantService.getAccess({ id: tenantId, status: 'suspended_admin' }))
+      .toEqual(expect.objectContaining({ allowed: false, limited: false, statusCode: 403 }));
+
+    expect(tenantService.canSignIn({ status: 'pending_deletion' })).toBe(true);
+    expect(tenantService.canSignIn({ status: 'suspended_admin' })).toBe(false);
+  });
+});
+
+describe('status enforcement in the auth middleware', () => {
+  it('lets pending-deletion tenants reach only limited routes', async () => {
+    const tenant = apiKeyTenant({ status: 'pending_deletion', deletion_scheduled_for: inDays(14) });
+
+    const full = await runMiddleware(authMiddleware.validateTenant, tenant);
+    expect(full.next).not.toHaveBeenCalled();
+    expect(full.res.status).toHaveBeenCalledWith(403);
+    expect(full.res.json).toHaveBeenCalledWith(expect.objectContaining({ tenant_status: 'pending_deletion' }));
+
+    const limited = await runMiddleware(authMiddleware.validateTenantLimited, tenant);
+    expect(limited.next).toHaveBeenCalled();
+    expect(limited.req.tenantStatus).toBe('pending_deletion');
+  });
+
+  it('answers 402 once a non-payment grace period is over', async () => {
+    const { next, res } = await runMiddleware(
+      authMiddleware.validateTenant,
+      apiKeyTenant({ status: 'suspended_nonpayment' }),
+      { grace_period_until: inDays(-1) }
+    );
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(402);
+  });
+
+  it('blocks admin-suspended tenants from limited routes too', async () => {
+    const { next, res } = await runMiddleware(authMiddleware.validateTenantLimited, apiKeyTenant({ status: 'suspended_admin' }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('checks the platform admin key', () => {
+    process.env.ADMIN_API_KEY = 'platform-secret';
+    const res = { status: jest.fn(function () { return this; }), json: jest.fn(function () { return this; }) };
+    const next = jest.fn();
+
+    authMiddleware.requirePlatformAdmin({ headers: { 'x-admin-key': 'wrong' } }, res, next);
+    expect(res.status).toHaveBeenCalledWith(401);
+
+    authMiddleware.requirePlatformAdmin({ headers: { 'x-admin-key': 'platform-secret' } }, res, next);
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe('scheduler eligibility', () => {
+  it('skips reports of suspended tenants', async () => {
+    supabase.single.mockResolvedValueOnce({ data: { id: tenantId, status: 'suspended_admin' }, error: null });
+
+    expect(await schedulerService.checkReportEligibility({ id: 'rc1', tenant_id: tenantId })).toEqual(expect.objectContaining({
+      eligible: false,
+      reason: 'tenant_suspended'
+    }));
+  });
+});
+
+describe('data export', () => {
+  it('includes the tenant\'s data with credentials redacted', async () => {
+    supabase.single.mockResolvedValueOnce({ data: { id: tenantId, name: 'Acme' }, error: null });
+    supabase.rows = {
+      report_configs: [{ id: 'rc1', name: 'Monthly', sources: { google_analytics: { access_token: 'ya29.abc', property_id: '123' } } }],
+      tenant_templates: [{ id: 'tpl1', name: 'Brand', html_content: '<p>{{client_name}}</p>' }],
+      generated_reports: [{ id: 'gr1', file_url: 'https://cdn.test/pdf-reports/a.pdf' }]
+    };
+
+    const data = await tenantService.buildExport(tenantId);
+
+    expect(data.tenant).toEqual({ id: tenantId, name: 'Acme' });
+    expect(data.report_configs[0].sources.google_analytics).toEqual({ access_token: '[REDACTED]', property_id: '123' });
+    expect(data.templates).toHaveLength(1);
+    expect(data.generated_reports).toHaveLength(1);
+    expect(data.email_delivery_logs).toEqual([]);
+    expect(supabase.select).toHaveBeenCalledWith(expect.not.stringContaining('smtp_config'));
+  });
+});
+
+describe('account deletion routes', () => {
+  const buildApp = (tenant) => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.tenant = tenant;
+      req.tenantId = tenant.id;
+      req.authMethod = 'jwt';
+      next();
+    });
+    app.use('/api/tenant', tenantRoutes);
+    return app;
+  };
+
+  it('requires the account name as confirmation', async () => {
+    const response = await request(buildApp(apiKeyTenant()))
+      .post('/api/tenant/deletion')
+      .send({ confirm_name: 'Wrong' });
+
+    expect(response.status).toBe(400);
+    expect(supabase.update).not.toHaveBeenCalled();
+  });
+
+  it('exports the data, schedules the deletion and emails the owner', async () => {
+    const scheduledFor = inDays(14);
+    supabase.single
+      .mockResolvedValueOnce({ data: { id: tenantId, name: 'Acme' }, error: null })
+      .mockResolvedValueOnce({ data: { id: 'exp1', reason: 'deletion', expires_at: scheduledFor }, error: null })
+      .mockResolvedValueOnce({ data: { id: tenantId, status: 'pending_deletion', deletion_scheduled_for: scheduledFor }, error: null });
+
+    const response = await request(buildApp(apiKeyTenant()))
+      .post('/api/tenant/deletion')
+      .send({ confirm_name: 'Acme' });
+
+    expect(response.status).toBe(202);
+    expect(response.body.export.id).toBe('exp1');
+    expect(supabase.insert).toHaveBeenCalledWith(expect.objectContaining({ reason: 'deletion', tenant_id: tenantId }));
+    expect(supabase.update).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'pending_deletion',
+      previous_status: 'active'
+    }));
+    expect(emailService.sendSystemEmail).toHaveBeenCalledWith(
+      expect.objectContaining({ id: tenantId }),
+      expect.objectContaining({ to: 'owner@acme.test', html: expect.stringContaining('/exports/exp1') })
+    );
+  });
+
+  it('restores the previous status when a deletion is canceled', async () => {
+    supabase.single.mockResolvedValueOnce({ data: { id: tenantId, status: 'suspended_nonpayment' }, error: null });
+
+    const response = await request(buildApp(apiKeyTenant({ status: 'pending_deletion', previous_status: 'suspended_nonpayment' })))
+      .delete('/api/tenant/deletion');
+
+    expect(response.status).toBe(200);
+    expect(supabase.update).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'suspended_nonpayment',
+      deletion_scheduled_for: null
+    }));
+  });
+});
+
+describe('purging due tenants', () => {
+  it('removes stored PDFs before calling purge_tenant', async () => {
+    const remove = jest.fn(() => Promise.resolve({ error: null }));
+    supabase.storage = { from: jest.fn(() => ({ remove })) };
+    supabase.lte.mockResolvedValueOnce({ data: [{ id: tenantId, deletion_scheduled_for: inDays(-1) }], error: null });
+    supabase.rows = { generated_reports: [{ file_url: 'https://x.supabase.co/storage/v1/object/public/pdf-reports/acme/r%201.pdf' }] };
+
+    const results = await tenantService.purgeDueTenants();
+
+    expect(results).toEqual([{ tenant_id: tenantId, status: 'purged' }]);
+    expect(remove).toHaveBeenCalledWith(['acme/r 1.pdf']);
+    expect(supabase.rpc).toHaveBeenCalledWith('purge_tenant', { p_tenant_id: tenantId });
+  });
+});